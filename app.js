@@ -12,6 +12,8 @@ import travelRoutes from './routes/travelRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import partnerRoutes from './routes/partnerRoutes.js';
+import smsRoutes from './routes/smsRoutes.js';
+import operatorRoutes from './routes/operatorRoutes.js';
 import sitemapRouter from "./routes/sitemap.js";
 import { notFound, errorHandler } from './middlewares/errorMiddleware.js';
 
@@ -102,6 +104,8 @@ if (process.env.NODE_ENV === 'development') {
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf) => {
+    // Corps brut conservé pour vérifier la signature des webhooks de paiement
+    req.rawBody = buf;
     // Validation basique du JSON
     try {
       JSON.parse(buf);
@@ -169,6 +173,8 @@ app.use('/api/travel', travelRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/partners', partnerRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/operator', operatorRoutes);
 
 // OPTIMISATION 9: Gestion d'erreur améliorée
 app.use(notFound);
@@ -0,0 +1,106 @@
+// Catalogue des permissions du back-office et rôles par défaut (services/permissionService.js).
+// Chaque route de routes/adminRoutes.js déclare la permission qu'elle exige.
+
+export const PERMISSIONS = {
+  'users.read': 'Consulter les utilisateurs et leurs sessions',
+  'users.manage': 'Créer, modifier, bannir les utilisateurs et révoquer leurs sessions',
+  'users.delete': 'Supprimer des utilisateurs',
+  'buses.read': 'Consulter les bus',
+  'buses.manage': 'Créer et modifier les bus',
+  'buses.delete': 'Supprimer des bus',
+  'routes.read': 'Consulter les trajets et leurs statistiques',
+  'routes.manage': 'Créer, modifier et générer les trajets',
+  'routes.delete': 'Supprimer des trajets (y compris le nettoyage et la suppression totale)',
+  'route_templates.manage': 'Gérer les modèles de trajets',
+  'bookings.read': 'Consulter les réservations et leur historique',
+  'bookings.check_in': 'Enregistrer l\'embarquement des voyageurs (réservation confirmée → terminée)',
+  'bookings.update': 'Modifier le statut des réservations, y compris les annulations',
+  'bookings.delete': 'Supprimer des réservations',
+  'refunds.read': 'Consulter les remboursements',
+  'refunds.manage': 'Approuver, relancer et rapprocher les remboursements',
+  'payments.read': 'Consulter les notifications et rapprochements de paiement',
+  'payments.manage': 'Rejouer les notifications et lancer les rapprochements de paiement',
+  'revenue.read': 'Consulter les revenus',
+  'pricing.read': 'Consulter les règles de tarification',
+  'pricing.manage': 'Gérer les règles de tarification',
+  'companies.read': 'Consulter les compagnies',
+  'companies.manage': 'Créer et modifier les compagnies',
+  'companies.delete': 'Supprimer des compagnies',
+  'cities.read': 'Consulter les villes',
+  'cities.manage': 'Créer et modifier les villes',
+  'cities.delete': 'Supprimer des villes',
+  'partners.read': 'Consulter les demandes de partenariat',
+  'partners.manage': 'Traiter les demandes de partenariat',
+  'partners.delete': 'Supprimer des partenaires',
+  'cron.read': 'Consulter l\'état des tâches planifiées',
+  'rate_limits.read': 'Consulter les clés bloquées par la limitation de débit',
+  'rate_limits.manage': 'Débloquer des clés',
+  'roles.read': 'Consulter la matrice des rôles',
+  'roles.manage': 'Gérer les rôles, leurs permissions et les rôles attribués aux utilisateurs',
+  // Portail des compagnies (/api/operator) : limité aux données de la compagnie du compte (User.company)
+  'operator.buses': 'Gérer les bus de sa compagnie',
+  'operator.routes': 'Gérer les trajets de sa compagnie',
+  'operator.schedules': 'Gérer les lignes et horaires de sa compagnie',
+  'operator.bookings': 'Consulter les réservations de sa compagnie et enregistrer les embarquements',
+  'operator.reports': 'Consulter les manifestes et les revenus de sa compagnie',
+};
+
+// Toutes les permissions
+export const ALL_PERMISSIONS = '*';
+
+// Rôle des clients (aucun accès au back-office)
+export const CUSTOMER_ROLE = 'user';
+
+// Rôle des comptes de compagnie : attribué avec User.company (POST /api/admin/companies/:id/operators)
+export const OPERATOR_ROLE = 'operator';
+
+// Rôles créés au démarrage s'ils n'existent pas ; leurs permissions restent modifiables par l'API,
+// sauf celles des rôles à accès complet.
+export const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    label: 'Super administrateur',
+    permissions: [ALL_PERMISSIONS],
+  },
+  {
+    // Rôle historique des comptes administrateurs : accès complet
+    name: 'admin',
+    label: 'Administrateur',
+    permissions: [ALL_PERMISSIONS],
+  },
+  {
+    name: 'station_agent',
+    label: 'Agent de gare',
+    permissions: ['bookings.read', 'bookings.check_in', 'routes.read', 'buses.read', 'cities.read'],
+  },
+  {
+    name: 'support_agent',
+    label: 'Agent de support',
+    permissions: [
+      'users.read', 'bookings.read', 'bookings.check_in', 'bookings.update', 'refunds.read',
+      'payments.read', 'routes.read', 'buses.read', 'companies.read', 'cities.read', 'partners.read',
+    ],
+  },
+  {
+    name: 'finance',
+    label: 'Finance',
+    permissions: [
+      'users.read', 'bookings.read', 'refunds.read', 'refunds.manage', 'payments.read',
+      'payments.manage', 'revenue.read', 'pricing.read',
+    ],
+  },
+  {
+    name: 'operations',
+    label: 'Opérations',
+    permissions: [
+      'bookings.read', 'buses.read', 'buses.manage', 'routes.read', 'routes.manage',
+      'route_templates.manage', 'pricing.read', 'pricing.manage', 'companies.read', 'companies.manage',
+      'cities.read', 'cities.manage', 'partners.read', 'cron.read',
+    ],
+  },
+  {
+    name: OPERATOR_ROLE,
+    label: 'Opérateur de compagnie',
+    permissions: ['operator.buses', 'operator.routes', 'operator.schedules', 'operator.bookings', 'operator.reports'],
+  },
+];
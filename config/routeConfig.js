@@ -1,4 +1,9 @@
 // config/routeConfig.js
+// ROUTE_TEMPLATES : modèles importés en base au premier lancement (voir services/routeTemplateService.js).
+// Ensuite, les lignes se gèrent via /api/admin/route-templates.
+import dotenv from 'dotenv';
+
+dotenv.config();
 
 export const ROUTE_TEMPLATES = [
   {
@@ -11,7 +16,7 @@ export const ROUTE_TEMPLATES = [
       { departureTime: '18:00', arrivalTime: '22:30', duration: '4h 30min' }
     ],
     basePrice: 6500,
-    stops: ['Yamoussoukro'],
+    stops: ['Attiguié', 'Ellibou', 'bodo', 'Nzianouan', 'Zingrobo', 'Pakobo', 'Toumodi', 'Yamoussoukro'],
     amenities: ['Air conditionné', 'WiFi', 'Chargeur USB'],
     features: ['Sièges inclinables', 'Climatisation'],
     isPopularRoute: true
@@ -75,11 +80,53 @@ export const CRON_CONFIG = {
     description: 'Nettoyage des trajets expirés'
   },
   
-  // Mise à jour des sièges disponibles (simulation de nouvelles réservations)
-  SEAT_UPDATE: {
-    schedule: '0 */2 * * *', // Toutes les 2 heures
+  // Libération des sièges bloqués dont le paiement n'a pas abouti
+  SEAT_HOLD_RELEASE: {
+    schedule: '* * * * *', // Toutes les minutes
+    timezone: 'Africa/Abidjan',
+    description: 'Libération des sièges bloqués expirés'
+  },
+
+  // Réconciliation des places disponibles avec les réservations réelles
+  SEAT_RECONCILIATION: {
+    schedule: '15 * * * *', // Toutes les heures
+    timezone: 'Africa/Abidjan',
+    description: 'Réconciliation des places disponibles'
+  },
+
+  // Relance des notifications de paiement dont le traitement a échoué
+  PAYMENT_EVENT_RETRY: {
+    schedule: '*/5 * * * *', // Toutes les 5 minutes
+    timezone: 'Africa/Abidjan',
+    description: 'Relance des notifications de paiement en échec'
+  },
+
+  // Rapprochement des paiements avec les fournisseurs
+  PAYMENT_RECONCILIATION: {
+    schedule: '45 * * * *', // Toutes les heures
+    timezone: 'Africa/Abidjan',
+    description: 'Rapprochement des paiements avec les fournisseurs'
+  },
+
+  // Envoi des emails en attente dans la file d'envoi
+  EMAIL_OUTBOX: {
+    schedule: '* * * * *', // Toutes les minutes
     timezone: 'Africa/Abidjan',
-    description: 'Mise à jour des sièges disponibles'
+    description: 'Envoi et relance des emails en attente'
+  },
+
+  // Envoi des SMS en attente dans la file d'envoi
+  SMS_OUTBOX: {
+    schedule: '* * * * *', // Toutes les minutes
+    timezone: 'Africa/Abidjan',
+    description: 'Envoi et relance des SMS en attente'
+  },
+
+  // Rappels de départ (email, ou SMS pour les clients sans email)
+  DEPARTURE_REMINDERS: {
+    schedule: '*/15 * * * *', // Toutes les 15 minutes
+    timezone: 'Africa/Abidjan',
+    description: 'Rappels de départ des réservations confirmées'
   }
 };
 
@@ -89,11 +136,157 @@ export const PRICING_CONFIG = {
     PEAK_HOURS: 1.1, // Majoration pour heures de pointe
     NORMAL_HOURS: 1.0
   },
-  RANDOM_VARIATION: 0.2, // ±20% de variation aléatoire
-  WEEKEND_MULTIPLIER: 1.15 // Majoration week-end
+  PEAK_HOURS: [ // Plages horaires de départ considérées comme heures de pointe
+    { start: '06:00', end: '09:00' },
+    { start: '17:00', end: '20:00' }
+  ],
+  WEEKEND_MULTIPLIER: 1.15, // Majoration week-end
+  WEEKEND_DAYS: [0, 6], // Dimanche et samedi
+  HOLIDAY_MULTIPLIER: 1.2, // Majoration jours fériés
+  HOLIDAYS: [ // Jours fériés fixes (MM-DD) ; les fêtes mobiles s'ajoutent en YYYY-MM-DD via l'admin
+    '01-01', // Jour de l'an
+    '05-01', // Fête du travail
+    '08-07', // Fête de l'indépendance
+    '11-15', // Journée nationale de la paix
+    '12-25' // Noël
+  ],
+  MIN_PRICE_RATIO: 0.8, // Le prix ne descend jamais sous 80% du prix de base
+  MAX_PRICE_RATIO: 1.5, // ni au-dessus de 150%
+  ROUNDING: 50 // Arrondi au multiple de 50 FCFA
 };
 
 export const SEAT_CONFIG = {
-  MAX_RESERVED_PERCENTAGE: 0.3, // Maximum 30% de sièges pré-réservés
-  MIN_AVAILABLE_SEATS: 5 // Minimum de sièges disponibles par trajet
-};
\ No newline at end of file
+  MIN_AVAILABLE_SEATS: 5, // Minimum de sièges disponibles par trajet
+  HOLD_DURATION_MINUTES: parseInt(process.env.SEAT_HOLD_MINUTES) || 15 // Durée de blocage des sièges en attente de paiement
+};
+// Parse une liste de codes promo depuis l'environnement, ex: {"BIENVENUE": 0.1}
+const parsePromoCodes = (value) => {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error('FARE_PROMO_CODES invalide, aucun code promo chargé:', error.message);
+    return {};
+  }
+};
+
+export const FARE_CONFIG = {
+  CURRENCY: 'XOF', // Franc CFA
+  QUOTE_TTL_MINUTES: 15, // Durée de validité d'un devis signé
+  MAX_PASSENGERS: 10, // Nombre maximum de passagers par réservation
+  ROUND_TRIP_DISCOUNT: parseFloat(process.env.ROUND_TRIP_DISCOUNT) || 0, // Remise aller-retour (ex: 0.05 = 5%)
+  GROUP_DISCOUNT: {
+    MIN_PASSENGERS: 5, // À partir de 5 passagers
+    RATE: parseFloat(process.env.GROUP_DISCOUNT_RATE) || 0 // Remise de groupe (ex: 0.1 = 10%)
+  },
+  PROMO_CODES: parsePromoCodes(process.env.FARE_PROMO_CODES) // Code → taux de remise
+};
+
+export const CANCELLATION_CONFIG = {
+  // Politique appliquée aux compagnies sans politique propre :
+  // remboursement intégral plus de 24h avant le départ, 50% ensuite, rien après le départ
+  DEFAULT_TIERS: [
+    { minHoursBeforeDeparture: 24, refundRate: 1 },
+    { minHoursBeforeDeparture: 0, refundRate: 0.5 }
+  ],
+  AFTER_DEPARTURE_RATE: 0, // Taux de remboursement une fois le bus parti
+  ROUNDING: 5 // Arrondi du remboursement au multiple de 5 FCFA inférieur
+};
+
+export const PAYMENT_PROVIDER_CONFIG = {
+  REQUEST_TIMEOUT_MS: parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15000 // Délai maximal d'un appel HTTP à un fournisseur
+};
+
+export const PAYMENT_EVENT_CONFIG = {
+  MAX_ATTEMPTS: 6, // Au-delà, la notification n'est plus relancée automatiquement (relance manuelle possible)
+  RETRY_BASE_DELAY_MINUTES: 2, // Délai avant la 1re relance, doublé à chaque tentative
+  PROCESSING_TIMEOUT_MINUTES: 10 // Traitement considéré comme interrompu au-delà de ce délai
+};
+
+export const PAYMENT_RECONCILIATION_CONFIG = {
+  LOOKBACK_HOURS: 48, // Réservations confirmées ou annulées récemment revérifiées auprès du fournisseur
+  REPORT_RETENTION_DAYS: 30 // Durée de conservation des rapports de rapprochement
+};
+
+export const EMAIL_CONFIG = {
+  DEFAULT_LOCALE: 'fr', // Langue des emails si l'utilisateur n'en a pas choisi
+  MAX_ATTEMPTS: 5, // Au-delà, l'email reste en échec
+  RETRY_BASE_DELAY_MINUTES: 1, // Délai avant la 1re relance, doublé à chaque tentative
+  SENDING_TIMEOUT_MINUTES: 10, // Envoi considéré comme interrompu au-delà de ce délai
+  BATCH_SIZE: 50 // Nombre maximum d'emails envoyés par passage du cron
+};
+
+export const SMS_CONFIG = {
+  PROVIDER: process.env.SMS_PROVIDER || 'stub', // Fournisseur d'envoi (services/smsProviders)
+  DEFAULT_LOCALE: 'fr',
+  COUNTRY_CODE: '225', // Indicatif ajouté aux numéros locaux à 10 chiffres
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_DELAY_MINUTES: 1, // Délai avant la 1re relance, doublé à chaque tentative
+  SENDING_TIMEOUT_MINUTES: 10,
+  BATCH_SIZE: 50
+};
+
+export const REMINDER_CONFIG = {
+  HOURS_BEFORE_DEPARTURE: 24, // Rappel envoyé dans les 24h précédant le départ
+  MIN_HOURS_BEFORE_DEPARTURE: 1 // Plus de rappel à moins d'une heure du départ
+};
+
+// Vérification des moyens de contact (services/verificationService.js)
+export const VERIFICATION_CONFIG = {
+  // Actions refusées tant qu'aucun moyen de contact (email ou téléphone) n'est vérifié.
+  // VERIFIED_CONTACT_REQUIRED_FOR="" désactive la règle.
+  REQUIRED_FOR: (process.env.VERIFIED_CONTACT_REQUIRED_FOR ?? 'booking,payment')
+    .split(',').map(action => action.trim()).filter(Boolean),
+  EMAIL_TOKEN_EXPIRES_HOURS: 24,
+  EMAIL_RESEND_COOLDOWN_SECONDS: 60
+};
+
+// Configuration des codes à usage unique envoyés par SMS (services/otpService.js)
+export const OTP_CONFIG = {
+  CODE_LENGTH: 6,
+  EXPIRES_MINUTES: 10,
+  MAX_ATTEMPTS: 5, // Essais de saisie par code
+  RESEND_COOLDOWN_SECONDS: 60, // Délai minimal entre deux envois au même numéro
+  MAX_SENDS_PER_WINDOW: 5, // Envois maximum par numéro et par fenêtre
+  SEND_WINDOW_MINUTES: 60,
+  RETENTION_HOURS: 24, // Conservation des codes (historique utilisé pour la limitation)
+  RESET_TOKEN_EXPIRES_MINUTES: 10 // Durée du jeton de réinitialisation obtenu avec un code
+};
+
+// Sessions et refresh tokens (services/sessionService.js)
+export const SESSION_CONFIG = {
+  REFRESH_TOKEN_EXPIRES_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7, // Prolongée à chaque rotation
+  // Un refresh token déjà remplacé présenté dans ce délai (requêtes concurrentes d'un même navigateur)
+  // est refusé sans révoquer la session
+  REUSE_GRACE_SECONDS: 10,
+  MAX_USED_TOKENS: 200 // Empreintes des anciens tokens conservées pour détecter leur réutilisation
+};
+
+// Politique d'authentification (services/authPolicyService.js)
+export const AUTH_POLICY_CONFIG = {
+  MAX_LOGIN_ATTEMPTS: 10, // Échecs avant verrouillage du compte
+  LOCK_DURATION_MINUTES: 15,
+  // Délai progressif avant la vérification du mot de passe : doublé à chaque échec au-delà du seuil
+  DELAY_AFTER_FAILURES: 3,
+  DELAY_BASE_MS: 500,
+  DELAY_MAX_MS: 8000,
+  // Échecs de connexion par adresse IP (tous comptes confondus)
+  IP_MAX_FAILURES: 30,
+  IP_WINDOW_MINUTES: 15,
+  IP_BLOCK_MINUTES: 30,
+  // Échecs par identifiant (email/téléphone), y compris pour un compte inexistant
+  ACCOUNT_MAX_FAILURES: 20,
+  ACCOUNT_WINDOW_MINUTES: 60,
+  ACCOUNT_BLOCK_MINUTES: 60
+};
+
+// Limitation de débit par route (middlewares/rateLimiter.js). Au-delà de MAX_REQUESTS
+// dans la fenêtre, la clé (IP ou utilisateur) est bloquée pendant BLOCK_MINUTES.
+export const RATE_LIMIT_CONFIG = {
+  LOGIN: { MAX_REQUESTS: 20, WINDOW_MINUTES: 15, BLOCK_MINUTES: 15 },
+  FORGOT_PASSWORD: { MAX_REQUESTS: 5, WINDOW_MINUTES: 60, BLOCK_MINUTES: 60 },
+  OTP_VERIFY: { MAX_REQUESTS: 10, WINDOW_MINUTES: 15, BLOCK_MINUTES: 30 },
+  REGISTER: { MAX_REQUESTS: 5, WINDOW_MINUTES: 60, BLOCK_MINUTES: 60 },
+  BOOKINGS: { MAX_REQUESTS: 20, WINDOW_MINUTES: 60, BLOCK_MINUTES: 30 },
+  PAYMENT_INITIATE: { MAX_REQUESTS: 10, WINDOW_MINUTES: 60, BLOCK_MINUTES: 30 },
+  REDIS_TIMEOUT_MS: 500 // Au-delà, le compteur en mémoire prend le relais
+};
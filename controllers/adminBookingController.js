@@ -1,33 +1,29 @@
 // src/controllers/adminBookingController.js
 import asyncHandler from 'express-async-handler';
 import Booking from '../models/Booking.js';
-import Route from '../models/Route.js';
 import { isValidObjectId } from 'mongoose';
+import { releaseSeats } from '../services/seatInventoryService.js';
+import { BookingTransitionError, transitionBooking, actorFromUser } from '../services/bookingStateService.js';
+import { userHasPermission } from '../services/permissionService.js';
 
 
+// Libère les sièges encore détenus par la réservation dans l'inventaire des trajets
 const revertSeatsOnDeletion = async (booking) => {
-  if (booking && booking.status === 'confirmed') {
-    const outboundRoute = await Route.findById(booking.outboundRoute);
-    if (outboundRoute) {
-      outboundRoute.availableSeats += booking.selectedSeats.length;
-      await outboundRoute.save();
-    }
-    if (booking.returnRoute) {
-      const returnRoute = await Route.findById(booking.returnRoute);
-      if (returnRoute) {
-        returnRoute.availableSeats += booking.selectedSeats.length;
-        await returnRoute.save();
-      }
-    }
+  if (booking) {
+    await releaseSeats(booking._id);
   }
 };
 /**
  * @desc    Obtenir toutes les réservations (pour l'admin)
- * @route   GET /api/admin/bookings
+ * @route   GET /api/admin/bookings?reference=
  * @access  Private/Admin
  */
 export const getAllBookingsAdmin = asyncHandler(async (req, res) => {
-  const bookings = await Booking.find({})
+  // Recherche par référence du billet (?reference=BK...), utilisée en gare pour l'embarquement
+  const filter = {};
+  if (req.query.reference) filter.bookingReference = String(req.query.reference).trim().toUpperCase();
+
+  const bookings = await Booking.find(filter)
     .populate('user', 'firstName lastName email phone') // Populer les infos utilisateur
     .populate('outboundRoute')
     .populate('returnRoute')
@@ -110,35 +106,57 @@ export const updateBookingStatusAdmin = asyncHandler(async (req, res) => {
     throw new Error('Réservation introuvable.');
   }
 
-  // Ne pas permettre de modifier une réservation si le statut est déjà 'completed' ou 'cancelled' (sauf si admin souhaite forcer)
-  // Une logique plus fine peut être ajoutée ici. Pour l'instant, l'admin peut tout changer.
-  if (!['pending_payment', 'confirmed', 'cancelled', 'completed'].includes(status)) {
-    res.status(400);
-    throw new Error('Statut de réservation invalide.');
+  // L'embarquement (statut 'completed') suffit aux agents de gare ; les autres statuts exigent bookings.update
+  if (status !== 'completed' && !(await userHasPermission(req.user, 'bookings.update'))) {
+    res.status(403);
+    throw new Error('Accès interdit : la permission bookings.update est requise pour ce statut.');
+  }
+
+  // Les transitions autorisées et leurs effets (sièges, emails) sont gérés par la machine à états
+  try {
+    const updatedBooking = await transitionBooking(booking, status, {
+      actor: actorFromUser(req.user),
+      reason: req.body.reason || '',
+    });
+
+    res.status(200).json({ success: true, message: `Statut de réservation mis à jour en '${status}'.`, data: updatedBooking });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) res.status(error.statusCode);
+    throw error;
   }
+});
+
+/**
+ * @desc    Obtenir l'historique des changements de statut d'une réservation
+ * @route   GET /api/admin/bookings/:id/history
+ * @access  Private/Admin
+ */
+export const getBookingHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-  // Si le statut passe à 'cancelled' et qu'il ne l'était pas
-  if (status === 'cancelled' && booking.status !== 'cancelled' && booking.status !== 'completed') {
-    const outboundRoute = await Route.findById(booking.outboundRoute);
-    if (outboundRoute) {
-      outboundRoute.availableSeats += booking.selectedSeats.length;
-      await outboundRoute.save();
-    }
-    if (booking.returnRoute) {
-      const returnRoute = await Route.findById(booking.returnRoute);
-      if (returnRoute) {
-        returnRoute.availableSeats += booking.selectedSeats.length;
-        await returnRoute.save();
-      }
-    }
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de réservation invalide.');
   }
-  // Si le statut passe de 'cancelled' à autre chose, il faudrait potentiellement réajuster les sièges
-  // Mais c'est une logique plus complexe qui dépend des règles métier exactes.
 
-  booking.status = status;
-  await booking.save();
+  const booking = await Booking.findById(id)
+    .select('bookingReference status statusHistory')
+    .populate('statusHistory.actor.user', 'firstName lastName email role');
+
+  if (!booking) {
+    res.status(404);
+    throw new Error('Réservation introuvable.');
+  }
 
-  res.status(200).json({ success: true, message: `Statut de réservation mis à jour en '${status}'.`, data: booking });
+  res.status(200).json({
+    success: true,
+    data: {
+      bookingId: booking._id,
+      bookingReference: booking.bookingReference,
+      status: booking.status,
+      history: booking.statusHistory,
+    },
+  });
 });
 
 
@@ -1,6 +1,16 @@
 // src/controllers/adminBusController.js
 import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
 import Bus from '../models/Bus.js';
+import Company from '../models/Company.js';
+
+// Vérifie que la compagnie propriétaire du bus existe
+const validateCompany = async (companyId, res) => {
+  if (!isValidObjectId(companyId) || !(await Company.exists({ _id: companyId }))) {
+    res.status(400);
+    throw new Error('Compagnie introuvable pour ce bus.');
+  }
+};
 
 /**
  * @desc    Créer un nouveau bus
@@ -8,13 +18,15 @@ import Bus from '../models/Bus.js';
  * @access  Private/Admin
  */
 export const createBus = asyncHandler(async (req, res) => {
-  const { name, busId, totalSeats, layout, amenities } = req.body;
+  const { name, busId, totalSeats, layout, amenities, company } = req.body;
 
-  if (!name || !busId || !totalSeats || !layout) {
+  if (!name || !busId || !totalSeats || !layout || !company) {
     res.status(400);
     throw new Error('Veuillez fournir toutes les informations requises pour le bus.');
   }
 
+  await validateCompany(company, res);
+
   const busExists = await Bus.findOne({ busId });
   if (busExists) {
     res.status(400);
@@ -27,18 +39,28 @@ export const createBus = asyncHandler(async (req, res) => {
     totalSeats,
     layout,
     amenities: amenities || [],
+    company,
   });
 
   res.status(201).json({ success: true, data: bus });
 });
 
 /**
- * @desc    Obtenir tous les bus
+ * @desc    Obtenir tous les bus (filtrable par compagnie avec ?company=)
  * @route   GET /api/admin/buses
  * @access  Private/Admin
  */
 export const getAllBuses = asyncHandler(async (req, res) => {
-  const buses = await Bus.find({});
+  const filter = {};
+  if (req.query.company) {
+    if (!isValidObjectId(req.query.company)) {
+      res.status(400);
+      throw new Error('ID de compagnie invalide.');
+    }
+    filter.company = req.query.company;
+  }
+
+  const buses = await Bus.find(filter).populate('company', 'name');
   res.status(200).json({ success: true, data: buses });
 });
 
@@ -48,7 +70,7 @@ export const getAllBuses = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const getBusById = asyncHandler(async (req, res) => {
-  const bus = await Bus.findById(req.params.id);
+  const bus = await Bus.findById(req.params.id).populate('company', 'name');
 
   if (!bus) {
     res.status(404);
@@ -63,7 +85,7 @@ export const getBusById = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const updateBus = asyncHandler(async (req, res) => {
-  const { name, busId, totalSeats, layout, amenities } = req.body;
+  const { name, busId, totalSeats, layout, amenities, company } = req.body;
 
   const bus = await Bus.findById(req.params.id);
 
@@ -87,6 +109,11 @@ export const updateBus = asyncHandler(async (req, res) => {
   bus.layout = layout || bus.layout;
   bus.amenities = amenities || bus.amenities;
 
+  if (company) {
+    await validateCompany(company, res);
+    bus.company = company;
+  }
+
   const updatedBus = await bus.save();
   res.status(200).json({ success: true, data: updatedBus });
 });
@@ -1,7 +1,22 @@
 // src/controllers/compagnieController.js
 import asyncHandler from 'express-async-handler';
 import Company from '../models/Company.js'; // Assurez-vous d'avoir ce modèle
+import User from '../models/User.js';
 import { isValidObjectId } from 'mongoose';
+import { CancellationPolicyError, normalizePolicyTiers } from '../services/cancellationService.js';
+import { revokeAllUserSessions } from '../services/sessionService.js';
+import { canActOnRole } from '../services/permissionService.js';
+import { CUSTOMER_ROLE, OPERATOR_ROLE } from '../config/permissions.js';
+
+// Valide la politique d'annulation envoyée (les paliers vides rétablissent la politique par défaut)
+const parseCancellationPolicy = (policy, res) => {
+  try {
+    return { tiers: normalizePolicyTiers(policy?.tiers || []) };
+  } catch (error) {
+    if (error instanceof CancellationPolicyError) res.status(error.statusCode);
+    throw error;
+  }
+};
 
 
 
@@ -62,7 +77,7 @@ export const getCompanyById = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const createCompany = asyncHandler(async (req, res) => {
-  const { name, address, phone, email, description, logoUrl } = req.body;
+  const { name, address, phone, email, description, logoUrl, cancellationPolicy } = req.body;
   
   if (!name || !address || !phone || !email) {
     res.status(400);
@@ -76,6 +91,7 @@ export const createCompany = asyncHandler(async (req, res) => {
     email,
     description,
     logoUrl,
+    ...(cancellationPolicy && { cancellationPolicy: parseCancellationPolicy(cancellationPolicy, res) }),
   });
 
   res.status(201).json({ success: true, data: newCompany });
@@ -93,7 +109,12 @@ export const updateCompany = asyncHandler(async (req, res) => {
     throw new Error('ID de compagnie invalide.');
   }
 
-  const company = await Company.findByIdAndUpdate(id, req.body, {
+  const updates = { ...req.body };
+  if (updates.cancellationPolicy !== undefined) {
+    updates.cancellationPolicy = parseCancellationPolicy(updates.cancellationPolicy, res);
+  }
+
+  const company = await Company.findByIdAndUpdate(id, updates, {
     new: true, // Retourne le document mis à jour
     runValidators: true, // Exécute les validateurs de schéma
   });
@@ -106,6 +127,25 @@ export const updateCompany = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, data: company });
 });
 
+// Retire l'accès au portail opérateur : rôle client et sessions révoquées
+const detachOperator = async (userId, revokedBy) => {
+  await User.updateOne({ _id: userId }, { $set: { role: CUSTOMER_ROLE, company: null } });
+  await revokeAllUserSessions(userId, { reason: 'admin', revokedBy });
+};
+
+const findCompany = async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error('ID de compagnie invalide.');
+  }
+  const company = await Company.findById(req.params.id, 'name');
+  if (!company) {
+    res.status(404);
+    throw new Error('Compagnie introuvable.');
+  }
+  return company;
+};
+
 /**
  * @desc    Supprimer une compagnie (pour l'admin)
  * @route   DELETE /api/admin/companies/:id
@@ -124,5 +164,89 @@ export const deleteCompany = asyncHandler(async (req, res) => {
     throw new Error('Compagnie introuvable.');
   }
 
+  // Les comptes opérateurs de la compagnie redeviennent des comptes clients
+  const operators = await User.find({ company: company._id }, '_id');
+  for (const operator of operators) {
+    await detachOperator(operator._id, req.user._id);
+  }
+
   res.status(200).json({ success: true, message: 'Compagnie supprimée avec succès.' });
+});
+
+/**
+ * @desc    Obtenir les comptes opérateurs d'une compagnie
+ * @route   GET /api/admin/companies/:id/operators
+ * @access  Private/Admin
+ */
+export const getCompanyOperators = asyncHandler(async (req, res) => {
+  const company = await findCompany(req, res);
+  const operators = await User.find({ company: company._id }, 'firstName lastName email phone role isBanned createdAt');
+  res.status(200).json({ success: true, data: operators });
+});
+
+/**
+ * @desc    Rattacher un compte client existant à une compagnie comme opérateur
+ * @route   POST /api/admin/companies/:id/operators
+ * @access  Private/Admin
+ */
+export const addCompanyOperator = asyncHandler(async (req, res) => {
+  const company = await findCompany(req, res);
+  const { userId } = req.body;
+
+  if (!(await canActOnRole(req.user, OPERATOR_ROLE))) {
+    res.status(403);
+    throw new Error('Accès interdit : le rôle opérateur a des permissions que vous ne détenez pas.');
+  }
+
+  if (!isValidObjectId(userId)) {
+    res.status(400);
+    throw new Error('ID utilisateur invalide.');
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404);
+    throw new Error('Utilisateur introuvable.');
+  }
+  // Un compte du personnel ou l'opérateur d'une autre compagnie ne peut pas être rattaché
+  if (user.company && user.company.toString() !== company._id.toString()) {
+    res.status(409);
+    throw new Error('Ce compte est déjà rattaché à une autre compagnie.');
+  }
+  if (![CUSTOMER_ROLE, OPERATOR_ROLE].includes(user.role)) {
+    res.status(409);
+    throw new Error('Un compte du personnel ne peut pas être rattaché à une compagnie.');
+  }
+
+  user.role = OPERATOR_ROLE;
+  user.company = company._id;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.firstName} ${user.lastName} est maintenant opérateur de ${company.name}.`,
+    data: user,
+  });
+});
+
+/**
+ * @desc    Retirer un compte opérateur d'une compagnie (le compte redevient client)
+ * @route   DELETE /api/admin/companies/:id/operators/:userId
+ * @access  Private/Admin
+ */
+export const removeCompanyOperator = asyncHandler(async (req, res) => {
+  const company = await findCompany(req, res);
+
+  if (!(await canActOnRole(req.user, OPERATOR_ROLE))) {
+    res.status(403);
+    throw new Error('Accès interdit : le rôle opérateur a des permissions que vous ne détenez pas.');
+  }
+
+  if (!isValidObjectId(req.params.userId) || !(await User.exists({ _id: req.params.userId, company: company._id }))) {
+    res.status(404);
+    throw new Error('Opérateur introuvable pour cette compagnie.');
+  }
+
+  await detachOperator(req.params.userId, req.user._id);
+  res.status(200).json({ success: true, message: 'Accès opérateur retiré.' });
 });
\ No newline at end of file
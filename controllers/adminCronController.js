@@ -1,5 +1,5 @@
 // src/controllers/cronAdminController.js
-import { getCronStatus, generateRoutesManually, cleanupRoutesManually } from '../cron/RouteGenerator.js';
+import { getCronStatus, generateRoutesManually, cleanupRoutesManually, reconcileSeatsManually } from '../cron/RouteGenerator.js';
 import Route from '../models/Route.js';
 import City from '../models/City.js';
 import Company from '../models/Company.js';
@@ -54,7 +54,9 @@ export const generateRoutes = async (req, res) => {
     const duration = Date.now() - startTime;
 
     const successCount = results.filter(r => r.success).length;
-    const totalRoutes = results.reduce((sum, r) => sum + (r.count || 0), 0);
+    const totalRoutes = results.reduce((sum, r) => sum + (r.created || 0), 0);
+    const keptRoutes = results.reduce((sum, r) => sum + (r.kept || 0), 0);
+    const skippedDepartures = results.reduce((sum, r) => sum + (r.skipped || 0), 0);
     const errorResults = results.filter(r => !r.success);
 
     res.json({
@@ -62,6 +64,8 @@ export const generateRoutes = async (req, res) => {
       message: `Trajets générés avec succès pour ${successCount}/${results.length} jours`,
       data: {
         totalRoutes,
+        keptRoutes,
+        skippedDepartures,
         successCount,
         failedCount: errorResults.length,
         duration: `${duration}ms`,
@@ -90,6 +94,20 @@ export const cleanupRoutes = async (req, res) => {
   }
 };
 
+// 📌 Réconcilier les places disponibles avec les réservations
+export const reconcileSeats = async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const { checked, fixed, drifts } = await reconcileSeatsManually();
+    const duration = Date.now() - startTime;
+
+    res.json({ success: true, message: `${fixed}/${checked} trajets corrigés`, data: { checked, fixed, drifts, duration: `${duration}ms` } });
+  } catch (error) {
+    console.error('❌ Erreur réconciliation des places:', error);
+    res.status(500).json({ success: false, message: 'Erreur lors de la réconciliation des places', error: error.message });
+  }
+};
+
 // 📌 Statistiques détaillées
 export const getRoutesStats = async (req, res) => {
   try {
@@ -1,6 +1,21 @@
 // controllers/partnerController.js
 import asyncHandler from "express-async-handler";
 import PartnerRequest from "../models/PartnerRequest.js";
+import Company from "../models/Company.js";
+
+// Une demande approuvée crée la compagnie, à laquelle l'admin rattache ensuite les comptes opérateurs
+// (POST /api/admin/companies/:id/operators)
+const ensurePartnerCompany = async (partner) => {
+  if (partner.company && (await Company.exists({ _id: partner.company }))) return;
+
+  const company = await Company.create({
+    name: partner.companyName,
+    email: partner.email,
+    phone: partner.phone,
+    description: partner.message || "",
+  });
+  partner.company = company._id;
+};
 
 
 
@@ -28,6 +43,7 @@ export const approvePartner = asyncHandler(async (req, res) => {
   }
 
   partner.status = "approved";
+  await ensurePartnerCompany(partner);
   await partner.save();
 
   res.json({ message: "✅ Partenaire approuvé", partner });
@@ -82,13 +98,15 @@ export const addPartnerDirectly = asyncHandler(async (req, res) => {
     throw new Error("Champs requis manquants.");
   }
 
-  const partner = await PartnerRequest.create({
+  const partner = new PartnerRequest({
     companyName,
     email,
     phone,
     message,
     status: "approved", // Directement approuvé
   });
+  await ensurePartnerCompany(partner);
+  await partner.save();
 
   res.status(201).json({ message: "✅ Partenaire ajouté directement", partner });
 });
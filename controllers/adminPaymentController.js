@@ -0,0 +1,43 @@
+// src/controllers/adminPaymentController.js
+import asyncHandler from 'express-async-handler';
+import PaymentReconciliation from '../models/PaymentReconciliation.js';
+import { reconcilePayments } from '../services/paymentReconciliationService.js';
+
+/**
+ * @desc    Obtenir le dernier rapport de rapprochement des paiements et l'historique des précédents
+ * @route   GET /api/admin/payments/reconciliation
+ * @access  Private/Admin
+ */
+export const getPaymentReconciliation = asyncHandler(async (req, res) => {
+  const report = await PaymentReconciliation.findOne()
+    .sort({ startedAt: -1 })
+    .populate('discrepancies.booking', 'bookingReference status totalPrice user')
+    .populate('triggeredBy', 'firstName lastName email');
+
+  if (!report) {
+    res.status(404);
+    throw new Error('Aucun rapprochement des paiements n\'a encore été effectué.');
+  }
+
+  // Résumé des rapports précédents, sans le détail des écarts
+  const history = await PaymentReconciliation.find({ _id: { $ne: report._id } }, '-discrepancies')
+    .sort({ startedAt: -1 })
+    .limit(Math.min(parseInt(req.query.history) || 10, 100));
+
+  res.status(200).json({ success: true, data: report, history });
+});
+
+/**
+ * @desc    Lancer immédiatement un rapprochement des paiements
+ * @route   POST /api/admin/payments/reconciliation
+ * @access  Private/Admin
+ */
+export const runPaymentReconciliation = asyncHandler(async (req, res) => {
+  const report = await reconcilePayments({ trigger: 'manual', triggeredBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: `${report.checked} paiement(s) vérifié(s), ${report.fixed} réservation(s) confirmée(s), ${report.discrepancies.length} écart(s).`,
+    data: report,
+  });
+});
@@ -0,0 +1,106 @@
+// src/controllers/adminPaymentEventController.js
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import PaymentEvent from '../models/PaymentEvent.js';
+import {
+  PaymentEventError,
+  processPaymentEvent,
+  retryFailedPaymentEvents as retryFailedPaymentEventsService,
+} from '../services/paymentEventService.js';
+
+const checkEventId = (id, res) => {
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de notification invalide.');
+  }
+};
+
+/**
+ * @desc    Obtenir les notifications de paiement (filtrables par ?provider=, ?status=, ?reference=, ?booking=, ?signatureValid=)
+ * @route   GET /api/admin/payment-events
+ * @access  Private/Admin
+ */
+export const getPaymentEvents = asyncHandler(async (req, res) => {
+  const { provider, status, reference, booking, signatureValid } = req.query;
+  const filter = {};
+  if (provider) filter.provider = provider;
+  if (status) filter.status = status;
+  if (reference) filter.reference = reference;
+  if (booking) {
+    if (!isValidObjectId(booking)) {
+      res.status(400);
+      throw new Error('ID de réservation invalide.');
+    }
+    filter.booking = booking;
+  }
+  if (signatureValid !== undefined) filter.signatureValid = signatureValid === 'true';
+
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  // Le contenu brut n'est renvoyé que par le détail d'une notification
+  const events = await PaymentEvent.find(filter, '-payload -headers')
+    .populate('booking', 'bookingReference status totalPrice')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.status(200).json({ success: true, count: events.length, data: events });
+});
+
+/**
+ * @desc    Obtenir une notification de paiement avec son contenu brut
+ * @route   GET /api/admin/payment-events/:id
+ * @access  Private/Admin
+ */
+export const getPaymentEventById = asyncHandler(async (req, res) => {
+  checkEventId(req.params.id, res);
+
+  const event = await PaymentEvent.findById(req.params.id)
+    .populate('booking', 'bookingReference status totalPrice payment.provider payment.invoiceToken')
+    .populate('replayedBy', 'firstName lastName email');
+
+  if (!event) {
+    res.status(404);
+    throw new Error('Notification de paiement introuvable.');
+  }
+
+  res.status(200).json({ success: true, data: event });
+});
+
+/**
+ * @desc    Relancer le traitement d'une notification de paiement
+ * @route   POST /api/admin/payment-events/:id/replay
+ * @access  Private/Admin
+ */
+export const replayPaymentEvent = asyncHandler(async (req, res) => {
+  checkEventId(req.params.id, res);
+
+  let event;
+  try {
+    // Le statut du paiement est relu auprès du fournisseur : relancer une notification rejetée est sans risque
+    event = await processPaymentEvent(req.params.id, { replayedBy: req.user._id });
+  } catch (error) {
+    if (error instanceof PaymentEventError) res.status(error.statusCode);
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: event.status === 'failed' ? `Le traitement a de nouveau échoué: ${event.lastError}` : 'Notification retraitée.',
+    data: event,
+  });
+});
+
+/**
+ * @desc    Relancer immédiatement les notifications en échec dont la relance est due
+ * @route   POST /api/admin/payment-events/retry
+ * @access  Private/Admin
+ */
+export const retryFailedPaymentEvents = asyncHandler(async (req, res) => {
+  const report = await retryFailedPaymentEventsService();
+
+  res.status(200).json({
+    success: true,
+    message: `${report.retried} notification(s) relancée(s), ${report.failed} en échec.`,
+    data: report,
+  });
+});
@@ -0,0 +1,179 @@
+// src/controllers/adminPricingController.js
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import PricingRule from '../models/PricingRule.js';
+import Company from '../models/Company.js';
+import { PRICING_CONFIG } from '../config/routeConfig.js';
+import {
+  getDefaultPricingRules,
+  loadPricingRules,
+  applyPricingRules,
+} from '../services/pricingService.js';
+
+const RULE_FIELDS = ['name', 'type', 'multiplier', 'timeRanges', 'daysOfWeek', 'dates', 'company', 'isActive', 'description'];
+
+// Vérifie la cohérence d'une règle selon son type
+const validateRule = async (rule, res) => {
+  if (typeof rule.multiplier !== 'number' || rule.multiplier <= 0) {
+    res.status(400);
+    throw new Error('Le multiplicateur doit être un nombre strictement positif.');
+  }
+
+  if (rule.type === 'peak_hours' && (!rule.timeRanges || rule.timeRanges.length === 0)) {
+    res.status(400);
+    throw new Error('Une règle heures de pointe doit définir au moins une plage horaire.');
+  }
+  if (rule.type === 'weekend' && (!rule.daysOfWeek || rule.daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+    res.status(400);
+    throw new Error('Les jours de la semaine doivent être compris entre 0 (dimanche) et 6 (samedi).');
+  }
+  if (rule.type === 'holiday' && (!rule.dates || rule.dates.some(d => !/^(\d{4}-)?\d{2}-\d{2}$/.test(d)))) {
+    res.status(400);
+    throw new Error('Les dates de jours fériés doivent être au format MM-DD ou YYYY-MM-DD.');
+  }
+  if (rule.type === 'company') {
+    if (!isValidObjectId(rule.company) || !(await Company.exists({ _id: rule.company }))) {
+      res.status(400);
+      throw new Error('Compagnie introuvable pour cette règle.');
+    }
+    // Les écarts entre compagnies restent dans la variation autorisée
+    if (Math.abs(rule.multiplier - 1) > PRICING_CONFIG.COMPANY_VARIATION) {
+      res.status(400);
+      throw new Error(`Le multiplicateur d'une compagnie doit rester entre ${1 - PRICING_CONFIG.COMPANY_VARIATION} et ${1 + PRICING_CONFIG.COMPANY_VARIATION}.`);
+    }
+  }
+};
+
+const pickRuleFields = (body) => {
+  return RULE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
+/**
+ * @desc    Obtenir les règles de tarification
+ * @route   GET /api/admin/pricing-rules
+ * @access  Private/Admin
+ */
+export const getPricingRules = asyncHandler(async (req, res) => {
+  const rules = await PricingRule.find({}).populate('company', 'name').sort({ type: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    // Sans règle en base, le générateur utilise les valeurs de PRICING_CONFIG
+    source: rules.length > 0 ? 'database' : 'config',
+    data: rules.length > 0 ? rules : getDefaultPricingRules(),
+  });
+});
+
+/**
+ * @desc    Créer une règle de tarification (les règles par défaut sont d'abord enregistrées si la base est vide)
+ * @route   POST /api/admin/pricing-rules
+ * @access  Private/Admin
+ */
+export const createPricingRule = asyncHandler(async (req, res) => {
+  const fields = pickRuleFields(req.body);
+
+  if (!fields.name || !fields.type || fields.multiplier === undefined) {
+    res.status(400);
+    throw new Error('Le nom, le type et le multiplicateur de la règle sont requis.');
+  }
+
+  await validateRule(fields, res);
+  // Dès qu'une règle existe en base, seules les règles en base s'appliquent (loadPricingRules) :
+  // la première règle créée s'ajoute donc aux règles par défaut au lieu de les remplacer
+  if (await PricingRule.countDocuments() === 0) {
+    await PricingRule.insertMany(getDefaultPricingRules());
+  }
+  const rule = await PricingRule.create(fields);
+
+  res.status(201).json({ success: true, data: rule });
+});
+
+/**
+ * @desc    Mettre à jour une règle de tarification
+ * @route   PUT /api/admin/pricing-rules/:id
+ * @access  Private/Admin
+ */
+export const updatePricingRule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de règle invalide.');
+  }
+
+  const rule = await PricingRule.findById(id);
+  if (!rule) {
+    res.status(404);
+    throw new Error('Règle de tarification introuvable.');
+  }
+
+  rule.set(pickRuleFields(req.body));
+  await validateRule(rule, res);
+  const updatedRule = await rule.save();
+
+  res.status(200).json({ success: true, data: updatedRule });
+});
+
+/**
+ * @desc    Supprimer une règle de tarification
+ * @route   DELETE /api/admin/pricing-rules/:id
+ * @access  Private/Admin
+ */
+export const deletePricingRule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de règle invalide.');
+  }
+
+  const rule = await PricingRule.findByIdAndDelete(id);
+  if (!rule) {
+    res.status(404);
+    throw new Error('Règle de tarification introuvable.');
+  }
+
+  res.status(200).json({ success: true, message: 'Règle de tarification supprimée avec succès.' });
+});
+
+/**
+ * @desc    Réinitialiser les règles avec les valeurs par défaut de PRICING_CONFIG
+ * @route   POST /api/admin/pricing-rules/reset
+ * @access  Private/Admin
+ */
+export const resetPricingRules = asyncHandler(async (req, res) => {
+  const { confirm } = req.body;
+  if (confirm !== 'RESET_PRICING_RULES') {
+    res.status(400);
+    throw new Error('Confirmation requise. Envoyez { "confirm": "RESET_PRICING_RULES" }');
+  }
+
+  await PricingRule.deleteMany({});
+  const rules = await PricingRule.insertMany(getDefaultPricingRules());
+
+  res.status(200).json({ success: true, message: `${rules.length} règles par défaut restaurées.`, data: rules });
+});
+
+/**
+ * @desc    Simuler le prix d'un départ avec les règles actives
+ * @route   POST /api/admin/pricing-rules/preview
+ * @access  Private/Admin
+ */
+export const previewPricing = asyncHandler(async (req, res) => {
+  const { basePrice, departureDate, departureTime, companyId } = req.body;
+
+  if (!basePrice || !departureDate || !departureTime) {
+    res.status(400);
+    throw new Error('Le prix de base, la date et l\'heure de départ sont requis.');
+  }
+
+  const rules = await loadPricingRules();
+  const result = applyPricingRules(Number(basePrice), {
+    date: new Date(departureDate),
+    departureTime,
+    companyId,
+  }, rules);
+
+  res.status(200).json({ success: true, data: result });
+});
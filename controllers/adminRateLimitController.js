@@ -0,0 +1,49 @@
+// src/controllers/adminRateLimitController.js
+import asyncHandler from 'express-async-handler';
+import { getRateLimiters } from '../middlewares/rateLimiter.js';
+
+const findLimiter = (req, res) => {
+  const limiter = getRateLimiters().get(req.params.policy);
+  if (!limiter) {
+    res.status(404);
+    throw new Error(`Politique de limitation inconnue: ${req.params.policy}`);
+  }
+  return limiter;
+};
+
+/**
+ * @desc    Lister les politiques de limitation et leurs clés bloquées (IP, utilisateur ou identifiant)
+ * @route   GET /api/admin/rate-limits
+ * @access  Private/Admin
+ */
+export const getRateLimits = asyncHandler(async (req, res) => {
+  const policies = [];
+  for (const limiter of getRateLimiters().values()) {
+    const blocked = await limiter.listBlocked();
+    policies.push({
+      policy: limiter.name,
+      maxAttempts: limiter.config.maxAttempts,
+      windowMinutes: limiter.config.windowMs / (60 * 1000),
+      blockMinutes: limiter.config.blockDurationMs / (60 * 1000),
+      blocked: blocked.map(({ key, ttlMs, store }) => ({
+        key,
+        store,
+        blockedUntil: new Date(Date.now() + ttlMs),
+      })),
+    });
+  }
+
+  res.status(200).json({ success: true, data: policies });
+});
+
+/**
+ * @desc    Débloquer une clé d'une politique de limitation (compteur remis à zéro)
+ * @route   DELETE /api/admin/rate-limits/:policy/:key
+ * @access  Private/Admin
+ */
+export const unblockRateLimitKey = asyncHandler(async (req, res) => {
+  const limiter = findLimiter(req, res);
+  await limiter.reset(req.params.key);
+
+  res.status(200).json({ success: true, message: `Clé ${req.params.key} débloquée pour la politique ${limiter.name}.` });
+});
@@ -0,0 +1,118 @@
+// src/controllers/adminRefundController.js
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import Refund from '../models/Refund.js';
+import {
+  RefundError,
+  approveRefund as approveRefundService,
+  retryRefund as retryRefundService,
+  reconcileRefunds as reconcileRefundsService,
+} from '../services/refundService.js';
+
+// Convertit les erreurs métier des remboursements en réponse HTTP
+const runRefundOperation = async (res, operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof RefundError) res.status(error.statusCode);
+    throw error;
+  }
+};
+
+const checkRefundId = (id, res) => {
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de remboursement invalide.');
+  }
+};
+
+/**
+ * @desc    Obtenir les remboursements (filtrable par ?status=)
+ * @route   GET /api/admin/refunds
+ * @access  Private/Admin
+ */
+export const getRefunds = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+
+  const refunds = await Refund.find(filter)
+    .populate('user', 'firstName lastName email phone')
+    .populate('booking', 'bookingReference status totalPrice')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, count: refunds.length, data: refunds });
+});
+
+/**
+ * @desc    Obtenir un remboursement par ID
+ * @route   GET /api/admin/refunds/:id
+ * @access  Private/Admin
+ */
+export const getRefundById = asyncHandler(async (req, res) => {
+  checkRefundId(req.params.id, res);
+
+  const refund = await Refund.findById(req.params.id)
+    .populate('user', 'firstName lastName email phone')
+    .populate('booking', 'bookingReference status totalPrice refund')
+    .populate('approvedBy', 'firstName lastName email');
+
+  if (!refund) {
+    res.status(404);
+    throw new Error('Remboursement introuvable.');
+  }
+
+  res.status(200).json({ success: true, data: refund });
+});
+
+/**
+ * @desc    Approuver un remboursement et lancer le versement
+ * @route   POST /api/admin/refunds/:id/approve
+ * @access  Private/Admin
+ */
+export const approveRefund = asyncHandler(async (req, res) => {
+  checkRefundId(req.params.id, res);
+
+  const refund = await runRefundOperation(res, () =>
+    approveRefundService(req.params.id, req.user._id, { destination: req.body.destination })
+  );
+
+  res.status(200).json({
+    success: true,
+    message: refund.status === 'failed' ? 'Remboursement approuvé mais le versement a échoué.' : 'Remboursement approuvé.',
+    data: refund,
+  });
+});
+
+/**
+ * @desc    Relancer le versement d'un remboursement en échec
+ * @route   POST /api/admin/refunds/:id/retry
+ * @access  Private/Admin
+ */
+export const retryRefund = asyncHandler(async (req, res) => {
+  checkRefundId(req.params.id, res);
+
+  const refund = await runRefundOperation(res, () =>
+    retryRefundService(req.params.id, { destination: req.body.destination })
+  );
+
+  res.status(200).json({
+    success: true,
+    message: refund.status === 'failed' ? 'Le versement a de nouveau échoué.' : 'Versement relancé.',
+    data: refund,
+  });
+});
+
+/**
+ * @desc    Rapprocher les remboursements avec le fournisseur et les réservations annulées
+ * @route   POST /api/admin/refunds/reconcile
+ * @access  Private/Admin
+ */
+export const reconcileRefunds = asyncHandler(async (req, res) => {
+  const report = await reconcileRefundsService();
+
+  res.status(200).json({
+    success: true,
+    message: `${report.checked} versement(s) vérifié(s), ${report.created} remboursement(s) créé(s).`,
+    data: report,
+  });
+});
@@ -0,0 +1,73 @@
+// src/controllers/adminRoleController.js
+import asyncHandler from 'express-async-handler';
+import {
+  RoleError,
+  createRole as createRoleEntry,
+  deleteRole as deleteRoleEntry,
+  getRolePermissions,
+  listRoles,
+  updateRole as updateRoleEntry,
+} from '../services/permissionService.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+// Les erreurs de la matrice portent leur code HTTP
+const withRoleErrors = async (res, action) => {
+  try {
+    return await action();
+  } catch (error) {
+    if (error instanceof RoleError) res.status(error.statusCode);
+    throw error;
+  }
+};
+
+/**
+ * @desc    Matrice des rôles et catalogue des permissions
+ * @route   GET /api/admin/roles
+ * @access  Private/Admin (roles.read)
+ */
+export const getRoles = asyncHandler(async (req, res) => {
+  const roles = await listRoles();
+  res.status(200).json({ success: true, data: { roles, permissions: PERMISSIONS } });
+});
+
+/**
+ * @desc    Permissions de l'utilisateur connecté (affichage du back-office)
+ * @route   GET /api/admin/permissions/me
+ * @access  Private
+ */
+export const getMyPermissions = asyncHandler(async (req, res) => {
+  const permissions = await getRolePermissions(req.user.role);
+  res.status(200).json({ success: true, data: { role: req.user.role, permissions } });
+});
+
+/**
+ * @desc    Créer un rôle
+ * @route   POST /api/admin/roles
+ * @access  Private/Admin (roles.manage)
+ */
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, label, permissions } = req.body;
+  const role = await withRoleErrors(res, () => createRoleEntry({ name, label, permissions, actor: req.user }));
+  res.status(201).json({ success: true, message: 'Rôle créé.', data: role });
+});
+
+/**
+ * @desc    Modifier le libellé ou les permissions d'un rôle
+ * @route   PUT /api/admin/roles/:name
+ * @access  Private/Admin (roles.manage)
+ */
+export const updateRole = asyncHandler(async (req, res) => {
+  const { label, permissions } = req.body;
+  const role = await withRoleErrors(res, () => updateRoleEntry(req.params.name, { label, permissions, actor: req.user }));
+  res.status(200).json({ success: true, message: 'Rôle mis à jour.', data: role });
+});
+
+/**
+ * @desc    Supprimer un rôle personnalisé non attribué
+ * @route   DELETE /api/admin/roles/:name
+ * @access  Private/Admin (roles.manage)
+ */
+export const deleteRole = asyncHandler(async (req, res) => {
+  await withRoleErrors(res, () => deleteRoleEntry(req.params.name, { actor: req.user }));
+  res.status(200).json({ success: true, message: 'Rôle supprimé.' });
+});
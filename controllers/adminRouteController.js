@@ -7,6 +7,7 @@ import Booking from '../models/Booking.js';
 import City from '../models/City.js'; 
 import Company from '../models/Company.js'; 
 import redis from '../config/redisClient.js';
+import { reconcileSeatAvailability } from '../services/seatInventoryService.js';
 
 // Helper pour supprimer un pattern de clés Redis
 const clearCache = async () => {
@@ -36,7 +37,6 @@ export const createRoute = asyncHandler(async (req, res) => {
     duration,
     stops,
     price,
-    availableSeats,
     amenities,
     features,
     companyName,
@@ -45,7 +45,7 @@ export const createRoute = asyncHandler(async (req, res) => {
 
   if (
     !from || !to || !departureDate || !departureTime || !arrivalTime ||
-    !duration || !price || !availableSeats || !companyName || !bus
+    !duration || !price || !companyName || !bus
   ) {
     res.status(400);
     throw new Error('Veuillez fournir toutes les informations requises pour la route.');
@@ -58,6 +58,11 @@ export const createRoute = asyncHandler(async (req, res) => {
   const existingCompany = await Company.findById(companyName);
   if (!existingCompany) throw new Error('Compagnie associée introuvable.');
 
+  if (existingBus.company && existingBus.company.toString() !== companyName.toString()) {
+    res.status(400);
+    throw new Error('Ce bus n\'appartient pas à la compagnie sélectionnée.');
+  }
+
   const fromCity = await City.findById(from);
   if (!fromCity) throw new Error('Ville de départ introuvable.');
 
@@ -73,7 +78,8 @@ export const createRoute = asyncHandler(async (req, res) => {
     duration,
     stops,
     price,
-    availableSeats,
+    // Un nouveau trajet n'a encore aucune réservation : toutes les places du bus sont libres
+    availableSeats: existingBus.totalSeats,
     amenities: amenities || [],
     features: features || [],
     companyName,
@@ -132,7 +138,6 @@ export const updateRoute = asyncHandler(async (req, res) => {
     duration,
     stops,
     price,
-    availableSeats,
     amenities,
     features,
     companyName,
@@ -163,6 +168,14 @@ export const updateRoute = asyncHandler(async (req, res) => {
     if (!toCity) throw new Error('Nouvelle ville d\'arrivée introuvable.');
   }
 
+  // Le bus doit appartenir à la compagnie qui opère le trajet
+  const routeBus = await Bus.findById(bus || route.bus, 'company');
+  const routeCompany = (companyName || route.companyName).toString();
+  if (routeBus?.company && routeBus.company.toString() !== routeCompany) {
+    res.status(400);
+    throw new Error('Ce bus n\'appartient pas à la compagnie sélectionnée.');
+  }
+
   // Mise à jour des champs
   route.from = from || route.from;
   route.to = to || route.to;
@@ -172,13 +185,15 @@ export const updateRoute = asyncHandler(async (req, res) => {
   route.duration = duration || route.duration;
   route.stops = stops || route.stops;
   route.price = price || route.price;
-  route.availableSeats = availableSeats !== undefined ? availableSeats : route.availableSeats;
   route.amenities = amenities || route.amenities;
   route.features = features || route.features;
   route.companyName = companyName || route.companyName;
   route.bus = bus || route.bus;
 
-  const updatedRoute = await route.save();
+  await route.save();
+  // Les places disponibles découlent des réservations et de la capacité du bus (qui a pu changer)
+  await reconcileSeatAvailability({ routeIds: [route._id] });
+  const updatedRoute = await Route.findById(route._id);
 
   // ✅ Nettoyage du cache
   await clearCache();
@@ -0,0 +1,176 @@
+// src/controllers/adminRouteTemplateController.js
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import RouteTemplate from '../models/RouteTemplate.js';
+import City from '../models/City.js';
+import Company from '../models/Company.js';
+import { importDefaultRouteTemplates } from '../services/routeTemplateService.js';
+
+const TEMPLATE_FIELDS = [
+  'fromCity', 'toCity', 'schedules', 'basePrice', 'stops', 'amenities',
+  'features', 'companies', 'isPopularRoute', 'generateReturn', 'isActive',
+];
+
+const pickTemplateFields = (body) => {
+  return TEMPLATE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
+// Vérifie que les villes et compagnies référencées existent
+const validateReferences = async (template, res) => {
+  const fromCity = template.fromCity?.toString();
+  const toCity = template.toCity?.toString();
+
+  if (!isValidObjectId(fromCity) || !isValidObjectId(toCity)) {
+    res.status(400);
+    throw new Error('Villes de départ et d\'arrivée invalides.');
+  }
+  if (fromCity === toCity) {
+    res.status(400);
+    throw new Error('Les villes de départ et d\'arrivée doivent être différentes.');
+  }
+
+  const cityCount = await City.countDocuments({ _id: { $in: [fromCity, toCity] } });
+  if (cityCount !== 2) {
+    res.status(404);
+    throw new Error('Ville de départ ou d\'arrivée introuvable.');
+  }
+
+  // Compagnies de la ligne et de chacun de ses horaires
+  const companies = [
+    ...(template.companies || []),
+    ...(template.schedules || []).flatMap(schedule => schedule.companies || []),
+  ].map(id => id.toString());
+  if (companies.some(id => !isValidObjectId(id))) {
+    res.status(400);
+    throw new Error('ID de compagnie invalide.');
+  }
+  if (companies.length > 0 && await Company.countDocuments({ _id: { $in: companies } }) !== new Set(companies).size) {
+    res.status(404);
+    throw new Error('Une ou plusieurs compagnies sont introuvables.');
+  }
+};
+
+/**
+ * @desc    Obtenir tous les modèles de trajets
+ * @route   GET /api/admin/route-templates
+ * @access  Private/Admin
+ */
+export const getRouteTemplates = asyncHandler(async (req, res) => {
+  const templates = await RouteTemplate.find({})
+    .populate('fromCity', 'name')
+    .populate('toCity', 'name')
+    .populate('companies', 'name')
+    .populate('schedules.companies', 'name')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({ success: true, count: templates.length, data: templates });
+});
+
+/**
+ * @desc    Obtenir un modèle de trajet par ID
+ * @route   GET /api/admin/route-templates/:id
+ * @access  Private/Admin
+ */
+export const getRouteTemplateById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de modèle de trajet invalide.');
+  }
+
+  const template = await RouteTemplate.findById(id)
+    .populate('fromCity', 'name')
+    .populate('toCity', 'name')
+    .populate('companies', 'name')
+    .populate('schedules.companies', 'name');
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Modèle de trajet introuvable.');
+  }
+
+  res.status(200).json({ success: true, data: template });
+});
+
+/**
+ * @desc    Créer un modèle de trajet
+ * @route   POST /api/admin/route-templates
+ * @access  Private/Admin
+ */
+export const createRouteTemplate = asyncHandler(async (req, res) => {
+  const fields = pickTemplateFields(req.body);
+
+  if (!fields.fromCity || !fields.toCity || !fields.schedules || fields.basePrice === undefined) {
+    res.status(400);
+    throw new Error('Veuillez fournir les villes, les horaires et le prix de base du modèle.');
+  }
+
+  await validateReferences(fields, res);
+  const template = await RouteTemplate.create(fields);
+
+  res.status(201).json({ success: true, data: template });
+});
+
+/**
+ * @desc    Mettre à jour un modèle de trajet
+ * @route   PUT /api/admin/route-templates/:id
+ * @access  Private/Admin
+ */
+export const updateRouteTemplate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de modèle de trajet invalide.');
+  }
+
+  const template = await RouteTemplate.findById(id);
+  if (!template) {
+    res.status(404);
+    throw new Error('Modèle de trajet introuvable.');
+  }
+
+  template.set(pickTemplateFields(req.body));
+  await validateReferences(template, res);
+  const updatedTemplate = await template.save();
+
+  res.status(200).json({ success: true, data: updatedTemplate });
+});
+
+/**
+ * @desc    Supprimer un modèle de trajet (les trajets déjà générés sont conservés)
+ * @route   DELETE /api/admin/route-templates/:id
+ * @access  Private/Admin
+ */
+export const deleteRouteTemplate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de modèle de trajet invalide.');
+  }
+
+  const template = await RouteTemplate.findByIdAndDelete(id);
+  if (!template) {
+    res.status(404);
+    throw new Error('Modèle de trajet introuvable.');
+  }
+
+  res.status(200).json({ success: true, message: 'Modèle de trajet supprimé avec succès.' });
+});
+
+/**
+ * @desc    Importer les modèles par défaut de config/routeConfig.js
+ * @route   POST /api/admin/route-templates/import
+ * @access  Private/Admin
+ */
+export const importRouteTemplates = asyncHandler(async (req, res) => {
+  const { created, skipped } = await importDefaultRouteTemplates();
+
+  res.status(200).json({
+    success: true,
+    message: `${created.length} modèle(s) importé(s), ${skipped.length} ignoré(s).`,
+    data: { created, skipped },
+  });
+});
@@ -1,6 +1,10 @@
 // src/controllers/adminUserController.js
 import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
 import User from '../models/User.js';
+import { listUserSessions, revokeAllUserSessions } from '../services/sessionService.js';
+import { canActOnRole, roleExists, userHasPermission } from '../services/permissionService.js';
+import { CUSTOMER_ROLE, OPERATOR_ROLE } from '../config/permissions.js';
 import jwt from 'jsonwebtoken'; // Nécessaire pour generateAccessToken si utilisée ici
 import bcrypt from 'bcryptjs'; // Pour le hachage du mot de passe si création manuelle
 
@@ -11,12 +15,49 @@ const generateAccessToken = (userId, role) => {
   });
 };
 
+// Attribuer ou retirer un rôle exige la permission roles.manage ; le rôle doit exister.
+// Le rôle opérateur va avec une compagnie : il s'attribue depuis la compagnie.
+const assertRoleAssignable = async (req, res, role) => {
+  if (role === OPERATOR_ROLE) {
+    res.status(400);
+    throw new Error('Le rôle opérateur s\'attribue depuis la compagnie (POST /api/admin/companies/:id/operators).');
+  }
+  if (!(await userHasPermission(req.user, 'roles.manage'))) {
+    res.status(403);
+    throw new Error('Accès interdit : la permission roles.manage est requise pour attribuer un rôle.');
+  }
+  if (!(await roleExists(role))) {
+    res.status(400);
+    throw new Error(`Rôle inconnu : ${role}.`);
+  }
+  if (!(await canActOnRole(req.user, role))) {
+    res.status(403);
+    throw new Error('Accès interdit : ce rôle a des permissions que vous ne détenez pas.');
+  }
+};
+
+// Un compte dont le rôle a des permissions que l'appelant ne détient pas ne peut pas être géré par lui
+// (modification, mot de passe, bannissement, suppression, sessions)
+const assertTargetManageable = async (req, res) => {
+  if (!isValidObjectId(req.params.id)) return null;
+  const target = await User.findById(req.params.id, 'role');
+  if (target && !(await canActOnRole(req.user, target.role))) {
+    res.status(403);
+    throw new Error('Accès interdit : ce compte a des permissions que vous ne détenez pas.');
+  }
+  return target;
+};
+
 /**
  * @desc    Créer un nouvel utilisateur (pour l'admin)
  * @route   POST /api/admin/users
  * @access  Private/Admin
  */
 export const createUser = asyncHandler(async (req, res) => {
+  if (req.body.role && req.body.role !== CUSTOMER_ROLE) {
+    await assertRoleAssignable(req, res, req.body.role);
+  }
+
   try {
     const { firstName, lastName, phone, dateOfBirth, email, password, role, isBanned } = req.body;
 
@@ -127,7 +168,7 @@ export const getUserById = asyncHandler(async (req, res) => {
       res.status(404);
       throw new Error('Utilisateur introuvable.');
     }
-    // La vérification admin est déjà faite par le middleware authorizeRoles
+    // La vérification admin est déjà faite par le middleware authorizePermission
     res.status(200).json({ success: true, user });
   } catch (error) {
     console.error('Erreur lors de la récupération de l\'utilisateur par ID (Admin) :', error);
@@ -146,8 +187,13 @@ export const getUserById = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const updateUser = asyncHandler(async (req, res) => {
+  const target = await assertTargetManageable(req, res);
+  if (req.body.role && target && target.role !== req.body.role) {
+    await assertRoleAssignable(req, res, req.body.role);
+  }
+
   try {
-    const { firstName, lastName, phone, dateOfBirth, email, password, role, isBanned } = req.body;
+    const { firstName, lastName, phone, dateOfBirth, email, password, role, isBanned, isEmailVerified, isPhoneVerified } = req.body;
     let user = await User.findById(req.params.id).select('+password');
 
     if (!user) {
@@ -176,6 +222,7 @@ export const updateUser = asyncHandler(async (req, res) => {
         throw new Error('Cet email est déjà utilisé par un autre compte.');
       }
       user.email = email;
+      user.isEmailVerified = false;
     }
     if (phone && user.phone !== phone) {
       const phoneExists = await User.findOne({ phone });
@@ -184,8 +231,12 @@ export const updateUser = asyncHandler(async (req, res) => {
         throw new Error('Ce numéro de téléphone est déjà utilisé par un autre compte.');
       }
       user.phone = phone;
+      user.isPhoneVerified = false;
     }
     if (dateOfBirth) user.dateOfBirth = dateOfBirth;
+    // Vérification manuelle d'un moyen de contact par le support
+    if (isEmailVerified !== undefined) user.isEmailVerified = Boolean(isEmailVerified);
+    if (isPhoneVerified !== undefined) user.isPhoneVerified = Boolean(isPhoneVerified);
 
     if (password) {
       if (password.length < 8) {
@@ -199,7 +250,10 @@ export const updateUser = asyncHandler(async (req, res) => {
       user.password = password; // Le pré-save hook de User.js gérera le hachage
     }
 
-    if (role) user.role = role;
+    if (role && role !== user.role) {
+      user.role = role;
+      user.company = null; // Un opérateur qui change de rôle perd l'accès à sa compagnie
+    }
     if (typeof isBanned === 'boolean') user.isBanned = isBanned;
 
     await user.save();
@@ -233,6 +287,8 @@ export const updateUser = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const deleteUser = asyncHandler(async (req, res) => {
+  await assertTargetManageable(req, res);
+
   try {
     const user = await User.findById(req.params.id);
 
@@ -247,6 +303,7 @@ export const deleteUser = asyncHandler(async (req, res) => {
     }
 
     await user.deleteOne();
+    await revokeAllUserSessions(user._id, { reason: 'deleted', revokedBy: req.user._id });
     res.status(200).json({ success: true, message: 'Utilisateur supprimé avec succès.' });
   } catch (error) {
     console.error('Erreur lors de la suppression de l\'utilisateur (Admin) :', error);
@@ -284,6 +341,8 @@ export const getUsersCount = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const toggleUserBan = asyncHandler(async (req, res) => {
+  await assertTargetManageable(req, res);
+
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -298,6 +357,10 @@ export const toggleUserBan = asyncHandler(async (req, res) => {
 
     user.isBanned = !user.isBanned;
     await user.save();
+    // Un utilisateur banni est déconnecté de tous ses appareils
+    if (user.isBanned) {
+      await revokeAllUserSessions(user._id, { reason: 'banned', revokedBy: req.user._id });
+    }
 
     res.status(200).json({
       success: true,
@@ -314,3 +377,39 @@ export const toggleUserBan = asyncHandler(async (req, res) => {
     throw new Error('Erreur serveur lors du bannissement de l\'utilisateur.');
   }
 });
+
+/**
+ * @desc    Lister les sessions actives d'un utilisateur
+ * @route   GET /api/admin/users/:id/sessions
+ * @access  Private/Admin
+ */
+export const getUserSessionsAdmin = asyncHandler(async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error('ID utilisateur invalide.');
+  }
+
+  const sessions = await listUserSessions(req.params.id);
+  res.status(200).json({ success: true, count: sessions.length, data: sessions });
+});
+
+/**
+ * @desc    Révoquer toutes les sessions d'un utilisateur (déconnexion forcée de tous ses appareils)
+ * @route   POST /api/admin/users/:id/revoke-sessions
+ * @access  Private/Admin
+ */
+export const revokeUserSessions = asyncHandler(async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error('ID utilisateur invalide.');
+  }
+
+  const user = await assertTargetManageable(req, res);
+  if (!user) {
+    res.status(404);
+    throw new Error('Utilisateur introuvable.');
+  }
+
+  const revoked = await revokeAllUserSessions(user._id, { reason: 'admin', revokedBy: req.user._id });
+  res.status(200).json({ success: true, message: `${revoked} session(s) révoquée(s).`, revoked });
+});
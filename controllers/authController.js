@@ -2,19 +2,63 @@
 import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { isValidObjectId } from 'mongoose';
 import { sendResetPasswordEmail } from '../services/emailService.js'; // Importez la fonction
-
-// Fonction utilitaire: Générer un token d'accès
-const generateAccessToken = (userId, role) => {
-  return jwt.sign({ id: userId, role: role }, process.env.JWT_SECRET, {
+import { OtpError, sendOtp, verifyOtp } from '../services/otpService.js';
+import {
+  confirmEmailVerification,
+  confirmPhoneVerification,
+  sendEmailVerification,
+  sendPhoneVerification,
+  sendRegistrationVerifications,
+  VerificationError,
+} from '../services/verificationService.js';
+import {
+  SessionError,
+  createSession,
+  findSessionByToken,
+  listUserSessions,
+  revokeAllUserSessions,
+  revokeSession,
+  rotateRefreshToken,
+} from '../services/sessionService.js';
+import {
+  AuthPolicyError,
+  applyLoginDelay,
+  assertAccountActive,
+  assertAccountUnlocked,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../services/authPolicyService.js';
+import { getClientIp } from '../middlewares/rateLimiter.js';
+import { OTP_CONFIG, SESSION_CONFIG } from '../config/routeConfig.js';
+
+// Fonction utilitaire: Générer un token d'accès, rattaché à la session de connexion (sid)
+// (obligatoire : protect refuse les tokens sans session, qui ne pourraient pas être révoqués)
+const generateAccessToken = (userId, role, sessionId) => {
+  const payload = { id: userId, role: role, sid: sessionId };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.ACCESS_TOKEN_EXPIRES || '15m',
   });
 };
 
-// Fonction utilitaire: Générer un refresh token (si encore utilisé)
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+// Cookie du refresh token (opaque, conservé côté serveur dans la session)
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'Strict',
+    maxAge: SESSION_CONFIG.REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.cookie('refreshToken', '', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'Strict',
+    expires: new Date(0),
   });
 };
 
@@ -38,7 +82,13 @@ export const registerUser = async (req, res) => {
 
     const user = await User.create({ firstName, lastName, email, password, phone, dateOfBirth, role: 'user' });
 
-    const token = generateAccessToken(user._id, user.role);
+    // Session ouverte comme à la connexion : le token pourra être révoqué
+    const { session, refreshToken } = await createSession(user, req);
+    const token = generateAccessToken(user._id, user.role, session._id);
+    setRefreshCookie(res, refreshToken);
+
+    // Lien de vérification par email et code par SMS
+    const verificationSent = await sendRegistrationVerifications(user);
 
     res.status(201).json({
       success: true,
@@ -51,8 +101,11 @@ export const registerUser = async (req, res) => {
         phone: user.phone,
         dateOfBirth: user.dateOfBirth,
         role: user.role,
-        isBanned: user.isBanned
-      }
+        isBanned: user.isBanned,
+        isEmailVerified: user.isEmailVerified,
+        isPhoneVerified: user.isPhoneVerified
+      },
+      verificationSent
     });
   } catch (error) {
     console.error('Erreur lors de l’inscription :', error);
@@ -77,60 +130,47 @@ export const loginUser = async (req, res) => {
     return res.status(400).json({ success: false, message: 'Veuillez fournir l\'email/téléphone et le mot de passe.' });
   }
 
+  if (typeof emailOrPhone !== 'string') {
+    return res.status(400).json({ success: false, message: 'Format d\'identifiant invalide.' });
+  }
+
+  const ip = getClientIp(req);
+  const identifier = emailOrPhone;
+
   try {
-    let user;
+    // IP ou identifiant bloqués : refus avant toute recherche du compte
+    await assertLoginAllowed({ ip, identifier });
+
     // Tenter de trouver l'utilisateur par email ou par téléphone
-    // Ajout d'une vérification de type pour éviter l'erreur .includes() sur undefined
-    if (typeof emailOrPhone === 'string' && emailOrPhone.includes('@')) {
-      user = await User.findOne({ email: emailOrPhone }).select('+password'); // Sélectionner le mot de passe
-    } else if (typeof emailOrPhone === 'string') { // Si ce n'est pas un email, on tente le téléphone
-      user = await User.findOne({ phone: emailOrPhone }).select('+password'); // Sélectionner le mot de passe
-    } else {
-        return res.status(400).json({ success: false, message: 'Format d\'identifiant invalide.' });
-    }
+    const user = emailOrPhone.includes('@')
+      ? await User.findOne({ email: emailOrPhone }).select('+password') // Sélectionner le mot de passe
+      : await User.findOne({ phone: emailOrPhone }).select('+password');
 
     if (!user) {
+      await applyLoginDelay({ identifier });
+      await recordLoginFailure({ ip, identifier });
       return res.status(401).json({ success: false, message: 'Identifiants invalides (email/téléphone ou mot de passe incorrect).' });
     }
 
-    if (user.isBanned) {
-      return res.status(403).json({ success: false, message: 'Votre compte est banni. Veuillez contacter l\'administration.' });
-    }
-
-    // Gérer les tentatives de connexion échouées si vous avez cette logique
-    // ... (votre logique existante pour lockUntil et loginAttempts)
+    // Compte banni ou verrouillé : le mot de passe n'est pas vérifié
+    assertAccountUnlocked(user);
+    await applyLoginDelay({ identifier, user });
 
     if (!(await user.comparePassword(password))) {
-      // Logique pour incrémenter loginAttempts et potentiellement verrouiller le compte
-      user.loginAttempts = (user.loginAttempts || 0) + 1;
-      const maxLoginAttempts = 10; // Définir un nombre max de tentatives
-      const lockTime = 15 * 60 * 1000; // 15 minutes
-
-      if (user.loginAttempts >= maxLoginAttempts) {
-        user.lockUntil = Date.now() + lockTime;
-        user.loginAttempts = 0; // Réinitialiser les tentatives après le verrouillage
-        await user.save();
-        const remainingMinutes = Math.ceil((user.lockUntil - Date.now()) / (1000 * 60));
-        return res.status(403).json({ success: false, message: `Trop de tentatives de connexion échouées. Votre compte est verrouillé pour ${remainingMinutes} minutes.` });
+      const { locked, remainingAttempts, lockMinutes } = await recordLoginFailure({ ip, identifier, user });
+      if (locked) {
+        return res.status(403).json({ success: false, message: `Trop de tentatives de connexion échouées. Votre compte est verrouillé pour ${lockMinutes} minutes.` });
       }
-      await user.save();
-      return res.status(401).json({ success: false, message: `Identifiants invalides (email/téléphone ou mot de passe incorrect). Tentatives restantes: ${maxLoginAttempts - user.loginAttempts}` });
+      return res.status(401).json({ success: false, message: `Identifiants invalides (email/téléphone ou mot de passe incorrect). Tentatives restantes: ${remainingAttempts}` });
     }
 
     // Réinitialiser les tentatives de connexion en cas de succès
-    user.loginAttempts = 0;
-    user.lockUntil = null;
-    await user.save();
+    await recordLoginSuccess({ identifier, user });
 
-    const accessToken = generateAccessToken(user._id, user.role); // Passer le rôle
-    const refreshToken = generateRefreshToken(user._id);
+    const { session, refreshToken } = await createSession(user, req);
+    const accessToken = generateAccessToken(user._id, user.role, session._id); // Passer le rôle
 
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'Strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    setRefreshCookie(res, refreshToken);
 
     res.json({
       success: true,
@@ -142,17 +182,23 @@ export const loginUser = async (req, res) => {
         lastName: user.lastName,
         phone: user.phone,
         role: user.role,
-        isBanned: user.isBanned
+        company: user.company, // Compagnie d'un compte opérateur (portail /api/operator)
+        isBanned: user.isBanned,
+        isEmailVerified: user.isEmailVerified,
+        isPhoneVerified: user.isPhoneVerified
       }
     });
   } catch (error) {
+    if (error instanceof AuthPolicyError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
     console.error('Erreur connexion :', error);
     res.status(500).json({ success: false, message: 'Erreur lors de la connexion.' });
   }
 };
 
 /**
- * @desc    Demander une réinitialisation de mot de passe (envoi d'email)
+ * @desc    Demander une réinitialisation de mot de passe (lien par email, ou code par SMS pour un numéro de téléphone)
  * @route   POST /api/auth/forgot-password
  * @access  Public
  */
@@ -166,13 +212,29 @@ export const forgotPassword = async (req, res) => {
         return res.status(400).json({ success: false, message: 'Veuillez fournir votre email ou numéro de téléphone.' });
     }
 
-    // Tenter de trouver l'utilisateur par email ou par téléphone
-    if (emailOrPhone.includes('@')) {
-      user = await User.findOne({ email: emailOrPhone });
-    } else {
+    // Numéro de téléphone : réinitialisation par code envoyé par SMS
+    if (!emailOrPhone.includes('@')) {
       user = await User.findOne({ phone: emailOrPhone });
+      if (user) {
+        try {
+          await sendOtp({ phone: user.phone, purpose: 'password_reset', user });
+        } catch (otpError) {
+          // Un refus d'envoi (délai entre deux codes, quota) révélerait que le numéro a un compte
+          if (!(otpError instanceof OtpError)) throw otpError;
+          console.warn(`forgotPassword: code non envoyé au ${user.phone} : ${otpError.message}`);
+        }
+      }
+      // Même réponse que le compte existe ou non, et que le code soit parti ou non
+      return res.status(200).json({
+        success: true,
+        channel: 'sms',
+        message: 'Si un compte avec ce numéro existe, un code de réinitialisation a été envoyé par SMS.',
+        expiresInMinutes: OTP_CONFIG.EXPIRES_MINUTES,
+      });
     }
 
+    user = await User.findOne({ email: emailOrPhone });
+
     if (!user) {
       // Toujours renvoyer un succès pour ne pas donner d'informations sur l'existence de l'email
       return res.status(200).json({ success: true, message: 'Si un compte avec cet identifiant existe, un lien de réinitialisation a été envoyé.' });
@@ -204,6 +266,45 @@ export const forgotPassword = async (req, res) => {
   } 
 };
 
+/**
+ * @desc    Échanger le code reçu par SMS contre un jeton de réinitialisation de courte durée
+ * @route   POST /api/auth/forgot-password/verify-otp
+ * @access  Public
+ */
+export const verifyResetOtp = async (req, res) => {
+  const { phone, code } = req.body;
+
+  if (!phone || !code) {
+    return res.status(400).json({ success: false, message: 'Veuillez fournir le numéro de téléphone et le code reçu.' });
+  }
+
+  try {
+    const otp = await verifyOtp({ phone, purpose: 'password_reset', code });
+
+    const user = otp.user && await User.findById(otp.user);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Code invalide ou expiré. Veuillez demander un nouveau code.' });
+    }
+
+    // Jeton utilisable avec PUT /reset-password/:token ; le code reçu prouve aussi la possession du numéro
+    const resetToken = user.getResetPasswordToken(OTP_CONFIG.RESET_TOKEN_EXPIRES_MINUTES * 60 * 1000);
+    user.isPhoneVerified = true;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      resetToken,
+      expiresInMinutes: OTP_CONFIG.RESET_TOKEN_EXPIRES_MINUTES,
+    });
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Erreur dans verifyResetOtp :', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur.' });
+  }
+};
+
 /**
  * @desc    Réinitialiser le mot de passe
  * @route   PUT /api/auth/reset-password/:token
@@ -237,8 +338,13 @@ export const resetPassword = async (req, res) => {
     user.password = password; // Le mot de passe sera haché par le middleware pre('save')
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    user.loginAttempts = 0; // Le nouveau mot de passe lève le verrouillage du compte
+    user.lockUntil = null;
     await user.save(); // Sauvegarder l'utilisateur avec le nouveau mot de passe haché
 
+    // Déconnecter tous les appareils : l'ancien mot de passe a pu être compromis
+    await revokeAllUserSessions(user._id, { reason: 'password_reset' });
+
     res.status(200).json({ success: true, message: 'Mot de passe réinitialisé avec succès.' });
 
   } catch (error) {
@@ -251,6 +357,86 @@ export const resetPassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    (Re)envoyer le lien de vérification de l'adresse email
+ * @route   POST /api/auth/verification/email/send
+ * @access  Private
+ */
+export const sendEmailVerificationLink = async (req, res) => {
+  try {
+    const { expiresInHours } = await sendEmailVerification(req.user);
+    res.status(200).json({ success: true, message: 'Un lien de vérification a été envoyé à votre adresse email.', expiresInHours });
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Erreur dans sendEmailVerificationLink :', error);
+    res.status(500).json({ success: false, message: 'Erreur lors de l\'envoi du lien de vérification.' });
+  }
+};
+
+/**
+ * @desc    Vérifier l'adresse email avec le jeton du lien reçu
+ * @route   GET /api/auth/verification/email/:token
+ * @access  Public
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    await confirmEmailVerification(req.params.token);
+    res.status(200).json({ success: true, message: 'Adresse email vérifiée avec succès.' });
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Erreur dans verifyEmail :', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur.' });
+  }
+};
+
+/**
+ * @desc    (Re)envoyer le code de vérification du numéro de téléphone
+ * @route   POST /api/auth/verification/phone/send
+ * @access  Private
+ */
+export const sendPhoneVerificationCode = async (req, res) => {
+  try {
+    await sendPhoneVerification(req.user);
+    res.status(200).json({
+      success: true,
+      message: 'Un code de vérification a été envoyé par SMS.',
+      expiresInMinutes: OTP_CONFIG.EXPIRES_MINUTES,
+    });
+  } catch (error) {
+    if (error instanceof VerificationError || error instanceof OtpError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Erreur dans sendPhoneVerificationCode :', error);
+    res.status(500).json({ success: false, message: 'Erreur lors de l\'envoi du code de vérification.' });
+  }
+};
+
+/**
+ * @desc    Vérifier le numéro de téléphone avec le code reçu par SMS
+ * @route   POST /api/auth/verification/phone/verify
+ * @access  Private
+ */
+export const verifyPhone = async (req, res) => {
+  if (!req.body.code) {
+    return res.status(400).json({ success: false, message: 'Veuillez fournir le code reçu par SMS.' });
+  }
+
+  try {
+    await confirmPhoneVerification(req.user, req.body.code);
+    res.status(200).json({ success: true, message: 'Numéro de téléphone vérifié avec succès.' });
+  } catch (error) {
+    if (error instanceof VerificationError || error instanceof OtpError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Erreur dans verifyPhone :', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur.' });
+  }
+};
+
 /**
  * @desc    Obtenir le profil de l'utilisateur connecté
  * @route   GET /api/auth/profile ou /api/users/profile (selon votre choix de route)
@@ -282,20 +468,27 @@ export const resetPassword = async (req, res) => {
  */
 export const updateUserProfile = async (req, res) => {
   try {
-    const { firstName, lastName, phone, dateOfBirth, password, confirmPassword } = req.body;
+    const { firstName, lastName, phone, dateOfBirth, currentPassword, password, confirmPassword } = req.body;
     const user = await User.findById(req.user.id).select('+password'); // Sélectionner le mot de passe pour la comparaison
 
     if (!user) return res.status(404).json({ success: false, message: 'Utilisateur introuvable' });
 
     user.firstName = firstName || user.firstName;
     user.lastName = lastName || user.lastName;
-    user.phone = phone || user.phone;
+    if (phone && phone !== user.phone) {
+      user.phone = phone;
+      user.isPhoneVerified = false; // Le nouveau numéro doit être vérifié
+    }
     user.dateOfBirth = dateOfBirth || user.dateOfBirth;
     // Email n'est pas modifiable via cette route pour éviter les duplicatas complexes,
     // ou nécessite une logique de vérification d'email.
 
     // Gérer la mise à jour du mot de passe
     if (password) {
+      // Un access token volé ne doit pas suffire à changer le mot de passe
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        return res.status(401).json({ success: false, message: 'Mot de passe actuel incorrect.' });
+      }
       if (password !== confirmPassword) {
         return res.status(400).json({ success: false, message: 'Les nouveaux mots de passe ne correspondent pas.' });
       }
@@ -310,6 +503,11 @@ export const updateUserProfile = async (req, res) => {
 
     await user.save();
 
+    // Un nouveau mot de passe déconnecte les autres appareils ; la session courante est conservée
+    if (password) {
+      await revokeAllUserSessions(user._id, { reason: 'password_change', exceptSessionId: req.sessionId });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profil mis à jour avec succès.',
@@ -320,8 +518,10 @@ export const updateUserProfile = async (req, res) => {
         email: user.email,
         phone: user.phone,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        isPhoneVerified: user.isPhoneVerified,
       },
-      token: generateAccessToken(user._id, user.role), // Régénérer un token si nécessaire (si le rôle a changé par exemple, mais ici non)
+      token: generateAccessToken(user._id, user.role, req.sessionId), // Régénérer un token si nécessaire (si le rôle a changé par exemple, mais ici non)
     });
   } catch (error) {
     console.error('Erreur lors de la mise à jour du profil utilisateur :', error);
@@ -338,7 +538,7 @@ export const updateUserProfile = async (req, res) => {
 
 
 /**
- * @desc    Rafraîchir le token d'accès
+ * @desc    Rafraîchir le token d'accès (le refresh token est remplacé à chaque appel)
  * @route   POST /api/auth/refresh
  * @access  Public (utilise le refresh token du cookie)
  */
@@ -350,35 +550,90 @@ export const refreshAccessToken = async (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+    const { session, refreshToken } = await rotateRefreshToken(token, req);
 
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Utilisateur introuvable pour ce refresh token.' });
+    const user = await User.findById(session.user);
+    try {
+      assertAccountActive(user);
+    } catch (policyError) {
+      await revokeSession(session._id, { reason: user ? 'banned' : 'deleted' });
+      clearRefreshCookie(res);
+      return res.status(policyError.statusCode).json({ success: false, message: policyError.message });
     }
 
-    const newAccessToken = generateAccessToken(user._id, user.role);
+    setRefreshCookie(res, refreshToken);
+    const newAccessToken = generateAccessToken(user._id, user.role, session._id);
 
     res.status(200).json({ success: true, token: newAccessToken });
   } catch (error) {
+    if (error instanceof SessionError) {
+      // Un refresh token concurrent (409) laisse le cookie déjà renouvelé en place
+      if (error.statusCode !== 409) clearRefreshCookie(res);
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Erreur lors du rafraîchissement du token :', error);
-    res.status(403).json({ success: false, message: 'Refresh token invalide ou expiré.' });
+    res.status(500).json({ success: false, message: 'Erreur lors du rafraîchissement du token.' });
   }
 };
 
 /**
- * @desc    Déconnecter l'utilisateur
+ * @desc    Déconnecter l'utilisateur (révoque la session du refresh token)
  * @route   POST /api/auth/logout
- * @access  Public (invalide le refresh token côté client)
+ * @access  Public (utilise le refresh token du cookie)
+ */
+export const logoutUser = async (req, res) => {
+  try {
+    const session = await findSessionByToken(req.cookies?.refreshToken);
+    if (session) await revokeSession(session._id, { reason: 'logout' });
+  } catch (error) {
+    console.error('Erreur lors de la révocation de la session :', error);
+  }
+
+  clearRefreshCookie(res);
+  res.status(200).json({ success: true, message: 'Déconnexion réussie.' });
+};
+
+/**
+ * @desc    Lister les sessions actives de l'utilisateur connecté
+ * @route   GET /api/users/sessions
+ * @access  Private
  */
-export const logoutUser = (req, res) => {
-    res.cookie('refreshToken', '', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'Strict',
-      expires: new Date(0),
+export const getUserSessions = async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: Boolean(req.sessionId) && session._id.toString() === req.sessionId,
+      })),
     });
-    res.status(200).json({ success: true, message: 'Déconnexion réussie.' });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des sessions :', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la récupération des sessions.' });
+  }
 };
 
+/**
+ * @desc    Révoquer une session de l'utilisateur connecté (déconnexion d'un appareil)
+ * @route   DELETE /api/users/sessions/:id
+ * @access  Private
+ */
+export const deleteUserSession = async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'ID de session invalide.' });
+  }
+
+  try {
+    const session = await revokeSession(req.params.id, { userId: req.user._id, reason: 'user' });
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session introuvable ou déjà révoquée.' });
+    }
+    if (req.params.id === req.sessionId) clearRefreshCookie(res);
 
+    res.status(200).json({ success: true, message: 'Session révoquée.' });
+  } catch (error) {
+    console.error('Erreur lors de la révocation de la session :', error);
+    res.status(500).json({ success: false, message: 'Erreur serveur lors de la révocation de la session.' });
+  }
+};
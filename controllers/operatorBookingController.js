@@ -0,0 +1,143 @@
+// src/controllers/operatorBookingController.js
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import Booking from '../models/Booking.js';
+import { BookingTransitionError, transitionBooking, actorFromUser } from '../services/bookingStateService.js';
+import {
+  companyBookingFilter,
+  computeCompanyRevenue,
+  isBookingOwnedByCompany,
+  serializeCompanyBooking,
+} from '../services/operatorService.js';
+
+// Statuts qu'un opérateur peut appliquer : embarquement et annulation
+const OPERATOR_STATUSES = ['completed', 'cancelled'];
+
+// Réservation dont un trajet au moins est opéré par la compagnie de l'opérateur
+const findCompanyBooking = async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error('ID de réservation invalide.');
+  }
+
+  const booking = await Booking.findOne({ _id: req.params.id, ...companyBookingFilter(req.company._id) });
+  if (!booking) {
+    res.status(404);
+    throw new Error('Réservation introuvable.');
+  }
+  return booking;
+};
+
+/**
+ * @desc    Obtenir les réservations de la compagnie avec filtres et pagination
+ *          (?status=, ?reference=, ?route=, ?page=, ?limit=), limitées à ses trajets
+ * @route   GET /api/operator/bookings
+ * @access  Private/Operator
+ */
+export const getOperatorBookings = asyncHandler(async (req, res) => {
+  const { status, reference, route, page = 1, limit = 20 } = req.query;
+  const conditions = [companyBookingFilter(req.company._id)];
+
+  if (status) conditions.push({ status: String(status) });
+  if (reference) conditions.push({ bookingReference: String(reference).trim().toUpperCase() });
+  if (route) {
+    if (!isValidObjectId(route)) {
+      res.status(400);
+      throw new Error('ID de route invalide.');
+    }
+    // Le trajet filtré doit être l'un de ceux de la compagnie, pas l'autre trajet d'un aller-retour partagé
+    conditions.push({
+      $or: [
+        { outboundRoute: route, 'outboundRouteSnapshot.companyName.id': req.company._id },
+        { returnRoute: route, 'returnRouteSnapshot.companyName.id': req.company._id },
+      ],
+    });
+  }
+
+  const query = { $and: conditions };
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [bookings, total] = await Promise.all([
+    Booking.find(query)
+      .select('-payment.attempts -statusHistory')
+      .populate('user', 'firstName lastName phone email')
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .sort({ createdAt: -1 }),
+    Booking.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: bookings.map(booking => serializeCompanyBooking(booking, req.company._id)),
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      totalResults: total,
+      limit: limitNum,
+    },
+  });
+});
+
+/**
+ * @desc    Obtenir une réservation de la compagnie
+ * @route   GET /api/operator/bookings/:id
+ * @access  Private/Operator
+ */
+export const getOperatorBookingById = asyncHandler(async (req, res) => {
+  const booking = await findCompanyBooking(req, res);
+  await booking.populate('user', 'firstName lastName phone email');
+  res.status(200).json({ success: true, data: serializeCompanyBooking(booking, req.company._id) });
+});
+
+/**
+ * @desc    Enregistrer l'embarquement ('completed') ou annuler ('cancelled') une réservation.
+ *          Un aller-retour ne peut être modifié que si la compagnie opère les deux trajets.
+ * @route   PUT /api/operator/bookings/:id/status
+ * @access  Private/Operator
+ */
+export const updateOperatorBookingStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+
+  if (!OPERATOR_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Statut invalide. Statuts autorisés : ${OPERATOR_STATUSES.join(', ')}.`);
+  }
+
+  const booking = await findCompanyBooking(req, res);
+  if (!isBookingOwnedByCompany(booking, req.company._id)) {
+    res.status(403);
+    throw new Error('Cette réservation comprend un trajet d\'une autre compagnie : contactez le support.');
+  }
+
+  try {
+    const updatedBooking = await transitionBooking(booking, status, {
+      actor: actorFromUser(req.user),
+      reason: req.body.reason || '',
+    });
+
+    res.status(200).json({ success: true, message: `Statut de réservation mis à jour en '${status}'.`, data: serializeCompanyBooking(updatedBooking, req.company._id) });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) res.status(error.statusCode);
+    throw error;
+  }
+});
+
+/**
+ * @desc    Revenus de la compagnie sur ses départs d'une période (?from=&to=, 30 derniers jours par défaut)
+ * @route   GET /api/operator/revenue
+ * @access  Private/Operator
+ */
+export const getOperatorRevenue = asyncHandler(async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    res.status(400);
+    throw new Error('Période invalide.');
+  }
+
+  const revenue = await computeCompanyRevenue(req.company._id, { from, to });
+  res.status(200).json({ success: true, data: revenue });
+});
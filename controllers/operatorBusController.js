@@ -0,0 +1,113 @@
+// src/controllers/operatorBusController.js
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import Bus from '../models/Bus.js';
+import Route from '../models/Route.js';
+
+// Bus de la compagnie de l'opérateur : un bus d'une autre compagnie est introuvable
+const findCompanyBus = async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error('ID de bus invalide.');
+  }
+
+  const bus = await Bus.findOne({ _id: req.params.id, company: req.company._id });
+  if (!bus) {
+    res.status(404);
+    throw new Error('Bus introuvable.');
+  }
+  return bus;
+};
+
+/**
+ * @desc    Obtenir les bus de la compagnie
+ * @route   GET /api/operator/buses
+ * @access  Private/Operator
+ */
+export const getOperatorBuses = asyncHandler(async (req, res) => {
+  const buses = await Bus.find({ company: req.company._id }).sort({ name: 1 });
+  res.status(200).json({ success: true, count: buses.length, data: buses });
+});
+
+/**
+ * @desc    Obtenir un bus de la compagnie
+ * @route   GET /api/operator/buses/:id
+ * @access  Private/Operator
+ */
+export const getOperatorBusById = asyncHandler(async (req, res) => {
+  const bus = await findCompanyBus(req, res);
+  res.status(200).json({ success: true, data: bus });
+});
+
+/**
+ * @desc    Ajouter un bus à la compagnie
+ * @route   POST /api/operator/buses
+ * @access  Private/Operator
+ */
+export const createOperatorBus = asyncHandler(async (req, res) => {
+  const { name, busId, totalSeats, layout, amenities } = req.body;
+
+  if (!name || !busId || !totalSeats || !layout) {
+    res.status(400);
+    throw new Error('Veuillez fournir toutes les informations requises pour le bus.');
+  }
+
+  if (await Bus.exists({ busId })) {
+    res.status(400);
+    throw new Error('Un bus avec cet ID existe déjà.');
+  }
+
+  const bus = await Bus.create({
+    name,
+    busId,
+    totalSeats,
+    layout,
+    amenities: amenities || [],
+    company: req.company._id,
+  });
+
+  res.status(201).json({ success: true, data: bus });
+});
+
+/**
+ * @desc    Mettre à jour un bus de la compagnie (la compagnie propriétaire ne peut pas changer)
+ * @route   PUT /api/operator/buses/:id
+ * @access  Private/Operator
+ */
+export const updateOperatorBus = asyncHandler(async (req, res) => {
+  const { name, busId, totalSeats, layout, amenities } = req.body;
+  const bus = await findCompanyBus(req, res);
+
+  if (busId && busId !== bus.busId && await Bus.exists({ busId })) {
+    res.status(400);
+    throw new Error('Un autre bus utilise déjà cet ID de bus.');
+  }
+
+  bus.name = name || bus.name;
+  bus.busId = busId || bus.busId;
+  bus.totalSeats = totalSeats || bus.totalSeats;
+  bus.layout = layout || bus.layout;
+  bus.amenities = amenities || bus.amenities;
+
+  const updatedBus = await bus.save();
+  res.status(200).json({ success: true, data: updatedBus });
+});
+
+/**
+ * @desc    Supprimer un bus de la compagnie qui n'est affecté à aucun départ à venir
+ * @route   DELETE /api/operator/buses/:id
+ * @access  Private/Operator
+ */
+export const deleteOperatorBus = asyncHandler(async (req, res) => {
+  const bus = await findCompanyBus(req, res);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (await Route.exists({ bus: bus._id, departureDate: { $gte: today } })) {
+    res.status(409);
+    throw new Error('Ce bus est affecté à des départs à venir. Réaffectez-les avant de le supprimer.');
+  }
+
+  await bus.deleteOne();
+  res.status(200).json({ success: true, message: 'Bus supprimé avec succès.' });
+});
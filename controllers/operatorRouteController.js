@@ -0,0 +1,232 @@
+// src/controllers/operatorRouteController.js
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import Route from '../models/Route.js';
+import Bus from '../models/Bus.js';
+import City from '../models/City.js';
+import Booking from '../models/Booking.js';
+import redis from '../config/redisClient.js';
+import { reconcileSeatAvailability } from '../services/seatInventoryService.js';
+import { buildRouteManifest } from '../services/operatorService.js';
+
+// Les trajets sont mis en cache par la recherche publique
+const clearCache = async () => {
+  try {
+    const routeKeys = await redis.keys('routes:*');
+    if (routeKeys.length) await redis.del(routeKeys);
+
+    const searchKeys = await redis.keys('search:*');
+    if (searchKeys.length) await redis.del(searchKeys);
+  } catch (e) {
+    console.warn('Erreur lors de l\'invalidation du cache des routes:', e.message);
+  }
+};
+
+// Trajet opéré par la compagnie de l'opérateur : un trajet d'une autre compagnie est introuvable
+const findCompanyRoute = async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error('ID de route invalide.');
+  }
+
+  const route = await Route.findOne({ _id: req.params.id, companyName: req.company._id });
+  if (!route) {
+    res.status(404);
+    throw new Error('Route introuvable.');
+  }
+  return route;
+};
+
+// Le bus affecté doit appartenir à la compagnie
+const findCompanyBus = async (busId, req, res) => {
+  const bus = isValidObjectId(busId) ? await Bus.findOne({ _id: busId, company: req.company._id }) : null;
+  if (!bus) {
+    res.status(400);
+    throw new Error('Ce bus n\'appartient pas à votre compagnie.');
+  }
+  return bus;
+};
+
+const validateCity = async (cityId, label, res) => {
+  if (!isValidObjectId(cityId) || !(await City.exists({ _id: cityId }))) {
+    res.status(400);
+    throw new Error(`${label} introuvable.`);
+  }
+};
+
+/**
+ * @desc    Obtenir les trajets de la compagnie (à venir par défaut, ou ?from=&to= en dates de départ)
+ * @route   GET /api/operator/routes
+ * @access  Private/Operator
+ */
+export const getOperatorRoutes = asyncHandler(async (req, res) => {
+  const filter = { companyName: req.company._id };
+
+  const from = req.query.from ? new Date(req.query.from) : new Date(new Date().setHours(0, 0, 0, 0));
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if (isNaN(from) || (to && isNaN(to))) {
+    res.status(400);
+    throw new Error('Dates de filtre invalides.');
+  }
+  filter.departureDate = to ? { $gte: from, $lte: to } : { $gte: from };
+
+  const routes = await Route.find(filter)
+    .populate('from', 'name country')
+    .populate('to', 'name country')
+    .populate('bus', 'name busId totalSeats')
+    .sort({ departureDate: 1, departureTime: 1 });
+
+  res.status(200).json({ success: true, count: routes.length, data: routes });
+});
+
+/**
+ * @desc    Obtenir un trajet de la compagnie
+ * @route   GET /api/operator/routes/:id
+ * @access  Private/Operator
+ */
+export const getOperatorRouteById = asyncHandler(async (req, res) => {
+  const route = await findCompanyRoute(req, res);
+  await route.populate([
+    { path: 'from', select: 'name country' },
+    { path: 'to', select: 'name country' },
+    { path: 'bus', select: 'name busId totalSeats' },
+  ]);
+  res.status(200).json({ success: true, data: route });
+});
+
+/**
+ * @desc    Créer un trajet opéré par la compagnie
+ * @route   POST /api/operator/routes
+ * @access  Private/Operator
+ */
+export const createOperatorRoute = asyncHandler(async (req, res) => {
+  const {
+    from,
+    to,
+    departureDate,
+    departureTime,
+    arrivalTime,
+    duration,
+    stops,
+    price,
+    amenities,
+    features,
+    bus,
+  } = req.body;
+
+  if (!from || !to || !departureDate || !departureTime || !arrivalTime || !duration || !price || !bus) {
+    res.status(400);
+    throw new Error('Veuillez fournir toutes les informations requises pour la route.');
+  }
+
+  const existingBus = await findCompanyBus(bus, req, res);
+  await validateCity(from, 'Ville de départ', res);
+  await validateCity(to, 'Ville d\'arrivée', res);
+
+  const route = await Route.create({
+    from,
+    to,
+    departureDate,
+    departureTime,
+    arrivalTime,
+    duration,
+    stops,
+    price,
+    // Un nouveau trajet n'a encore aucune réservation : toutes les places du bus sont libres
+    availableSeats: existingBus.totalSeats,
+    amenities: amenities || [],
+    features: features || [],
+    companyName: req.company._id,
+    bus: existingBus._id,
+  });
+  await clearCache();
+
+  res.status(201).json({ success: true, data: route });
+});
+
+/**
+ * @desc    Mettre à jour un trajet de la compagnie (la compagnie qui l'opère ne peut pas changer)
+ * @route   PUT /api/operator/routes/:id
+ * @access  Private/Operator
+ */
+export const updateOperatorRoute = asyncHandler(async (req, res) => {
+  const {
+    from,
+    to,
+    departureDate,
+    departureTime,
+    arrivalTime,
+    duration,
+    stops,
+    price,
+    amenities,
+    features,
+    bus,
+  } = req.body;
+
+  const route = await findCompanyRoute(req, res);
+
+  if (bus && bus.toString() !== route.bus.toString()) await findCompanyBus(bus, req, res);
+  if (from && from.toString() !== route.from.toString()) await validateCity(from, 'Nouvelle ville de départ', res);
+  if (to && to.toString() !== route.to.toString()) await validateCity(to, 'Nouvelle ville d\'arrivée', res);
+
+  route.from = from || route.from;
+  route.to = to || route.to;
+  route.departureDate = departureDate || route.departureDate;
+  route.departureTime = departureTime || route.departureTime;
+  route.arrivalTime = arrivalTime || route.arrivalTime;
+  route.duration = duration || route.duration;
+  route.stops = stops || route.stops;
+  route.price = price || route.price;
+  route.amenities = amenities || route.amenities;
+  route.features = features || route.features;
+  route.bus = bus || route.bus;
+
+  await route.save();
+  // Les places disponibles découlent des réservations et de la capacité du bus (qui a pu changer)
+  await reconcileSeatAvailability({ routeIds: [route._id] });
+  const updatedRoute = await Route.findById(route._id);
+  await clearCache();
+
+  res.status(200).json({ success: true, data: updatedRoute });
+});
+
+/**
+ * @desc    Supprimer un trajet de la compagnie sans réservation en cours
+ * @route   DELETE /api/operator/routes/:id
+ * @access  Private/Operator
+ */
+export const deleteOperatorRoute = asyncHandler(async (req, res) => {
+  const route = await findCompanyRoute(req, res);
+
+  const hasActiveBookings = await Booking.exists({
+    status: { $in: ['pending_payment', 'confirmed'] },
+    $or: [{ outboundRoute: route._id }, { returnRoute: route._id }],
+  });
+  if (hasActiveBookings) {
+    res.status(409);
+    throw new Error('Ce trajet a des réservations en cours. Annulez-les avant de le supprimer.');
+  }
+
+  await route.deleteOne();
+  await clearCache();
+
+  res.status(200).json({ success: true, message: 'Route supprimée avec succès.' });
+});
+
+/**
+ * @desc    Manifeste d'un départ de la compagnie : voyageurs, sièges et embarquements
+ * @route   GET /api/operator/routes/:id/manifest
+ * @access  Private/Operator
+ */
+export const getRouteManifest = asyncHandler(async (req, res) => {
+  const route = await findCompanyRoute(req, res);
+  await route.populate([
+    { path: 'from', select: 'name' },
+    { path: 'to', select: 'name' },
+    { path: 'bus', select: 'name busId totalSeats' },
+  ]);
+
+  const manifest = await buildRouteManifest(route);
+  res.status(200).json({ success: true, data: manifest });
+});
@@ -0,0 +1,132 @@
+// src/controllers/operatorScheduleController.js
+// Lignes et horaires de la compagnie : modèles de trajets dont elle est propriétaire,
+// à partir desquels le générateur (cron/RouteGenerator.js) crée ses départs avec ses bus.
+import asyncHandler from 'express-async-handler';
+import { isValidObjectId } from 'mongoose';
+import RouteTemplate from '../models/RouteTemplate.js';
+import City from '../models/City.js';
+
+const SCHEDULE_FIELDS = [
+  'fromCity', 'toCity', 'schedules', 'basePrice', 'stops', 'amenities',
+  'features', 'isPopularRoute', 'generateReturn', 'isActive',
+];
+
+// Champs modifiables ; les compagnies sont imposées : seule celle de l'opérateur assure ses horaires
+const pickScheduleFields = (body) => {
+  const fields = SCHEDULE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+  if (Array.isArray(fields.schedules)) {
+    fields.schedules = fields.schedules.map(({ companies, ...schedule }) => schedule);
+  }
+  return fields;
+};
+
+const validateCities = async (template, res) => {
+  const fromCity = template.fromCity?.toString();
+  const toCity = template.toCity?.toString();
+
+  if (!isValidObjectId(fromCity) || !isValidObjectId(toCity)) {
+    res.status(400);
+    throw new Error('Villes de départ et d\'arrivée invalides.');
+  }
+  if (fromCity === toCity) {
+    res.status(400);
+    throw new Error('Les villes de départ et d\'arrivée doivent être différentes.');
+  }
+  if (await City.countDocuments({ _id: { $in: [fromCity, toCity] } }) !== 2) {
+    res.status(404);
+    throw new Error('Ville de départ ou d\'arrivée introuvable.');
+  }
+};
+
+// Ligne de la compagnie de l'opérateur : une ligne d'une autre compagnie ou de la plateforme est introuvable
+const findCompanySchedule = async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400);
+    throw new Error('ID de ligne invalide.');
+  }
+
+  const template = await RouteTemplate.findOne({ _id: req.params.id, company: req.company._id });
+  if (!template) {
+    res.status(404);
+    throw new Error('Ligne introuvable.');
+  }
+  return template;
+};
+
+/**
+ * @desc    Obtenir les lignes et horaires de la compagnie
+ * @route   GET /api/operator/schedules
+ * @access  Private/Operator
+ */
+export const getOperatorSchedules = asyncHandler(async (req, res) => {
+  const templates = await RouteTemplate.find({ company: req.company._id })
+    .populate('fromCity', 'name')
+    .populate('toCity', 'name')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({ success: true, count: templates.length, data: templates });
+});
+
+/**
+ * @desc    Obtenir une ligne de la compagnie
+ * @route   GET /api/operator/schedules/:id
+ * @access  Private/Operator
+ */
+export const getOperatorScheduleById = asyncHandler(async (req, res) => {
+  const template = await findCompanySchedule(req, res);
+  await template.populate([{ path: 'fromCity', select: 'name' }, { path: 'toCity', select: 'name' }]);
+  res.status(200).json({ success: true, data: template });
+});
+
+/**
+ * @desc    Créer une ligne de la compagnie avec ses horaires
+ * @route   POST /api/operator/schedules
+ * @access  Private/Operator
+ */
+export const createOperatorSchedule = asyncHandler(async (req, res) => {
+  const fields = pickScheduleFields(req.body);
+
+  if (!fields.fromCity || !fields.toCity || !fields.schedules || fields.basePrice === undefined) {
+    res.status(400);
+    throw new Error('Veuillez fournir les villes, les horaires et le prix de base de la ligne.');
+  }
+
+  await validateCities(fields, res);
+  const template = await RouteTemplate.create({
+    ...fields,
+    company: req.company._id,
+    companies: [req.company._id],
+  });
+
+  res.status(201).json({ success: true, data: template });
+});
+
+/**
+ * @desc    Mettre à jour une ligne de la compagnie (les départs déjà générés sont conservés)
+ * @route   PUT /api/operator/schedules/:id
+ * @access  Private/Operator
+ */
+export const updateOperatorSchedule = asyncHandler(async (req, res) => {
+  const template = await findCompanySchedule(req, res);
+
+  template.set(pickScheduleFields(req.body));
+  await validateCities(template, res);
+  const updatedTemplate = await template.save();
+
+  res.status(200).json({ success: true, data: updatedTemplate });
+});
+
+/**
+ * @desc    Supprimer une ligne de la compagnie (les départs déjà générés sont conservés)
+ * @route   DELETE /api/operator/schedules/:id
+ * @access  Private/Operator
+ */
+export const deleteOperatorSchedule = asyncHandler(async (req, res) => {
+  const template = await findCompanySchedule(req, res);
+  await template.deleteOne();
+
+  res.status(200).json({ success: true, message: 'Ligne supprimée avec succès.' });
+});
@@ -1,71 +1,72 @@
 // src/controllers/paymentController.js
 import dotenv from 'dotenv';
 import asyncHandler from 'express-async-handler';
-import paydunya from 'paydunya';
+import { isValidObjectId } from 'mongoose';
 import Booking from '../models/Booking.js';
+import { computeFare } from '../services/fareService.js';
+import { applyPaymentResult, findBookingByInvoiceToken, recordPaymentAttempt } from '../services/paymentService.js';
+import { recordPaymentEvent, processPaymentEvent } from '../services/paymentEventService.js';
+import {
+  PaymentProviderError,
+  DEFAULT_PAYMENT_PROVIDER,
+  getPaymentProvider,
+  listAvailableProviders,
+} from '../services/paymentProviders/index.js';
+import { apiBaseUrl } from '../services/paymentProviders/providerUtils.js';
+import { userHasPermission } from '../services/permissionService.js';
 
 dotenv.config();
 
-// Configuration de PayDunya selon la documentation officielle
-const setupPaydunya = () => {
-  const requiredKeys = ['PAYDUNYA_MASTER_KEY', 'PAYDUNYA_PRIVATE_KEY', 'PAYDUNYA_PUBLIC_KEY', 'PAYDUNYA_TOKEN'];
-  const missingKeys = requiredKeys.filter(key => !process.env[key]);
+// URL de la page de résultat du paiement côté frontend
+const frontendResultUrl = (bookingId, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${process.env.FRONTEND_PAYMENT_RETURN_URL}/${bookingId || 'unknown'}${query ? `?${query}` : ''}`;
+};
 
-  if (missingKeys.length > 0) {
-    throw new Error(`Variables d'environnement PayDunya manquantes: ${missingKeys.join(', ')}`);
+// Fournisseur demandé par la route (/api/payment/:provider/...), PayDunya pour les anciennes routes
+const resolveProvider = (req, res, name = req.params.provider || DEFAULT_PAYMENT_PROVIDER) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(name);
+  } catch (error) {
+    res.status(error.statusCode || 400);
+    throw error;
   }
 
-  const setup = new paydunya.Setup({
-    masterKey: process.env.PAYDUNYA_MASTER_KEY,
-    privateKey: process.env.PAYDUNYA_PRIVATE_KEY,
-    publicKey: process.env.PAYDUNYA_PUBLIC_KEY,
-    token: process.env.PAYDUNYA_TOKEN,
-    mode: process.env.NODE_ENV === 'production' ? 'live' : 'test'
-  });
-
-  const store = new paydunya.Store({
-    name: 'Adjamegare',
-    tagline: 'Votre plateforme de réservation de billets de bus',
-    phoneNumber: '+225 0161556509',
-    postalAddress: 'Abidjan, Côte d\'Ivoire',
-    logoURL: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/logoAg.png` : undefined,
-    returnURL: process.env.FRONTEND_PAYMENT_RETURN_URL,
-    cancelURL: process.env.FRONTEND_PAYMENT_CANCEL_URL || process.env.FRONTEND_PAYMENT_RETURN_URL,
-  });
-
-  return { setup, store };
+  if (!provider.isConfigured()) {
+    res.status(503);
+    throw new Error(`Le service de paiement ${provider.label} n'est pas configuré.`);
+  }
+  return provider;
 };
 
-// Configuration globale PayDunya
-let paydunyaConfig;
-try {
-  paydunyaConfig = setupPaydunya();
-  console.log('Configuration PayDunya initialisée.');
-} catch (error) {
-  console.error('Erreur de configuration PayDunya:', error.message);
-}
+/**
+ * @desc    Lister les moyens de paiement disponibles
+ * @route   GET /api/payment/providers
+ * @access  Public
+ */
+export const getPaymentProviders = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: listAvailableProviders() });
+});
 
 /**
- * @desc    Initier le paiement Paydunya pour une réservation existante
- * @route   POST /api/payment/initiate
+ * @desc    Initier le paiement d'une réservation existante
+ * @route   POST /api/payment/initiate (fournisseur dans le corps, PayDunya par défaut)
+ * @route   POST /api/payment/:provider/initiate
  * @access  Private
  */
-export const initiatePaydunyaPayment = asyncHandler(async (req, res) => {
-  const { bookingId } = req.body;
+export const initiatePayment = asyncHandler(async (req, res) => {
+  const { bookingId, phone } = req.body;
 
   if (!bookingId) {
     res.status(400);
     throw new Error('ID de réservation manquant.');
   }
 
-  if (!paydunyaConfig) {
-    res.status(500);
-    throw new Error('Le service de paiement PayDunya n\'est pas configuré.');
-  }
+  const provider = resolveProvider(req, res, req.params.provider || req.body.provider || DEFAULT_PAYMENT_PROVIDER);
 
   const booking = await Booking.findById(bookingId)
-    .populate('user', 'email firstName')
-    .populate('outboundRoute');
+    .populate('user', 'email firstName phone');
 
   if (!booking) {
     res.status(404);
@@ -82,243 +83,244 @@ export const initiatePaydunyaPayment = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error('Le paiement a déjà été initié ou la réservation n\'est pas en attente de paiement.');
   }
+  // Les sièges ne sont bloqués que pour une durée limitée
+  if (booking.holdExpiresAt && booking.holdExpiresAt < new Date()) {
+    res.status(410);
+    throw new Error('Le délai de paiement de cette réservation a expiré. Veuillez refaire une réservation.');
+  }
   // Validation des données de réservation
   if (!booking.totalPrice || booking.totalPrice <= 0) {
     res.status(400);
     throw new Error('Montant de la réservation invalide.');
   }
+  // Recalculer le tarif à partir des prix figés dans la réservation : refuser tout montant divergent
+  let expectedFare;
   try {
-    // Créer une nouvelle instance d'invoice pour chaque paiement
-    const invoice = new paydunya.CheckoutInvoice(paydunyaConfig.setup, paydunyaConfig.store);
-
-    // Configuration de la facture
-    invoice.totalAmount = booking.totalPrice;
-    invoice.description = `Réservation de billet de bus #${booking._id}`;
-
-    // Ajouter les éléments à la facture
-    invoice.addItem(
-      `Billet(s) de bus - ${booking.selectedSeats.length} siège(s)`,
-      1,
-      booking.totalPrice,
-      booking.totalPrice,
-      `Trajet ${booking.outboundRoute.from} vers ${booking.outboundRoute.to}`
-    );
-
-    // Ajouter les données personnalisées
-    invoice.addCustomData('booking_id', booking._id.toString());
-    invoice.addCustomData('user_id', booking.user._id.toString());
-    invoice.addCustomData('user_email', booking.user.email);
-
-    // Définir les URLs de retour spécifiques à cette facture
-    invoice.returnURL = `${process.env.FRONTEND_PAYMENT_RETURN_URL}/${booking._id}`;
-    invoice.cancelURL = `${process.env.FRONTEND_PAYMENT_CANCEL_URL || process.env.FRONTEND_PAYMENT_RETURN_URL}/${booking._id}?status=cancelled`;
-
-    // Créer la facture avec PayDunya - CORRECTION CRITIQUE ICI
-    await invoice.create();
-    // Vérifier si la création a réussi
-    if (invoice.token && invoice.url) {
-      // Sauvegarder le token de facture dans la réservation
-      booking.paydunyaInvoiceToken = invoice.token;
-      await booking.save();
-      res.status(200).json({
-        success: true,
-        message: 'Paiement initié avec succès.',
-        paymentUrl: invoice.url,
-        invoice_token: invoice.token,
-        bookingId: booking._id
-      });
-    } else {
-      console.error('Réponse PayDunya incomplète:', {
-        token: invoice.token,
-        url: invoice.url,
-        status: invoice.status,
-        responseText: invoice.responseText
-      });
-      
-      res.status(500);
-      throw new Error(`Échec de la création de la facture PayDunya: ${invoice.responseText || 'Token ou URL manquant'}`);
-    }
+    expectedFare = computeFare({
+      outboundPrice: booking.outboundRouteSnapshot.price,
+      returnPrice: booking.returnRouteSnapshot?.price ?? null,
+      passengers: booking.selectedSeats.length,
+      tripType: booking.tripType,
+      promoCode: booking.fare?.promoCode,
+    });
   } catch (error) {
-    console.error('Erreur lors de l\'initiation du paiement Paydunya:', error);
-    
-    // Log détaillé pour debug
-    if (error.response) {
-      console.error('Réponse d\'erreur PayDunya:', error.response);
-    }
-    
-    res.status(500);
+    res.status(400);
+    throw new Error(`Impossible de vérifier le montant de la réservation: ${error.message}`);
+  }
+  if (expectedFare.total !== booking.totalPrice) {
+    res.status(409);
+    throw new Error('Le montant de la réservation ne correspond pas au tarif calculé. Paiement refusé.');
+  }
+
+  let payment;
+  try {
+    payment = await provider.initiate({
+      booking,
+      customer: booking.user,
+      phone,
+      returnUrl: frontendResultUrl(booking._id, { provider: provider.name }),
+      cancelUrl: `${process.env.FRONTEND_PAYMENT_CANCEL_URL || process.env.FRONTEND_PAYMENT_RETURN_URL}/${booking._id}?status=cancelled`,
+      webhookUrl: `${apiBaseUrl()}/api/payment/${provider.name}/webhook/${booking._id}`,
+    });
+  } catch (error) {
+    console.error(`Erreur lors de l'initiation du paiement ${provider.label}:`, error);
+    await recordPaymentAttempt(booking._id, { provider: provider.name, status: 'failed', error: error.message });
+    res.status(error instanceof PaymentProviderError ? error.statusCode : 500);
     throw new Error(`Échec de l'initiation du paiement: ${error.message}`);
   }
+
+  // Enregistrer le fournisseur et la référence du paiement sur la réservation
+  booking.payment.provider = provider.name;
+  booking.payment.invoiceToken = payment.reference;
+  booking.payment.currency = booking.fare?.currency || 'XOF';
+  booking.payment.attempts.push({
+    provider: provider.name,
+    invoiceToken: payment.reference,
+    status: 'initiated',
+    amount: booking.totalPrice,
+  });
+  await booking.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Paiement initié avec succès.',
+    provider: provider.name,
+    paymentUrl: payment.paymentUrl,
+    instructions: payment.instructions,
+    reference: payment.reference,
+    invoice_token: payment.reference,
+    bookingId: booking._id
+  });
 });
 
 /**
- * @desc    Gère la redirection de PayDunya après le paiement (GET Request)
- * @route   GET /api/payment/paydunya-callback
+ * @desc    Gère le retour du client depuis la page du fournisseur (GET Request)
+ * @route   GET /api/payment/:provider/callback/:bookingId
+ * @route   GET /api/payment/paydunya-callback (ancienne URL PayDunya)
  * @access  Public
  */
-export const handlePaydunyaCallback = asyncHandler(async (req, res) => {
+export const handlePaymentCallback = asyncHandler(async (req, res) => {
+  const bookingIdFromUrl = req.params.bookingId || req.query.bookingId;
+
   try {
-    const { token, invoice_token } = req.query;
-    const actualToken = token || invoice_token;
-    const bookingIdFromUrl = req.params.bookingId; 
-    if (!actualToken) {
-      return res.redirect(`${process.env.FRONTEND_PAYMENT_RETURN_URL}/${bookingIdFromUrl || 'unknown'}?status=failed&message=${encodeURIComponent('Jeton de facture PayDunya manquant')}`);
+    const provider = getPaymentProvider(req.params.provider || DEFAULT_PAYMENT_PROVIDER);
+    const booking = bookingIdFromUrl ? await Booking.findById(bookingIdFromUrl) : null;
+    const reference = req.query.token || req.query.invoice_token || req.query.reference || booking?.payment?.invoiceToken;
+
+    if (!reference) {
+      return res.redirect(frontendResultUrl(bookingIdFromUrl, { status: 'failed', message: 'Référence de paiement manquante' }));
     }
-    if (!paydunyaConfig) {
-      return res.redirect(`${process.env.FRONTEND_PAYMENT_RETURN_URL}/${bookingIdFromUrl || 'unknown'}?status=failed&message=${encodeURIComponent('Erreur de configuration PayDunya')}`);
+    if (!provider.isConfigured()) {
+      return res.redirect(frontendResultUrl(bookingIdFromUrl, { status: 'failed', message: `Erreur de configuration ${provider.label}` }));
     }
-    const invoice = new paydunya.CheckoutInvoice(paydunyaConfig.setup, paydunyaConfig.store);
 
     try {
-      await invoice.confirm(actualToken);
-      const customData = invoice.customData || {};
-      const bookingId = customData.booking_id || bookingIdFromUrl;
-      if (invoice.status === 'completed') {
-        return res.redirect(`${process.env.FRONTEND_PAYMENT_RETURN_URL}/${bookingId}?status=success&token=${actualToken}`);
-      } else {
-        return res.redirect(`${process.env.FRONTEND_PAYMENT_RETURN_URL}/${bookingId}?status=${invoice.status.toLowerCase()}&token=${actualToken}&message=${encodeURIComponent(`Paiement non confirmé (${invoice.status})`)}`);
+      const paymentBooking = booking || await findBookingByInvoiceToken(reference);
+      const result = await provider.confirm(reference, { booking: paymentBooking });
+      const bookingId = result.bookingId || bookingIdFromUrl;
+
+      if (result.status === 'completed') {
+        // Seul le paiement en cours de la réservation peut la confirmer
+        if (paymentBooking?.payment?.invoiceToken === reference) {
+          await applyPaymentResult(paymentBooking, provider, result, 'retour client');
+        }
+        return res.redirect(frontendResultUrl(bookingId, { status: 'success', token: reference }));
       }
-
+      return res.redirect(frontendResultUrl(bookingId, { status: result.status, token: reference, message: `Paiement non confirmé (${result.status})` }));
     } catch (confirmError) {
-      return res.redirect(`${process.env.FRONTEND_PAYMENT_RETURN_URL}/${bookingIdFromUrl || 'unknown'}?status=failed&message=${encodeURIComponent('Erreur de vérification du paiement')}`);
+      return res.redirect(frontendResultUrl(bookingIdFromUrl, { status: 'failed', message: 'Erreur de vérification du paiement' }));
     }
-
   } catch (error) {
-    const fallbackBookingId = req.params.bookingId || req.query.bookingId;
-    const redirectUrl = fallbackBookingId
-      ? `${process.env.FRONTEND_PAYMENT_RETURN_URL}/${fallbackBookingId}?status=failed&message=${encodeURIComponent('Erreur interne')}`
-      : `${process.env.FRONTEND_PAYMENT_RETURN_URL}/unknown?status=failed&message=${encodeURIComponent('Erreur interne')}`;
-    return res.redirect(redirectUrl);
+    return res.redirect(frontendResultUrl(bookingIdFromUrl, { status: 'failed', message: 'Erreur interne' }));
   }
 });
 
 /**
- * @desc    Webhook Paydunya pour confirmer les transactions (POST Request)
- * @route   POST /api/payment/paydunya-webhook
+ * @desc    Webhook du fournisseur pour confirmer les transactions (POST Request)
+ * @route   POST /api/payment/:provider/webhook/:bookingId
+ * @route   POST /api/payment/paydunya-webhook (ancienne URL PayDunya)
  * @access  Public
  */
-export const paydunyaWebhook = asyncHandler(async (req, res) => {
+export const paymentWebhook = asyncHandler(async (req, res) => {
+  let provider;
   try {
-    const { invoice_token, token, data } = req.body;
-    const actualToken = invoice_token || token || data?.invoice_token;
-
-    if (!actualToken) {
-      return res.status(200).json({ status: 'error', message: 'Token manquant' });
-    }
+    provider = getPaymentProvider(req.params.provider || DEFAULT_PAYMENT_PROVIDER);
+  } catch (error) {
+    return res.status(404).json({ status: 'error', message: error.message });
+  }
 
-    if (!paydunyaConfig) {
-      return res.status(200).json({ status: 'error', message: 'Configuration PayDunya manquante' });
-    }
+  if (!provider.isConfigured()) {
+    return res.status(200).json({ status: 'error', message: `Configuration ${provider.label} manquante` });
+  }
 
-    const invoice = new paydunya.CheckoutInvoice(paydunyaConfig.setup, paydunyaConfig.store);
+  const bookingFromUrl = isValidObjectId(req.params.bookingId) ? await Booking.findById(req.params.bookingId) : null;
 
-    try {
-      await invoice.confirm(actualToken);
-      if (invoice.status === 'completed') {
-        const customData = invoice.customData || {};
-        const bookingId = customData.booking_id;
-        if (bookingId) {
-          const booking = await Booking.findById(bookingId);
-
-          if (booking && booking.status !== 'confirmed') {
-            booking.status = 'confirmed';
-            booking.transactionId = invoice.transactionId;
-            booking.paidAt = new Date();
-            await booking.save();
-          } else if (booking) {
-            console.log(`Webhook PayDunya: Réservation ${bookingId} déjà traitée.`);
-          } else {
-            console.error(`Webhook PayDunya: Réservation introuvable avec ID ${bookingId}`);
-          }
-        } else {
-          console.error('Webhook PayDunya: booking_id manquant dans custom_data:', customData);
-        }
-      } else {
-        console.log(`Webhook PayDunya: Statut non 'completed', statut actuel: ${invoice.status}`);
-      }
-    } catch (confirmError) {
-      console.error('Erreur de confirmation PayDunya dans le webhook:', confirmError.message);
-    }
-    res.status(200).json({ status: 'received', message: 'Webhook traité.' });
+  // Signature (ou jeton) du fournisseur : une notification non authentifiée est journalisée puis ignorée
+  let verification;
+  try {
+    verification = await provider.verifyWebhook(req, { booking: bookingFromUrl });
   } catch (error) {
-    res.status(200).json({ status: 'error', message: error.message });
+    verification = { valid: false, reference: null, reason: error.message };
   }
+
+  const event = await recordPaymentEvent({ provider, req, verification, booking: bookingFromUrl });
+  if (!verification.valid) {
+    console.warn(`Webhook ${provider.label} rejeté: ${event.signatureError}`);
+    return res.status(401).json({ status: 'error', message: event.signatureError });
+  }
+
+  // Un échec de traitement est relancé par le cron : le fournisseur n'a pas à renvoyer la notification
+  const processed = await processPaymentEvent(event._id);
+  res.status(200).json({ status: 'received', message: 'Webhook traité.', eventId: processed._id, result: processed.status });
 });
 
 /**
- * @desc    Vérifie le statut d'une réservation via PayDunya
- * @route   GET /api/payment/check-status/:invoiceToken
+ * @desc    Vérifie le statut du paiement d'une réservation auprès de son fournisseur
+ * @route   GET /api/payment/:provider/status/:reference
+ * @route   GET /api/payment/check-status/:invoiceToken (ancienne URL)
  * @access  Private
  */
-export const checkPaydunyaPaymentStatus = asyncHandler(async (req, res) => {
-  const { invoiceToken } = req.params;
-  if (!invoiceToken) {
+export const checkPaymentStatus = asyncHandler(async (req, res) => {
+  const reference = req.params.reference || req.params.invoiceToken;
+  if (!reference) {
     res.status(400);
-    throw new Error('Jeton de facture PayDunya manquant.');
+    throw new Error('Référence de paiement manquante.');
   }
 
-  if (!paydunyaConfig) {
-    res.status(500);
-    throw new Error('Le service de paiement PayDunya n\'est pas configuré.');
-  }
+  const booking = await findBookingByInvoiceToken(reference);
 
-  try {
-    const booking = await Booking.findOne({ paydunyaInvoiceToken: invoiceToken });
-
-    if (!booking) {
-      res.status(404);
-      throw new Error('Réservation introuvable pour ce jeton de facture.');
-    }
-
-    // Vérifier les permissions
-    if (booking.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      res.status(403);
-      throw new Error('Non autorisé à vérifier le statut de cette réservation.');
-    }
-
-    // Si déjà confirmé, retourner directement
-    if (booking.status === 'confirmed') {
-      return res.status(200).json({
-        success: true,
-        message: 'Paiement déjà confirmé.',
-        bookingId: booking._id,
-        status: 'completed',
-        currentBookingStatus: booking.status,
-        transactionId: booking.transactionId,
-      });
-    }
-
-    const invoice = new paydunya.CheckoutInvoice(paydunyaConfig.setup, paydunyaConfig.store);
-    await invoice.confirm(invoiceToken);
+  if (!booking) {
+    res.status(404);
+    throw new Error('Réservation introuvable pour cette référence de paiement.');
+  }
 
-    if (invoice.status === 'completed') {
-      if (booking.status !== 'confirmed') {
-        booking.status = 'confirmed';
-        booking.transactionId = invoice.transactionId;
-        booking.paidAt = new Date();
-        await booking.save();
-      }
+  // Vérifier les permissions
+  if (booking.user.toString() !== req.user._id.toString() && !(await userHasPermission(req.user, 'payments.read'))) {
+    res.status(403);
+    throw new Error('Non autorisé à vérifier le statut de cette réservation.');
+  }
 
-      res.status(200).json({
-        success: true,
-        message: 'Paiement confirmé avec succès.',
-        bookingId: booking._id,
-        status: 'completed',
-        currentBookingStatus: booking.status,
-        transactionId: booking.transactionId,
-      });
-    } else {
-      res.status(200).json({
-        success: true,
-        message: `Paiement non confirmé: ${invoice.status}`,
-        bookingId: booking._id,
-        status: invoice.status.toLowerCase(),
-        currentBookingStatus: booking.status,
-      });
-    }
+  const provider = resolveProvider(req, res, req.params.provider || booking.payment?.provider || DEFAULT_PAYMENT_PROVIDER);
+
+  // Si déjà confirmé, retourner directement
+  if (booking.status === 'confirmed') {
+    return res.status(200).json({
+      success: true,
+      message: 'Paiement déjà confirmé.',
+      bookingId: booking._id,
+      provider: provider.name,
+      status: 'completed',
+      currentBookingStatus: booking.status,
+      transactionId: booking.payment?.transactionId,
+      receiptUrl: booking.payment?.receiptUrl,
+    });
+  }
 
+  let result;
+  try {
+    result = await provider.confirm(reference, { booking });
   } catch (error) {
     res.status(500);
     throw new Error(`Échec de la vérification du paiement: ${error.message}`);
   }
-});
\ No newline at end of file
+
+  if (result.status !== 'completed') {
+    if (result.status === 'failed' || result.status === 'cancelled') {
+      await recordPaymentAttempt(booking._id, { provider: provider.name, invoiceToken: reference, status: result.status });
+    }
+    return res.status(200).json({
+      success: true,
+      message: `Paiement non confirmé: ${result.status}`,
+      bookingId: booking._id,
+      provider: provider.name,
+      status: result.status,
+      currentBookingStatus: booking.status,
+    });
+  }
+
+  const { booking: updatedBooking, confirmed, reason, error } = await applyPaymentResult(booking, provider, result, 'vérification');
+  if (!confirmed) {
+    return res.status(409).json({
+      success: false,
+      message: reason === 'amount_mismatch'
+        ? `${error} Veuillez contacter le support.`
+        : 'Le paiement a été reçu mais les sièges ont été libérés entre-temps. Veuillez contacter le support.',
+      reason,
+      bookingId: booking._id,
+      provider: provider.name,
+      status: 'completed',
+      currentBookingStatus: updatedBooking.status,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Paiement confirmé avec succès.',
+    bookingId: updatedBooking._id,
+    provider: provider.name,
+    status: 'completed',
+    currentBookingStatus: updatedBooking.status,
+    transactionId: updatedBooking.payment?.transactionId,
+    receiptUrl: updatedBooking.payment?.receiptUrl,
+  });
+});
@@ -0,0 +1,31 @@
+// src/controllers/smsController.js
+import asyncHandler from 'express-async-handler';
+import { getSmsProvider } from '../services/smsProviders/index.js';
+import { recordSmsDeliveryReport } from '../services/smsService.js';
+import { safeEqual } from '../services/paymentProviders/providerUtils.js';
+
+/**
+ * @desc    Accusé de réception d'un SMS transmis par le fournisseur
+ * @route   POST /api/sms/:provider/delivery?token=...
+ * @access  Public (jeton SMS_WEBHOOK_SECRET)
+ */
+export const handleSmsDeliveryReport = asyncHandler(async (req, res) => {
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+  if (!secret || !safeEqual(req.query.token, secret)) {
+    res.status(401);
+    throw new Error('Jeton d\'accusé de réception invalide.');
+  }
+
+  let provider;
+  try {
+    provider = getSmsProvider(req.params.provider);
+  } catch (error) {
+    res.status(404);
+    throw error;
+  }
+
+  const report = await provider.parseDeliveryReport(req);
+  const sms = await recordSmsDeliveryReport(provider.name, report);
+
+  res.status(200).json({ status: 'received', updated: Boolean(sms) });
+});
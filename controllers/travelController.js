@@ -5,10 +5,33 @@ import Bus from '../models/Bus.js';
 import Booking from '../models/Booking.js';
 import Company from '../models/Company.js';
 import City from '../models/City.js'; 
-import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
-import { isValidObjectId } from 'mongoose';
+import { isValidObjectId, Types } from 'mongoose';
 import redis from '../config/redisClient.js';
 import { memoryCache } from '../utils/memoryCache.js';
+import {
+  SeatUnavailableError,
+  normalizeSeats,
+  reserveSeats,
+  releaseSeats,
+  computeHoldExpiry,
+  getSeatStatuses,
+} from '../services/seatInventoryService.js';
+import { FareError, computeFare, signQuote, verifyQuote } from '../services/fareService.js';
+import { BookingTransitionError, transitionBooking, actorFromUser, canTransition } from '../services/bookingStateService.js';
+import { computeRefund } from '../services/cancellationService.js';
+import { generateTicketPdf } from '../services/ticketService.js';
+import { userHasPermission } from '../services/permissionService.js';
+
+// Invalider le cache des routes après une modification des places disponibles
+const invalidateRoutesCache = async () => {
+  try {
+    const keys = await redis.keys('routes:all*');
+    if (keys.length) await redis.del(keys);
+  } catch (e) {
+    console.warn('Erreur lors de l\'invalidation du cache des routes:', e.message);
+  }
+};
+
 /**
  * @desc    Rechercher des trajets disponibles
  * @route   GET /api/travel/routes/search
@@ -224,50 +247,17 @@ export const getBusLayout = asyncHandler(async (req, res) => {
     throw new Error('Route introuvable ou ne correspondant pas au bus spécifié.');
   }
 
-  // Trouver tous les sièges déjà réservés pour cette route et cette date
-  const selectedDepDate = new Date(departureDate);
-  const bookings = await Booking.find({
-    $or: [
-      { outboundRoute: routeId },
-      { returnRoute: routeId }
-    ],
-    status: { $ne: 'cancelled' }
-  })
-    .populate({
-      path: 'outboundRoute',
-      populate: [{ path: 'from', select: 'name' }, { path: 'to', select: 'name' }]
-    })
-    .populate({
-      path: 'returnRoute',
-      populate: [{ path: 'from', select: 'name' }, { path: 'to', select: 'name' }]
-    });
-
-  // Extraire tous les sièges réservés pour la route et la date de départ actuelles
-  const reservedSeatNumbers = new Set();
-  bookings.forEach(booking => {
-    let isBookingRelevant = false;
-
-    if (booking.outboundRoute && booking.outboundRoute._id.toString() === routeId &&
-      new Date(booking.outboundRoute.departureDate).toDateString() === selectedDepDate.toDateString()) {
-      isBookingRelevant = true;
-    }
-
-    if (booking.returnRoute && booking.returnRoute._id.toString() === routeId &&
-      new Date(booking.returnRoute.departureDate).toDateString() === selectedDepDate.toDateString()) {
-      isBookingRelevant = true;
-    }
-
-    if (isBookingRelevant) {
-      booking.selectedSeats.forEach(seat => reservedSeatNumbers.add(seat));
-    }
-  });
+  // Lire les sièges occupés (réservés ou bloqués en attente de paiement) depuis l'inventaire du trajet
+  const seatStatuses = await getSeatStatuses(route._id);
 
   // Créer la disposition détaillée des sièges
   const seats = [];
   for (let i = 1; i <= bus.totalSeats; i++) {
     seats.push({
       number: i,
-      status: reservedSeatNumbers.has(i) ? 'reserved' : 'available',
+      status: seatStatuses.get(String(i)) === 'booked'
+        ? 'reserved'
+        : seatStatuses.get(String(i)) === 'held' ? 'held' : 'available',
     });
   }
 
@@ -316,6 +306,69 @@ export const getRouteById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Calculer un devis signé et détaillé pour un trajet
+ * @route   POST /api/travel/quote
+ * @access  Public
+ */
+export const getFareQuote = asyncHandler(async (req, res) => {
+  const { outboundRouteId, returnRouteId, tripType = 'oneWay', passengers, promoCode } = req.body;
+
+  if (!isValidObjectId(outboundRouteId)) {
+    res.status(400);
+    throw new Error('ID de route aller invalide.');
+  }
+  if (tripType === 'roundTrip' && !isValidObjectId(returnRouteId)) {
+    res.status(400);
+    throw new Error('ID de route retour invalide.');
+  }
+
+  const outboundRoute = await Route.findById(outboundRouteId, 'price availableSeats').lean();
+  if (!outboundRoute) {
+    res.status(404);
+    throw new Error('Route aller introuvable.');
+  }
+
+  let returnRoute = null;
+  if (tripType === 'roundTrip') {
+    returnRoute = await Route.findById(returnRouteId, 'price availableSeats').lean();
+    if (!returnRoute) {
+      res.status(404);
+      throw new Error('Route retour introuvable.');
+    }
+  }
+
+  let fare;
+  try {
+    fare = computeFare({
+      outboundPrice: outboundRoute.price,
+      returnPrice: returnRoute ? returnRoute.price : null,
+      passengers,
+      tripType,
+      promoCode,
+    });
+  } catch (error) {
+    if (error instanceof FareError) res.status(error.statusCode);
+    throw error;
+  }
+
+  const { quoteToken, expiresAt } = signQuote(fare, {
+    outboundRouteId,
+    returnRouteId: returnRoute ? returnRouteId : null,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...fare,
+      outboundRouteId,
+      returnRouteId: returnRoute ? returnRouteId : null,
+      quoteToken,
+      expiresAt,
+    },
+  });
+});
+
 /**
  * @desc    Créer une nouvelle réservation
  * @route   POST /api/travel/bookings
@@ -329,10 +382,12 @@ export const createBooking = asyncHandler(async (req, res) => {
     selectedSeats,
     passengerDetails,
     totalPrice,
+    quoteToken,
+    promoCode,
   } = req.body;
 
-  // Validation de base
-  if (!outboundRouteId || !tripType || !selectedSeats || selectedSeats.length === 0 || !passengerDetails || !totalPrice) {
+  // Validation de base (le montant est calculé par le serveur, totalPrice n'est plus requis)
+  if (!outboundRouteId || !tripType || !Array.isArray(selectedSeats) || selectedSeats.length === 0 || !passengerDetails) {
     res.status(400);
     throw new Error('Veuillez fournir toutes les informations de réservation requises.');
   }
@@ -352,15 +407,30 @@ export const createBooking = asyncHandler(async (req, res) => {
     .populate('from', 'name')
     .populate('to', 'name')
     .populate('companyName', 'name')
-    .populate('bus', 'busNumber model plateNumber');
+    .populate('bus', 'busNumber model plateNumber totalSeats');
 
   if (!outboundRoute) {
     res.status(404);
     throw new Error('Route aller introuvable.');
   }
 
+  // Valider les numéros de sièges par rapport à la capacité du bus
+  const seatNumbers = normalizeSeats(selectedSeats);
+  if (seatNumbers.length !== selectedSeats.length) {
+    res.status(400);
+    throw new Error('Un même siège ne peut pas être sélectionné plusieurs fois.');
+  }
+  const invalidSeats = seatNumbers.filter(seat => {
+    const n = Number(seat);
+    return !Number.isInteger(n) || n < 1 || n > outboundRoute.bus.totalSeats;
+  });
+  if (invalidSeats.length > 0) {
+    res.status(400);
+    throw new Error(`Numéro(s) de siège invalide(s) : ${invalidSeats.join(', ')}.`);
+  }
+
   // Vérifier les sièges disponibles
-  if (outboundRoute.availableSeats < selectedSeats.length) {
+  if (outboundRoute.availableSeats < seatNumbers.length) {
     res.status(400);
     throw new Error('Pas assez de sièges disponibles sur le trajet aller.');
   }
@@ -404,14 +474,19 @@ export const createBooking = asyncHandler(async (req, res) => {
       .populate('from', 'name')
       .populate('to', 'name')
       .populate('companyName', 'name')
-      .populate('bus', 'busNumber model plateNumber');
+      .populate('bus', 'busNumber model plateNumber totalSeats');
 
     if (!returnRoute) {
       res.status(404);
       throw new Error('Route retour introuvable.');
     }
 
-    if (returnRoute.availableSeats < selectedSeats.length) {
+    if (seatNumbers.some(seat => Number(seat) > returnRoute.bus.totalSeats)) {
+      res.status(400);
+      throw new Error('Un ou plusieurs sièges n\'existent pas dans le bus du trajet retour.');
+    }
+
+    if (returnRoute.availableSeats < seatNumbers.length) {
       res.status(400);
       throw new Error('Pas assez de sièges disponibles sur le trajet retour.');
     }
@@ -451,47 +526,85 @@ export const createBooking = asyncHandler(async (req, res) => {
     throw new Error('Une route de retour est requise pour un voyage aller-retour.');
   }
 
-  // Décrémenter les sièges disponibles
-  outboundRoute.availableSeats -= selectedSeats.length;
-  await outboundRoute.save();
-  // Invalider le cache des routes après modification
+  // Calculer le tarif côté serveur : le montant envoyé par le client n'est jamais repris tel quel
+  let fare;
   try {
-    const keys = await redis.keys('routes:all*');
-    if (keys.length) await redis.del(keys);
-  } catch (e) {
-    console.warn('Erreur lors de l\'invalidation du cache des routes:', e.message);
+    fare = computeFare({
+      outboundPrice: outboundRoute.price,
+      returnPrice: returnRoute ? returnRoute.price : null,
+      passengers: seatNumbers.length,
+      tripType,
+      promoCode,
+    });
+    if (quoteToken) {
+      verifyQuote(quoteToken, fare, { outboundRouteId, returnRouteId: returnRoute ? returnRouteId : null });
+    }
+  } catch (error) {
+    if (error instanceof FareError) res.status(error.statusCode);
+    throw error;
   }
 
-  if (returnRoute) {
-    returnRoute.availableSeats -= selectedSeats.length;
-    await returnRoute.save();
-    // Invalider le cache des routes après modification
-    try {
-      const keys = await redis.keys('routes:all*');
-      if (keys.length) await redis.del(keys);
-    } catch (e) {
-      console.warn('Erreur lors de l\'invalidation du cache des routes:', e.message);
+  if (totalPrice !== undefined && Number(totalPrice) !== fare.total) {
+    return res.status(409).json({
+      success: false,
+      message: 'Le montant indiqué ne correspond pas au tarif calculé. Veuillez actualiser votre devis.',
+      expectedTotal: fare.total,
+      fare,
+    });
+  }
+
+  // Bloquer atomiquement les sièges sur chaque trajet (tout ou rien) le temps du paiement
+  const bookingId = new Types.ObjectId();
+  const holdExpiresAt = computeHoldExpiry();
+  try {
+    await reserveSeats(outboundRoute._id, seatNumbers, bookingId, { expiresAt: holdExpiresAt });
+    if (returnRoute) {
+      await reserveSeats(returnRoute._id, seatNumbers, bookingId, { expiresAt: holdExpiresAt });
     }
+  } catch (error) {
+    await releaseSeats(bookingId);
+    if (error instanceof SeatUnavailableError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        takenSeats: error.takenSeats,
+      });
+    }
+    throw error;
   }
+  await invalidateRoutesCache();
 
   // Créer la réservation avec les snapshots des routes
-  const booking = await Booking.create({
-    user: req.user._id,
-    outboundRoute: outboundRouteId, // Garder la référence pour les requêtes existantes
-    returnRoute: returnRouteId,
-    outboundRouteSnapshot, // Nouvelles données sauvegardées
-    returnRouteSnapshot,   // Nouvelles données sauvegardées
-    tripType,
-    selectedSeats,
-    passengerDetails,
-    totalPrice,
-    status: 'pending_payment',
-  });
+  let booking;
+  try {
+    booking = await Booking.create({
+      _id: bookingId,
+      user: req.user._id,
+      outboundRoute: outboundRouteId, // Garder la référence pour les requêtes existantes
+      returnRoute: returnRoute ? returnRoute._id : null,
+      outboundRouteSnapshot, // Nouvelles données sauvegardées
+      returnRouteSnapshot,   // Nouvelles données sauvegardées
+      tripType,
+      selectedSeats: seatNumbers,
+      passengerDetails,
+      totalPrice: fare.total,
+      fare,
+      status: 'pending_payment',
+      statusHistory: [{ from: null, to: 'pending_payment', actor: actorFromUser(req.user), reason: 'Création de la réservation' }],
+      holdExpiresAt,
+    });
+  } catch (error) {
+    // La réservation n'a pas pu être créée : rendre les sièges
+    await releaseSeats(bookingId);
+    await invalidateRoutesCache();
+    throw error;
+  }
 
   res.status(201).json({
     success: true,
     message: 'Réservation créée avec succès. En attente de paiement.',
     data: booking,
+    holdExpiresAt,
   });
 });
 
@@ -563,7 +676,7 @@ export const getBookingById = asyncHandler(async (req, res) => {
   }
 
   // Vérifier les permissions
-  if (booking.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (booking.user.toString() !== req.user._id.toString() && !(await userHasPermission(req.user, 'bookings.read'))) {
     res.status(403);
     throw new Error('Non autorisé à accéder à cette réservation.');
   }
@@ -574,6 +687,48 @@ export const getBookingById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Calculer le remboursement d'une annulation avant confirmation
+ * @route   GET /api/travel/bookings/:id/cancellation-quote
+ * @access  Private
+ */
+export const getCancellationQuote = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('ID de réservation invalide.');
+  }
+
+  const booking = await Booking.findById(id);
+
+  if (!booking) {
+    res.status(404);
+    throw new Error('Réservation introuvable.');
+  }
+
+  if (booking.user.toString() !== req.user._id.toString() && !(await userHasPermission(req.user, 'bookings.read'))) {
+    res.status(403);
+    throw new Error('Non autorisé à consulter cette réservation.');
+  }
+
+  if (!canTransition(booking.status, 'cancelled')) {
+    res.status(400);
+    throw new Error('Cette réservation ne peut plus être annulée.');
+  }
+
+  const refund = await computeRefund(booking);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      bookingId: booking._id,
+      status: booking.status,
+      ...refund,
+    },
+  });
+});
+
 /**
  * @desc    Mettre à jour le statut d'une réservation
  * @route   PUT /api/travel/bookings/:id/status
@@ -596,64 +751,46 @@ export const updateBookingStatus = asyncHandler(async (req, res) => {
   }
 
   // Vérifier les permissions
-  if (booking.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  const canManage = await userHasPermission(req.user, 'bookings.update');
+  if (booking.user.toString() !== req.user._id.toString() && !canManage) {
     res.status(403);
     throw new Error('Non autorisé à modifier cette réservation.');
   }
 
-  // Logique pour l'annulation
-  if (status === 'cancelled' && booking.status !== 'cancelled' && booking.status !== 'completed') {
-    booking.status = 'cancelled';
+  // Un client peut seulement annuler ; les autres transitions sont réservées au personnel
+  if (status !== 'cancelled' && !canManage) {
+    res.status(400);
+    throw new Error('Impossible de mettre à jour le statut de la réservation avec les paramètres fournis.');
+  }
 
-    // Incrémenter les sièges disponibles
-    const outboundRoute = await Route.findById(booking.outboundRoute);
-    if (outboundRoute) {
-      outboundRoute.availableSeats += booking.selectedSeats.length;
-      await outboundRoute.save();
-      // Invalider le cache des routes après modification
-      try {
-        const keys = await redis.keys('routes:all*');
-        if (keys.length) await redis.del(keys);
-      } catch (e) {
-        console.warn('Erreur lors de l\'invalidation du cache des routes:', e.message);
-      }
-    }
-    if (booking.returnRoute) {
-      const returnRoute = await Route.findById(booking.returnRoute);
-      if (returnRoute) {
-        returnRoute.availableSeats += booking.selectedSeats.length;
-        await returnRoute.save();
-        // Invalider le cache des routes après modification
-        try {
-          const keys = await redis.keys('routes:all*');
-          if (keys.length) await redis.del(keys);
-        } catch (e) {
-          console.warn('Erreur lors de l\'invalidation du cache des routes:', e.message);
-        }
-      }
+  // Le client confirme l'annulation avec le montant annoncé : s'il a changé entre-temps
+  // (passage d'un palier de la politique), on renvoie le nouveau montant sans annuler
+  if (status === 'cancelled' && req.body.expectedRefundAmount !== undefined) {
+    const refund = await computeRefund(booking);
+    if (Number(req.body.expectedRefundAmount) !== refund.refundAmount) {
+      return res.status(409).json({
+        success: false,
+        message: 'Le montant du remboursement a changé. Veuillez confirmer à nouveau l\'annulation.',
+        refund,
+      });
     }
+  }
 
-    await booking.save();
-    return res.status(200).json({
-      success: true,
-      message: 'Réservation annulée avec succès.',
-      data: booking
+  try {
+    const updatedBooking = await transitionBooking(booking, status, {
+      actor: actorFromUser(req.user),
+      reason: req.body.reason || '',
     });
-  }
 
-  // Pour les admins
-  if (req.user.role === 'admin' && ['pending_payment', 'confirmed', 'completed', 'cancelled'].includes(status)) {
-    booking.status = status;
-    await booking.save();
-    return res.status(200).json({
+    res.status(200).json({
       success: true,
-      message: `Statut de réservation mis à jour en ${status}.`,
-      data: booking
+      message: status === 'cancelled' ? 'Réservation annulée avec succès.' : `Statut de réservation mis à jour en ${status}.`,
+      data: updatedBooking
     });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) res.status(error.statusCode);
+    throw error;
   }
-
-  res.status(400);
-  throw new Error('Impossible de mettre à jour le statut de la réservation avec les paramètres fournis.');
 });
 
 /**
@@ -909,75 +1046,19 @@ export const downloadTicket = asyncHandler(async (req, res) => {
     throw new Error('ID de réservation invalide.');
   }
 
-  const booking = await Booking.findById(id)
-    .populate({
-      path: 'outboundRoute',
-      populate: [
-        { path: 'companyName', select: 'name logo' },
-        { path: 'from', select: 'name' }, // Peupler le nom de la ville
-        { path: 'to', select: 'name' }    // Peupler le nom de la ville
-      ]
-    })
-    .populate({
-      path: 'returnRoute',
-      populate: [
-        { path: 'companyName', select: 'name logo' },
-        { path: 'from', select: 'name' }, // Peupler le nom de la ville
-        { path: 'to', select: 'name' }    // Peupler le nom de la ville
-      ]
-    })
-    .populate('user');
+  const booking = await Booking.findById(id);
 
   if (!booking) {
     res.status(404);
     throw new Error('Réservation introuvable.');
   }
 
-  // Génération du PDF
-  const pdfDoc = await PDFDocument.create();
-  const page = pdfDoc.addPage([600, 400]);
-  const { width, height } = page.getSize();
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-
-  page.drawText('Ticket de Réservation', {
-    x: 50,
-    y: height - 50,
-    size: 30,
-    font: font,
-    color: rgb(0, 0.5, 0.5),
-  });
-
-  const bookingDetails = [
-    `Numéro de réservation: ${booking._id}`,
-    `Nom du passager: ${booking.passengerDetails.fullName}`,
-    `Email: ${booking.passengerDetails.email}`,
-    `Téléphone: ${booking.passengerDetails.phone}`,
-    `Route: ${booking.outboundRoute.from.name} -> ${booking.outboundRoute.to.name}`, // Utiliser les noms populés
-    `Date de départ: ${booking.outboundRoute.departureDate.toISOString().split('T')[0]}`,
-    `Heure de départ: ${booking.outboundRoute.departureTime}`,
-    `Sièges: ${booking.selectedSeats.join(', ')}`,
-    `Prix total: ${booking.totalPrice} F CFA`,
-    `Statut: ${booking.status}`,
-    `Compagnie: ${booking.outboundRoute.companyName?.name || 'N/A'}`,
-  ];
-
-  let yOffset = 250;
-  for (const detail of bookingDetails) {
-    page.drawText(detail, {
-      x: 50,
-      y: height - yOffset,
-      size: 14,
-      font: font,
-      color: rgb(0, 0, 0),
-    });
-    yOffset += 20;
-  }
-
-  const pdfBytes = await pdfDoc.save();
+  // Génération du PDF à partir des snapshots de la réservation
+  const pdfBytes = await generateTicketPdf(booking);
 
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `attachment; filename=ticket-reservation-${booking._id}.pdf`);
-  res.send(Buffer.from(pdfBytes));
+  res.send(pdfBytes);
 });
 
 /**
@@ -2,204 +2,239 @@ import cron from 'node-cron';
 import Route from '../models/Route.js';
 import Bus from '../models/Bus.js';
 import Company from '../models/Company.js';
-import City from '../models/City.js';
+import SeatReservation from '../models/SeatReservation.js';
+import { reconcileSeatAvailability } from '../services/seatInventoryService.js';
+import { releaseExpiredHolds } from '../services/bookingStateService.js';
+import { retryFailedPaymentEvents } from '../services/paymentEventService.js';
+import { reconcilePayments } from '../services/paymentReconciliationService.js';
+import { processEmailOutbox } from '../services/emailOutboxService.js';
+import { processSmsOutbox } from '../services/smsService.js';
+import { sendDepartureReminders } from '../services/notificationService.js';
+import { loadPricingRules, applyPricingRules } from '../services/pricingService.js';
+import { loadActiveRouteTemplates } from '../services/routeTemplateService.js';
+import { CRON_CONFIG } from '../config/routeConfig.js';
 import moment from 'moment';
 
-// Configuration des trajets de base (templates)
-const routeTemplates = [
-  {
-    fromCityName: 'Abidjan',
-    toCityName: 'Bouaké',
-    schedules: [
-      { departureTime: '06:00', arrivalTime: '10:30', duration: '4h 30min' },
-      { departureTime: '09:00', arrivalTime: '13:30', duration: '4h 30min' },
-      { departureTime: '14:00', arrivalTime: '18:30', duration: '4h 30min' },
-      { departureTime: '18:00', arrivalTime: '22:30', duration: '4h 30min' }
-    ],
-    basePrice: 6500,
-    stops: ['Attiguié','Ellibou', 'bodo','Nzianouan','Zingrobo','Pakobo','Toumodi','Yamoussoukro'],
-    amenities: ['Air conditionné', 'WiFi', 'Chargeur USB'],
-    features: ['Sièges inclinables', 'Climatisation']
-  },
-  {
-    fromCityName: 'Abidjan',
-    toCityName: 'Yamoussoukro',
-    schedules: [
-      { departureTime: '07:00', arrivalTime: '09:30', duration: '2h 30min' },
-      { departureTime: '11:00', arrivalTime: '13:30', duration: '2h 30min' },
-      { departureTime: '15:00', arrivalTime: '17:30', duration: '2h 30min' },
-      { departureTime: '19:00', arrivalTime: '21:30', duration: '2h 30min' }
-    ],
-    basePrice: 5000,
-    stops: [],
-    amenities: ['Air conditionné', 'WiFi'],
-    features: ['Sièges confortables']
-  },
-  {
-    fromCityName: 'Bouaké',
-    toCityName: 'Korhogo',
-    schedules: [
-      { departureTime: '08:00', arrivalTime: '12:00', duration: '4h' },
-      { departureTime: '16:00', arrivalTime: '20:00', duration: '4h' }
-    ],
-    basePrice: 9000,
-    stops: ['Katiola'],
-    amenities: ['Air conditionné'],
-    features: ['Sièges standard']
-  }
-];
-
 class RouteGenerator {
   constructor() {
-    this.cities = new Map();
+    this.templates = [];
     this.companies = [];
     this.buses = [];
+    this.pricingRules = [];
+    this.busAssignments = new Map();
+    this.existingDepartures = new Set();
   }
 
   async initialize() {
     try {
       // Charger les données de base
-      const cities = await City.find({});
-      cities.forEach(city => {
-        this.cities.set(city.name, city._id);
-      });
-
+      this.templates = await loadActiveRouteTemplates();
       this.companies = await Company.find({});
       this.buses = await Bus.find({});
+      this.pricingRules = await loadPricingRules();
 
-      console.log(`✅ Données chargées: ${cities.length} villes, ${this.companies.length} compagnies, ${this.buses.length} bus`);
+      console.log(`✅ Données chargées: ${this.templates.length} modèles de trajets, ${this.companies.length} compagnies, ${this.buses.length} bus, ${this.pricingRules.length} règles tarifaires`);
+
+      const unassignedBuses = this.buses.filter(bus => !bus.company).length;
+      if (unassignedBuses > 0) {
+        console.warn(`⚠️ ${unassignedBuses} bus sans compagnie ne seront pas utilisés par le générateur`);
+      }
     } catch (error) {
       console.error('❌ Erreur lors du chargement des données:', error);
       throw error;
     }
   }
 
-  
-// Génère des variations de prix selon la compagnie (prix fixes par compagnie)
-calculateDynamicPrice(basePrice, companyIndex, scheduleIndex) {
-  // Définir des variations fixes par compagnie (0, 500, ou -500 FCFA)
-  const companyPriceVariations = [
-    0,    // Compagnie 0: prix de base
-    500,  // Compagnie 1: +500 FCFA
-    0,    // Compagnie 2: prix de base
-    -500, // Compagnie 3: -500 FCFA
-    500,  // Compagnie 4: +500 FCFA
-    0,    // Compagnie 5: prix de base
-  ];
-  
-  // Utiliser l'index de la compagnie pour déterminer la variation
-  // Si on a plus de compagnies que de variations définies, on cycle
-  const variationIndex = companyIndex % companyPriceVariations.length;
-  const priceVariation = companyPriceVariations[variationIndex];
-  
-  const finalPrice = basePrice + priceVariation;
-  return Math.max(finalPrice, basePrice * 0.8); 
-}
+  // Calcule le prix d'un départ en appliquant les règles de tarification (heures de pointe, week-end, fériés, compagnie)
+  calculateDynamicPrice(basePrice, targetDate, schedule, company) {
+    return applyPricingRules(basePrice, {
+      date: targetDate,
+      departureTime: schedule.departureTime,
+      companyId: company._id,
+    }, this.pricingRules);
+  }
+
+  // Compagnies qui assurent un horaire : celles de l'horaire, sinon celles du modèle, sinon toutes
+  getScheduleCompanies(template, schedule) {
+    const ids = schedule.companies && schedule.companies.length > 0
+      ? schedule.companies
+      : template.companies;
+    if (!ids || ids.length === 0) return this.companies;
+    const idSet = new Set(ids.map(id => id.toString()));
+    return this.companies.filter(company => idSet.has(company._id.toString()));
+  }
+
+  // Intervalle [départ, arrivée[ en minutes ; une arrivée après minuit passe au lendemain
+  getScheduleInterval({ departureTime, arrivalTime }) {
+    const toMinutes = (time) => {
+      const [hours, minutes] = (time || '').split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const start = toMinutes(departureTime);
+    let end = toMinutes(arrivalTime);
+    if (end <= start) end += 24 * 60;
+    return { start, end };
+  }
+
+  // Clé naturelle d'un départ généré : modèle, compagnie, sens et heure (la date est celle du jour traité)
+  getDepartureKey(templateId, companyId, direction, departureTime) {
+    return [templateId, companyId, direction, departureTime].join('|');
+  }
+
+  // Charge les trajets déjà planifiés ce jour-là : occupation des bus et départs existants
+  async loadDayRoutes(dayStart, dayEnd) {
+    this.busAssignments = new Map();
+    this.existingDepartures = new Set();
+
+    const templateOrigins = new Map(this.templates.map(t => [t._id.toString(), t.fromCity?._id?.toString()]));
+    const routes = await Route.find(
+      { departureDate: { $gte: dayStart, $lt: dayEnd } },
+      'bus departureTime arrivalTime template companyName direction from'
+    ).lean();
+
+    routes.forEach(route => {
+      this.reserveBus(route.bus, this.getScheduleInterval(route));
+      if (!route.template) return;
+      // Les trajets générés avant l'ajout du sens sont rattachés d'après leur ville de départ
+      const direction = route.direction ||
+        (route.from?.toString() === templateOrigins.get(route.template.toString()) ? 'outbound' : 'return');
+      this.existingDepartures.add(
+        this.getDepartureKey(route.template.toString(), route.companyName.toString(), direction, route.departureTime)
+      );
+    });
+  }
+
+  reserveBus(busId, interval) {
+    const key = busId.toString();
+    if (!this.busAssignments.has(key)) this.busAssignments.set(key, []);
+    this.busAssignments.get(key).push(interval);
+  }
+
+  isBusFree(busId, interval) {
+    const assignments = this.busAssignments.get(busId.toString()) || [];
+    return !assignments.some(a => interval.start < a.end && a.start < interval.end);
+  }
 
-  // Calcule le nombre de sièges disponibles (simulation de réservations existantes)
-  calculateAvailableSeats(totalSeats) {
-    const reservedSeats = Math.floor(Math.random() * (totalSeats * 0.3)); // Max 30% déjà réservés
-    return totalSeats - reservedSeats;
+  // Choisit un bus de la compagnie libre sur l'horaire et le marque comme occupé
+  assignBus(company, schedule) {
+    const interval = this.getScheduleInterval(schedule);
+    const companyId = company._id.toString();
+    const fleet = this.buses.filter(bus =>
+      bus.totalSeats > 0 &&
+      bus.company && bus.company.toString() === companyId &&
+      this.isBusFree(bus._id, interval)
+    );
+    if (fleet.length === 0) return null;
+
+    const selectedBus = fleet[Math.floor(Math.random() * fleet.length)];
+    this.reserveBus(selectedBus._id, interval);
+    return selectedBus;
   }
 
+  /**
+   * Génère les départs manquants d'une journée sans toucher aux trajets existants.
+   * Un départ est identifié par (modèle, compagnie, date, heure, sens) : relancer la
+   * génération est sans effet sur les trajets déjà créés, réservés ou non.
+   */
   async generateDailyRoutes(targetDate) {
     const startTime = Date.now();
-    let generatedCount = 0;
+    const counts = { created: 0, kept: 0, skipped: 0 };
     
     try {
       console.log(`🚀 Génération des trajets pour ${targetDate.format('DD/MM/YYYY')}...`);
 
-      // Supprimer les anciens trajets pour cette date (optionnel)
-      await Route.deleteMany({
-        departureDate: {
-          $gte: targetDate.startOf('day').toDate(),
-          $lt: targetDate.clone().add(1, 'day').startOf('day').toDate()
-        }
-      });
+      const dayStart = targetDate.clone().startOf('day').toDate();
+      const dayEnd = targetDate.clone().add(1, 'day').startOf('day').toDate();
+
+      // Occupation des bus pour la journée : un bus ne peut pas assurer deux trajets qui se chevauchent
+      await this.loadDayRoutes(dayStart, dayEnd);
 
-      for (const template of routeTemplates) {
-        const fromCityId = this.cities.get(template.fromCityName);
-        const toCityId = this.cities.get(template.toCityName);
+      for (const template of this.templates) {
+        const fromCityId = template.fromCity?._id;
+        const toCityId = template.toCity?._id;
 
         if (!fromCityId || !toCityId) {
-          console.warn(`⚠️ Ville non trouvée: ${template.fromCityName} -> ${template.toCityName}`);
+          console.warn(`⚠️ Ville non trouvée pour le modèle de trajet ${template._id}`);
           continue;
         }
 
-        // Générer des trajets pour chaque compagnie
-        for (let companyIndex = 0; companyIndex < this.companies.length; companyIndex++) {
-          const company = this.companies[companyIndex];
-          
-          // Générer des trajets pour chaque horaire
-          for (let scheduleIndex = 0; scheduleIndex < template.schedules.length; scheduleIndex++) {
-            const schedule = template.schedules[scheduleIndex];
-            
-            // Sélectionner un bus aléatoire pour cette compagnie
-            const availableBuses = this.buses.filter(bus => bus.totalSeats > 0);
-            if (availableBuses.length === 0) continue;
-            
-            const selectedBus = availableBuses[Math.floor(Math.random() * availableBuses.length)];
-            
-            const route = new Route({
-              from: fromCityId,
-              to: toCityId,
-              departureDate: targetDate.toDate(),
-              departureTime: schedule.departureTime,
-              arrivalTime: schedule.arrivalTime,
-              duration: schedule.duration,
-              stops: template.stops,
-              price: this.calculateDynamicPrice(template.basePrice, companyIndex, scheduleIndex),
-              availableSeats: this.calculateAvailableSeats(selectedBus.totalSeats),
-              amenities: template.amenities,
-              features: template.features,
-              companyName: company._id,
-              bus: selectedBus._id,
-              popular: Math.random() > 0.8 // 20% de chance d'être marqué comme populaire
-            });
-
-            await route.save();
-            generatedCount++;
-          }
+        const directions = [{
+          direction: 'outbound',
+          from: template.fromCity,
+          to: template.toCity,
+          stops: template.stops
+        }];
+        // Générer aussi le trajet retour
+        if (template.generateReturn) {
+          directions.push({
+            direction: 'return',
+            from: template.toCity,
+            to: template.fromCity,
+            stops: [...template.stops].reverse()
+          });
         }
 
-        // Générer aussi le trajet retour
-        const returnFromCityId = toCityId;
-        const returnToCityId = fromCityId;
-
-        for (let companyIndex = 0; companyIndex < this.companies.length; companyIndex++) {
-          const company = this.companies[companyIndex];
-          
-          for (let scheduleIndex = 0; scheduleIndex < template.schedules.length; scheduleIndex++) {
-            const schedule = template.schedules[scheduleIndex];
-            const selectedBus = this.buses[Math.floor(Math.random() * this.buses.length)];
-            
-            const returnRoute = new Route({
-              from: returnFromCityId,
-              to: returnToCityId,
-              departureDate: targetDate.toDate(),
-              departureTime: schedule.departureTime,
-              arrivalTime: schedule.arrivalTime,
-              duration: schedule.duration,
-              stops: [...template.stops].reverse(),
-              price: this.calculateDynamicPrice(template.basePrice, companyIndex, scheduleIndex),
-              availableSeats: this.calculateAvailableSeats(selectedBus.totalSeats),
-              amenities: template.amenities,
-              features: template.features,
-              companyName: company._id,
-              bus: selectedBus._id,
-              popular: Math.random() > 0.8
-            });
-
-            await returnRoute.save();
-            generatedCount++;
+        for (const { direction, from, to, stops } of directions) {
+          // Générer des trajets pour chaque horaire, avec les compagnies qui l'assurent
+          for (const schedule of template.schedules) {
+            for (const company of this.getScheduleCompanies(template, schedule)) {
+              const key = this.getDepartureKey(template._id.toString(), company._id.toString(), direction, schedule.departureTime);
+              if (this.existingDepartures.has(key)) {
+                counts.kept++;
+                continue;
+              }
+
+              // Sélectionner un bus libre de la flotte de cette compagnie
+              const selectedBus = this.assignBus(company, schedule);
+              if (!selectedBus) {
+                console.warn(`⚠️ Aucun bus libre pour ${company.name} à ${schedule.departureTime} (${from.name} -> ${to.name})`);
+                counts.skipped++;
+                continue;
+              }
+
+              const pricing = this.calculateDynamicPrice(template.basePrice, targetDate, schedule, company);
+              const naturalKey = {
+                template: template._id,
+                companyName: company._id,
+                departureDate: dayStart,
+                departureTime: schedule.departureTime,
+                direction
+              };
+
+              // $setOnInsert : un départ créé entre-temps par une autre exécution n'est jamais modifié
+              const result = await Route.updateOne(naturalKey, {
+                // Les champs de la clé naturelle sont repris du filtre à l'insertion
+                $setOnInsert: {
+                  from: from._id,
+                  to: to._id,
+                  arrivalTime: schedule.arrivalTime,
+                  duration: schedule.duration,
+                  stops,
+                  price: pricing.price,
+                  availableSeats: selectedBus.totalSeats,
+                  amenities: template.amenities,
+                  features: template.features,
+                  bus: selectedBus._id,
+                  popular: template.isPopularRoute || Math.random() > 0.8, // 20% de chance d'être marqué comme populaire
+                  pricing: { basePrice: pricing.basePrice, appliedRules: pricing.appliedRules }
+                }
+              }, { upsert: true });
+
+              this.existingDepartures.add(key);
+              if (result.upsertedCount > 0) {
+                counts.created++;
+              } else {
+                counts.kept++;
+              }
+            }
           }
         }
       }
 
       const duration = Date.now() - startTime;
-      console.log(`✅ ${generatedCount} trajets générés pour ${targetDate.format('DD/MM/YYYY')} en ${duration}ms`);
+      console.log(`✅ ${targetDate.format('DD/MM/YYYY')}: ${counts.created} trajets créés, ${counts.kept} conservés, ${counts.skipped} départs sans bus disponible (${duration}ms)`);
       
-      return { success: true, count: generatedCount, duration };
+      return { success: true, count: counts.created, ...counts, duration };
     } catch (error) {
       console.error(`❌ Erreur lors de la génération des trajets pour ${targetDate.format('DD/MM/YYYY')}:`, error);
       return { success: false, error: error.message };
@@ -224,9 +259,12 @@ calculateDynamicPrice(basePrice, companyIndex, scheduleIndex) {
   async cleanupOldRoutes() {
     try {
       const yesterday = moment().subtract(1, 'day').endOf('day').toDate();
+      const oldRouteIds = await Route.find({ departureDate: { $lt: yesterday } }).distinct('_id');
       const result = await Route.deleteMany({
-        departureDate: { $lt: yesterday }
+        _id: { $in: oldRouteIds }
       });
+      // Purger l'inventaire des sièges des trajets supprimés
+      await SeatReservation.deleteMany({ route: { $in: oldRouteIds } });
       
       console.log(`🧹 ${result.deletedCount} anciens trajets supprimés`);
       return result.deletedCount;
@@ -240,19 +278,23 @@ calculateDynamicPrice(basePrice, companyIndex, scheduleIndex) {
 // Instance globale du générateur
 const routeGenerator = new RouteGenerator();
 
-// Cron job pour générer les trajets quotidiennement à 2h du matin
-const dailyRouteGeneration = cron.schedule('0 2 * * *', async () => {
+// Les tâches sont créées arrêtées (cron.createTask) : seul startCronJobs() les démarre,
+// l'import du module (scripts, tests) ne déclenche aucune tâche
+
+// Cron job pour générer les trajets quotidiennement (2h du matin par défaut)
+const dailyRouteGeneration = cron.createTask(CRON_CONFIG.DAILY_GENERATION.schedule, async () => {
   console.log('🕐 Démarrage de la génération quotidienne des trajets...');
   
   try {
-    // Générer les trajets pour les 7 prochains jours
-    const results = await routeGenerator.generateRoutes(7);
+    // Générer les trajets des prochains jours
+    const results = await routeGenerator.generateRoutes(CRON_CONFIG.DAILY_GENERATION.daysAhead);
     
     const successCount = results.filter(r => r.success).length;
-    const totalRoutes = results.reduce((sum, r) => sum + (r.count || 0), 0);
+    const totalRoutes = results.reduce((sum, r) => sum + (r.created || 0), 0);
+    const keptRoutes = results.reduce((sum, r) => sum + (r.kept || 0), 0);
     
     console.log(`📊 Résumé: ${successCount}/${results.length} jours traités avec succès`);
-    console.log(`📈 Total: ${totalRoutes} trajets générés`);
+    console.log(`📈 Total: ${totalRoutes} trajets créés, ${keptRoutes} conservés`);
     
     // Nettoyer les anciens trajets
     await routeGenerator.cleanupOldRoutes();
@@ -261,17 +303,113 @@ const dailyRouteGeneration = cron.schedule('0 2 * * *', async () => {
     console.error('❌ Erreur dans le cron job:', error);
   }
 }, {
-  scheduled: false, // Ne démarre pas automatiquement
-  timezone: "Africa/Abidjan" // Fuseau horaire de la Côte d'Ivoire
+  timezone: CRON_CONFIG.DAILY_GENERATION.timezone
 });
 
-// Cron job pour nettoyer les anciens trajets à minuit
-const cleanupCron = cron.schedule('0 0 * * *', async () => {
+// Cron job pour nettoyer les anciens trajets (minuit par défaut)
+const cleanupCron = cron.createTask(CRON_CONFIG.CLEANUP.schedule, async () => {
   console.log('🧹 Nettoyage programmé des anciens trajets...');
   await routeGenerator.cleanupOldRoutes();
 }, {
-  scheduled: false,
-  timezone: "Africa/Abidjan"
+  timezone: CRON_CONFIG.CLEANUP.timezone
+});
+
+// Cron job pour libérer chaque minute les sièges bloqués dont le paiement n'a pas abouti
+const seatHoldReleaseCron = cron.createTask(CRON_CONFIG.SEAT_HOLD_RELEASE.schedule, async () => {
+  try {
+    const { bookings, seats } = await releaseExpiredHolds();
+    if (bookings > 0 || seats > 0) {
+      console.log(`⏳ ${bookings} réservation(s) impayée(s) annulée(s), ${seats} siège(s) libéré(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de la libération des sièges bloqués:', error);
+  }
+}, {
+  timezone: CRON_CONFIG.SEAT_HOLD_RELEASE.timezone
+});
+
+// Cron job pour corriger les écarts entre availableSeats et les réservations réelles
+const seatReconciliationCron = cron.createTask(CRON_CONFIG.SEAT_RECONCILIATION.schedule, async () => {
+  try {
+    const { checked, fixed } = await reconcileSeatAvailability();
+    if (fixed > 0) {
+      console.log(`🔁 Places disponibles corrigées sur ${fixed}/${checked} trajet(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de la réconciliation des places:', error);
+  }
+}, {
+  timezone: CRON_CONFIG.SEAT_RECONCILIATION.timezone
+});
+
+// Cron job pour relancer les notifications de paiement dont le traitement a échoué
+const paymentEventRetryCron = cron.createTask(CRON_CONFIG.PAYMENT_EVENT_RETRY.schedule, async () => {
+  try {
+    const { retried, processed, failed } = await retryFailedPaymentEvents();
+    if (retried > 0) {
+      console.log(`💳 ${retried} notification(s) de paiement relancée(s): ${processed} traitée(s), ${failed} en échec`);
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de la relance des notifications de paiement:', error);
+  }
+}, {
+  timezone: CRON_CONFIG.PAYMENT_EVENT_RETRY.timezone
+});
+
+// Cron job pour rapprocher les paiements avec les fournisseurs et enregistrer le rapport des écarts
+const paymentReconciliationCron = cron.createTask(CRON_CONFIG.PAYMENT_RECONCILIATION.schedule, async () => {
+  try {
+    const { checked, fixed, discrepancies } = await reconcilePayments();
+    if (discrepancies.length > 0) {
+      console.log(`🧾 Rapprochement des paiements: ${checked} vérifié(s), ${fixed} réservation(s) confirmée(s), ${discrepancies.length} écart(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors du rapprochement des paiements:', error);
+  }
+}, {
+  timezone: CRON_CONFIG.PAYMENT_RECONCILIATION.timezone
+});
+
+// Cron job pour envoyer les emails en file et relancer les envois échoués
+const emailOutboxCron = cron.createTask(CRON_CONFIG.EMAIL_OUTBOX.schedule, async () => {
+  try {
+    const { sent, failed } = await processEmailOutbox();
+    if (sent > 0 || failed > 0) {
+      console.log(`📧 File d'emails: ${sent} envoyé(s), ${failed} en échec`);
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de l\'envoi des emails en file:', error);
+  }
+}, {
+  timezone: CRON_CONFIG.EMAIL_OUTBOX.timezone
+});
+
+// Cron job pour envoyer les SMS en file et relancer les envois échoués
+const smsOutboxCron = cron.createTask(CRON_CONFIG.SMS_OUTBOX.schedule, async () => {
+  try {
+    const { sent, failed } = await processSmsOutbox();
+    if (sent > 0 || failed > 0) {
+      console.log(`📱 File de SMS: ${sent} envoyé(s), ${failed} en échec`);
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de l\'envoi des SMS en file:', error);
+  }
+}, {
+  timezone: CRON_CONFIG.SMS_OUTBOX.timezone
+});
+
+// Cron job pour rappeler leur départ aux voyageurs
+const departureReminderCron = cron.createTask(CRON_CONFIG.DEPARTURE_REMINDERS.schedule, async () => {
+  try {
+    const { emails, sms, failed } = await sendDepartureReminders();
+    if (emails > 0 || sms > 0 || failed > 0) {
+      console.log(`🔔 Rappels de départ: ${emails} email(s), ${sms} SMS, ${failed} en échec`);
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de l\'envoi des rappels de départ:', error);
+  }
+}, {
+  timezone: CRON_CONFIG.DEPARTURE_REMINDERS.timezone
 });
 
 // Fonction pour démarrer tous les cron jobs
@@ -279,6 +417,13 @@ export const startCronJobs = () => {
   console.log('⏰ Démarrage des tâches planifiées...');
   dailyRouteGeneration.start();
   cleanupCron.start();
+  seatHoldReleaseCron.start();
+  seatReconciliationCron.start();
+  paymentEventRetryCron.start();
+  paymentReconciliationCron.start();
+  emailOutboxCron.start();
+  smsOutboxCron.start();
+  departureReminderCron.start();
   console.log('✅ Cron jobs démarrés avec succès');
 };
 
@@ -286,6 +431,13 @@ export const startCronJobs = () => {
 export const stopCronJobs = () => {
   dailyRouteGeneration.stop();
   cleanupCron.stop();
+  seatHoldReleaseCron.stop();
+  seatReconciliationCron.stop();
+  paymentEventRetryCron.stop();
+  paymentReconciliationCron.stop();
+  emailOutboxCron.stop();
+  smsOutboxCron.stop();
+  departureReminderCron.stop();
   console.log('⏹️ Cron jobs arrêtés');
 };
 
@@ -301,18 +453,71 @@ export const cleanupRoutesManually = async () => {
   return await routeGenerator.cleanupOldRoutes();
 };
 
+// Fonction pour réconcilier manuellement les places disponibles
+export const reconcileSeatsManually = async () => {
+  console.log('🔧 Réconciliation manuelle des places disponibles...');
+  return await reconcileSeatAvailability();
+};
+
+// Fonction pour rapprocher manuellement les paiements
+export const reconcilePaymentsManually = async () => {
+  console.log('🔧 Rapprochement manuel des paiements...');
+  return await reconcilePayments({ trigger: 'manual' });
+};
+
+// État d'une tâche node-cron : 'stopped', 'idle' (en attente du prochain déclenchement) ou 'running'
+const taskStatus = (task) => {
+  const status = task.getStatus();
+  return { status, running: status === 'idle' || status === 'running' };
+};
+
 // Fonction pour obtenir le statut des cron jobs
 export const getCronStatus = () => {
   return {
     dailyGeneration: {
-      running: dailyRouteGeneration.running,
-      schedule: '0 2 * * *', // Tous les jours à 2h du matin
-      description: 'Génération quotidienne des trajets'
+      ...taskStatus(dailyRouteGeneration),
+      schedule: CRON_CONFIG.DAILY_GENERATION.schedule,
+      description: CRON_CONFIG.DAILY_GENERATION.description
     },
     cleanup: {
-      running: cleanupCron.running,
-      schedule: '0 0 * * *', // Tous les jours à minuit
-      description: 'Nettoyage des anciens trajets'
+      ...taskStatus(cleanupCron),
+      schedule: CRON_CONFIG.CLEANUP.schedule,
+      description: CRON_CONFIG.CLEANUP.description
+    },
+    seatHoldRelease: {
+      ...taskStatus(seatHoldReleaseCron),
+      schedule: CRON_CONFIG.SEAT_HOLD_RELEASE.schedule,
+      description: CRON_CONFIG.SEAT_HOLD_RELEASE.description
+    },
+    seatReconciliation: {
+      ...taskStatus(seatReconciliationCron),
+      schedule: CRON_CONFIG.SEAT_RECONCILIATION.schedule,
+      description: CRON_CONFIG.SEAT_RECONCILIATION.description
+    },
+    paymentEventRetry: {
+      ...taskStatus(paymentEventRetryCron),
+      schedule: CRON_CONFIG.PAYMENT_EVENT_RETRY.schedule,
+      description: CRON_CONFIG.PAYMENT_EVENT_RETRY.description
+    },
+    paymentReconciliation: {
+      ...taskStatus(paymentReconciliationCron),
+      schedule: CRON_CONFIG.PAYMENT_RECONCILIATION.schedule,
+      description: CRON_CONFIG.PAYMENT_RECONCILIATION.description
+    },
+    emailOutbox: {
+      ...taskStatus(emailOutboxCron),
+      schedule: CRON_CONFIG.EMAIL_OUTBOX.schedule,
+      description: CRON_CONFIG.EMAIL_OUTBOX.description
+    },
+    smsOutbox: {
+      ...taskStatus(smsOutboxCron),
+      schedule: CRON_CONFIG.SMS_OUTBOX.schedule,
+      description: CRON_CONFIG.SMS_OUTBOX.description
+    },
+    departureReminders: {
+      ...taskStatus(departureReminderCron),
+      schedule: CRON_CONFIG.DEPARTURE_REMINDERS.schedule,
+      description: CRON_CONFIG.DEPARTURE_REMINDERS.description
     }
   };
 };
@@ -322,5 +527,7 @@ export default {
   stopCronJobs,
   generateRoutesManually,
   cleanupRoutesManually,
+  reconcileSeatsManually,
+  reconcilePaymentsManually,
   getCronStatus
 };
\ No newline at end of file
@@ -1,6 +1,15 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Company from '../models/Company.js';
+import { hasVerifiedContact, isVerificationRequired } from '../services/verificationService.js';
+import { isSessionActive } from '../services/sessionService.js';
+import { AuthPolicyError, assertAccountActive } from '../services/authPolicyService.js';
+import { userHasPermission } from '../services/permissionService.js';
 
+/**
+ * Middleware d'authentification : token valide, session active, compte ni supprimé ni banni.
+ * Ces vérifications sont faites à chaque requête : un bannissement prend effet immédiatement.
+ */
 export const protect = async (req, res, next) => {
   let token;
 
@@ -8,11 +17,20 @@ export const protect = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Access token sans session (non révocable) ou d'une session révoquée (déconnexion, révocation par un admin)
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({ success: false, message: 'Session révoquée. Veuillez vous reconnecter.' });
+      }
       req.user = await User.findById(decoded.id).select('-password');
-      next();
+      assertAccountActive(req.user);
+      req.sessionId = decoded.sid;
     } catch (error) {
-      res.status(401).json({ success: false, message: 'Accès non autorisé' });
+      if (error instanceof AuthPolicyError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      return res.status(401).json({ success: false, message: 'Accès non autorisé' });
     }
+    next();
   } else {
     res.status(401).json({ success: false, message: 'Aucun token fourni' });
   }
@@ -35,3 +53,61 @@ export const authorizeRoles = (...roles) => {
   };
 };
 
+/**
+ * Middleware pour autoriser l'accès selon les permissions du rôle (config/permissions.js).
+ * @param {...string} permissions - Permissions acceptées : l'une d'elles suffit.
+ */
+export const authorizePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      for (const permission of permissions) {
+        if (await userHasPermission(req.user, permission)) return next();
+      }
+    } catch (error) {
+      console.error('Erreur lors de la vérification des permissions :', error.message);
+      return res.status(500).json({ success: false, message: 'Erreur serveur lors de la vérification des permissions.' });
+    }
+    return res.status(403).json({
+      success: false,
+      message: `Accès interdit : permission [${permissions.join(' | ')}] requise.`
+    });
+  };
+};
+
+/**
+ * Middleware du portail opérateur : le compte doit être rattaché à une compagnie existante.
+ * La compagnie est exposée dans req.company et limite toutes les requêtes /api/operator.
+ */
+export const requireOperatorCompany = async (req, res, next) => {
+  if (!req.user?.company) {
+    return res.status(403).json({ success: false, message: 'Accès interdit : aucun compte de compagnie associé.' });
+  }
+  try {
+    req.company = await Company.findById(req.user.company, 'name email phone logo');
+  } catch (error) {
+    console.error('Erreur lors du chargement de la compagnie de l\'opérateur :', error.message);
+    return res.status(500).json({ success: false, message: 'Erreur serveur lors du chargement de la compagnie.' });
+  }
+  if (!req.company) {
+    return res.status(403).json({ success: false, message: 'Accès interdit : la compagnie associée à ce compte n\'existe plus.' });
+  }
+  next();
+};
+
+/**
+ * Middleware refusant l'action tant qu'aucun moyen de contact (email ou téléphone)
+ * n'est vérifié, si la règle est active pour cette action (VERIFICATION_CONFIG.REQUIRED_FOR).
+ * @param {string} action - 'booking' ou 'payment'
+ */
+export const requireVerifiedContact = (action) => {
+  return (req, res, next) => {
+    if (!isVerificationRequired(action) || hasVerifiedContact(req.user)) {
+      return next();
+    }
+    return res.status(403).json({
+      success: false,
+      message: 'Veuillez vérifier votre adresse email ou votre numéro de téléphone avant de continuer.',
+      error: 'CONTACT_NOT_VERIFIED'
+    });
+  };
+};
@@ -1,5 +1,9 @@
-// services/rateLimiter.js
-import NodeCache from 'node-cache';
+// middlewares/rateLimiter.js
+// Limitation de débit avec blocage temporaire. Les compteurs sont partagés entre les
+// instances de l'API via Redis ; si Redis est indisponible, un stockage en mémoire
+// (propre au processus) prend le relais.
+import redis from '../config/redisClient.js';
+import { RATE_LIMIT_CONFIG } from '../config/routeConfig.js';
 
 // Configuration par défaut
 const DEFAULT_CONFIG = {
@@ -9,172 +13,321 @@ const DEFAULT_CONFIG = {
   cleanupIntervalMs: 10 * 60 * 1000, // Nettoyage toutes les 10 minutes
 };
 
+const REDIS_PREFIX = 'ratelimit';
+
+// Limiteurs nommés, consultables par l'administration
+const registry = new Map();
+
+/**
+ * Adresse IP du client. Derrière un proxy/load balancer, req.ip n'est fiable que si 'trust proxy' est activé.
+ * @param {Object} req
+ * @returns {string}
+ */
+export const getClientIp = (req) => req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress;
+
+// Redis est-il utilisable ? Une connexion en échec bascule immédiatement sur la mémoire.
+const redisAvailable = () => !['end', 'close', 'reconnecting'].includes(redis.status);
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`Redis n'a pas répondu en ${ms} ms`)), ms).unref?.()),
+]);
+
+/**
+ * Stockage en mémoire : compteurs par fenêtre fixe et blocages.
+ */
+class MemoryStore {
+  constructor(cleanupIntervalMs) {
+    this.counters = new Map(); // clé → { count, resetAt }
+    this.blocks = new Map(); // clé → fin du blocage (ms)
+
+    const timer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    // Le nettoyage ne doit pas empêcher l'arrêt du processus
+    timer.unref?.();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+    return counter.count;
+  }
+
+  async getCount(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.resetAt > Date.now() ? counter.count : 0;
+  }
+
+  async block(key, durationMs) {
+    this.blocks.set(key, Date.now() + durationMs);
+  }
+
+  async getBlockTtl(key) {
+    const until = this.blocks.get(key);
+    return until && until > Date.now() ? until - Date.now() : 0;
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+    this.blocks.delete(key);
+  }
+
+  async listBlocked() {
+    const now = Date.now();
+    return [...this.blocks.entries()]
+      .filter(([, until]) => until > now)
+      .map(([key, until]) => ({ key, ttlMs: until - now }));
+  }
+
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.resetAt <= now) { this.counters.delete(key); removed++; }
+    }
+    for (const [key, until] of this.blocks.entries()) {
+      if (until <= now) { this.blocks.delete(key); removed++; }
+    }
+    if (removed > 0) {
+      console.log(`Rate Limiter: Nettoyage de ${removed} entrées expirées`);
+    }
+  }
+}
+
+/**
+ * Stockage Redis : compteur `ratelimit:<nom>:count:<clé>` expirant avec la fenêtre,
+ * blocage `ratelimit:<nom>:block:<clé>` expirant avec sa durée.
+ */
+class RedisStore {
+  constructor(name) {
+    this.prefix = `${REDIS_PREFIX}:${name}`;
+  }
+
+  async increment(key, windowMs) {
+    const countKey = `${this.prefix}:count:${key}`;
+    // Le compteur est créé avec l'expiration de la fenêtre ; INCR conserve cette expiration
+    const [, [, count]] = await redis.multi().set(countKey, 0, 'PX', windowMs, 'NX').incr(countKey).exec();
+    return count;
+  }
+
+  async getCount(key) {
+    return parseInt(await redis.get(`${this.prefix}:count:${key}`)) || 0;
+  }
+
+  async block(key, durationMs) {
+    await redis.set(`${this.prefix}:block:${key}`, '1', 'PX', durationMs);
+  }
+
+  async getBlockTtl(key) {
+    return Math.max(await redis.pttl(`${this.prefix}:block:${key}`), 0);
+  }
+
+  async reset(key) {
+    await redis.del(`${this.prefix}:count:${key}`, `${this.prefix}:block:${key}`);
+  }
+
+  async listBlocked() {
+    const pattern = `${this.prefix}:block:`;
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await redis.scan(cursor, 'MATCH', `${pattern}*`, 'COUNT', 100);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== '0');
+
+    const blocked = [];
+    for (const redisKey of keys) {
+      const ttlMs = await redis.pttl(redisKey);
+      if (ttlMs > 0) blocked.push({ key: redisKey.slice(pattern.length), ttlMs });
+    }
+    return blocked;
+  }
+}
+
 class RateLimiter {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.name] - Nom du limiteur (préfixe des clés Redis) ; un limiteur nommé est listé pour l'administration
+   * @param {number} [config.maxAttempts] - Tentatives autorisées par fenêtre
+   * @param {number} [config.windowMs]
+   * @param {number} [config.blockDurationMs] - Durée du blocage une fois la limite dépassée
+   * @param {string} [config.message] - Message renvoyé aux clients bloqués
+   * @param {Function} [config.keyGenerator] - (req) → clé limitée, l'IP par défaut
+   */
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
-    
-    // Utilisation de NodeCache pour une gestion automatique de l'expiration
-    this.cache = new NodeCache({
-      stdTTL: Math.ceil(this.config.windowMs / 1000), // TTL en secondes
-      checkperiod: Math.ceil(this.config.cleanupIntervalMs / 1000),
-      useClones: false
-    });
-
-    // Map pour les tentatives échouées (pour compatibilité avec le code existant)
-    this.rateLimitMap = new Map();
-    
-    // Nettoyage périodique du Map
-    this.setupCleanup();
-  }
-
-  isBlocked(ip) {
-    const attempts = this.rateLimitMap.get(ip);
-    if (!attempts) return false;
-
-    // Bloqué si le nombre max de tentatives est dépassé ET si nous sommes encore dans la période de blocage
-    return attempts.count >= this.config.maxAttempts && 
-           Date.now() - attempts.timestamp < this.config.blockDurationMs;
-  }
-
-  recordFailedAttempt(ip) {
-    const attempts = this.rateLimitMap.get(ip) || { count: 0, timestamp: Date.now() };
-    
-    // Si c'est dans la même fenêtre de temps, incrémenter
-    if (Date.now() - attempts.timestamp < this.config.windowMs) {
-      attempts.count += 1;
-    } else {
-      // Nouvelle fenêtre de temps, réinitialiser le compteur
-      attempts.count = 1;
-      attempts.timestamp = Date.now();
+    this.name = this.config.name || 'default';
+    this.memoryStore = new MemoryStore(this.config.cleanupIntervalMs);
+    this.redisStore = new RedisStore(this.name);
+
+    if (this.config.name) registry.set(this.config.name, this);
+  }
+
+  // Exécute une opération sur Redis, ou sur la mémoire si Redis est indisponible
+  async run(operation, ...args) {
+    if (redisAvailable()) {
+      try {
+        return await withTimeout(this.redisStore[operation](...args), RATE_LIMIT_CONFIG.REDIS_TIMEOUT_MS);
+      } catch (error) {
+        console.warn(`Rate Limiter (${this.name}): Redis indisponible, stockage en mémoire utilisé:`, error.message);
+      }
     }
-    
-    this.rateLimitMap.set(ip, attempts);
+    return this.memoryStore[operation](...args);
   }
 
-  recordSuccessfulAttempt(ip) {
-    // Réinitialise les tentatives à 0 après un succès
-    this.rateLimitMap.set(ip, { count: 0, timestamp: Date.now() });
+  async isBlocked(key) {
+    return (await this.run('getBlockTtl', key)) > 0;
   }
 
-  getAttemptInfo(ip) {
-    const attempts = this.rateLimitMap.get(ip) || { count: 0, timestamp: Date.now() };
-    const isBlocked = this.isBlocked(ip);
-    const timeUntilReset = isBlocked 
-      ? this.config.blockDurationMs - (Date.now() - attempts.timestamp)
-      : 0;
+  /**
+   * Compte une tentative ; la clé est bloquée dès que la limite est dépassée.
+   * @param {string} key
+   * @returns {Promise<{ attempts: number, blocked: boolean }>}
+   */
+  async recordFailedAttempt(key) {
+    const attempts = await this.run('increment', key, this.config.windowMs);
+    const blocked = attempts > this.config.maxAttempts;
+    if (blocked) {
+      await this.run('block', key, this.config.blockDurationMs);
+    }
+    return { attempts, blocked };
+  }
+
+  async recordSuccessfulAttempt(key) {
+    // Réinitialise les tentatives après un succès
+    await this.reset(key);
+  }
 
+  async getAttemptInfo(key) {
+    const [attempts, blockTtlMs] = await Promise.all([this.run('getCount', key), this.run('getBlockTtl', key)]);
     return {
-      attempts: attempts.count,
+      attempts,
       maxAttempts: this.config.maxAttempts,
-      isBlocked,
-      timeUntilResetMs: Math.max(0, timeUntilReset),
-      timeUntilResetMinutes: Math.ceil(Math.max(0, timeUntilReset) / (60 * 1000))
+      isBlocked: blockTtlMs > 0,
+      timeUntilResetMs: blockTtlMs,
+      timeUntilResetMinutes: Math.ceil(blockTtlMs / (60 * 1000))
     };
   }
 
   /**
-   * Middleware Express pour la limitation de taux
+   * Middleware Express : chaque requête compte comme une tentative.
    * @param {Object} options - Options de configuration spécifiques pour ce middleware
    * @returns {Function} - Middleware Express
    */
   middleware(options = {}) {
-    const limiterInstance = new RateLimiter({ ...this.config, ...options }); // Crée une nouvelle instance avec options
-    
-    return (req, res, next) => {
-      // Pour les applications derrière un proxy/load balancer, utilisez req.ip si 'trust proxy' est activé
-      // Sinon, req.connection.remoteAddress ou req.socket.remoteAddress
-      const ip = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
-      
-      if (limiterInstance.isBlocked(ip)) {
-        const info = limiterInstance.getAttemptInfo(ip);
-        return res.status(429).json({
-          success: false,
-          message: `Trop de requêtes à partir de cette IP. Veuillez réessayer après ${info.timeUntilResetMinutes} minute(s).`,
-          retryAfter: info.timeUntilResetMinutes,
-          error: 'RATE_LIMIT_EXCEEDED'
-        });
-      }
-      
-      // Ajouter les informations de rate limiting à la requête (pour le débogage ou l'affichage)
-      req.rateLimitInfo = limiterInstance.getAttemptInfo(ip);
-      next();
-    };
-  }
-
-  reset(ip) {
-    this.rateLimitMap.delete(ip);
-  }
+    const limiterInstance = Object.keys(options).length ? new RateLimiter({ ...this.config, ...options }) : this;
+    const keyGenerator = limiterInstance.config.keyGenerator || getClientIp;
 
-  resetAll() {
-    this.rateLimitMap.clear();
-  }
+    return async (req, res, next) => {
+      const key = String(keyGenerator(req));
 
-  setupCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      const expiredKeys = [];
+      try {
+        const blocked = (await limiterInstance.isBlocked(key)) || (await limiterInstance.recordFailedAttempt(key)).blocked;
+        req.rateLimitInfo = await limiterInstance.getAttemptInfo(key);
 
-      for (const [ip, attempts] of this.rateLimitMap.entries()) {
-        if (now - attempts.timestamp > this.config.blockDurationMs) {
-          expiredKeys.push(ip);
+        if (blocked) {
+          const info = req.rateLimitInfo;
+          res.set('Retry-After', String(Math.ceil(info.timeUntilResetMs / 1000)));
+          return res.status(429).json({
+            success: false,
+            message: `${limiterInstance.config.message || 'Trop de requêtes à partir de cette IP.'} Veuillez réessayer après ${info.timeUntilResetMinutes} minute(s).`,
+            retryAfter: info.timeUntilResetMinutes,
+            error: 'RATE_LIMIT_EXCEEDED'
+          });
         }
+      } catch (error) {
+        // Une erreur de limitation ne doit pas bloquer l'API
+        console.error(`Rate Limiter (${limiterInstance.name}):`, error.message);
       }
 
-      expiredKeys.forEach(ip => this.rateLimitMap.delete(ip));
-      
-      if (expiredKeys.length > 0) {
-        console.log(`Rate Limiter: Nettoyage de ${expiredKeys.length} entrées expirées`);
-      }
-    }, this.config.cleanupIntervalMs);
+      next();
+    };
   }
 
-  getStats() {
-    const now = Date.now();
-    let blockedIPs = 0;
-    let totalAttempts = 0;
+  async reset(key) {
+    await Promise.all([
+      this.memoryStore.reset(key),
+      redisAvailable() ? withTimeout(this.redisStore.reset(key), RATE_LIMIT_CONFIG.REDIS_TIMEOUT_MS).catch(error => {
+        console.warn(`Rate Limiter (${this.name}): réinitialisation Redis impossible:`, error.message);
+      }) : null,
+    ]);
+  }
 
-    for (const [ip, attempts] of this.rateLimitMap.entries()) {
-      totalAttempts += attempts.count;
-      if (this.isBlocked(ip)) {
-        blockedIPs++;
-      }
+  /**
+   * Clés actuellement bloquées (Redis et mémoire).
+   * @returns {Promise<Array<{ key: string, ttlMs: number, store: string }>>}
+   */
+  async listBlocked() {
+    const memory = (await this.memoryStore.listBlocked()).map(entry => ({ ...entry, store: 'memory' }));
+    if (!redisAvailable()) return memory;
+
+    try {
+      const fromRedis = await withTimeout(this.redisStore.listBlocked(), RATE_LIMIT_CONFIG.REDIS_TIMEOUT_MS * 4);
+      return [...fromRedis.map(entry => ({ ...entry, store: 'redis' })), ...memory];
+    } catch (error) {
+      console.warn(`Rate Limiter (${this.name}): lecture Redis impossible:`, error.message);
+      return memory;
     }
+  }
 
+  async getStats() {
+    const blocked = await this.listBlocked();
     return {
-      totalIPs: this.rateLimitMap.size,
-      blockedIPs,
-      totalAttempts,
-      config: this.config
+      name: this.name,
+      blockedKeys: blocked.length,
+      config: {
+        maxAttempts: this.config.maxAttempts,
+        windowMs: this.config.windowMs,
+        blockDurationMs: this.config.blockDurationMs,
+      }
     };
   }
 }
 
-// Instance par défaut pour les paiements (si nécessaire)
-const paymentRateLimiter = new RateLimiter({
-  maxAttempts: 5, // Ex: 5 tentatives de paiement par heure
-  windowMs: 60 * 60 * 1000,
-  blockDurationMs: 60 * 60 * 1000,
-});
+/**
+ * Limiteurs nommés (politiques des routes et suivi des échecs de connexion).
+ * @returns {Map<string, RateLimiter>}
+ */
+export const getRateLimiters = () => registry;
 
-// ✅ Création et exportation des instances de middleware de rate limiting
-// Limiteur pour les API générales (plus permissif)
-export const apiLimiter = new RateLimiter({
-    maxAttempts: 100, // 100 requêtes par heure
-    windowMs: 60 * 60 * 1000,
-}).middleware(); // Utilisez .middleware() pour obtenir la fonction de middleware Express
+// Politique de limitation à partir de RATE_LIMIT_CONFIG
+const policy = (name, { MAX_REQUESTS, WINDOW_MINUTES, BLOCK_MINUTES }, extra = {}) => new RateLimiter({
+  name,
+  maxAttempts: MAX_REQUESTS,
+  windowMs: WINDOW_MINUTES * 60 * 1000,
+  blockDurationMs: BLOCK_MINUTES * 60 * 1000,
+  ...extra,
+}).middleware();
 
-// Limiteur pour l'authentification (plus strict)
-export const authLimiter = new RateLimiter({
-    maxAttempts: 5, // 5 tentatives de connexion/enregistrement par 15 minutes
-    windowMs: 15 * 60 * 1000,
-    blockDurationMs: 30 * 60 * 1000, // Bloque 30 minutes si le maxAttempts est dépassé
-}).middleware(); // Utilisez .middleware() pour obtenir la fonction de middleware Express
+// Clé par utilisateur connecté (routes placées après protect), par IP sinon
+const userOrIp = (req) => (req.user?._id ? `user:${req.user._id}` : getClientIp(req));
 
-// Export de l'instance par défaut (si d'autres modules l'utilisent directement)
-export default paymentRateLimiter; 
+// ✅ Politiques appliquées aux routes sensibles
+export const loginLimiter = policy('login', RATE_LIMIT_CONFIG.LOGIN, {
+  message: 'Trop de tentatives de connexion à partir de cette IP.',
+});
+export const forgotPasswordLimiter = policy('forgot-password', RATE_LIMIT_CONFIG.FORGOT_PASSWORD, {
+  message: 'Trop de demandes de réinitialisation à partir de cette IP.',
+});
+export const otpVerifyLimiter = policy('otp-verify', RATE_LIMIT_CONFIG.OTP_VERIFY, {
+  message: 'Trop de vérifications de code à partir de cette IP.',
+});
+export const registerLimiter = policy('register', RATE_LIMIT_CONFIG.REGISTER, {
+  message: 'Trop d\'inscriptions à partir de cette IP.',
+});
+export const bookingLimiter = policy('bookings', RATE_LIMIT_CONFIG.BOOKINGS, {
+  message: 'Trop de réservations créées.',
+  keyGenerator: userOrIp,
+});
+export const paymentInitiateLimiter = policy('payment-initiate', RATE_LIMIT_CONFIG.PAYMENT_INITIATE, {
+  message: 'Trop de paiements initiés.',
+  keyGenerator: userOrIp,
+});
 
 // Export de la classe elle-même (si vous voulez créer d'autres instances ailleurs)
-export { RateLimiter }; 
-
-// Export du rateLimitMap pour compatibilité avec le code existant
-export const rateLimitMap = paymentRateLimiter.rateLimitMap;
+export { RateLimiter };
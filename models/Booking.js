@@ -171,13 +171,132 @@ const BookingSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Détail du tarif calculé par le serveur (services/fareService.js)
+  fare: {
+    currency: { type: String, default: 'XOF' },
+    promoCode: { type: String, default: null },
+    items: [{
+      _id: false,
+      code: String,
+      label: String,
+      unitPrice: Number,
+      quantity: Number,
+      amount: Number
+    }],
+    discounts: [{
+      _id: false,
+      code: String,
+      label: String,
+      rate: Number,
+      amount: Number
+    }],
+    subtotal: Number,
+    discountTotal: { type: Number, default: 0 },
+    total: Number
+  },
   status: {
     type: String,
     enum: ['pending_payment', 'confirmed', 'cancelled', 'completed'],
     default: 'pending_payment'
   },
-  paymentId: {
-    type: String,
+  // Journal des changements de statut (voir services/bookingStateService.js)
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    actor: {
+      type: {
+        type: String,
+        enum: ['user', 'admin', 'operator', 'system', 'payment'],
+        required: true
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      }
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Remboursement dû à l'annulation, calculé selon la politique de la compagnie
+  refund: {
+    amountDue: Number,
+    rate: Number,
+    currency: String,
+    hoursBeforeDeparture: Number,
+    calculatedAt: Date
+  },
+  // Paiement de la réservation (voir services/paymentProviders)
+  payment: {
+    provider: {
+      type: String,
+      enum: ['paydunya', 'orange_money', 'mtn_momo', 'moov', 'wave', 'stub', null],
+      default: null
+    },
+    // Référence du paiement en cours chez le fournisseur (jeton de facture PayDunya, session Wave...)
+    invoiceToken: {
+      type: String,
+      default: null
+    },
+    transactionId: {
+      type: String,
+      default: null
+    },
+    // Montant effectivement encaissé
+    amount: {
+      type: Number,
+      default: null
+    },
+    currency: {
+      type: String,
+      default: 'XOF'
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    receiptUrl: {
+      type: String,
+      default: null
+    },
+    // Historique des tentatives : chaque initiation et chaque résultat connu du fournisseur
+    attempts: [{
+      _id: false,
+      provider: String,
+      invoiceToken: String,
+      status: {
+        type: String,
+        enum: ['initiated', 'completed', 'failed', 'cancelled']
+      },
+      amount: Number,
+      transactionId: String,
+      error: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Envoi de la confirmation (email, ou SMS sans email) : une réservation n'est confirmée au client qu'une fois
+  confirmationSentAt: {
+    type: Date,
+    default: null
+  },
+  // Envoi du rappel avant le départ (services/notificationService.js)
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  // Fin du blocage des sièges : passé ce délai sans paiement, la réservation est annulée
+  holdExpiresAt: {
+    type: Date,
     default: null
   },
   bookingReference: {
@@ -186,6 +305,19 @@ const BookingSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Recherche des réservations par référence de paiement (webhooks, vérification du statut)
+BookingSchema.index(
+  { 'payment.invoiceToken': 1 },
+  { unique: true, partialFilterExpression: { 'payment.invoiceToken': { $type: 'string' } } }
+);
+
+// Réservations confirmées à rappeler avant le départ
+BookingSchema.index({ status: 1, reminderSentAt: 1, 'outboundRouteSnapshot.departureDate': 1 });
+
+// Réservations d'une compagnie (portail opérateur), par trajet aller ou retour
+BookingSchema.index({ 'outboundRouteSnapshot.companyName.id': 1, 'outboundRouteSnapshot.departureDate': 1 });
+BookingSchema.index({ 'returnRouteSnapshot.companyName.id': 1, 'returnRouteSnapshot.departureDate': 1 });
+
 // Générer une référence de réservation unique avant la sauvegarde
 BookingSchema.pre('save', function(next) {
   if (!this.bookingReference) {
@@ -25,9 +25,17 @@ const BusSchema = new mongoose.Schema({
   amenities: {
     type: [String],
     default: []
+  },
+  // Compagnie propriétaire : le générateur n'affecte que ses bus à ses départs
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
   }
 }, { timestamps: true });
 
+BusSchema.index({ company: 1 });
+
 const Bus = mongoose.model('Bus', BusSchema);
 
 export default Bus
\ No newline at end of file
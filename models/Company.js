@@ -49,6 +49,25 @@ const CompanySchema = new mongoose.Schema(
         max: 180,
       },
     },
+    // Politique d'annulation : taux remboursé selon le délai avant départ (vide = politique par défaut)
+    cancellationPolicy: {
+      tiers: [
+        {
+          _id: false,
+          minHoursBeforeDeparture: {
+            type: Number,
+            required: true,
+            min: 0,
+          },
+          refundRate: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 1,
+          },
+        },
+      ],
+    },
   },
   { timestamps: true }
 );
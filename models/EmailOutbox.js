@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+// File d'envoi des emails : chaque email est rendu puis enregistré ici,
+// et envoyé en arrière-plan avec relances (services/emailOutboxService.js).
+const EmailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  // Modèle utilisé pour le rendu (templates/emails/<template>/v<version>.<locale>.js)
+  template: {
+    type: String,
+    required: true
+  },
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+  locale: {
+    type: String,
+    enum: ['fr', 'en'],
+    default: 'fr'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  attachments: [{
+    _id: false,
+    filename: String,
+    contentType: String,
+    content: Buffer
+  }],
+  // Clé d'unicité optionnelle : un même email n'est mis en file qu'une fois (ex: confirmation d'une réservation)
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Prochain envoi (null : aucun envoi prévu, l'email est envoyé ou abandonné)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailOutboxSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+EmailOutboxSchema.index({ booking: 1 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', EmailOutboxSchema);
+
+export default EmailOutbox;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { OTP_CONFIG } from '../config/routeConfig.js';
+
+// Codes à usage unique envoyés par SMS (services/otpService.js). Seule l'empreinte
+// du code est enregistrée ; l'historique sert à limiter les envois par numéro.
+const OtpCodeSchema = new mongoose.Schema({
+  // Numéro au format international (+225XXXXXXXXXX)
+  phone: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'phone_verification'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  // Code remplacé par un envoi plus récent ou épuisé
+  invalidatedAt: {
+    type: Date,
+    default: null
+  },
+  sms: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsMessage',
+    default: null
+  }
+}, { timestamps: true });
+
+OtpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+OtpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: OTP_CONFIG.RETENTION_HOURS * 60 * 60 });
+
+const OtpCode = mongoose.model('OtpCode', OtpCodeSchema);
+
+export default OtpCode;
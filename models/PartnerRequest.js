@@ -12,6 +12,12 @@ const partnerRequestSchema = new mongoose.Schema(
       enum: ["pending", "approved", "rejected"],
       default: "pending",
     },
+    // Compagnie créée à l'approbation, à laquelle sont rattachés les comptes opérateurs
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      default: null,
+    },
   },
   { timestamps: true }
 );
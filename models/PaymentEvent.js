@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Journal des notifications (webhooks) reçues des fournisseurs de paiement.
+// Chaque notification est conservée telle que reçue, avec le résultat de la vérification de signature,
+// puis traitée une seule fois par référence de paiement (token de facture PayDunya, etc.).
+const PaymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Référence du paiement chez le fournisseur (token de facture pour PayDunya)
+  reference: {
+    type: String,
+    default: null
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  signatureValid: {
+    type: Boolean,
+    required: true
+  },
+  signatureError: {
+    type: String,
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'duplicate', 'ignored', 'failed', 'rejected'],
+    default: 'received'
+  },
+  // Résultat du traitement, ex: 'booking_confirmed', 'payment_cancelled'
+  outcome: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Prochaine relance automatique (null : aucune relance prévue)
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  replayedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+PaymentEventSchema.index({ provider: 1, reference: 1, status: 1 });
+PaymentEventSchema.index({ status: 1, nextAttemptAt: 1 });
+PaymentEventSchema.index({ booking: 1 });
+PaymentEventSchema.index({ createdAt: -1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', PaymentEventSchema);
+
+export default PaymentEvent;
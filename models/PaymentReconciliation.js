@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import { PAYMENT_RECONCILIATION_CONFIG } from '../config/routeConfig.js';
+
+// Rapport d'un rapprochement des réservations avec les fournisseurs de paiement
+const PaymentReconciliationSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['cron', 'manual'],
+    default: 'cron'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // Nombre de réservations vérifiées auprès du fournisseur
+  checked: {
+    type: Number,
+    default: 0
+  },
+  // Réservations payées restées en attente, confirmées par le rapprochement
+  fixed: {
+    type: Number,
+    default: 0
+  },
+  // Fournisseur injoignable ou erreur de vérification
+  failures: {
+    type: Number,
+    default: 0
+  },
+  discrepancies: [{
+    _id: false,
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    bookingReference: String,
+    provider: String,
+    invoiceToken: String,
+    type: {
+      type: String,
+      enum: [
+        'paid_but_pending', // Paiement abouti, réservation restée en attente
+        'paid_but_cancelled', // Paiement abouti, réservation annulée (à rembourser)
+        'confirmed_without_payment', // Réservation confirmée sans paiement enregistré
+        'confirmed_without_completed_invoice', // Réservation confirmée, paiement non abouti chez le fournisseur
+        'amount_mismatch', // Montant encaissé différent du prix de la réservation
+        'provider_error' // Vérification impossible auprès du fournisseur
+      ]
+    },
+    bookingStatus: String,
+    providerStatus: String,
+    expectedAmount: Number,
+    paidAmount: Number,
+    // Correction appliquée : 'confirmed' si la réservation a été confirmée, null si intervention manuelle
+    action: {
+      type: String,
+      default: null
+    },
+    message: String
+  }]
+}, { timestamps: true });
+
+PaymentReconciliationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: PAYMENT_RECONCILIATION_CONFIG.REPORT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const PaymentReconciliation = mongoose.model('PaymentReconciliation', PaymentReconciliationSchema);
+
+export default PaymentReconciliation;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Règle de tarification appliquée par le générateur de trajets (services/pricingService.js)
+const PricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['peak_hours', 'weekend', 'holiday', 'company'],
+    required: true
+  },
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // peak_hours : plages horaires de départ [start, end[
+  timeRanges: [{
+    _id: false,
+    start: { type: String, match: [TIME_REGEX, 'Heure invalide (HH:mm)'] },
+    end: { type: String, match: [TIME_REGEX, 'Heure invalide (HH:mm)'] }
+  }],
+  // weekend : jours de la semaine (0 = dimanche, 6 = samedi)
+  daysOfWeek: {
+    type: [Number],
+    default: []
+  },
+  // holiday : dates fixes 'MM-DD' ou ponctuelles 'YYYY-MM-DD'
+  dates: {
+    type: [String],
+    default: []
+  },
+  // company : compagnie concernée
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { timestamps: true });
+
+PricingRuleSchema.index({ type: 1, isActive: 1 });
+
+const PricingRule = mongoose.model('PricingRule', PricingRuleSchema);
+
+export default PricingRule;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Registre des remboursements : un remboursement par réservation annulée avec un montant dû.
+// Le versement passe par le fournisseur du paiement d'origine (services/paymentProviders).
+const RefundSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Transaction du paiement initial remboursé
+  transactionId: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'processing', 'succeeded', 'failed'],
+    default: 'pending_approval'
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  // Compte mobile money qui reçoit le versement
+  destination: {
+    phone: String,
+    withdrawMode: String
+  },
+  providerReference: {
+    type: String,
+    default: null
+  },
+  attempts: [{
+    _id: false,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    status: String,
+    providerReference: String,
+    error: String
+  }],
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+RefundSchema.index({ booking: 1 }, { unique: true });
+RefundSchema.index({ status: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', RefundSchema);
+
+export default Refund;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Rôle du back-office et ses permissions (config/permissions.js).
+// User.role contient le nom du rôle.
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Nom de rôle invalide (lettres minuscules, chiffres et _).']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // Rôle par défaut : ne peut pas être supprimé
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+const Role = mongoose.model('Role', RoleSchema);
+
+export default Role;
@@ -63,6 +63,29 @@ const RouteSchema = new mongoose.Schema({
   popular: {
     type: Boolean,
     default: false
+  },
+  // Modèle de ligne dont est issu le trajet (null pour un trajet créé manuellement)
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RouteTemplate',
+    default: null
+  },
+  // Sens du départ par rapport au modèle (aller ou retour), null pour un trajet manuel
+  direction: {
+    type: String,
+    enum: ['outbound', 'return', null],
+    default: null
+  },
+  // Traçabilité du prix calculé par le générateur (règles de tarification appliquées)
+  pricing: {
+    basePrice: Number,
+    appliedRules: [{
+      _id: false,
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule', default: null },
+      name: String,
+      type: { type: String },
+      multiplier: Number
+    }]
   }
 }, { timestamps: true });
 
@@ -70,6 +93,11 @@ const RouteSchema = new mongoose.Schema({
 RouteSchema.index({ from: 1, to: 1, departureDate: 1 });
 // Index sur companyName pour les filtres compagnies
 RouteSchema.index({ companyName: 1 });
+// Clé naturelle des départs générés : une seule occurrence par modèle, compagnie, date, heure et sens
+RouteSchema.index(
+  { template: 1, companyName: 1, departureDate: 1, departureTime: 1, direction: 1 },
+  { unique: true, partialFilterExpression: { template: { $type: 'objectId' } } }
+);
 
 const Route = mongoose.model('Route', RouteSchema);
 
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Modèle de ligne à partir duquel le générateur crée les trajets quotidiens (cron/RouteGenerator.js)
+const RouteTemplateSchema = new mongoose.Schema({
+  fromCity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+    required: true
+  },
+  toCity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+    required: true
+  },
+  schedules: {
+    type: [{
+      departureTime: {
+        type: String,
+        required: true,
+        match: [TIME_REGEX, 'Heure de départ invalide (HH:mm)']
+      },
+      arrivalTime: {
+        type: String,
+        required: true,
+        match: [TIME_REGEX, 'Heure d\'arrivée invalide (HH:mm)']
+      },
+      duration: {
+        type: String,
+        required: true
+      },
+      // Compagnies qui assurent ce départ (vide = compagnies de la ligne)
+      companies: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company'
+      }]
+    }],
+    validate: {
+      validator: (schedules) => schedules.length > 0,
+      message: 'Au moins un horaire est requis.'
+    }
+  },
+  basePrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  stops: {
+    type: [String],
+    default: []
+  },
+  amenities: {
+    type: [String],
+    default: []
+  },
+  features: {
+    type: [String],
+    default: []
+  },
+  // Compagnies qui opèrent la ligne (vide = toutes les compagnies)
+  companies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  }],
+  isPopularRoute: {
+    type: Boolean,
+    default: false
+  },
+  // Générer aussi le trajet retour avec les mêmes horaires
+  generateReturn: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Compagnie propriétaire d'une ligne créée depuis le portail opérateur (null = ligne de la plateforme)
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  }
+}, { timestamps: true });
+
+RouteTemplateSchema.index({ fromCity: 1, toCity: 1 });
+RouteTemplateSchema.index({ company: 1 });
+
+const RouteTemplate = mongoose.model('RouteTemplate', RouteTemplateSchema);
+
+export default RouteTemplate;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Inventaire des sièges : un document par siège occupé sur un trajet donné.
+// L'index unique (route, seatNumber) garantit qu'un siège ne peut être pris qu'une seule fois.
+// Un siège 'held' est bloqué temporairement en attendant le paiement et expire à `expiresAt`.
+const SeatReservationSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  seatNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['held', 'booked'],
+    default: 'booked'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+SeatReservationSchema.index({ route: 1, seatNumber: 1 }, { unique: true });
+// Index pour libérer rapidement les sièges d'une réservation
+SeatReservationSchema.index({ booking: 1 });
+// Index pour retrouver les blocages expirés
+SeatReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const SeatReservation = mongoose.model('SeatReservation', SeatReservationSchema);
+
+export default SeatReservation;
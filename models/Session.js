@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Session de connexion : une famille de refresh tokens (services/sessionService.js).
+// Chaque rotation remplace le token courant ; la présentation d'un ancien token
+// révèle un vol et révoque toute la session.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Empreinte SHA-256 du refresh token courant
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Empreintes des tokens déjà remplacés
+  usedTokenHashes: {
+    type: [String],
+    default: []
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'admin', 'token_reuse', 'password_reset', 'password_change', 'banned', 'deleted', null],
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+SessionSchema.index({ tokenHash: 1 }, { unique: true });
+SessionSchema.index({ usedTokenHashes: 1 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Suppression des sessions une fois expirées
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+export default Session;
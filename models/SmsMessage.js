@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+// File d'envoi des SMS, avec le suivi de remise transmis par le fournisseur
+// (services/smsService.js).
+const SmsMessageSchema = new mongoose.Schema({
+  // Numéro au format international (+225XXXXXXXXXX)
+  to: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // Modèle utilisé pour le rendu (templates/sms/<template>/v<version>.<locale>.js)
+  template: {
+    type: String,
+    required: true
+  },
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+  locale: {
+    type: String,
+    enum: ['fr', 'en'],
+    default: 'fr'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  // Un même SMS n'est mis en file qu'une fois par clé (ex: confirmation d'une réservation)
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // pending → sending → sent (accepté par le fournisseur) → delivered, ou failed
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+SmsMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+SmsMessageSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+SmsMessageSchema.index({ provider: 1, providerMessageId: 1 });
+SmsMessageSchema.index({ booking: 1 });
+
+const SmsMessage = mongoose.model('SmsMessage', SmsMessageSchema);
+
+export default SmsMessage;
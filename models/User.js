@@ -66,17 +66,37 @@ const userSchema = new mongoose.Schema({
       message: 'Le mot de passe ne peut pas contenir "password"'
     }
   },
+  // Langue des emails et notifications
+  language: {
+    type: String,
+    enum: ['fr', 'en'],
+    default: 'fr'
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   loginAttempts: { type: Number, default: 0 },
   lockUntil: { type: Date },
 
+  // 'user' pour les clients, sinon un rôle du personnel (models/Role.js)
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    trim: true
+  },
+  // Compagnie d'un compte opérateur : toutes ses requêtes /api/operator sont limitées à cette compagnie
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
   },
   isBanned: { type: Boolean, default: false },
   passwordResetToken: String,
@@ -97,20 +117,32 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Méthode pour générer un jeton de réinitialisation de mot de passe
-userSchema.methods.getResetPasswordToken = function() {
+// Méthode pour générer un jeton de réinitialisation de mot de passe (valable 1h par défaut)
+userSchema.methods.getResetPasswordToken = function(expiresInMs = 60 * 60 * 1000) {
   const resetToken = crypto.randomBytes(20).toString('hex');
   this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-  this.passwordResetExpires = Date.now() + 60 * 60 * 1000;
+  this.passwordResetExpires = Date.now() + expiresInMs;
 
   return resetToken;
 };
 
+// Méthode pour générer un jeton de vérification de l'adresse email
+userSchema.methods.getEmailVerificationToken = function(expiresInMs) {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = Date.now() + expiresInMs;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
   return user;
 };
 
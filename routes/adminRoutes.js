@@ -1,6 +1,6 @@
 // src/routes/adminRoutes.js
 import express from 'express';
-import { protect, authorizeRoles } from '../middlewares/authMiddleware.js';
+import { protect, authorizePermission } from '../middlewares/authMiddleware.js';
 
 // Importation des contrôleurs administratifs
 import {
@@ -11,6 +11,8 @@ import {
     deleteUser,
     getUsersCount,
     toggleUserBan,
+    getUserSessionsAdmin,
+    revokeUserSessions,
 } from '../controllers/adminUserController.js';
 
 import {
@@ -39,6 +41,7 @@ import {
     deleteBooking,
     deleteOldBookings,
     getBookingCounts,
+    getBookingHistory,
 } from '../controllers/adminBookingController.js';
 
 import {
@@ -49,6 +52,9 @@ import {
   createCompany,
   updateCompany,
   deleteCompany,
+  getCompanyOperators,
+  addCompanyOperator,
+  removeCompanyOperator,
 } from '../controllers/adminCompanyController.js';
 
 import {
@@ -64,7 +70,8 @@ import{
     generateRoutes,
     cleanupRoutes,
     getRoutesStats,
-    clearAllRoutes
+    clearAllRoutes,
+    reconcileSeats
 } from '../controllers/adminCronController.js';
 
 import {
@@ -77,92 +84,203 @@ getPartnersCount,
   updatePartner
 } from "../controllers/adminPartnerController.js";
 
+import {
+    getPricingRules,
+    createPricingRule,
+    updatePricingRule,
+    deletePricingRule,
+    resetPricingRules,
+    previewPricing,
+} from '../controllers/adminPricingController.js';
+
+import {
+    getRouteTemplates,
+    getRouteTemplateById,
+    createRouteTemplate,
+    updateRouteTemplate,
+    deleteRouteTemplate,
+    importRouteTemplates,
+} from '../controllers/adminRouteTemplateController.js';
+
+import {
+    getRefunds,
+    getRefundById,
+    approveRefund,
+    retryRefund,
+    reconcileRefunds,
+} from '../controllers/adminRefundController.js';
+
+import {
+    getPaymentEvents,
+    getPaymentEventById,
+    replayPaymentEvent,
+    retryFailedPaymentEvents,
+} from '../controllers/adminPaymentEventController.js';
+
+import {
+    getPaymentReconciliation,
+    runPaymentReconciliation,
+} from '../controllers/adminPaymentController.js';
+
+import {
+    getRateLimits,
+    unblockRateLimitKey,
+} from '../controllers/adminRateLimitController.js';
+
+import {
+    getRoles,
+    getMyPermissions,
+    createRole,
+    updateRole,
+    deleteRole,
+} from '../controllers/adminRoleController.js';
+
 const router = express.Router();
 
-// Toutes les routes d'administration nécessitent la protection et le rôle 'admin'
-router.use(protect, authorizeRoles('admin'));
+// Toutes les routes d'administration nécessitent la protection ; chaque route déclare
+// ensuite la permission requise (config/permissions.js)
+router.use(protect);
+
+// --- Rôles et permissions (Admin) ---
+router.get('/permissions/me', getMyPermissions);
+router.route('/roles')
+    .get(authorizePermission('roles.read'), getRoles)
+    .post(authorizePermission('roles.manage'), createRole);
+router.route('/roles/:name')
+    .put(authorizePermission('roles.manage'), updateRole)
+    .delete(authorizePermission('roles.manage'), deleteRole);
 
 // --- Gestion des Utilisateurs (Admin) ---
 // IMPORTANT: Les routes spécifiques (/count) doivent être AVANT les routes avec paramètres (/:id)
-router.get('/users/count', getUsersCount);
+router.get('/users/count', authorizePermission('users.read'), getUsersCount);
 router.route('/users')
-    .post(createUser)
-    .get(getAllUsers);
+    .post(authorizePermission('users.manage'), createUser)
+    .get(authorizePermission('users.read'), getAllUsers);
 router.route('/users/:id')
-    .get(getUserById)
-    .put(updateUser)
-    .delete(deleteUser);
-router.post('/users/:id/toggle-ban', toggleUserBan);
+    .get(authorizePermission('users.read'), getUserById)
+    .put(authorizePermission('users.manage'), updateUser)
+    .delete(authorizePermission('users.delete'), deleteUser);
+router.post('/users/:id/toggle-ban', authorizePermission('users.manage'), toggleUserBan);
+router.get('/users/:id/sessions', authorizePermission('users.read'), getUserSessionsAdmin);
+router.post('/users/:id/revoke-sessions', authorizePermission('users.manage'), revokeUserSessions);
 
 // --- Gestion des Bus (Admin) ---
-router.get('/buses/count', getBusesCount); // Route spécifique AVANT /:id
+router.get('/buses/count', authorizePermission('buses.read'), getBusesCount); // Route spécifique AVANT /:id
 router.route('/buses')
-    .post(createBus)
-    .get(getAllBuses);
+    .post(authorizePermission('buses.manage'), createBus)
+    .get(authorizePermission('buses.read'), getAllBuses);
 router.route('/buses/:id')
-    .get(getBusById)
-    .put(updateBus)
-    .delete(deleteBus);
+    .get(authorizePermission('buses.read'), getBusById)
+    .put(authorizePermission('buses.manage'), updateBus)
+    .delete(authorizePermission('buses.delete'), deleteBus);
 
 // --- Gestion des Routes (Admin) ---
-router.get('/routes/count', getRoutesCount); // Route spécifique AVANT /:id
+router.get('/routes/count', authorizePermission('routes.read'), getRoutesCount); // Route spécifique AVANT /:id
+router.get('/routes/stats', authorizePermission('routes.read'), getRoutesStats); // Route spécifique AVANT /:id
+router.delete('/routes/clear', authorizePermission('routes.delete'), clearAllRoutes); // Route spécifique AVANT /:id
 router.route('/routes')
-    .post(createRoute)
-    .get(getAllRoutes);
+    .post(authorizePermission('routes.manage'), createRoute)
+    .get(authorizePermission('routes.read'), getAllRoutes);
 router.route('/routes/:id')
-    .get(getRouteByIdAdmin)
-    .put(updateRoute)
-    .delete(deleteRoute);
+    .get(authorizePermission('routes.read'), getRouteByIdAdmin)
+    .put(authorizePermission('routes.manage'), updateRoute)
+    .delete(authorizePermission('routes.delete'), deleteRoute);
 
 // --- Gestion des Réservations (Admin) ---
-router.get('/bookings/count', getBookingCounts);
+router.get('/bookings/count', authorizePermission('bookings.read'), getBookingCounts);
+router.delete('/bookings/old', authorizePermission('bookings.delete'), deleteOldBookings); // Route spécifique AVANT /:id
 router.route('/bookings')
-    .get(getAllBookingsAdmin);
+    .get(authorizePermission('bookings.read'), getAllBookingsAdmin);
+router.get('/bookings/:id/history', authorizePermission('bookings.read'), getBookingHistory);
 router.route('/bookings/:id')
-    .get(getBookingByIdAdmin)
-    .put(updateBookingStatusAdmin)
-    .delete(deleteBooking);
+    .get(authorizePermission('bookings.read'), getBookingByIdAdmin)
+    .put(authorizePermission('bookings.update', 'bookings.check_in'), updateBookingStatusAdmin) // Statut vérifié par le contrôleur
+    .delete(authorizePermission('bookings.delete'), deleteBooking);
+
+// --- Remboursements (Admin) ---
+router.post('/refunds/reconcile', authorizePermission('refunds.manage'), reconcileRefunds);
+router.get('/refunds', authorizePermission('refunds.read'), getRefunds);
+router.get('/refunds/:id', authorizePermission('refunds.read'), getRefundById);
+router.post('/refunds/:id/approve', authorizePermission('refunds.manage'), approveRefund);
+router.post('/refunds/:id/retry', authorizePermission('refunds.manage'), retryRefund);
 
-router.delete('/bookings/old', deleteOldBookings);
+// --- Notifications de paiement (Admin) ---
+router.post('/payment-events/retry', authorizePermission('payments.manage'), retryFailedPaymentEvents);
+router.get('/payment-events', authorizePermission('payments.read'), getPaymentEvents);
+router.get('/payment-events/:id', authorizePermission('payments.read'), getPaymentEventById);
+router.post('/payment-events/:id/replay', authorizePermission('payments.manage'), replayPaymentEvent);
+
+// --- Rapprochement des paiements (Admin) ---
+router.route('/payments/reconciliation')
+    .get(authorizePermission('payments.read'), getPaymentReconciliation)
+    .post(authorizePermission('payments.manage'), runPaymentReconciliation);
+
+// --- Limitation de débit (Admin) ---
+router.get('/rate-limits', authorizePermission('rate_limits.read'), getRateLimits);
+router.delete('/rate-limits/:policy/:key', authorizePermission('rate_limits.manage'), unblockRateLimitKey);
 
 // --- Revenus ---
-router.get('/revenue/total', getTotalRevenue);
+router.get('/revenue/total', authorizePermission('revenue.read'), getTotalRevenue);
 
 // --- Gestion des Compagnies (Admin) ---
 
 router.route('/companies')
-  .get(protect, authorizeRoles('admin'), getAllCompaniesAdmin)
-  .post(protect, authorizeRoles('admin'), createCompany);
+  .get(authorizePermission('companies.read'), getAllCompaniesAdmin)
+  .post(authorizePermission('companies.manage'), createCompany);
 // Route pour obtenir le nombre de compagnies
-router.get('/companies/count', protect, authorizeRoles('admin'), getCompaniesCount);
+router.get('/companies/count', authorizePermission('companies.read'), getCompaniesCount);
 router.route('/companies/:id')
-  .get(protect, authorizeRoles('admin'), getCompanyById)
-  .put(protect, authorizeRoles('admin'), updateCompany)
-  .delete(protect, authorizeRoles('admin'), deleteCompany);
+  .get(authorizePermission('companies.read'), getCompanyById)
+  .put(authorizePermission('companies.manage'), updateCompany)
+  .delete(authorizePermission('companies.delete'), deleteCompany);
+// Comptes opérateurs (portail /api/operator) : rattacher un compte lui attribue le rôle 'operator'
+router.route('/companies/:id/operators')
+  .get(authorizePermission('companies.read'), getCompanyOperators)
+  .post(authorizePermission('roles.manage'), addCompanyOperator);
+router.delete('/companies/:id/operators/:userId', authorizePermission('roles.manage'), removeCompanyOperator);
 
-router.get('/cities/count',protect, authorizeRoles('admin'), getCitiesCount); 
+router.get('/cities/count', authorizePermission('cities.read'), getCitiesCount);
 router.route('/cities')
-    .post(protect, authorizeRoles('admin'),createCity)
-    .get(protect, authorizeRoles('admin'),getCitiesAdmin);
+    .post(authorizePermission('cities.manage'), createCity)
+    .get(authorizePermission('cities.read'), getCitiesAdmin);
 router.route('/cities/:id')
-    .get(protect, authorizeRoles('admin'),getCityById)
-    .put(protect, authorizeRoles('admin'),updateCity)
-    .delete(protect,authorizeRoles('admin'),deleteCity);
+    .get(authorizePermission('cities.read'), getCityById)
+    .put(authorizePermission('cities.manage'), updateCity)
+    .delete(authorizePermission('cities.delete'), deleteCity);
 
 // --- Gestion des Cron Jobs (Admin) ---
-router.get('/cron/status', getsCronStatus);
-router.post('/routes/generate', generateRoutes);
-router.post('/routes/cleanup', cleanupRoutes);
-router.get('/routes/stats', getRoutesStats);
-router.delete('/routes/clear', clearAllRoutes);
+router.get('/cron/status', authorizePermission('cron.read'), getsCronStatus);
+router.post('/routes/generate', authorizePermission('routes.manage'), generateRoutes);
+router.post('/routes/cleanup', authorizePermission('routes.delete'), cleanupRoutes);
+router.post('/routes/reconcile-seats', authorizePermission('routes.manage'), reconcileSeats);
+
+// --- Modèles de trajets (Admin) ---
+router.post('/route-templates/import', authorizePermission('route_templates.manage'), importRouteTemplates);
+router.route('/route-templates')
+    .get(authorizePermission('routes.read'), getRouteTemplates)
+    .post(authorizePermission('route_templates.manage'), createRouteTemplate);
+router.route('/route-templates/:id')
+    .get(authorizePermission('routes.read'), getRouteTemplateById)
+    .put(authorizePermission('route_templates.manage'), updateRouteTemplate)
+    .delete(authorizePermission('route_templates.manage'), deleteRouteTemplate);
+
+// --- Règles de tarification (Admin) ---
+router.post('/pricing-rules/reset', authorizePermission('pricing.manage'), resetPricingRules);
+router.post('/pricing-rules/preview', authorizePermission('pricing.read'), previewPricing);
+router.route('/pricing-rules')
+    .get(authorizePermission('pricing.read'), getPricingRules)
+    .post(authorizePermission('pricing.manage'), createPricingRule);
+router.route('/pricing-rules/:id')
+    .put(authorizePermission('pricing.manage'), updatePricingRule)
+    .delete(authorizePermission('pricing.manage'), deletePricingRule);
 
 // --- Gestion des Partenaires (Admin) ---
-router.get("/partners/count", protect, authorizeRoles('admin') ,getPartnersCount);
-router.get("/partners", protect, authorizeRoles('admin') ,getAllPartners);
-router.post("/partners", protect, authorizeRoles('admin') ,addPartnerDirectly);
-router.put("/partners/i=:id", protect, authorizeRoles('admin'),updatePartner);
-router.put("/partners/:id/approve", protect, authorizeRoles('admin') ,approvePartner);
-router.put("/partners/:id/reject", protect, authorizeRoles('admin') ,rejectPartner);
-router.delete("/partners/:id", protect, authorizeRoles('admin') ,deletePartner);
-
-export default router;
\ No newline at end of file
+router.get("/partners/count", authorizePermission('partners.read'), getPartnersCount);
+router.get("/partners", authorizePermission('partners.read'), getAllPartners);
+router.post("/partners", authorizePermission('partners.manage'), addPartnerDirectly);
+router.put("/partners/i=:id", authorizePermission('partners.manage'), updatePartner);
+router.put("/partners/:id/approve", authorizePermission('partners.manage'), approvePartner);
+router.put("/partners/:id/reject", authorizePermission('partners.manage'), rejectPartner);
+router.delete("/partners/:id", authorizePermission('partners.delete'), deletePartner);
+
+export default router;
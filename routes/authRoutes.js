@@ -9,23 +9,42 @@ import {
     updateUserProfile,
     forgotPassword,   
     resetPassword,    
+    verifyResetOtp,
+    sendEmailVerificationLink,
+    verifyEmail,
+    sendPhoneVerificationCode,
+    verifyPhone,
+    getUserSessions,
+    deleteUserSession,
     
 } from '../controllers/authController.js';
 import { protect, authorizeRoles } from '../middlewares/authMiddleware.js';
+import { forgotPasswordLimiter, loginLimiter, otpVerifyLimiter, registerLimiter } from '../middlewares/rateLimiter.js';
 
 const router = express.Router();
 
 // --- Routes d'Authentification (accessibles via /api/users/...) ---
 // Ces chemins sont définis ici et seront préfixés par '/api' lors du montage dans app.js
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+router.post('/register', registerLimiter, registerUser);
+router.post('/login', loginLimiter, loginUser);
 router.post('/logout', logoutUser); // POST pour effacer le cookie de manière sécurisée
 router.post('/refresh', refreshAccessToken); // POST pour rafraîchir le token
 
 // Routes de réinitialisation de mot de passe (NOUVEAU)
-router.post('/forgot-password', forgotPassword);        // Demande de lien de réinitialisation
+router.post('/forgot-password', forgotPasswordLimiter, forgotPassword); // Demande de lien (email) ou de code SMS (téléphone)
+router.post('/forgot-password/verify-otp', otpVerifyLimiter, verifyResetOtp); // Échange du code SMS contre un jeton de réinitialisation
 router.put('/reset-password/:token', resetPassword);    // Soumission du nouveau mot de passe
 
+// Vérification des moyens de contact
+router.post('/verification/email/send', protect, sendEmailVerificationLink); // (Re)envoi du lien de vérification
+router.get('/verification/email/:token', verifyEmail);                       // Lien reçu par email
+router.post('/verification/phone/send', protect, sendPhoneVerificationCode); // (Re)envoi du code SMS
+router.post('/verification/phone/verify', protect, otpVerifyLimiter, verifyPhone); // Saisie du code SMS
+
+// Sessions de connexion (appareils connectés)
+router.get('/sessions', protect, getUserSessions);
+router.delete('/sessions/:id', protect, deleteUserSession);
+
 router.route('/profile')
     .get(protect, getUserProfile) // Obtenir le profil de l'utilisateur connecté
     .put(protect, updateUserProfile); // Mettre à jour le profil de l'utilisateur connecté
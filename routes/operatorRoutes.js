@@ -0,0 +1,79 @@
+// src/routes/operatorRoutes.js
+import express from 'express';
+import { protect, authorizePermission, requireOperatorCompany } from '../middlewares/authMiddleware.js';
+
+import {
+    getOperatorBuses,
+    getOperatorBusById,
+    createOperatorBus,
+    updateOperatorBus,
+    deleteOperatorBus,
+} from '../controllers/operatorBusController.js';
+
+import {
+    getOperatorRoutes,
+    getOperatorRouteById,
+    createOperatorRoute,
+    updateOperatorRoute,
+    deleteOperatorRoute,
+    getRouteManifest,
+} from '../controllers/operatorRouteController.js';
+
+import {
+    getOperatorSchedules,
+    getOperatorScheduleById,
+    createOperatorSchedule,
+    updateOperatorSchedule,
+    deleteOperatorSchedule,
+} from '../controllers/operatorScheduleController.js';
+
+import {
+    getOperatorBookings,
+    getOperatorBookingById,
+    updateOperatorBookingStatus,
+    getOperatorRevenue,
+} from '../controllers/operatorBookingController.js';
+
+const router = express.Router();
+
+// Portail des compagnies : compte rattaché à une compagnie (req.company), chaque route déclare
+// sa permission et chaque requête est limitée aux données de cette compagnie
+router.use(protect, requireOperatorCompany);
+
+// --- Bus (Opérateur) ---
+router.route('/buses')
+    .get(authorizePermission('operator.buses'), getOperatorBuses)
+    .post(authorizePermission('operator.buses'), createOperatorBus);
+router.route('/buses/:id')
+    .get(authorizePermission('operator.buses'), getOperatorBusById)
+    .put(authorizePermission('operator.buses'), updateOperatorBus)
+    .delete(authorizePermission('operator.buses'), deleteOperatorBus);
+
+// --- Trajets (Opérateur) ---
+router.route('/routes')
+    .get(authorizePermission('operator.routes'), getOperatorRoutes)
+    .post(authorizePermission('operator.routes'), createOperatorRoute);
+router.get('/routes/:id/manifest', authorizePermission('operator.reports'), getRouteManifest);
+router.route('/routes/:id')
+    .get(authorizePermission('operator.routes'), getOperatorRouteById)
+    .put(authorizePermission('operator.routes'), updateOperatorRoute)
+    .delete(authorizePermission('operator.routes'), deleteOperatorRoute);
+
+// --- Lignes et horaires (Opérateur) ---
+router.route('/schedules')
+    .get(authorizePermission('operator.schedules'), getOperatorSchedules)
+    .post(authorizePermission('operator.schedules'), createOperatorSchedule);
+router.route('/schedules/:id')
+    .get(authorizePermission('operator.schedules'), getOperatorScheduleById)
+    .put(authorizePermission('operator.schedules'), updateOperatorSchedule)
+    .delete(authorizePermission('operator.schedules'), deleteOperatorSchedule);
+
+// --- Réservations (Opérateur) ---
+router.get('/bookings', authorizePermission('operator.bookings'), getOperatorBookings);
+router.get('/bookings/:id', authorizePermission('operator.bookings'), getOperatorBookingById);
+router.put('/bookings/:id/status', authorizePermission('operator.bookings'), updateOperatorBookingStatus);
+
+// --- Revenus (Opérateur) ---
+router.get('/revenue', authorizePermission('operator.reports'), getOperatorRevenue);
+
+export default router;
@@ -1,27 +1,41 @@
 // src/routes/paymentRoutes.js
 import express from 'express';
-import { protect } from '../middlewares/authMiddleware.js';
+import { protect, requireVerifiedContact } from '../middlewares/authMiddleware.js';
+import { paymentInitiateLimiter } from '../middlewares/rateLimiter.js';
 import {
-  initiatePaydunyaPayment,
-  paydunyaWebhook,
-  handlePaydunyaCallback, 
-  checkPaydunyaPaymentStatus,
+  getPaymentProviders,
+  initiatePayment,
+  paymentWebhook,
+  handlePaymentCallback,
+  checkPaymentStatus,
 } from '../controllers/paymentController.js';
 
 const router = express.Router();
 
-// Route pour initier un paiement Paydunya
-router.post('/initiate', protect, initiatePaydunyaPayment);
+// Moyens de paiement configurés
+router.get('/providers', getPaymentProviders);
 
-// Route pour le webhook de Paydunya (POST - appelé par PayDunya)
-router.post('/paydunya-webhook', paydunyaWebhook);
+// Route pour initier un paiement (fournisseur dans le corps, PayDunya par défaut)
+router.post('/initiate', protect, paymentInitiateLimiter, requireVerifiedContact('payment'), initiatePayment);
 
-// Routes pour le callback de Paydunya (GET - redirection utilisateur après paiement)
-// Support de deux formats d'URL pour plus de flexibilité
-router.get('/paydunya-callback', handlePaydunyaCallback);
-router.get('/paydunya-callback/:bookingId', handlePaydunyaCallback);
+// Anciennes URLs PayDunya, conservées pour les paiements déjà initiés
+router.post('/paydunya-webhook', paymentWebhook);
+router.get('/paydunya-callback', handlePaymentCallback);
+router.get('/paydunya-callback/:bookingId', handlePaymentCallback);
+router.get('/check-status/:invoiceToken', protect, checkPaymentStatus);
 
-// Route pour vérifier le statut de paiement après redirection du frontend
-router.get('/check-status/:invoiceToken', protect, checkPaydunyaPaymentStatus);
+// Routes par fournisseur : /api/payment/:provider/...
+router.post('/:provider/initiate', protect, paymentInitiateLimiter, requireVerifiedContact('payment'), initiatePayment);
 
-export default router;
\ No newline at end of file
+// Webhook du fournisseur (POST - appelé par le fournisseur)
+router.post('/:provider/webhook', paymentWebhook);
+router.post('/:provider/webhook/:bookingId', paymentWebhook);
+
+// Retour du client après paiement (GET - redirection utilisateur)
+router.get('/:provider/callback', handlePaymentCallback);
+router.get('/:provider/callback/:bookingId', handlePaymentCallback);
+
+// Vérification du statut après redirection du frontend
+router.get('/:provider/status/:reference', protect, checkPaymentStatus);
+
+export default router;
@@ -0,0 +1,10 @@
+// src/routes/smsRoutes.js
+import express from 'express';
+import { handleSmsDeliveryReport } from '../controllers/smsController.js';
+
+const router = express.Router();
+
+// Accusés de réception des fournisseurs SMS
+router.post('/:provider/delivery', handleSmsDeliveryReport);
+
+export default router;
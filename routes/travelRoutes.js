@@ -1,6 +1,7 @@
 // src/routes/travelRoutes.js
 import express from 'express';
-import { protect, authorizeRoles } from '../middlewares/authMiddleware.js';
+import { protect, authorizePermission, requireVerifiedContact } from '../middlewares/authMiddleware.js';
+import { bookingLimiter } from '../middlewares/rateLimiter.js';
 import {
   searchRoutes,
   getBusLayout,
@@ -8,6 +9,7 @@ import {
   getUserBookings,
   getBookingById,
   updateBookingStatus,
+  getCancellationQuote,
   getAllBookings,
   getBookingCounts,
   getRouteById,
@@ -22,6 +24,7 @@ import {
   getArrivalCities, 
   getAllCities,
   getDepartureCities,
+  getFareQuote,
   hybridCache
 } from '../controllers/travelController.js';
 
@@ -41,17 +44,19 @@ router.get('/bookings/:id/track', trackBooking);
 router.get('/cities/arrival', getArrivalCities);
 router.get('/cities/all',hybridCache(7200), getAllCities);
 router.get('/cities/departure', getDepartureCities); 
+router.post('/quote', getFareQuote);
 
 // Routes protégées pour les utilisateurs authentifiés
-router.post('/bookings', protect, createBooking);
+router.post('/bookings', protect, bookingLimiter, requireVerifiedContact('booking'), createBooking);
 router.get('/bookings/my', protect, getUserBookings);
 router.get('/bookings/:id', protect, getBookingById);
+router.get('/bookings/:id/cancellation-quote', protect, getCancellationQuote);
 router.put('/bookings/:id/status', protect, updateBookingStatus);
 router.get('/bookings/:id/ticket', protect, downloadTicket);
 
-// Routes protégées pour les administrateurs
-router.get('/admin/bookings', protect, authorizeRoles('admin'), getAllBookings);
-router.get('/admin/bookings/count', protect, authorizeRoles('admin'), getBookingCounts);
+// Routes protégées pour le personnel
+router.get('/admin/bookings', protect, authorizePermission('bookings.read'), getAllBookings);
+router.get('/admin/bookings/count', protect, authorizePermission('bookings.read'), getBookingCounts);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,170 @@
+// src/services/authPolicyService.js
+// Politique d'authentification commune à la connexion et aux requêtes authentifiées :
+// verrouillage des comptes, délais progressifs, bannissement et suppression,
+// suivi des échecs par IP et par compte (RateLimiter de middlewares/rateLimiter.js).
+import { RateLimiter } from '../middlewares/rateLimiter.js';
+import { AUTH_POLICY_CONFIG } from '../config/routeConfig.js';
+
+/**
+ * Refus d'authentification : porte le code HTTP à renvoyer.
+ */
+export class AuthPolicyError extends Error {
+  constructor(message, statusCode = 401, details = {}) {
+    super(message);
+    this.name = 'AuthPolicyError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Échecs de connexion par IP, tous comptes confondus
+const ipFailures = new RateLimiter({
+  name: 'login-failures-ip',
+  maxAttempts: AUTH_POLICY_CONFIG.IP_MAX_FAILURES,
+  windowMs: AUTH_POLICY_CONFIG.IP_WINDOW_MINUTES * 60 * 1000,
+  blockDurationMs: AUTH_POLICY_CONFIG.IP_BLOCK_MINUTES * 60 * 1000,
+});
+
+// Échecs de connexion par identifiant saisi, que le compte existe ou non
+const accountFailures = new RateLimiter({
+  name: 'login-failures-account',
+  maxAttempts: AUTH_POLICY_CONFIG.ACCOUNT_MAX_FAILURES,
+  windowMs: AUTH_POLICY_CONFIG.ACCOUNT_WINDOW_MINUTES * 60 * 1000,
+  blockDurationMs: AUTH_POLICY_CONFIG.ACCOUNT_BLOCK_MINUTES * 60 * 1000,
+});
+
+const accountKey = (identifier) => `account:${String(identifier).trim().toLowerCase()}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Vérifie qu'un utilisateur authentifié peut encore accéder à l'API.
+ * @param {Object|null} user - Utilisateur chargé depuis le token
+ * @throws {AuthPolicyError} - Compte supprimé (401) ou banni (403)
+ */
+export const assertAccountActive = (user) => {
+  if (!user) {
+    throw new AuthPolicyError('Compte introuvable ou supprimé.', 401);
+  }
+  if (user.isBanned) {
+    throw new AuthPolicyError('Votre compte est banni. Veuillez contacter l\'administration.', 403);
+  }
+};
+
+/**
+ * Vérifie avant toute comparaison de mot de passe que la tentative de connexion est permise.
+ * @param {Object} params
+ * @param {string} params.ip
+ * @param {string} params.identifier - Email ou téléphone saisi
+ * @returns {Promise<void>}
+ * @throws {AuthPolicyError} 429 si l'IP ou l'identifiant est bloqué
+ */
+export const assertLoginAllowed = async ({ ip, identifier }) => {
+  if (await ipFailures.isBlocked(ip)) {
+    const { timeUntilResetMinutes } = await ipFailures.getAttemptInfo(ip);
+    throw new AuthPolicyError(
+      `Trop de tentatives de connexion depuis cette adresse. Veuillez réessayer après ${timeUntilResetMinutes} minute(s).`,
+      429,
+      { retryAfter: timeUntilResetMinutes }
+    );
+  }
+
+  const key = accountKey(identifier);
+  if (await accountFailures.isBlocked(key)) {
+    const { timeUntilResetMinutes } = await accountFailures.getAttemptInfo(key);
+    throw new AuthPolicyError(
+      `Trop de tentatives de connexion pour cet identifiant. Veuillez réessayer après ${timeUntilResetMinutes} minute(s).`,
+      429,
+      { retryAfter: timeUntilResetMinutes }
+    );
+  }
+};
+
+/**
+ * Vérifie qu'un compte n'est ni banni ni verrouillé.
+ * @param {Object} user
+ * @throws {AuthPolicyError} 403
+ */
+export const assertAccountUnlocked = (user) => {
+  assertAccountActive(user);
+  if (user.lockUntil && user.lockUntil > Date.now()) {
+    const remainingMinutes = Math.ceil((user.lockUntil - Date.now()) / (1000 * 60));
+    throw new AuthPolicyError(
+      `Votre compte est verrouillé suite à trop de tentatives échouées. Veuillez réessayer dans ${remainingMinutes} minute(s).`,
+      403,
+      { retryAfter: remainingMinutes }
+    );
+  }
+};
+
+/**
+ * Délai à appliquer avant de vérifier le mot de passe, selon le nombre d'échecs récents.
+ * @param {number} failures
+ * @returns {number} - Délai en millisecondes
+ */
+export const getLoginDelayMs = (failures) => {
+  const over = failures - AUTH_POLICY_CONFIG.DELAY_AFTER_FAILURES;
+  if (over < 0) return 0;
+  return Math.min(AUTH_POLICY_CONFIG.DELAY_BASE_MS * 2 ** over, AUTH_POLICY_CONFIG.DELAY_MAX_MS);
+};
+
+/**
+ * Applique le délai progressif d'une tentative de connexion.
+ * @param {Object} params
+ * @param {string} params.identifier
+ * @param {Object} [params.user]
+ * @returns {Promise<void>}
+ */
+export const applyLoginDelay = async ({ identifier, user }) => {
+  const failures = Math.max(
+    (await accountFailures.getAttemptInfo(accountKey(identifier))).attempts,
+    user?.loginAttempts || 0
+  );
+  const delay = getLoginDelayMs(failures);
+  if (delay > 0) await sleep(delay);
+};
+
+/**
+ * Enregistre un échec de connexion : compteurs IP et identifiant, et verrouillage du compte
+ * au-delà de MAX_LOGIN_ATTEMPTS.
+ * @param {Object} params
+ * @param {string} params.ip
+ * @param {string} params.identifier
+ * @param {Object} [params.user] - Document utilisateur (avec loginAttempts) si le compte existe
+ * @returns {Promise<{ locked: boolean, remainingAttempts: number|null, lockMinutes: number|null }>}
+ */
+export const recordLoginFailure = async ({ ip, identifier, user }) => {
+  await ipFailures.recordFailedAttempt(ip);
+  await accountFailures.recordFailedAttempt(accountKey(identifier));
+
+  if (!user) return { locked: false, remainingAttempts: null, lockMinutes: null };
+
+  user.loginAttempts = (user.loginAttempts || 0) + 1;
+  if (user.loginAttempts >= AUTH_POLICY_CONFIG.MAX_LOGIN_ATTEMPTS) {
+    user.lockUntil = Date.now() + AUTH_POLICY_CONFIG.LOCK_DURATION_MINUTES * 60 * 1000;
+    user.loginAttempts = 0; // Réinitialiser les tentatives après le verrouillage
+    await user.save({ validateBeforeSave: false });
+    return { locked: true, remainingAttempts: 0, lockMinutes: AUTH_POLICY_CONFIG.LOCK_DURATION_MINUTES };
+  }
+
+  await user.save({ validateBeforeSave: false });
+  return {
+    locked: false,
+    remainingAttempts: AUTH_POLICY_CONFIG.MAX_LOGIN_ATTEMPTS - user.loginAttempts,
+    lockMinutes: null,
+  };
+};
+
+/**
+ * Enregistre une connexion réussie : remise à zéro des compteurs du compte.
+ * @param {Object} params
+ * @param {string} params.identifier
+ * @param {Object} params.user
+ * @returns {Promise<void>}
+ */
+export const recordLoginSuccess = async ({ identifier, user }) => {
+  await accountFailures.reset(accountKey(identifier));
+  user.loginAttempts = 0;
+  user.lockUntil = null;
+  await user.save({ validateBeforeSave: false });
+};
@@ -0,0 +1,239 @@
+// src/services/bookingStateService.js
+import Booking from '../models/Booking.js';
+import SeatReservation from '../models/SeatReservation.js';
+import redis from '../config/redisClient.js';
+import { releaseSeats, confirmSeats } from './seatInventoryService.js';
+import { findBookingRecipient, notifyBookingCancelled, notifyBookingConfirmed } from './notificationService.js';
+import { computeRefund } from './cancellationService.js';
+import { createRefundForBooking } from './refundService.js';
+import { CUSTOMER_ROLE, OPERATOR_ROLE } from '../config/permissions.js';
+
+/**
+ * Transitions autorisées entre statuts de réservation.
+ * 'cancelled' et 'completed' sont des états finaux : une réservation annulée
+ * ne peut pas être réactivée sans reprendre ses sièges (il faut en créer une nouvelle).
+ */
+export const BOOKING_TRANSITIONS = {
+  pending_payment: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  cancelled: [],
+  completed: [],
+};
+
+export const ACTOR_TYPES = ['user', 'admin', 'operator', 'system', 'payment'];
+
+/**
+ * Erreur levée lorsqu'une transition est refusée (statut incompatible,
+ * sièges repris, ou statut modifié entre-temps par un autre traitement).
+ */
+export class BookingTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'BookingTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Indique si une réservation peut passer d'un statut à un autre.
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export const canTransition = (fromStatus, toStatus) => {
+  return (BOOKING_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Construit l'acteur d'une transition à partir de l'utilisateur authentifié.
+ * Les opérateurs de compagnie sont enregistrés comme 'operator', les autres rôles du personnel comme 'admin'.
+ * @param {Object} user - req.user
+ * @returns {{ type: string, user: string }}
+ */
+export const actorFromUser = (user) => {
+  let type = 'admin';
+  if (!user.role || user.role === CUSTOMER_ROLE) type = 'user';
+  else if (user.role === OPERATOR_ROLE) type = 'operator';
+  return { type, user: user._id };
+};
+
+// Invalider le cache des routes après une modification des places disponibles
+const invalidateRoutesCache = async () => {
+  try {
+    const keys = await redis.keys('routes:all*');
+    if (keys.length) await redis.del(keys);
+  } catch (e) {
+    console.warn('Erreur lors de l\'invalidation du cache des routes:', e.message);
+  }
+};
+
+// Effets exécutés avant l'enregistrement de la transition : ils peuvent la refuser
+// ou retourner des champs à enregistrer avec elle
+const BEFORE_EFFECTS = {
+  confirmed: async (booking) => {
+    // Le blocage a pu expirer avant le paiement : les sièges doivent être repris
+    if (!(await confirmSeats(booking))) {
+      throw new BookingTransitionError('Les sièges de cette réservation ne sont plus disponibles.');
+    }
+  },
+  cancelled: async (booking) => {
+    // Remboursement dû selon la politique d'annulation de la compagnie
+    const refund = await computeRefund(booking);
+    return {
+      refund: {
+        amountDue: refund.refundAmount,
+        rate: refund.refundRate,
+        currency: refund.currency,
+        hoursBeforeDeparture: refund.hoursBeforeDeparture,
+        calculatedAt: new Date(),
+      },
+    };
+  },
+};
+
+// Effets exécutés une fois la transition enregistrée ; un échec est journalisé sans annuler la transition
+const AFTER_EFFECTS = {
+  confirmed: [
+    async (booking) => {
+      const user = await findBookingRecipient(booking);
+      if (!user) return;
+
+      // Marquage conditionnel avant l'envoi : une seule confirmation par réservation
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, confirmationSentAt: null },
+        { $set: { confirmationSentAt: new Date() } }
+      );
+      if (!claimed) return;
+
+      try {
+        await notifyBookingConfirmed(booking, user);
+      } catch (error) {
+        // Mise en file échouée : la réservation redevient éligible à la confirmation
+        await Booking.updateOne({ _id: booking._id }, { $set: { confirmationSentAt: null } });
+        throw error;
+      }
+    },
+  ],
+  cancelled: [
+    async (booking) => {
+      await releaseSeats(booking._id);
+      await invalidateRoutesCache();
+    },
+    async (booking, { reason }) => {
+      // Une réservation payée puis annulée doit être remboursée : le remboursement attend l'approbation d'un admin
+      await createRefundForBooking(booking, { reason: reason || 'Annulation de la réservation' });
+    },
+    async (booking) => {
+      const user = await findBookingRecipient(booking);
+      if (user) await notifyBookingCancelled(booking, user);
+    },
+  ],
+};
+
+/**
+ * Fait passer une réservation à un nouveau statut en appliquant les règles
+ * de transition et leurs effets (sièges, remboursements, notifications).
+ * Chaque transition est ajoutée à `statusHistory` avec son acteur et sa raison.
+ * Le changement est conditionnel au statut lu : deux traitements concurrents
+ * (webhook et vérification manuelle par exemple) ne peuvent pas l'appliquer deux fois.
+ * @param {Object|string} bookingOrId - Document ou ID de la réservation
+ * @param {string} toStatus - Statut cible
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { type: 'user'|'admin'|'operator'|'system'|'payment', user }
+ * @param {string} [options.reason] - Motif de la transition
+ * @param {Object} [options.updates] - Champs à enregistrer avec la transition (paiement, etc.)
+ * @returns {Promise<Object>} - La réservation mise à jour
+ */
+export const transitionBooking = async (bookingOrId, toStatus, { actor = { type: 'system' }, reason = '', updates = {} } = {}) => {
+  const booking = bookingOrId instanceof Booking ? bookingOrId : await Booking.findById(bookingOrId);
+  if (!booking) {
+    throw new BookingTransitionError('Réservation introuvable.', 404);
+  }
+
+  const fromStatus = booking.status;
+  if (!BOOKING_TRANSITIONS[toStatus]) {
+    throw new BookingTransitionError('Statut de réservation invalide.', 400);
+  }
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new BookingTransitionError(`Impossible de passer une réservation de '${fromStatus}' à '${toStatus}'.`);
+  }
+
+  const effectUpdates = BEFORE_EFFECTS[toStatus] ? await BEFORE_EFFECTS[toStatus](booking) : null;
+
+  const entry = {
+    from: fromStatus,
+    to: toStatus,
+    actor: { type: actor.type, user: actor.user || null },
+    reason,
+    at: new Date(),
+  };
+  const changes = { ...updates, ...effectUpdates, status: toStatus };
+  if (toStatus === 'confirmed') changes.holdExpiresAt = null;
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: fromStatus },
+    { $set: changes, $push: { statusHistory: entry } },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Les sièges confirmés pour une réservation annulée entre-temps sont rendus
+    if (toStatus === 'confirmed') {
+      const current = await Booking.findById(booking._id).select('status');
+      if (current?.status === 'cancelled') await releaseSeats(booking._id);
+    }
+    throw new BookingTransitionError('Le statut de la réservation a été modifié entre-temps.');
+  }
+
+  for (const effect of AFTER_EFFECTS[toStatus] || []) {
+    try {
+      await effect(updated, { fromStatus, actor, reason });
+    } catch (error) {
+      console.error(`❌ Effet de la transition ${fromStatus} → ${toStatus} échoué pour la réservation ${updated._id}:`, error.message);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Libère les blocages expirés et annule les réservations restées impayées.
+ * Les places sont restituées au compteur `availableSeats` des trajets concernés.
+ * @returns {Promise<{ bookings: number, seats: number }>}
+ */
+export const releaseExpiredHolds = async () => {
+  const bookingIds = await SeatReservation.find({
+    status: 'held',
+    expiresAt: { $lte: new Date() },
+  }).distinct('booking');
+
+  let cancelledBookings = 0;
+  let releasedSeats = 0;
+
+  for (const bookingId of bookingIds) {
+    const booking = await Booking.findById(bookingId);
+
+    if (booking?.status === 'pending_payment') {
+      try {
+        const heldSeats = await SeatReservation.countDocuments({ booking: bookingId });
+        await transitionBooking(booking, 'cancelled', { reason: 'Délai de paiement expiré' });
+        cancelledBookings++;
+        releasedSeats += heldSeats;
+        continue;
+      } catch (error) {
+        if (!(error instanceof BookingTransitionError)) throw error;
+      }
+    }
+
+    // Un paiement confirmé entre-temps garde ses sièges
+    const current = await Booking.findById(bookingId).select('status outboundRoute returnRoute selectedSeats');
+    if (current?.status === 'confirmed') {
+      await confirmSeats(current);
+      continue;
+    }
+
+    releasedSeats += await releaseSeats(bookingId);
+  }
+
+  return { bookings: cancelledBookings, seats: releasedSeats };
+};
@@ -0,0 +1,102 @@
+// src/services/cancellationService.js
+import moment from 'moment';
+import Company from '../models/Company.js';
+import { CANCELLATION_CONFIG, FARE_CONFIG } from '../config/routeConfig.js';
+
+/**
+ * Erreur levée lorsqu'une politique d'annulation est mal formée.
+ */
+export class CancellationPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CancellationPolicyError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Vérifie et normalise les paliers d'une politique d'annulation
+ * (triés du délai le plus long au plus court).
+ * @param {Array<{ minHoursBeforeDeparture: number, refundRate: number }>} tiers
+ * @returns {Array<{ minHoursBeforeDeparture: number, refundRate: number }>}
+ */
+export const normalizePolicyTiers = (tiers) => {
+  if (!Array.isArray(tiers)) {
+    throw new CancellationPolicyError('Les paliers de la politique d\'annulation doivent être une liste.');
+  }
+
+  const normalized = tiers.map(tier => ({
+    minHoursBeforeDeparture: Number(tier.minHoursBeforeDeparture),
+    refundRate: Number(tier.refundRate),
+  }));
+
+  if (normalized.some(t => !Number.isFinite(t.minHoursBeforeDeparture) || t.minHoursBeforeDeparture < 0)) {
+    throw new CancellationPolicyError('Le délai minimum avant départ doit être un nombre d\'heures positif.');
+  }
+  if (normalized.some(t => !Number.isFinite(t.refundRate) || t.refundRate < 0 || t.refundRate > 1)) {
+    throw new CancellationPolicyError('Le taux de remboursement doit être compris entre 0 et 1.');
+  }
+  if (new Set(normalized.map(t => t.minHoursBeforeDeparture)).size !== normalized.length) {
+    throw new CancellationPolicyError('Deux paliers ne peuvent pas avoir le même délai.');
+  }
+
+  return normalized.sort((a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture);
+};
+
+/**
+ * Retourne les paliers de remboursement d'une compagnie, ou ceux par défaut.
+ * @param {string} companyId
+ * @returns {Promise<{ source: string, tiers: Array<Object> }>}
+ */
+export const getCancellationPolicy = async (companyId) => {
+  const company = companyId ? await Company.findById(companyId, 'cancellationPolicy').lean() : null;
+  const tiers = company?.cancellationPolicy?.tiers;
+
+  if (tiers && tiers.length > 0) {
+    return { source: 'company', tiers: normalizePolicyTiers(tiers) };
+  }
+  return { source: 'default', tiers: normalizePolicyTiers(CANCELLATION_CONFIG.DEFAULT_TIERS) };
+};
+
+/**
+ * Date et heure de départ du premier trajet de la réservation.
+ * @param {Object} booking
+ * @returns {moment.Moment}
+ */
+export const getDepartureMoment = (booking) => {
+  const snapshot = booking.outboundRouteSnapshot || {};
+  const [hours = 0, minutes = 0] = (snapshot.departureTime || '').split(':').map(Number);
+  return moment(snapshot.departureDate).startOf('day').add(hours, 'hours').add(minutes, 'minutes');
+};
+
+/**
+ * Calcule le remboursement dû si la réservation était annulée maintenant.
+ * Seules les réservations payées (confirmées) donnent lieu à un remboursement.
+ * @param {Object} booking - Réservation (avec outboundRouteSnapshot)
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Date d'annulation (maintenant par défaut)
+ * @returns {Promise<Object>} - { paidAmount, refundAmount, refundRate, hoursBeforeDeparture, currency, policy }
+ */
+export const computeRefund = async (booking, { at = new Date() } = {}) => {
+  const policy = await getCancellationPolicy(booking.outboundRouteSnapshot?.companyName?.id);
+  const hoursBeforeDeparture = getDepartureMoment(booking).diff(moment(at), 'hours', true);
+  const paidAmount = booking.status === 'confirmed' ? booking.totalPrice || 0 : 0;
+
+  let refundRate = CANCELLATION_CONFIG.AFTER_DEPARTURE_RATE;
+  if (hoursBeforeDeparture >= 0) {
+    const tier = policy.tiers.find(t => hoursBeforeDeparture >= t.minHoursBeforeDeparture);
+    refundRate = tier ? tier.refundRate : 0;
+  }
+
+  const rounding = CANCELLATION_CONFIG.ROUNDING;
+  const refundAmount = Math.floor((paidAmount * refundRate) / rounding) * rounding;
+
+  return {
+    paidAmount,
+    refundAmount,
+    refundRate,
+    hoursBeforeDeparture: Math.round(hoursBeforeDeparture * 10) / 10,
+    currency: booking.fare?.currency || FARE_CONFIG.CURRENCY,
+    policy,
+  };
+};
@@ -0,0 +1,128 @@
+// src/services/emailOutboxService.js
+import EmailOutbox from '../models/EmailOutbox.js';
+import { EMAIL_CONFIG } from '../config/routeConfig.js';
+import { renderEmailTemplate } from './emailTemplateService.js';
+import { deliverEmail } from './emailTransport.js';
+
+const DEFAULT_FROM = () => `AdjameGare <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`;
+
+// Délai avant la relance suivante : doublé à chaque tentative
+const nextAttemptDate = (attempts) => {
+  if (attempts >= EMAIL_CONFIG.MAX_ATTEMPTS) return null;
+  const delayMinutes = EMAIL_CONFIG.RETRY_BASE_DELAY_MINUTES * 2 ** Math.max(attempts - 1, 0);
+  return new Date(Date.now() + delayMinutes * 60 * 1000);
+};
+
+/**
+ * Envoie un email de la file. Sans effet si l'email est déjà envoyé ou en cours d'envoi.
+ * En cas d'échec, une relance est planifiée tant que le nombre maximum de tentatives n'est pas atteint.
+ * @param {string} emailId
+ * @returns {Promise<Object|null>} - L'email mis à jour, ou null s'il n'était pas à envoyer
+ */
+export const sendOutboxEmail = async (emailId) => {
+  // Réservation conditionnelle : un email n'est envoyé que par un seul processus à la fois
+  const email = await EmailOutbox.findOneAndUpdate(
+    { _id: emailId, status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $ne: null } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!email) return null;
+
+  try {
+    const info = await deliverEmail({
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      attachments: email.attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content })),
+    });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.messageId = info.messageId || null;
+    email.lastError = null;
+    email.nextAttemptAt = null;
+  } catch (error) {
+    console.error(`❌ Envoi de l'email ${email.template} à ${email.to} échoué (tentative ${email.attempts}):`, error.message);
+    email.status = 'failed';
+    email.lastError = error.message;
+    email.nextAttemptAt = nextAttemptDate(email.attempts);
+  }
+
+  return email.save();
+};
+
+/**
+ * Rend un modèle et met l'email en file d'envoi. L'envoi est lancé en arrière-plan,
+ * hors de la requête ; en cas d'échec, le cron de la file le relance.
+ * @param {Object} params
+ * @param {string} params.to - Destinataire
+ * @param {string} params.template - Nom du modèle (templates/emails)
+ * @param {Object} params.data - Données du modèle
+ * @param {string} [params.locale] - 'fr' ou 'en'
+ * @param {Array} [params.attachments] - [{ filename, contentType, content: Buffer }]
+ * @param {string} [params.dedupeKey] - Un seul email par clé
+ * @param {string} [params.user]
+ * @param {string} [params.booking]
+ * @returns {Promise<Object>} - L'email en file (l'existant si la clé d'unicité est déjà utilisée)
+ */
+export const enqueueEmail = async ({ to, template, data, locale, attachments = [], dedupeKey = null, user = null, booking = null }) => {
+  const rendered = await renderEmailTemplate(template, data, { locale });
+
+  let email;
+  try {
+    email = await EmailOutbox.create({
+      to,
+      from: DEFAULT_FROM(),
+      subject: rendered.subject,
+      html: rendered.html,
+      template,
+      templateVersion: rendered.version,
+      locale: rendered.locale,
+      data,
+      attachments,
+      dedupeKey,
+      user,
+      booking,
+    });
+  } catch (error) {
+    // Déjà en file (index unique sur la clé d'unicité)
+    if (error.code === 11000 && dedupeKey) return EmailOutbox.findOne({ dedupeKey });
+    throw error;
+  }
+
+  setImmediate(() => {
+    sendOutboxEmail(email._id).catch(error => {
+      console.error(`❌ Envoi de l'email ${email._id} impossible:`, error.message);
+    });
+  });
+
+  return email;
+};
+
+/**
+ * Envoie les emails en attente et relance les envois échoués dont la date de relance est atteinte.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export const processEmailOutbox = async () => {
+  // Envois interrompus (arrêt du serveur pendant l'envoi) : à relancer
+  const staleBefore = new Date(Date.now() - EMAIL_CONFIG.SENDING_TIMEOUT_MINUTES * 60 * 1000);
+  await EmailOutbox.updateMany(
+    { status: 'sending', updatedAt: { $lt: staleBefore } },
+    { $set: { status: 'failed', lastError: 'Envoi interrompu', nextAttemptAt: new Date() } }
+  );
+
+  const due = await EmailOutbox.find(
+    { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $ne: null, $lte: new Date() } },
+    '_id'
+  ).sort({ nextAttemptAt: 1 }).limit(EMAIL_CONFIG.BATCH_SIZE);
+
+  const report = { sent: 0, failed: 0 };
+  for (const { _id } of due) {
+    const email = await sendOutboxEmail(_id);
+    if (!email) continue;
+    if (email.status === 'sent') report.sent++;
+    else report.failed++;
+  }
+
+  return report;
+};
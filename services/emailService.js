@@ -1,249 +1,188 @@
 // src/services/emailService.js
-import nodemailer from 'nodemailer';
-import dotenv from 'dotenv';
-import moment from 'moment';
-import 'moment/locale/fr.js';
-moment.locale('fr');
-
-dotenv.config();
-
-const FRONTEND_BASE_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
-
-
-const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: process.env.EMAIL_PORT == 465,
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-    },
-    tls: {
-        rejectUnauthorized: false
-    }
+// Emails transactionnels : chaque fonction prépare les données d'un modèle (templates/emails)
+// et met l'email en file d'envoi (services/emailOutboxService.js).
+import { enqueueEmail } from './emailOutboxService.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+
+// Données d'un trajet tirées d'un snapshot de réservation
+const tripData = (snapshot) => ({
+  company: snapshot.companyName?.name || null,
+  from: snapshot.from?.name || 'Ville de départ inconnue',
+  to: snapshot.to?.name || 'Ville d\'arrivée inconnue',
+  departureDate: snapshot.departureDate,
+  departureTime: snapshot.departureTime || null,
+  busNumber: snapshot.bus?.busNumber || null,
 });
 
+const paymentMethodLabel = (provider) => {
+  if (!provider) return null;
+  try {
+    return getPaymentProvider(provider).label;
+  } catch (error) {
+    return provider;
+  }
+};
+
 /**
- * Envoie un email de confirmation de réservation.
- * Assurez-vous que l'objet 'reservation' passé en paramètre
- * a les champs 'user', 'outboundTrip', et 'returnTrip' (si applicable) populés.
- * @param {object} reservation - L'objet complet de la réservation avec les détails populés.
- * @returns {Promise<object>} - Informations sur le message envoyé.
+ * Envoie l'email de confirmation d'une réservation, avec le billet PDF en pièce jointe.
+ * Les informations du trajet proviennent des snapshots de la réservation.
+ * Une réservation ne reçoit qu'un seul email de confirmation.
+ * @param {object} booking - La réservation confirmée
+ * @param {object} user - Le client (email, firstName, lastName, language)
+ * @param {object} [options]
+ * @param {Buffer} [options.ticketPdf] - Billet PDF à joindre
+ * @returns {Promise<object>} - L'email mis en file
  */
-export const sendReservationConfirmationEmail = async (reservation) => {
-    if (!reservation || !reservation.user || !reservation.user.email || !reservation.outboundTrip) {
+export const sendReservationConfirmationEmail = async (booking, user, { ticketPdf } = {}) => {
+    if (!booking || !user?.email || !booking.outboundRouteSnapshot) {
         console.error('[EmailService] Données de réservation insuffisantes pour envoyer l\'email.');
         throw new Error('Données de réservation insuffisantes (utilisateur ou trajet aller manquant) pour envoyer l\'email.');
     }
 
-    const toEmail = reservation.user.email;
-    const departureCityName = reservation.outboundTrip?.departureCity?.name || 'Ville de départ inconnue';
-    const arrivalCityName = reservation.outboundTrip?.arrivalCity?.name || 'Ville d\'arrivée inconnue';
-
-    const emailContent = `
-        <!DOCTYPE html>
-        <html lang="fr">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Confirmation de réservation AdjameGare</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; background-color: #f9f9f9; }
-                h1 { color: #28a745; text-align: center; }
-                h2 { color: #0056b3; }
-                ul { list-style-type: none; padding: 0; }
-                li { margin-bottom: 8px; }
-                .footer { text-align: center; margin-top: 20px; font-size: 0.9em; color: #777; }
-                .highlight { font-weight: bold; color: #007bff; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <h1>🎉 Votre réservation est confirmée ! 🎉</h1>
-                <p>Cher(ère) ${reservation.user.firstName || ''} ${reservation.user.lastName || ''},</p>
-                <p>Merci d'avoir choisi <span class="highlight">AdjameGare</span> pour votre voyage.</p>
-                <p>Voici les détails de votre réservation (Référence : <span class="highlight">${reservation._id}</span>) :</p>
-                
-                <h2>Détails du Trajet Aller :</h2>
-                <ul>
-                    <li><strong>Compagnie :</strong> ${reservation.outboundTrip?.company?.name || 'N/A'}</li>
-                    <li><strong>Trajet :</strong> <span class="highlight">${departureCityName}</span> (${reservation.outboundTrip?.departureStation || 'N/A'}) → <span class="highlight">${arrivalCityName}</span> (${reservation.outboundTrip?.arrivalStation || 'N/A'})</li>
-                    <li><strong>Date :</strong> ${moment(reservation.outboundTrip?.departureDate).format('DD MMMMYYYY')}</li>
-                    <li><strong>Heure de départ :</strong> ${reservation.outboundTrip?.departureTime}</li>
-                    <li><strong>Classe :</strong> ${reservation.travelClass ? reservation.travelClass.charAt(0).toUpperCase() + reservation.travelClass.slice(1) : 'N/A'}</li>
-                    <li><strong>Siège(s) sélectionné(s) :</strong> ${reservation.selectedSeats.join(', ')}</li>
-                </ul>
-
-                ${reservation.returnTrip ? `
-                <h2>Détails du Trajet Retour :</h2>
-                <ul>
-                    <li><strong>Compagnie :</strong> ${reservation.returnTrip?.company?.name || 'N/A'}</li>
-                    <li><strong>Trajet :</strong> <span class="highlight">${arrivalCityName}</span> (${reservation.returnTrip?.departureStation || 'N/A'}) → <span class="highlight">${departureCityName}</span> (${reservation.returnTrip?.arrivalStation || 'N/A'})</li>
-                    <li><strong>Date :</strong> ${moment(reservation.returnTrip?.departureDate).format('DD MMMMYYYY')}</li>
-                    <li><strong>Heure de départ :</strong> ${reservation.returnTrip?.departureTime}</li>
-                </ul>
-                ` : ''}
-
-                <h2>Récapitulatif du Paiement :</h2>
-                <ul>
-                    <li><strong>Montant Total Payé :</strong> <span class="highlight">${reservation.totalPrice?.toLocaleString('fr-FR')} FCFA</span></li>
-                    <li><strong>Méthode de Paiement :</strong> ${reservation.paymentMethod || 'CinetPay'}</li>
-                    <li><strong>Statut du Paiement :</strong> Confirmé</li>
-                    <li><strong>Référence CinetPay :</strong> ${reservation.cinetpayTransactionId || 'N/A'}</li>
-                </ul>
-
-                <p>Vous recevrez un rappel par email avant votre départ. Vous pouvez également consulter tous les détails de votre réservation en vous connectant à votre espace personnel sur notre site.</p>
-                
-                <p>Nous vous souhaitons un agréable voyage !</p>
-                
-                <div class="footer">
-                    <p>Cordialement,<br>L'équipe AdjameGare</p>
-                    <p><a href="${FRONTEND_BASE_URL}">adjamegare.com</a></p>
-                </div>
-            </div>
-        </body>
-        </html>
-    `;
+    const inbound = booking.tripType === 'roundTrip' && booking.returnRouteSnapshot?.routeId ? booking.returnRouteSnapshot : null;
+    const payment = booking.payment || {};
+
+    return enqueueEmail({
+        to: user.email,
+        template: 'reservation-confirmation',
+        locale: user.language,
+        data: {
+            firstName: user.firstName || '',
+            lastName: user.lastName || '',
+            bookingReference: booking.bookingReference,
+            outbound: tripData(booking.outboundRouteSnapshot),
+            inbound: inbound ? tripData(inbound) : null,
+            seats: booking.selectedSeats || [],
+            amount: payment.amount ?? booking.totalPrice,
+            paymentMethod: paymentMethodLabel(payment.provider),
+            transactionId: payment.transactionId || null,
+        },
+        attachments: ticketPdf ? [{
+            filename: `billet-${booking.bookingReference}.pdf`,
+            contentType: 'application/pdf',
+            content: ticketPdf,
+        }] : [],
+        dedupeKey: `reservation-confirmation:${booking._id}`,
+        user: user._id,
+        booking: booking._id,
+    });
+};
 
-    const mailOptions = {
-        from: `AdjameGare <${process.env.EMAIL_USER}>`,
-        to: toEmail,
-        subject: `Confirmation de votre réservation AdjameGare - Trajet ${departureCityName} → ${arrivalCityName}`,
-        html: emailContent,
-    };
+/**
+ * Informe le client de l'annulation de sa réservation.
+ * Les informations du trajet proviennent des snapshots de la réservation.
+ * @param {object} booking - La réservation annulée
+ * @param {object} user - Le client (email, firstName, lastName, language)
+ * @returns {Promise<object>} - L'email mis en file
+ */
+export const sendBookingCancellationEmail = async (booking, user) => {
+    const outbound = tripData(booking.outboundRouteSnapshot || {});
+
+    return enqueueEmail({
+        to: user.email,
+        template: 'booking-cancellation',
+        locale: user.language,
+        data: {
+            firstName: user.firstName || '',
+            lastName: user.lastName || '',
+            bookingReference: booking.bookingReference,
+            from: outbound.from,
+            to: outbound.to,
+            departureDate: outbound.departureDate,
+            departureTime: outbound.departureTime,
+            seats: booking.selectedSeats || [],
+            refundAmount: booking.refund?.amountDue || 0,
+        },
+        dedupeKey: `booking-cancellation:${booking._id}`,
+        user: user._id,
+        booking: booking._id,
+    });
+};
 
-    try {
-        const info = await transporter.sendMail(mailOptions);
-        return info;
-    } catch (error) {
-        throw new Error('Erreur lors de l\'envoi de l\'email de confirmation.');
-    }
+/**
+ * Rappelle au client son départ prochain.
+ * @param {object} booking - La réservation confirmée
+ * @param {object} user - Le client (email, firstName, lastName, language)
+ * @returns {Promise<object>} - L'email mis en file
+ */
+export const sendDepartureReminderEmail = async (booking, user) => {
+    const outbound = tripData(booking.outboundRouteSnapshot || {});
+
+    return enqueueEmail({
+        to: user.email,
+        template: 'departure-reminder',
+        locale: user.language,
+        data: {
+            firstName: user.firstName || '',
+            lastName: user.lastName || '',
+            bookingReference: booking.bookingReference,
+            ...outbound,
+            seats: booking.selectedSeats || [],
+        },
+        dedupeKey: `departure-reminder:${booking._id}`,
+        user: user._id,
+        booking: booking._id,
+    });
 };
 
 /**
  * Envoie un email de réinitialisation de mot de passe
  * @param {object} user - L'objet utilisateur
  * @param {string} resetUrl - Le lien de réinitialisation du mot de passe
+ * @returns {Promise<object>} - L'email mis en file
  */
 export const sendResetPasswordEmail = async (user, resetUrl) => {
-
-
-  const mailOptions = {
-    from: `"Adjamegare" <${process.env.EMAIL_FROM}>`,
+  return enqueueEmail({
     to: user.email,
-    subject: 'Réinitialisation de mot de passe - Adjamegare',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h1 style="color: #F46A21; text-align: center;">Réinitialisation de votre mot de passe</h1>
-        <p>Bonjour <strong>${user.firstName || ''}</strong>,</p> <!-- Correction ici -->
-        <p>Vous recevez cet e-mail car vous avez demandé la réinitialisation de votre mot de passe sur Adjamegare.</p>
-        <p>Veuillez cliquer sur le bouton ci-dessous pour réinitialiser votre mot de passe :</p>
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${resetUrl}"
-             style="background-color: #F46A21; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
-            Réinitialiser mon mot de passe
-          </a>
-        </div>
-        <p><strong>⚠️ Ce lien expirera dans 1 heure.</strong></p> <!-- Correction ici -->
-        <p>Si vous n'êtes pas à l'origine de cette demande, veuillez ignorer cet e-mail.</p>
-        <hr style="margin: 30px 0;">
-        <p style="text-align: center; color: #666; font-size: 14px;">
-          L'équipe Adjamegare <br>
-          <em>Votre site de réservation en ligne de confiance</em>
-        </p>
-      </div>
-    `
-  };
-
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    return {
-      success: true,
-      messageId: info.messageId,
-      response: info.response
-    };
-  } catch (error) {
-    console.error('❌ Erreur détaillée lors de l\'envoi de l\'email:', {
-      message: error.message,
-      code: error.code,
-      command: error.command,
-      response: error.response,
-      responseCode: error.responseCode
-    });
+    template: 'reset-password',
+    locale: user.language,
+    data: {
+      firstName: user.firstName || '',
+      resetUrl,
+      expiresInMinutes: 60,
+    },
+    user: user._id,
+  });
+};
 
-    // Relancer l'erreur avec plus de détails
-    throw new Error(`Échec de l'envoi de l'email: ${error.message}`);
-  }
+/**
+ * Envoie le lien de vérification de l'adresse email.
+ * @param {object} user - L'objet utilisateur
+ * @param {string} verifyUrl - Le lien de vérification
+ * @param {number} expiresInHours - Durée de validité du lien
+ * @returns {Promise<object>} - L'email mis en file
+ */
+export const sendEmailVerificationEmail = async (user, verifyUrl, expiresInHours) => {
+  return enqueueEmail({
+    to: user.email,
+    template: 'email-verification',
+    locale: user.language,
+    data: {
+      firstName: user.firstName || '',
+      verifyUrl,
+      expiresInHours,
+    },
+    user: user._id,
+  });
 };
 
+/**
+ * Notifie l'administration d'une nouvelle demande de partenariat.
+ * @param {object} partnerRequest
+ * @returns {Promise<object>} - L'email mis en file
+ */
 export const sendPartnerRequestNotification = async (partnerRequest) => {
   const adminEmail = process.env.EMAIL_USER || 'admin@adjamegare.com';
 
-  const emailContent = `
-    <!DOCTYPE html>
-    <html lang="fr">
-    <head>
-        <meta charset="UTF-8">
-        <title>Nouvelle demande de partenariat - AdjameGare</title>
-        <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; }
-            h1 { color: #73D700; text-align: center; }
-            .info-box { background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; }
-            .highlight { font-weight: bold; color: #73D700; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <h1>🤝 Nouvelle demande de partenariat</h1>
-            
-            <div class="info-box">
-                <h3>Informations de la compagnie :</h3>
-                <p><strong>Nom :</strong> ${partnerRequest.companyName}</p>
-                <p><strong>Email :</strong> ${partnerRequest.email}</p>
-                <p><strong>Téléphone :</strong> ${partnerRequest.phone}</p>
-                <p><strong>Date de demande :</strong> ${new Date(partnerRequest.createdAt).toLocaleString('fr-FR')}</p>
-            </div>
-            
-            ${partnerRequest.message ? `
-            <div class="info-box">
-                <h3>Message :</h3>
-                <p>${partnerRequest.message}</p>
-            </div>
-            ` : ''}
-            
-            <p style="text-align: center; margin-top: 30px;">
-                <strong>Connectez-vous à l'admin pour traiter cette demande.</strong>
-            </p>
-        </div>
-    </body>
-    </html>
-  `;
-
-  const mailOptions = {
-    // CORRECTION 1: Utilisation cohérente de EMAIL_USER au lieu de mélanger avec EMAIL_FROM
-    from: `AdjameGare <${process.env.EMAIL_USER}>`,
+  return enqueueEmail({
     to: adminEmail,
-    subject: `Nouvelle demande de partenariat - ${partnerRequest.companyName}`,
-    html: emailContent,
-  };
-
-  try {
-
-    const info = await transporter.sendMail(mailOptions);
-    return info;
-  } catch (error) {
-    console.error('❌ Erreur détaillée lors de l\'envoi email notification:', {
-      message: error.message,
-      code: error.code,
-      command: error.command,
-      response: error.response,
-      responseCode: error.responseCode,
-      to: adminEmail,
-      from: process.env.EMAIL_USER
-    });
-    
-    throw new Error(`Erreur lors de l'envoi de la notification email: ${error.message}`);
-  }
+    template: 'partner-request',
+    data: {
+      companyName: partnerRequest.companyName,
+      email: partnerRequest.email,
+      phone: partnerRequest.phone,
+      message: partnerRequest.message || '',
+      createdAt: partnerRequest.createdAt,
+    },
+  });
 };
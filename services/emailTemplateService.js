@@ -0,0 +1,55 @@
+// src/services/emailTemplateService.js
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { EMAIL_CONFIG } from '../config/routeConfig.js';
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'emails');
+
+export const EMAIL_LOCALES = ['fr', 'en'];
+
+// Version courante de chaque modèle. Une modification du contenu crée un nouveau fichier
+// v<n+1>.<locale>.js : les emails déjà en file gardent la version avec laquelle ils ont été rendus.
+export const EMAIL_TEMPLATE_VERSIONS = {
+  'reservation-confirmation': 1,
+  'booking-cancellation': 1,
+  'reset-password': 1,
+  'partner-request': 1,
+  'departure-reminder': 1,
+  'email-verification': 1,
+};
+
+/**
+ * Langue d'un email : celle demandée si elle est prise en charge, sinon la langue par défaut.
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const resolveEmailLocale = (locale) => {
+  return EMAIL_LOCALES.includes(locale) ? locale : EMAIL_CONFIG.DEFAULT_LOCALE;
+};
+
+/**
+ * Rend un modèle d'email.
+ * @param {string} name - Nom du modèle (dossier de templates/emails)
+ * @param {Object} data - Données du modèle (valeurs simples, enregistrées avec l'email)
+ * @param {Object} [options]
+ * @param {string} [options.locale] - 'fr' ou 'en'
+ * @param {number} [options.version] - Version du modèle, la version courante par défaut
+ * @returns {Promise<{ subject: string, html: string, version: number, locale: string }>}
+ */
+export const renderEmailTemplate = async (name, data, { locale, version } = {}) => {
+  const templateVersion = version || EMAIL_TEMPLATE_VERSIONS[name];
+  if (!templateVersion) {
+    throw new Error(`Modèle d'email inconnu: ${name}`);
+  }
+
+  const templateLocale = resolveEmailLocale(locale);
+  const file = path.join(TEMPLATES_DIR, name, `v${templateVersion}.${templateLocale}.js`);
+  const { default: template } = await import(pathToFileURL(file).href);
+
+  return {
+    subject: template.subject(data),
+    html: template.html(data),
+    version: templateVersion,
+    locale: templateLocale,
+  };
+};
@@ -0,0 +1,76 @@
+// src/services/emailTransport.js
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// 'smtp' (par défaut), 'file' (emails écrits dans EMAIL_FILE_DIR) ou 'memory' (gardés en mémoire)
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'smtp';
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails');
+const MEMORY_LIMIT = 100;
+
+const sentEmails = [];
+
+const createTransporter = () => {
+  if (EMAIL_TRANSPORT === 'file' || EMAIL_TRANSPORT === 'memory') {
+    // Le message est construit (pièces jointes comprises) mais n'est envoyé à aucun serveur
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: process.env.EMAIL_PORT == 465,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+    tls: {
+      rejectUnauthorized: false
+    }
+  });
+};
+
+const transporter = createTransporter();
+
+// Nom de fichier lisible : date, destinataire, sujet
+const fileBaseName = (message) => {
+  const slug = `${message.to}-${message.subject}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 80);
+  return `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}`;
+};
+
+/**
+ * Envoie un email avec le transport configuré par EMAIL_TRANSPORT.
+ * En mode 'file', le message brut (.eml) et son HTML (.html) sont écrits dans EMAIL_FILE_DIR.
+ * @param {Object} message - Options nodemailer (from, to, subject, html, attachments)
+ * @returns {Promise<{ messageId: string }>}
+ */
+export const deliverEmail = async (message) => {
+  const info = await transporter.sendMail(message);
+
+  if (EMAIL_TRANSPORT === 'file') {
+    const baseName = fileBaseName(message);
+    await fs.mkdir(EMAIL_FILE_DIR, { recursive: true });
+    await fs.writeFile(path.join(EMAIL_FILE_DIR, `${baseName}.eml`), info.message);
+    await fs.writeFile(path.join(EMAIL_FILE_DIR, `${baseName}.html`), message.html || '');
+  } else if (EMAIL_TRANSPORT === 'memory') {
+    sentEmails.push({ ...message, messageId: info.messageId, raw: info.message.toString(), sentAt: new Date() });
+    if (sentEmails.length > MEMORY_LIMIT) sentEmails.shift();
+  }
+
+  return info;
+};
+
+/**
+ * Emails envoyés avec le transport 'memory' (du plus ancien au plus récent).
+ * @returns {Array<Object>}
+ */
+export const getSentEmails = () => [...sentEmails];
+
+export const clearSentEmails = () => {
+  sentEmails.length = 0;
+};
+
+export const getEmailTransportName = () => EMAIL_TRANSPORT;
@@ -0,0 +1,155 @@
+// src/services/fareService.js
+import jwt from 'jsonwebtoken';
+import { FARE_CONFIG } from '../config/routeConfig.js';
+
+/**
+ * Erreur levée lorsqu'un tarif ne peut pas être calculé ou qu'un devis est invalide.
+ */
+export class FareError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FareError';
+    this.statusCode = statusCode;
+  }
+}
+
+const getQuoteSecret = () => process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Calcule le tarif détaillé d'une réservation à partir des prix des trajets.
+ * Le prix unitaire vient toujours du serveur (Route.price ou snapshot), jamais du client.
+ * @param {Object} params
+ * @param {number} params.outboundPrice - Prix unitaire du trajet aller
+ * @param {number} [params.returnPrice] - Prix unitaire du trajet retour
+ * @param {number} params.passengers - Nombre de passagers
+ * @param {string} params.tripType - 'oneWay' ou 'roundTrip'
+ * @param {string} [params.promoCode] - Code promo éventuel
+ * @returns {Object} - Détail du tarif (lignes, remises, total)
+ */
+export const computeFare = ({ outboundPrice, returnPrice = null, passengers, tripType, promoCode = null }) => {
+  const quantity = parseInt(passengers);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > FARE_CONFIG.MAX_PASSENGERS) {
+    throw new FareError(`Le nombre de passagers doit être compris entre 1 et ${FARE_CONFIG.MAX_PASSENGERS}.`);
+  }
+  if (!['oneWay', 'roundTrip'].includes(tripType)) {
+    throw new FareError('Type de voyage invalide.');
+  }
+  if (tripType === 'roundTrip' && (returnPrice === null || returnPrice === undefined)) {
+    throw new FareError('Un trajet retour est requis pour un voyage aller-retour.');
+  }
+
+  const items = [{
+    code: 'OUTBOUND',
+    label: 'Billet aller',
+    unitPrice: outboundPrice,
+    quantity,
+    amount: outboundPrice * quantity,
+  }];
+
+  if (tripType === 'roundTrip') {
+    items.push({
+      code: 'RETURN',
+      label: 'Billet retour',
+      unitPrice: returnPrice,
+      quantity,
+      amount: returnPrice * quantity,
+    });
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const discounts = [];
+
+  if (tripType === 'roundTrip' && FARE_CONFIG.ROUND_TRIP_DISCOUNT > 0) {
+    discounts.push({
+      code: 'ROUND_TRIP',
+      label: 'Remise aller-retour',
+      rate: FARE_CONFIG.ROUND_TRIP_DISCOUNT,
+    });
+  }
+
+  if (quantity >= FARE_CONFIG.GROUP_DISCOUNT.MIN_PASSENGERS && FARE_CONFIG.GROUP_DISCOUNT.RATE > 0) {
+    discounts.push({
+      code: 'GROUP',
+      label: `Remise groupe (${FARE_CONFIG.GROUP_DISCOUNT.MIN_PASSENGERS}+ passagers)`,
+      rate: FARE_CONFIG.GROUP_DISCOUNT.RATE,
+    });
+  }
+
+  let normalizedPromoCode = null;
+  if (promoCode) {
+    normalizedPromoCode = String(promoCode).trim().toUpperCase();
+    const rate = FARE_CONFIG.PROMO_CODES[normalizedPromoCode];
+    if (!rate) {
+      throw new FareError('Code promo invalide ou expiré.');
+    }
+    discounts.push({ code: normalizedPromoCode, label: `Code promo ${normalizedPromoCode}`, rate });
+  }
+
+  // Les remises s'appliquent toutes sur le sous-total, montants arrondis au franc
+  discounts.forEach(discount => {
+    discount.amount = Math.round(subtotal * discount.rate);
+  });
+  const discountTotal = Math.min(subtotal, discounts.reduce((sum, d) => sum + d.amount, 0));
+
+  return {
+    currency: FARE_CONFIG.CURRENCY,
+    tripType,
+    passengers: quantity,
+    promoCode: normalizedPromoCode,
+    items,
+    discounts,
+    subtotal,
+    discountTotal,
+    total: subtotal - discountTotal,
+  };
+};
+
+/**
+ * Signe un devis pour que le client puisse le présenter lors de la réservation.
+ * @param {Object} fare - Résultat de computeFare
+ * @param {Object} context - Trajets concernés ({ outboundRouteId, returnRouteId })
+ * @returns {{ quoteToken: string, expiresAt: Date }}
+ */
+export const signQuote = (fare, { outboundRouteId, returnRouteId = null }) => {
+  const expiresAt = new Date(Date.now() + FARE_CONFIG.QUOTE_TTL_MINUTES * 60 * 1000);
+  const quoteToken = jwt.sign({
+    type: 'fare_quote',
+    outboundRouteId: String(outboundRouteId),
+    returnRouteId: returnRouteId ? String(returnRouteId) : null,
+    tripType: fare.tripType,
+    passengers: fare.passengers,
+    promoCode: fare.promoCode,
+    total: fare.total,
+    currency: fare.currency,
+  }, getQuoteSecret(), { expiresIn: `${FARE_CONFIG.QUOTE_TTL_MINUTES}m` });
+
+  return { quoteToken, expiresAt };
+};
+
+/**
+ * Vérifie qu'un devis signé correspond au tarif recalculé par le serveur.
+ * @param {string} quoteToken - Devis signé retourné par POST /api/travel/quote
+ * @param {Object} fare - Tarif recalculé (computeFare)
+ * @param {Object} context - Trajets de la réservation ({ outboundRouteId, returnRouteId })
+ */
+export const verifyQuote = (quoteToken, fare, { outboundRouteId, returnRouteId = null }) => {
+  let quote;
+  try {
+    quote = jwt.verify(quoteToken, getQuoteSecret());
+  } catch (error) {
+    throw new FareError('Devis invalide ou expiré. Veuillez recalculer le tarif.');
+  }
+
+  const matches = quote.type === 'fare_quote'
+    && quote.outboundRouteId === String(outboundRouteId)
+    && quote.returnRouteId === (returnRouteId ? String(returnRouteId) : null)
+    && quote.tripType === fare.tripType
+    && quote.passengers === fare.passengers
+    && quote.total === fare.total;
+
+  if (!matches) {
+    throw new FareError('Le devis ne correspond pas à la réservation ou le tarif a changé.', 409);
+  }
+
+  return quote;
+};
@@ -0,0 +1,152 @@
+// src/services/notificationService.js
+// Notifications client d'une réservation : par email, ou par SMS pour les clients inscrits
+// avec leur seul numéro de téléphone.
+import moment from 'moment';
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import { REMINDER_CONFIG } from '../config/routeConfig.js';
+import {
+  sendBookingCancellationEmail,
+  sendDepartureReminderEmail,
+  sendReservationConfirmationEmail,
+} from './emailService.js';
+import { enqueueSms } from './smsService.js';
+import { generateTicketPdf } from './ticketService.js';
+import { getDepartureMoment } from './cancellationService.js';
+
+const USER_FIELDS = 'email phone firstName lastName language';
+
+// Données d'un SMS tirées du trajet aller de la réservation
+const smsTripData = (booking) => {
+  const snapshot = booking.outboundRouteSnapshot || {};
+  return {
+    bookingReference: booking.bookingReference,
+    company: snapshot.companyName?.name || null,
+    from: snapshot.from?.name || '',
+    to: snapshot.to?.name || '',
+    departureDate: snapshot.departureDate,
+    departureTime: snapshot.departureTime || '',
+    seats: booking.selectedSeats || [],
+  };
+};
+
+/**
+ * Client à notifier pour une réservation.
+ * @param {Object} booking
+ * @returns {Promise<Object|null>} - null si le client n'a ni email ni téléphone
+ */
+export const findBookingRecipient = async (booking) => {
+  const user = await User.findById(booking.user, USER_FIELDS);
+  if (!user?.email && !user?.phone) return null;
+  return user;
+};
+
+/**
+ * Confirme la réservation au client : email avec le billet PDF, sinon SMS.
+ * @param {Object} booking - La réservation confirmée
+ * @param {Object} user - Le client (voir findBookingRecipient)
+ * @returns {Promise<Object>} - L'email ou le SMS mis en file
+ */
+export const notifyBookingConfirmed = async (booking, user) => {
+  if (user.email) {
+    const ticketPdf = await generateTicketPdf(booking);
+    return sendReservationConfirmationEmail(booking, user, { ticketPdf });
+  }
+
+  return enqueueSms({
+    phone: user.phone,
+    template: 'reservation-confirmation',
+    locale: user.language,
+    data: smsTripData(booking),
+    dedupeKey: `sms-reservation-confirmation:${booking._id}`,
+    user: user._id,
+    booking: booking._id,
+  });
+};
+
+/**
+ * Informe le client de l'annulation de sa réservation : email, sinon SMS.
+ * @param {Object} booking - La réservation annulée
+ * @param {Object} user - Le client (voir findBookingRecipient)
+ * @returns {Promise<Object>} - L'email ou le SMS mis en file
+ */
+export const notifyBookingCancelled = async (booking, user) => {
+  if (user.email) return sendBookingCancellationEmail(booking, user);
+
+  const { bookingReference, from, to } = smsTripData(booking);
+  return enqueueSms({
+    phone: user.phone,
+    template: 'booking-cancellation',
+    locale: user.language,
+    data: { bookingReference, from, to, refundAmount: booking.refund?.amountDue || 0 },
+    dedupeKey: `sms-booking-cancellation:${booking._id}`,
+    user: user._id,
+    booking: booking._id,
+  });
+};
+
+/**
+ * Rappelle leur départ aux clients dont le trajet aller part dans les prochaines heures
+ * (entre MIN_HOURS_BEFORE_DEPARTURE et HOURS_BEFORE_DEPARTURE). Chaque réservation
+ * n'est rappelée qu'une fois.
+ * @returns {Promise<{ checked: number, emails: number, sms: number, skipped: number, failed: number }>}
+ */
+export const sendDepartureReminders = async () => {
+  const now = moment();
+  const windowStart = now.clone().add(REMINDER_CONFIG.MIN_HOURS_BEFORE_DEPARTURE, 'hours');
+  const windowEnd = now.clone().add(REMINDER_CONFIG.HOURS_BEFORE_DEPARTURE, 'hours');
+
+  // Les dates de départ sont stockées sans l'heure : présélection par jour, puis filtre sur l'heure
+  const candidates = await Booking.find({
+    status: 'confirmed',
+    reminderSentAt: null,
+    'outboundRouteSnapshot.departureDate': {
+      $gte: windowStart.clone().startOf('day').toDate(),
+      $lte: windowEnd.clone().endOf('day').toDate(),
+    },
+  });
+
+  const report = { checked: candidates.length, emails: 0, sms: 0, skipped: 0, failed: 0 };
+
+  for (const booking of candidates) {
+    const departure = getDepartureMoment(booking);
+    if (!departure.isAfter(windowStart) || departure.isAfter(windowEnd)) continue;
+
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, reminderSentAt: null },
+      { $set: { reminderSentAt: new Date() } }
+    );
+    if (!claimed) continue;
+
+    try {
+      const user = await findBookingRecipient(booking);
+      if (!user) {
+        report.skipped++;
+        continue;
+      }
+
+      if (user.email) {
+        await sendDepartureReminderEmail(booking, user);
+        report.emails++;
+      } else {
+        await enqueueSms({
+          phone: user.phone,
+          template: 'departure-reminder',
+          locale: user.language,
+          data: smsTripData(booking),
+          dedupeKey: `sms-departure-reminder:${booking._id}`,
+          user: user._id,
+          booking: booking._id,
+        });
+        report.sms++;
+      }
+    } catch (error) {
+      // Mise en file échouée : la réservation sera reprise au prochain passage
+      console.error(`❌ Rappel de départ de la réservation ${booking.bookingReference} impossible:`, error.message);
+      await Booking.updateOne({ _id: booking._id }, { $set: { reminderSentAt: null } });
+      report.failed++;
+    }
+  }
+
+  return report;
+};
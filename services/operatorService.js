@@ -0,0 +1,220 @@
+// src/services/operatorService.js
+// Portail des compagnies (/api/operator) : filtres par compagnie appliqués à chaque requête,
+// manifestes des départs et revenus de la compagnie.
+import Booking from '../models/Booking.js';
+import { FARE_CONFIG } from '../config/routeConfig.js';
+
+// Réservations payées : elles apparaissent sur les manifestes et comptent dans les revenus
+export const PAID_BOOKING_STATUSES = ['confirmed', 'completed'];
+
+const LEGS = [
+  { code: 'OUTBOUND', snapshot: 'outboundRouteSnapshot', route: 'outboundRoute' },
+  { code: 'RETURN', snapshot: 'returnRouteSnapshot', route: 'returnRoute' },
+];
+
+/**
+ * Filtre des réservations dont au moins un trajet (aller ou retour) est opéré par la compagnie.
+ * @param {string} companyId
+ * @returns {Object} - Filtre MongoDB
+ */
+export const companyBookingFilter = (companyId) => ({
+  $or: LEGS.map(leg => ({ [`${leg.snapshot}.companyName.id`]: companyId })),
+});
+
+/**
+ * Trajets de la réservation opérés par la compagnie.
+ * @param {Object} booking
+ * @param {string} companyId
+ * @returns {Array<{ code: string, snapshot: Object }>}
+ */
+export const getCompanyLegs = (booking, companyId) => {
+  return LEGS
+    .filter(leg => booking[leg.snapshot]?.companyName?.id?.toString() === companyId.toString())
+    .map(leg => ({ code: leg.code, snapshot: booking[leg.snapshot] }));
+};
+
+/**
+ * La compagnie opère-t-elle tous les trajets de la réservation ? Condition pour en modifier le statut,
+ * qui s'applique aux deux trajets d'un aller-retour.
+ * @param {Object} booking
+ * @param {string} companyId
+ * @returns {boolean}
+ */
+export const isBookingOwnedByCompany = (booking, companyId) => {
+  const legs = booking.returnRouteSnapshot?.routeId ? 2 : 1;
+  return getCompanyLegs(booking, companyId).length === legs;
+};
+
+/**
+ * Vue d'une réservation pour une compagnie : seuls ses trajets y figurent. Le paiement, le tarif,
+ * le remboursement et l'historique ne sont communiqués que si elle opère toute la réservation ;
+ * sinon elle ne voit que sa part du montant payé.
+ * @param {Object} booking - Document ou objet lean
+ * @param {string} companyId
+ * @returns {Object}
+ */
+export const serializeCompanyBooking = (booking, companyId) => {
+  const source = typeof booking.toObject === 'function' ? booking.toObject() : booking;
+  const companyLegs = getCompanyLegs(source, companyId).map(leg => leg.code);
+  const ownsBooking = isBookingOwnedByCompany(source, companyId);
+
+  const view = {
+    _id: source._id,
+    bookingReference: source.bookingReference,
+    status: source.status,
+    tripType: source.tripType,
+    user: source.user,
+    selectedSeats: source.selectedSeats,
+    passengerDetails: source.passengerDetails,
+    holdExpiresAt: source.holdExpiresAt,
+    createdAt: source.createdAt,
+    updatedAt: source.updatedAt,
+    sharedWithOtherCompany: !ownsBooking,
+    companyRevenue: companyLegs.reduce((sum, code) => sum + getLegRevenue(source, code), 0),
+  };
+  for (const leg of LEGS) {
+    const operated = companyLegs.includes(leg.code);
+    view[leg.route] = operated ? source[leg.route] : null;
+    view[leg.snapshot] = operated ? source[leg.snapshot] : null;
+  }
+
+  if (ownsBooking) {
+    const { attempts, ...payment } = source.payment || {};
+    Object.assign(view, {
+      totalPrice: source.totalPrice,
+      fare: source.fare,
+      payment,
+      refund: source.refund,
+      statusHistory: source.statusHistory,
+    });
+  }
+  return view;
+};
+
+/**
+ * Part d'un trajet dans le montant payé : montant de la ligne du tarif, remises réparties
+ * au prorata. Les réservations sans détail de tarif sont réparties selon le prix des trajets.
+ * @param {Object} booking
+ * @param {string} code - 'OUTBOUND' ou 'RETURN'
+ * @returns {number}
+ */
+export const getLegRevenue = (booking, code) => {
+  const item = booking.fare?.items?.find(fareItem => fareItem.code === code);
+  if (item && booking.fare.subtotal > 0) {
+    return Math.round(item.amount * (booking.fare.total / booking.fare.subtotal));
+  }
+
+  const prices = LEGS
+    .map(leg => ({ code: leg.code, price: booking[leg.snapshot]?.routeId ? booking[leg.snapshot].price || 0 : 0 }))
+    .filter(leg => leg.price > 0);
+  const totalPrice = prices.reduce((sum, leg) => sum + leg.price, 0);
+  const leg = prices.find(entry => entry.code === code);
+  if (!leg || totalPrice === 0) return 0;
+  return Math.round((booking.totalPrice || 0) * (leg.price / totalPrice));
+};
+
+/**
+ * Manifeste d'un départ : voyageurs des réservations payées, avec leurs sièges.
+ * @param {Object} route - Trajet de la compagnie
+ * @returns {Promise<Object>}
+ */
+export const buildRouteManifest = async (route) => {
+  const bookings = await Booking.find({
+    status: { $in: PAID_BOOKING_STATUSES },
+    $or: LEGS.map(leg => ({ [leg.route]: route._id })),
+  })
+    .select('bookingReference status selectedSeats passengerDetails user')
+    .populate('user', 'firstName lastName phone email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const passengers = bookings.map(booking => ({
+    bookingId: booking._id,
+    bookingReference: booking.bookingReference,
+    status: booking.status,
+    boarded: booking.status === 'completed',
+    seats: booking.selectedSeats,
+    passengerDetails: booking.passengerDetails,
+    contact: booking.user,
+  }));
+
+  return {
+    route: {
+      _id: route._id,
+      from: route.from,
+      to: route.to,
+      departureDate: route.departureDate,
+      departureTime: route.departureTime,
+      arrivalTime: route.arrivalTime,
+      bus: route.bus,
+      availableSeats: route.availableSeats,
+    },
+    bookings: passengers.length,
+    seatsSold: passengers.reduce((sum, passenger) => sum + passenger.seats.length, 0),
+    boarded: passengers.filter(passenger => passenger.boarded).reduce((sum, passenger) => sum + passenger.seats.length, 0),
+    passengers,
+  };
+};
+
+/**
+ * Revenus de la compagnie sur ses départs d'une période : réservations payées, part de chaque trajet
+ * opéré par la compagnie, regroupée par départ.
+ * @param {string} companyId
+ * @param {Object} period
+ * @param {Date} period.from - Début (inclus) des dates de départ
+ * @param {Date} period.to - Fin (exclue) des dates de départ
+ * @returns {Promise<Object>}
+ */
+export const computeCompanyRevenue = async (companyId, { from, to }) => {
+  const inPeriod = (date) => date && date >= from && date < to;
+  const bookings = await Booking.find({
+    status: { $in: PAID_BOOKING_STATUSES },
+    $or: LEGS.map(leg => ({
+      [`${leg.snapshot}.companyName.id`]: companyId,
+      [`${leg.snapshot}.departureDate`]: { $gte: from, $lt: to },
+    })),
+  })
+    .select('outboundRouteSnapshot returnRouteSnapshot selectedSeats totalPrice fare')
+    .lean();
+
+  const byRoute = new Map();
+  let total = 0;
+  let seatsSold = 0;
+
+  for (const booking of bookings) {
+    for (const { code, snapshot } of getCompanyLegs(booking, companyId)) {
+      if (!inPeriod(snapshot.departureDate)) continue;
+
+      const amount = getLegRevenue(booking, code);
+      const seats = booking.selectedSeats?.length || 0;
+      const key = snapshot.routeId.toString();
+      const entry = byRoute.get(key) || {
+        routeId: snapshot.routeId,
+        from: snapshot.from?.name,
+        to: snapshot.to?.name,
+        departureDate: snapshot.departureDate,
+        departureTime: snapshot.departureTime,
+        bookings: 0,
+        seatsSold: 0,
+        revenue: 0,
+      };
+      entry.bookings += 1;
+      entry.seatsSold += seats;
+      entry.revenue += amount;
+      byRoute.set(key, entry);
+
+      total += amount;
+      seatsSold += seats;
+    }
+  }
+
+  return {
+    currency: FARE_CONFIG.CURRENCY,
+    from,
+    to,
+    total,
+    seatsSold,
+    departures: byRoute.size,
+    byRoute: [...byRoute.values()].sort((a, b) => a.departureDate - b.departureDate),
+  };
+};
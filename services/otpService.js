@@ -0,0 +1,158 @@
+// src/services/otpService.js
+// Codes à usage unique (6 chiffres) envoyés par SMS : expiration, nombre d'essais
+// limité et limitation des envois par numéro.
+import crypto from 'crypto';
+import OtpCode from '../models/OtpCode.js';
+import { OTP_CONFIG } from '../config/routeConfig.js';
+import { enqueueSms, toInternationalPhone } from './smsService.js';
+
+// Modèle de SMS utilisé pour chaque usage
+const SMS_TEMPLATES = {
+  password_reset: 'password-reset-otp',
+  phone_verification: 'phone-verification-otp',
+};
+
+/**
+ * Erreur de code à usage unique : porte le code HTTP à renvoyer.
+ */
+export class OtpError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OtpError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** OTP_CONFIG.CODE_LENGTH).toString().padStart(OTP_CONFIG.CODE_LENGTH, '0');
+};
+
+const normalizePhone = (phone) => {
+  const to = toInternationalPhone(phone);
+  if (!to) {
+    throw new OtpError('Numéro de téléphone invalide.');
+  }
+  return to;
+};
+
+/**
+ * Vérifie qu'un nouveau code peut être envoyé à ce numéro : délai entre deux envois
+ * et nombre d'envois par fenêtre.
+ * @param {string} phone - Numéro au format international
+ * @param {string} purpose
+ * @throws {OtpError} 429 si la limite est atteinte
+ */
+const assertCanSend = async (phone, purpose) => {
+  const windowStart = new Date(Date.now() - OTP_CONFIG.SEND_WINDOW_MINUTES * 60 * 1000);
+  const recent = await OtpCode.find({ phone, purpose, createdAt: { $gte: windowStart } }, 'createdAt')
+    .sort({ createdAt: -1 });
+
+  if (recent.length >= OTP_CONFIG.MAX_SENDS_PER_WINDOW) {
+    const retryAt = recent[recent.length - 1].createdAt.getTime() + OTP_CONFIG.SEND_WINDOW_MINUTES * 60 * 1000;
+    const minutes = Math.ceil((retryAt - Date.now()) / (60 * 1000));
+    throw new OtpError(`Trop de codes demandés pour ce numéro. Veuillez réessayer dans ${minutes} minute(s).`, 429);
+  }
+
+  const last = recent[0];
+  if (last) {
+    const elapsedSeconds = (Date.now() - last.createdAt.getTime()) / 1000;
+    if (elapsedSeconds < OTP_CONFIG.RESEND_COOLDOWN_SECONDS) {
+      const seconds = Math.ceil(OTP_CONFIG.RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+      throw new OtpError(`Veuillez patienter ${seconds} seconde(s) avant de demander un nouveau code.`, 429);
+    }
+  }
+};
+
+/**
+ * Génère un code, invalide les codes précédents du numéro pour cet usage et l'envoie par SMS.
+ * @param {Object} params
+ * @param {string} params.phone - Numéro du destinataire
+ * @param {string} params.purpose - Usage du code (voir OtpCode.purpose)
+ * @param {Object} [params.user] - Utilisateur concerné (language utilisé pour le SMS)
+ * @returns {Promise<{ expiresAt: Date }>}
+ * @throws {OtpError} - Numéro invalide (400) ou limite d'envoi atteinte (429)
+ */
+export const sendOtp = async ({ phone, purpose, user = null }) => {
+  const to = normalizePhone(phone);
+  await assertCanSend(to, purpose);
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + OTP_CONFIG.EXPIRES_MINUTES * 60 * 1000);
+
+  await OtpCode.updateMany(
+    { phone: to, purpose, consumedAt: null, invalidatedAt: null },
+    { $set: { invalidatedAt: new Date() } }
+  );
+  const otp = await OtpCode.create({ phone: to, purpose, user: user?._id || null, codeHash: hashCode(code), expiresAt });
+
+  const sms = await enqueueSms({
+    phone: to,
+    template: SMS_TEMPLATES[purpose],
+    locale: user?.language,
+    data: { code, expiresInMinutes: OTP_CONFIG.EXPIRES_MINUTES },
+    user: user?._id || null,
+  });
+  otp.sms = sms._id;
+  await otp.save();
+
+  return { expiresAt };
+};
+
+/**
+ * Vérifie un code et le consomme s'il est correct. Chaque erreur de saisie compte
+ * comme un essai ; le code est invalidé une fois les essais épuisés.
+ * @param {Object} params
+ * @param {string} params.phone
+ * @param {string} params.purpose
+ * @param {string} params.code
+ * @returns {Promise<Object>} - Le code consommé (avec `user`)
+ * @throws {OtpError} - Code invalide, expiré ou essais épuisés
+ */
+export const verifyOtp = async ({ phone, purpose, code }) => {
+  const to = normalizePhone(phone);
+  if (!code || !/^\d+$/.test(String(code))) {
+    throw new OtpError('Code invalide.');
+  }
+
+  const otp = await OtpCode.findOne({
+    phone: to,
+    purpose,
+    consumedAt: null,
+    invalidatedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  if (!otp) {
+    throw new OtpError('Code invalide ou expiré. Veuillez demander un nouveau code.');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const received = Buffer.from(hashCode(code), 'hex');
+  if (!crypto.timingSafeEqual(expected, received)) {
+    // Incrément conditionnel : deux essais concurrents ne peuvent pas dépasser la limite
+    const updated = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, invalidatedAt: null, attempts: { $lt: OTP_CONFIG.MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    const remaining = updated ? OTP_CONFIG.MAX_ATTEMPTS - updated.attempts : 0;
+    if (remaining <= 0) {
+      await OtpCode.updateOne({ _id: otp._id }, { $set: { invalidatedAt: new Date() } });
+      throw new OtpError('Nombre d\'essais dépassé. Veuillez demander un nouveau code.', 429);
+    }
+    throw new OtpError(`Code incorrect. Essais restants: ${remaining}`);
+  }
+
+  const consumed = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null, invalidatedAt: null },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+  if (!consumed) {
+    throw new OtpError('Code invalide ou expiré. Veuillez demander un nouveau code.');
+  }
+
+  return consumed;
+};
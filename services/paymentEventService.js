@@ -0,0 +1,194 @@
+// src/services/paymentEventService.js
+import Booking from '../models/Booking.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { PAYMENT_EVENT_CONFIG } from '../config/routeConfig.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { applyPaymentResult, findBookingByInvoiceToken, recordPaymentAttempt } from './paymentService.js';
+
+/**
+ * Erreur levée lorsqu'une notification de paiement ne peut pas être (re)traitée.
+ */
+export class PaymentEventError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'PaymentEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+// En-têtes utiles au diagnostic ; les autres (cookies, autorisation...) ne sont pas conservés
+const STORED_HEADERS = /^(content-type|user-agent|x-forwarded-for)$|signature/i;
+
+const pickHeaders = (headers = {}) => {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => STORED_HEADERS.test(name)));
+};
+
+// Délai avant la relance suivante : doublé à chaque tentative
+const nextAttemptDate = (attempts) => {
+  if (attempts >= PAYMENT_EVENT_CONFIG.MAX_ATTEMPTS) return null;
+  const delayMinutes = PAYMENT_EVENT_CONFIG.RETRY_BASE_DELAY_MINUTES * 2 ** Math.max(attempts - 1, 0);
+  return new Date(Date.now() + delayMinutes * 60 * 1000);
+};
+
+/**
+ * Enregistre une notification reçue d'un fournisseur, avant tout traitement.
+ * Une notification dont la signature est invalide est conservée avec le statut 'rejected'.
+ * @param {Object} params
+ * @param {Object} params.provider - Fournisseur de paiement
+ * @param {Object} params.req - Requête du webhook
+ * @param {Object} params.verification - Résultat de provider.verifyWebhook()
+ * @param {Object|null} [params.booking] - Réservation désignée par l'URL du webhook
+ * @returns {Promise<Object>}
+ */
+export const recordPaymentEvent = ({ provider, req, verification, booking = null }) => {
+  return PaymentEvent.create({
+    provider: provider.name,
+    reference: verification.reference || null,
+    booking: booking?._id || null,
+    signatureValid: verification.valid,
+    signatureError: verification.valid ? null : verification.reason || 'Signature invalide',
+    payload: req.body || {},
+    headers: pickHeaders(req.headers),
+    status: verification.valid ? 'received' : 'rejected',
+  });
+};
+
+// Traite une notification déjà réservée ('processing') ; retourne le statut final à enregistrer
+const handleEvent = async (event, { replay }) => {
+  if (!event.reference) return { status: 'ignored', outcome: 'missing_reference' };
+
+  // Une seule prise en compte par référence de paiement, sauf relance manuelle
+  if (!replay) {
+    const alreadyProcessed = await PaymentEvent.exists({
+      _id: { $ne: event._id },
+      provider: event.provider,
+      reference: event.reference,
+      status: 'processed',
+    });
+    if (alreadyProcessed) return { status: 'duplicate', outcome: 'already_processed' };
+  }
+
+  const booking = (event.booking && await Booking.findById(event.booking))
+    || await findBookingByInvoiceToken(event.reference);
+
+  if (booking?.status === 'confirmed' && booking.payment?.invoiceToken === event.reference) {
+    return { status: 'processed', outcome: 'already_confirmed', booking };
+  }
+  // La réservation de l'URL doit attendre ce paiement : une référence payée pour une autre réservation
+  // (de même montant) ne doit pas pouvoir la confirmer
+  if (booking && booking.payment?.invoiceToken !== event.reference) {
+    return {
+      status: 'ignored',
+      outcome: 'booking_mismatch',
+      error: `La référence ${event.reference} n'est pas le paiement en cours de la réservation ${booking._id}.`,
+      booking,
+    };
+  }
+
+  // Le statut est toujours relu auprès du fournisseur, jamais pris dans la notification
+  const provider = getPaymentProvider(event.provider);
+  const result = await provider.confirm(event.reference, { booking });
+
+  if (result.status === 'pending') {
+    throw new PaymentEventError('Paiement encore en attente chez le fournisseur.');
+  }
+  if (result.status !== 'completed') {
+    if (booking) {
+      await recordPaymentAttempt(booking._id, { provider: provider.name, invoiceToken: event.reference, status: result.status });
+    }
+    return { status: 'processed', outcome: `payment_${result.status}`, booking };
+  }
+  if (!booking) {
+    throw new PaymentEventError(`Réservation introuvable pour la référence ${event.reference}.`, 404);
+  }
+  if (result.bookingId && result.bookingId !== booking._id.toString()) {
+    return {
+      status: 'ignored',
+      outcome: 'booking_mismatch',
+      error: `Le paiement concerne la réservation ${result.bookingId}, pas ${booking._id}.`,
+      booking,
+    };
+  }
+
+  const applied = await applyPaymentResult(booking, provider, result, replay ? 'relance du webhook' : 'webhook');
+  if (!applied.confirmed) {
+    // Paiement reçu mais réservation non confirmable (montant, sièges libérés) : intervention manuelle
+    return { status: 'failed', outcome: 'confirmation_refused', error: applied.error, retry: false, booking };
+  }
+  return { status: 'processed', outcome: 'booking_confirmed', booking: applied.booking };
+};
+
+/**
+ * Traite une notification de paiement : confirme la réservation si le fournisseur
+ * confirme le paiement, et planifie une relance en cas d'échec.
+ * @param {string} eventId
+ * @param {Object} [options]
+ * @param {string} [options.replayedBy] - Admin qui relance manuellement la notification
+ * @returns {Promise<Object>} - La notification mise à jour
+ */
+export const processPaymentEvent = async (eventId, { replayedBy = null } = {}) => {
+  const replay = Boolean(replayedBy);
+  const claim = { $set: { status: 'processing', lastError: null, nextAttemptAt: null }, $inc: { attempts: 1 } };
+  if (replay) Object.assign(claim.$set, { replayedBy, replayedAt: new Date() });
+
+  // Réservation conditionnelle : une notification n'est traitée que par un seul processus à la fois
+  const event = await PaymentEvent.findOneAndUpdate(
+    { _id: eventId, status: replay ? { $ne: 'processing' } : { $in: ['received', 'failed'] } },
+    claim,
+    { new: true }
+  );
+  if (!event) {
+    if (!(await PaymentEvent.exists({ _id: eventId }))) throw new PaymentEventError('Notification de paiement introuvable.', 404);
+    throw new PaymentEventError('Cette notification est déjà en cours de traitement.');
+  }
+
+  try {
+    const { status, outcome, error, retry = true, booking } = await handleEvent(event, { replay });
+    event.status = status;
+    event.outcome = outcome;
+    event.lastError = error || null;
+    event.nextAttemptAt = status === 'failed' && retry ? nextAttemptDate(event.attempts) : null;
+    if (booking && !event.booking) event.booking = booking._id;
+    if (status !== 'failed') event.processedAt = new Date();
+  } catch (error) {
+    console.error(`❌ Traitement de la notification ${event.provider} ${event._id} impossible:`, error.message);
+    event.status = 'failed';
+    event.lastError = error.message;
+    event.nextAttemptAt = nextAttemptDate(event.attempts);
+  }
+
+  return event.save();
+};
+
+/**
+ * Relance les notifications en échec dont la date de relance est atteinte,
+ * ainsi que celles dont le traitement a été interrompu.
+ * @returns {Promise<{ retried: number, processed: number, failed: number }>}
+ */
+export const retryFailedPaymentEvents = async () => {
+  const staleBefore = new Date(Date.now() - PAYMENT_EVENT_CONFIG.PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+  await PaymentEvent.updateMany(
+    { status: 'processing', updatedAt: { $lt: staleBefore } },
+    { $set: { status: 'failed', lastError: 'Traitement interrompu', nextAttemptAt: new Date() } }
+  );
+
+  const due = await PaymentEvent.find(
+    { status: 'failed', nextAttemptAt: { $ne: null, $lte: new Date() } },
+    '_id'
+  ).sort({ nextAttemptAt: 1 }).limit(100);
+
+  const report = { retried: 0, processed: 0, failed: 0 };
+  for (const { _id } of due) {
+    try {
+      const event = await processPaymentEvent(_id);
+      report.retried++;
+      if (event.status === 'failed') report.failed++;
+      else report.processed++;
+    } catch (error) {
+      // Reprise entre-temps par un autre processus
+      if (!(error instanceof PaymentEventError)) throw error;
+    }
+  }
+
+  return report;
+};
@@ -0,0 +1,64 @@
+// src/services/paymentProviders/index.js
+import paydunyaProvider from './paydunyaProvider.js';
+import orangeMoneyProvider from './orangeMoneyProvider.js';
+import mtnMomoProvider from './mtnMomoProvider.js';
+import moovProvider from './moovProvider.js';
+import waveProvider from './waveProvider.js';
+import stubProvider from './stubProvider.js';
+import { PaymentProviderError } from './providerUtils.js';
+
+export { PaymentProviderError };
+
+/**
+ * Fournisseurs de paiement disponibles. Chacun expose :
+ * - isConfigured() → boolean
+ * - initiate({ booking, customer, phone, returnUrl, cancelUrl, webhookUrl })
+ *     → { reference, paymentUrl, instructions? }
+ * - confirm(reference, { booking }) → { status: 'completed'|'pending'|'failed'|'cancelled', bookingId, transactionId, amount, receiptUrl?, raw }
+ * - verifyWebhook(req, { booking }) → { valid, reference, bookingId, reason? }
+ * - refund({ refund, booking }) → { status: 'succeeded'|'processing'|'failed', reference, error? }
+ * - getRefundStatus(reference) → { status, error? }
+ */
+// Le paiement simulé confirme sans encaissement : il n'est enregistré que s'il est activé et signé
+const registerStubProvider = () => {
+  if (process.env.ENABLE_STUB_PAYMENTS !== 'true') return false;
+  if (!stubProvider.isConfigured()) {
+    console.error('❌ Paiement simulé non enregistré : ENABLE_STUB_PAYMENTS=true exige STUB_WEBHOOK_SECRET.');
+    return false;
+  }
+  console.warn('⚠️ Paiement simulé activé : les réservations peuvent être confirmées sans encaissement.');
+  return true;
+};
+
+const PROVIDERS = Object.fromEntries(
+  [paydunyaProvider, orangeMoneyProvider, mtnMomoProvider, moovProvider, waveProvider]
+    .concat(registerStubProvider() ? [stubProvider] : [])
+    .map(provider => [provider.name, provider])
+);
+
+export const PAYMENT_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export const DEFAULT_PAYMENT_PROVIDER = 'paydunya';
+
+/**
+ * Retourne un fournisseur de paiement par nom.
+ * @param {string} name
+ * @returns {Object}
+ */
+export const getPaymentProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new PaymentProviderError(`Fournisseur de paiement inconnu: ${name}`, 404);
+  }
+  return provider;
+};
+
+/**
+ * Liste des fournisseurs utilisables (configurés) pour le paiement.
+ * @returns {Array<{ name: string, label: string }>}
+ */
+export const listAvailableProviders = () => {
+  return Object.values(PROVIDERS)
+    .filter(provider => provider.isConfigured())
+    .map(({ name, label }) => ({ name, label }));
+};
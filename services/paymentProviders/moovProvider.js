@@ -0,0 +1,111 @@
+// src/services/paymentProviders/moovProvider.js
+import { PaymentProviderError, missingEnv, requestJson, hmacSha256, safeEqual } from './providerUtils.js';
+
+// Moov Money (Flooz) est accessible via la passerelle marchande configurée par MOOV_API_URL
+const REQUIRED_KEYS = ['MOOV_API_URL', 'MOOV_API_KEY', 'MOOV_MERCHANT_ID', 'MOOV_WEBHOOK_SECRET'];
+
+const ensureConfigured = () => {
+  const missingKeys = missingEnv(REQUIRED_KEYS);
+  if (missingKeys.length > 0) {
+    throw new PaymentProviderError(`Variables d'environnement Moov Money manquantes: ${missingKeys.join(', ')}`, 503);
+  }
+};
+
+const callMoov = (path, { method = 'POST', body } = {}) => {
+  ensureConfigured();
+  return requestJson(`${process.env.MOOV_API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.MOOV_API_KEY}`,
+      'X-Merchant-Id': process.env.MOOV_MERCHANT_ID,
+    },
+    body,
+  });
+};
+
+// Statuts Moov → statuts communs
+const mapStatus = (status) => {
+  const normalized = String(status || '').toUpperCase();
+  if (normalized === 'SUCCESS' || normalized === 'SUCCESSFUL') return 'completed';
+  if (normalized === 'FAILED') return 'failed';
+  if (normalized === 'CANCELLED' || normalized === 'EXPIRED') return 'cancelled';
+  return 'pending';
+};
+
+const moovProvider = {
+  name: 'moov',
+  label: 'Moov Money',
+
+  isConfigured: () => missingEnv(REQUIRED_KEYS).length === 0,
+
+  // Comme MTN, le client valide le paiement sur son téléphone (push USSD)
+  async initiate({ booking, customer, phone, webhookUrl }) {
+    const payerPhone = phone || customer.phone;
+    if (!payerPhone) {
+      throw new PaymentProviderError('Un numéro Moov est requis pour ce moyen de paiement.', 400);
+    }
+
+    const data = await callMoov('/payments', {
+      body: {
+        amount: booking.totalPrice,
+        currency: 'XOF',
+        msisdn: payerPhone.replace(/\D/g, '').slice(-10),
+        externalReference: booking._id.toString(),
+        description: `Réservation AdjameGare ${booking.bookingReference}`,
+        callbackUrl: webhookUrl,
+      },
+    });
+
+    return {
+      reference: data.reference || data.transactionId,
+      paymentUrl: data.paymentUrl || null,
+      instructions: 'Validez le paiement sur votre téléphone Moov pour confirmer la réservation.',
+    };
+  },
+
+  async confirm(reference) {
+    const data = await callMoov(`/payments/${reference}`, { method: 'GET' });
+
+    return {
+      status: mapStatus(data.status),
+      bookingId: data.externalReference || null,
+      transactionId: data.transactionId || null,
+      amount: data.amount !== undefined ? Number(data.amount) : null,
+      raw: data,
+    };
+  },
+
+  // En-tête x-moov-signature : HMAC-SHA256 du corps brut avec MOOV_WEBHOOK_SECRET
+  async verifyWebhook(req) {
+    const reference = req.body?.reference;
+    if (!reference) return { valid: false, reason: 'Référence manquante' };
+
+    const expected = hmacSha256(process.env.MOOV_WEBHOOK_SECRET || '', req.rawBody || '');
+    if (!safeEqual(req.headers['x-moov-signature'], expected)) {
+      return { valid: false, reference, reason: 'Signature invalide' };
+    }
+
+    return { valid: true, reference, bookingId: req.body.externalReference || null };
+  },
+
+  async refund({ refund, booking }) {
+    const data = await callMoov('/refunds', {
+      body: {
+        paymentReference: booking?.payment?.invoiceToken,
+        amount: refund.amount,
+        externalReference: refund._id.toString(),
+      },
+    });
+    return { status: mapStatus(data.status) === 'completed' ? 'succeeded' : 'processing', reference: data.reference };
+  },
+
+  async getRefundStatus(reference) {
+    const data = await callMoov(`/refunds/${reference}`, { method: 'GET' });
+    const status = mapStatus(data.status);
+    if (status === 'completed') return { status: 'succeeded' };
+    if (status === 'failed' || status === 'cancelled') return { status: 'failed', error: data.message };
+    return { status: 'processing' };
+  },
+};
+
+export default moovProvider;
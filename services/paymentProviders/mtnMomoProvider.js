@@ -0,0 +1,160 @@
+// src/services/paymentProviders/mtnMomoProvider.js
+import crypto from 'crypto';
+import { PaymentProviderError, missingEnv, requestJson } from './providerUtils.js';
+
+// API MTN MoMo (produits Collection pour les paiements, Disbursement pour les remboursements)
+const API_URL = process.env.MTN_MOMO_API_URL || 'https://sandbox.momodeveloper.mtn.com';
+const TARGET_ENVIRONMENT = process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox';
+// La sandbox MTN n'accepte que l'EUR
+const CURRENCY = TARGET_ENVIRONMENT === 'sandbox' ? 'EUR' : 'XOF';
+const REQUIRED_KEYS = ['MTN_MOMO_COLLECTION_USER', 'MTN_MOMO_COLLECTION_API_KEY', 'MTN_MOMO_COLLECTION_SUBSCRIPTION_KEY'];
+
+const PRODUCTS = {
+  collection: {
+    user: 'MTN_MOMO_COLLECTION_USER',
+    apiKey: 'MTN_MOMO_COLLECTION_API_KEY',
+    subscriptionKey: 'MTN_MOMO_COLLECTION_SUBSCRIPTION_KEY',
+  },
+  disbursement: {
+    user: 'MTN_MOMO_DISBURSEMENT_USER',
+    apiKey: 'MTN_MOMO_DISBURSEMENT_API_KEY',
+    subscriptionKey: 'MTN_MOMO_DISBURSEMENT_SUBSCRIPTION_KEY',
+  },
+};
+
+const tokens = {};
+
+// Jeton d'accès par produit, réutilisé jusqu'à son expiration
+const getAccessToken = async (product) => {
+  const keys = PRODUCTS[product];
+  const missingKeys = missingEnv(Object.values(keys));
+  if (missingKeys.length > 0) {
+    throw new PaymentProviderError(`Variables d'environnement MTN MoMo manquantes: ${missingKeys.join(', ')}`, 503);
+  }
+  if (tokens[product] && tokens[product].expiresAt > Date.now()) return tokens[product].value;
+
+  const credentials = Buffer.from(`${process.env[keys.user]}:${process.env[keys.apiKey]}`).toString('base64');
+  const data = await requestJson(`${API_URL}/${product}/token/`, {
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Ocp-Apim-Subscription-Key': process.env[keys.subscriptionKey],
+    },
+  });
+
+  tokens[product] = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+  return tokens[product].value;
+};
+
+const productHeaders = async (product, extra = {}) => ({
+  Authorization: `Bearer ${await getAccessToken(product)}`,
+  'Ocp-Apim-Subscription-Key': process.env[PRODUCTS[product].subscriptionKey],
+  'X-Target-Environment': TARGET_ENVIRONMENT,
+  ...extra,
+});
+
+// Numéro au format international sans '+' (225XXXXXXXXXX)
+const toMsisdn = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length === 10 ? `225${digits}` : digits;
+};
+
+// Statuts MTN → statuts communs
+const mapStatus = (status) => {
+  if (status === 'SUCCESSFUL') return 'completed';
+  if (status === 'FAILED') return 'failed';
+  if (status === 'REJECTED' || status === 'TIMEOUT') return 'cancelled';
+  return 'pending';
+};
+
+const mtnMomoProvider = {
+  name: 'mtn_momo',
+  label: 'MTN Mobile Money',
+
+  isConfigured: () => missingEnv(REQUIRED_KEYS).length === 0,
+
+  // Paiement sans redirection : le client valide la demande sur son téléphone
+  async initiate({ booking, customer, phone, webhookUrl }) {
+    const payerPhone = phone || customer.phone;
+    if (!payerPhone) {
+      throw new PaymentProviderError('Un numéro MTN est requis pour ce moyen de paiement.', 400);
+    }
+
+    const reference = crypto.randomUUID();
+    await requestJson(`${API_URL}/collection/v1_0/requesttopay`, {
+      headers: await productHeaders('collection', {
+        'X-Reference-Id': reference,
+        'X-Callback-Url': `${webhookUrl}?reference=${reference}`,
+      }),
+      body: {
+        amount: String(booking.totalPrice),
+        currency: CURRENCY,
+        externalId: booking._id.toString(),
+        payer: { partyIdType: 'MSISDN', partyId: toMsisdn(payerPhone) },
+        payerMessage: `Réservation AdjameGare ${booking.bookingReference}`,
+        payeeNote: `Réservation ${booking._id}`,
+      },
+    });
+
+    return {
+      reference,
+      paymentUrl: null,
+      instructions: 'Validez le paiement sur votre téléphone MTN pour confirmer la réservation.',
+    };
+  },
+
+  async confirm(reference) {
+    const data = await requestJson(`${API_URL}/collection/v1_0/requesttopay/${reference}`, {
+      method: 'GET',
+      headers: await productHeaders('collection'),
+    });
+
+    return {
+      status: mapStatus(data.status),
+      bookingId: data.externalId || null,
+      transactionId: data.financialTransactionId || null,
+      amount: CURRENCY === 'XOF' && data.amount !== undefined ? Number(data.amount) : null,
+      raw: data,
+    };
+  },
+
+  // MTN ne signe pas ses callbacks : la référence est vérifiée, puis le statut est relu
+  // auprès de l'API (confirm) avant toute confirmation de réservation
+  async verifyWebhook(req) {
+    const reference = req.query.reference || req.body?.referenceId;
+    if (!reference) return { valid: false, reason: 'Référence manquante' };
+    return { valid: true, reference, bookingId: req.body?.externalId || null };
+  },
+
+  async refund({ refund }) {
+    if (!refund.destination?.phone) {
+      return { status: 'failed', reference: null, error: 'Numéro de destination du remboursement manquant.' };
+    }
+
+    const reference = crypto.randomUUID();
+    await requestJson(`${API_URL}/disbursement/v1_0/transfer`, {
+      headers: await productHeaders('disbursement', { 'X-Reference-Id': reference }),
+      body: {
+        amount: String(refund.amount),
+        currency: CURRENCY,
+        externalId: refund._id.toString(),
+        payee: { partyIdType: 'MSISDN', partyId: toMsisdn(refund.destination.phone) },
+        payerMessage: 'Remboursement AdjameGare',
+        payeeNote: `Remboursement ${refund._id}`,
+      },
+    });
+
+    return { status: 'processing', reference };
+  },
+
+  async getRefundStatus(reference) {
+    const data = await requestJson(`${API_URL}/disbursement/v1_0/transfer/${reference}`, {
+      method: 'GET',
+      headers: await productHeaders('disbursement'),
+    });
+    if (data.status === 'SUCCESSFUL') return { status: 'succeeded' };
+    if (data.status === 'FAILED') return { status: 'failed', error: data.reason?.message || data.reason };
+    return { status: 'processing' };
+  },
+};
+
+export default mtnMomoProvider;
@@ -0,0 +1,124 @@
+// src/services/paymentProviders/orangeMoneyProvider.js
+import { PaymentProviderError, missingEnv, requestJson, safeEqual } from './providerUtils.js';
+
+// API Orange Money Web Payment (Côte d'Ivoire)
+const API_URL = process.env.ORANGE_MONEY_API_URL || 'https://api.orange.com';
+const REQUIRED_KEYS = ['ORANGE_MONEY_CLIENT_ID', 'ORANGE_MONEY_CLIENT_SECRET', 'ORANGE_MONEY_MERCHANT_KEY'];
+// L'environnement de test Orange utilise la devise fictive OUV
+const CURRENCY = process.env.NODE_ENV === 'production' ? 'XOF' : 'OUV';
+
+let cachedToken = null;
+
+const ensureConfigured = () => {
+  const missingKeys = missingEnv(REQUIRED_KEYS);
+  if (missingKeys.length > 0) {
+    throw new PaymentProviderError(`Variables d'environnement Orange Money manquantes: ${missingKeys.join(', ')}`, 503);
+  }
+};
+
+// Jeton OAuth2 (client credentials) réutilisé jusqu'à son expiration
+const getAccessToken = async () => {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) return cachedToken.value;
+
+  const credentials = Buffer.from(`${process.env.ORANGE_MONEY_CLIENT_ID}:${process.env.ORANGE_MONEY_CLIENT_SECRET}`).toString('base64');
+  const data = await requestJson(`${API_URL}/oauth/v3/token`, {
+    headers: { Authorization: `Basic ${credentials}` },
+    form: { grant_type: 'client_credentials' },
+  });
+
+  cachedToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+  return cachedToken.value;
+};
+
+const callWebPayment = async (path, body) => {
+  ensureConfigured();
+  const token = await getAccessToken();
+  return requestJson(`${API_URL}/orange-money-webpay/ci/v1/${path}`, {
+    headers: { Authorization: `Bearer ${token}` },
+    body,
+  });
+};
+
+// La référence regroupe le pay_token et le notif_token renvoyés à l'initiation
+const splitReference = (reference) => {
+  const [payToken, notifToken] = String(reference).split(':');
+  return { payToken, notifToken };
+};
+
+// Statuts Orange Money → statuts communs
+const mapStatus = (status) => {
+  if (status === 'SUCCESS') return 'completed';
+  if (status === 'FAILED') return 'failed';
+  if (status === 'EXPIRED') return 'cancelled';
+  return 'pending';
+};
+
+const orangeMoneyProvider = {
+  name: 'orange_money',
+  label: 'Orange Money',
+
+  isConfigured: () => missingEnv(REQUIRED_KEYS).length === 0,
+
+  async initiate({ booking, returnUrl, cancelUrl, webhookUrl }) {
+    const data = await callWebPayment('webpayment', {
+      merchant_key: process.env.ORANGE_MONEY_MERCHANT_KEY,
+      currency: CURRENCY,
+      order_id: booking._id.toString(),
+      amount: booking.totalPrice,
+      return_url: returnUrl,
+      cancel_url: cancelUrl,
+      notif_url: webhookUrl,
+      lang: 'fr',
+      reference: 'AdjameGare',
+    });
+
+    return { reference: `${data.pay_token}:${data.notif_token}`, paymentUrl: data.payment_url };
+  },
+
+  async confirm(reference, { booking } = {}) {
+    if (!booking) {
+      throw new PaymentProviderError('La réservation est nécessaire pour vérifier un paiement Orange Money.', 400);
+    }
+
+    const { payToken } = splitReference(reference);
+    const data = await callWebPayment('transactionstatus', {
+      order_id: booking._id.toString(),
+      amount: booking.totalPrice,
+      pay_token: payToken,
+    });
+
+    return {
+      status: mapStatus(data.status),
+      bookingId: booking._id.toString(),
+      transactionId: data.txnid || null,
+      amount: null,
+      raw: data,
+    };
+  },
+
+  // Orange ne signe pas ses notifications : elles portent le notif_token reçu à l'initiation,
+  // comparé à celui enregistré sur la réservation (l'URL de notification contient son ID)
+  async verifyWebhook(req, { booking } = {}) {
+    const notifToken = req.body?.notif_token;
+    if (!notifToken) return { valid: false, reason: 'notif_token manquant' };
+    if (!booking?.payment?.invoiceToken) return { valid: false, reason: 'Paiement inconnu' };
+
+    const { notifToken: expectedNotifToken } = splitReference(booking.payment.invoiceToken);
+    if (!safeEqual(notifToken, expectedNotifToken)) {
+      return { valid: false, reference: booking.payment.invoiceToken, reason: 'notif_token invalide' };
+    }
+
+    return { valid: true, reference: booking.payment.invoiceToken, bookingId: booking._id.toString() };
+  },
+
+  // Le Web Payment n'expose pas de remboursement : il se fait par transfert depuis le compte marchand
+  async refund() {
+    return { status: 'failed', reference: null, error: 'Remboursement Orange Money non disponible via l\'API : à effectuer manuellement.' };
+  },
+
+  async getRefundStatus() {
+    return { status: 'failed', error: 'Remboursement Orange Money non disponible via l\'API.' };
+  },
+};
+
+export default orangeMoneyProvider;
@@ -0,0 +1,189 @@
+// src/services/paymentProviders/paydunyaProvider.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import paydunya from 'paydunya';
+import { PaymentProviderError, missingEnv, requestJson, safeEqual } from './providerUtils.js';
+
+dotenv.config();
+
+const REQUIRED_KEYS = ['PAYDUNYA_MASTER_KEY', 'PAYDUNYA_PRIVATE_KEY', 'PAYDUNYA_PUBLIC_KEY', 'PAYDUNYA_TOKEN'];
+
+// API de déboursement PayDunya (PUSH API v2) utilisée pour les remboursements
+const DISBURSE_URL = process.env.NODE_ENV === 'production'
+  ? 'https://app.paydunya.com/api/v2/disburse'
+  : 'https://app.paydunya.com/sandbox-api/v2/disburse';
+
+// Configuration de PayDunya selon la documentation officielle
+const setupPaydunya = () => {
+  const missingKeys = missingEnv(REQUIRED_KEYS);
+  if (missingKeys.length > 0) {
+    throw new Error(`Variables d'environnement PayDunya manquantes: ${missingKeys.join(', ')}`);
+  }
+
+  const setup = new paydunya.Setup({
+    masterKey: process.env.PAYDUNYA_MASTER_KEY,
+    privateKey: process.env.PAYDUNYA_PRIVATE_KEY,
+    publicKey: process.env.PAYDUNYA_PUBLIC_KEY,
+    token: process.env.PAYDUNYA_TOKEN,
+    mode: process.env.NODE_ENV === 'production' ? 'live' : 'test'
+  });
+
+  const store = new paydunya.Store({
+    name: 'Adjamegare',
+    tagline: 'Votre plateforme de réservation de billets de bus',
+    phoneNumber: '+225 0161556509',
+    postalAddress: 'Abidjan, Côte d\'Ivoire',
+    logoURL: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/logoAg.png` : undefined,
+    returnURL: process.env.FRONTEND_PAYMENT_RETURN_URL,
+    cancelURL: process.env.FRONTEND_PAYMENT_CANCEL_URL || process.env.FRONTEND_PAYMENT_RETURN_URL,
+  });
+
+  return { setup, store };
+};
+
+// Configuration globale PayDunya
+let paydunyaConfig;
+try {
+  paydunyaConfig = setupPaydunya();
+  console.log('Configuration PayDunya initialisée.');
+} catch (error) {
+  console.error('Erreur de configuration PayDunya:', error.message);
+}
+
+const getConfig = () => {
+  if (!paydunyaConfig) {
+    throw new PaymentProviderError('Le service de paiement PayDunya n\'est pas configuré.', 503);
+  }
+  return paydunyaConfig;
+};
+
+// Statuts de facture PayDunya → statuts communs
+const mapInvoiceStatus = (status) => {
+  if (status === 'completed') return 'completed';
+  if (status === 'cancelled') return 'cancelled';
+  if (status === 'failed') return 'failed';
+  return 'pending';
+};
+
+const callDisburse = async (path, body) => {
+  const data = await requestJson(`${DISBURSE_URL}/${path}`, {
+    headers: {
+      'PAYDUNYA-MASTER-KEY': process.env.PAYDUNYA_MASTER_KEY,
+      'PAYDUNYA-PRIVATE-KEY': process.env.PAYDUNYA_PRIVATE_KEY,
+      'PAYDUNYA-TOKEN': process.env.PAYDUNYA_TOKEN,
+    },
+    body,
+  });
+  if (data.response_code !== '00') {
+    throw new PaymentProviderError(data.response_text || 'Réponse PayDunya inattendue');
+  }
+  return data;
+};
+
+// Statuts de déboursement PayDunya → statuts du registre des remboursements
+const mapDisburseStatus = (status) => {
+  if (status === 'success') return 'succeeded';
+  if (status === 'failed') return 'failed';
+  return 'processing';
+};
+
+const paydunyaProvider = {
+  name: 'paydunya',
+  label: 'PayDunya',
+
+  isConfigured: () => Boolean(paydunyaConfig),
+
+  async initiate({ booking, customer, returnUrl, cancelUrl, webhookUrl }) {
+    const { setup, store } = getConfig();
+    // Créer une nouvelle instance d'invoice pour chaque paiement
+    const invoice = new paydunya.CheckoutInvoice(setup, store);
+
+    invoice.totalAmount = booking.totalPrice;
+    invoice.description = `Réservation de billet de bus #${booking._id}`;
+    invoice.addItem(
+      `Billet(s) de bus - ${booking.selectedSeats.length} siège(s)`,
+      1,
+      booking.totalPrice,
+      booking.totalPrice,
+      `Trajet ${booking.outboundRouteSnapshot.from.name} vers ${booking.outboundRouteSnapshot.to.name}`
+    );
+
+    invoice.addCustomData('booking_id', booking._id.toString());
+    invoice.addCustomData('user_id', customer._id.toString());
+    invoice.addCustomData('user_email', customer.email);
+
+    invoice.returnURL = returnUrl;
+    invoice.cancelURL = cancelUrl;
+    invoice.callbackURL = webhookUrl;
+
+    await invoice.create();
+    if (!invoice.token || !invoice.url) {
+      console.error('Réponse PayDunya incomplète:', {
+        token: invoice.token,
+        url: invoice.url,
+        status: invoice.status,
+        responseText: invoice.responseText
+      });
+      throw new PaymentProviderError(`Échec de la création de la facture PayDunya: ${invoice.responseText || 'Token ou URL manquant'}`);
+    }
+
+    return { reference: invoice.token, paymentUrl: invoice.url };
+  },
+
+  async confirm(reference) {
+    const { setup, store } = getConfig();
+    const invoice = new paydunya.CheckoutInvoice(setup, store);
+    await invoice.confirm(reference);
+
+    return {
+      status: mapInvoiceStatus(invoice.status),
+      bookingId: invoice.customData?.booking_id || null,
+      transactionId: invoice.transactionId || null,
+      amount: invoice.totalAmount !== undefined ? Number(invoice.totalAmount) : null,
+      receiptUrl: invoice.receiptURL || null,
+      raw: { status: invoice.status, responseText: invoice.responseText },
+    };
+  },
+
+  // L'IPN PayDunya contient le hash SHA-512 de la clé principale du compte
+  async verifyWebhook(req) {
+    const data = req.body?.data || {};
+    const reference = req.body?.invoice_token || req.body?.token || data.invoice_token || data.invoice?.token;
+    if (!reference) return { valid: false, reason: 'Token manquant' };
+
+    const hash = data.hash || req.body?.hash;
+    if (!hash) return { valid: false, reference, reason: 'Hash manquant' };
+
+    const expected = crypto.createHash('sha512').update(process.env.PAYDUNYA_MASTER_KEY || '').digest('hex');
+    if (!safeEqual(hash, expected)) return { valid: false, reference, reason: 'Hash invalide' };
+
+    return { valid: true, reference, bookingId: data.custom_data?.booking_id || null };
+  },
+
+  async refund({ refund }) {
+    if (!refund.destination?.phone || !refund.destination?.withdrawMode) {
+      return { status: 'failed', reference: null, error: 'Compte de destination du remboursement incomplet.' };
+    }
+
+    const invoice = await callDisburse('get-invoice', {
+      account_alias: refund.destination.phone.replace(/\D/g, '').slice(-10),
+      amount: refund.amount,
+      withdraw_mode: refund.destination.withdrawMode,
+      callback_url: process.env.PAYDUNYA_DISBURSE_CALLBACK_URL,
+    });
+
+    const submission = await callDisburse('submit-invoice', {
+      disburse_invoice: invoice.disburse_token,
+      disburse_id: refund._id.toString(),
+    });
+
+    return { status: mapDisburseStatus(submission.status || 'pending'), reference: invoice.disburse_token };
+  },
+
+  async getRefundStatus(reference) {
+    const data = await callDisburse('check-status', { disburse_invoice: reference });
+    return { status: mapDisburseStatus(data.status), error: data.status === 'failed' ? data.response_text : undefined };
+  },
+};
+
+export default paydunyaProvider;
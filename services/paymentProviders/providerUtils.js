@@ -0,0 +1,100 @@
+// src/services/paymentProviders/providerUtils.js
+import crypto from 'crypto';
+import { PAYMENT_PROVIDER_CONFIG } from '../../config/routeConfig.js';
+
+/**
+ * Erreur levée par un fournisseur de paiement (configuration absente, réponse invalide...).
+ * `retryable` signale une erreur passagère (délai dépassé, réseau) : l'appel peut être relancé.
+ */
+export class PaymentProviderError extends Error {
+  constructor(message, statusCode = 502, { retryable = false } = {}) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Vérifie que les variables d'environnement d'un fournisseur sont définies.
+ * @param {string[]} keys
+ * @returns {string[]} - Variables manquantes
+ */
+export const missingEnv = (keys) => keys.filter(key => !process.env[key]);
+
+/**
+ * Appelle une API HTTP JSON et retourne la réponse décodée.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object} [options.headers]
+ * @param {Object} [options.body] - Corps JSON
+ * @param {Object} [options.form] - Corps application/x-www-form-urlencoded
+ * @param {number} [options.timeoutMs] - Délai maximal (PAYMENT_PROVIDER_CONFIG.REQUEST_TIMEOUT_MS par défaut)
+ * @returns {Promise<Object>}
+ * @throws {PaymentProviderError} - Réponse en erreur, ou délai dépassé et erreur réseau (retryable, 504/502)
+ */
+export const requestJson = async (url, { method = 'POST', headers = {}, body, form, timeoutMs = PAYMENT_PROVIDER_CONFIG.REQUEST_TIMEOUT_MS } = {}) => {
+  const init = {
+    method,
+    headers: { Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(timeoutMs),
+  };
+  if (form) {
+    init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    init.body = new URLSearchParams(form).toString();
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+
+  let response;
+  let text;
+  try {
+    response = await fetch(url, init);
+    text = await response.text();
+  } catch (error) {
+    const host = new URL(url).host;
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new PaymentProviderError(`Délai de ${timeoutMs} ms dépassé pour ${host}`, 504, { retryable: true });
+    }
+    throw new PaymentProviderError(`Appel à ${host} impossible : ${error.message}`, 502, { retryable: true });
+  }
+
+  let data = {};
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (e) {
+    data = { raw: text };
+  }
+
+  if (!response.ok) {
+    throw new PaymentProviderError(data.message || data.description || `Réponse HTTP ${response.status} de ${new URL(url).host}`);
+  }
+  return data;
+};
+
+/**
+ * Compare deux chaînes en temps constant (signatures de webhooks).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a || ''));
+  const bufB = Buffer.from(String(b || ''));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Signature HMAC-SHA256 hexadécimale.
+ * @param {string} secret
+ * @param {string|Buffer} payload
+ * @returns {string}
+ */
+export const hmacSha256 = (secret, payload) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Base des URLs de retour envoyées aux fournisseurs (callbacks et webhooks de l'API)
+export const apiBaseUrl = () => process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
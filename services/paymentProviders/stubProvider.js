@@ -0,0 +1,92 @@
+// src/services/paymentProviders/stubProvider.js
+import crypto from 'crypto';
+import { PaymentProviderError, apiBaseUrl, hmacSha256, safeEqual } from './providerUtils.js';
+
+// Paiements et versements simulés, conservés en mémoire le temps du processus
+const payments = new Map();
+const disbursements = new Map();
+
+const webhookSecret = () => process.env.STUB_WEBHOOK_SECRET || null;
+
+/**
+ * Fournisseur de paiement local, sans réseau, pour le développement et les tests.
+ * Il confirme des réservations sans encaissement : il n'est enregistré que sur activation explicite
+ * (ENABLE_STUB_PAYMENTS=true) et avec un secret de webhook (STUB_WEBHOOK_SECRET, sans valeur par défaut).
+ * Le paiement est accepté à l'ouverture de son URL (callback) ; l'issue est fixée par
+ * STUB_PAYMENT_OUTCOME ('completed' par défaut, 'pending', 'failed' ou 'cancelled').
+ * Les remboursements suivent STUB_REFUND_OUTCOME ('succeeded' par défaut, 'processing' ou 'failed').
+ * Le webhook attend l'en-tête `x-stub-signature` : HMAC-SHA256 du corps avec STUB_WEBHOOK_SECRET.
+ */
+const stubProvider = {
+  name: 'stub',
+  label: 'Paiement simulé',
+
+  // Désactivé quel que soit l'environnement sauf activation explicite
+  isConfigured: () => process.env.ENABLE_STUB_PAYMENTS === 'true' && Boolean(webhookSecret()),
+
+  async initiate({ booking }) {
+    const reference = `STUB-${crypto.randomBytes(8).toString('hex')}`;
+    payments.set(reference, {
+      bookingId: booking._id.toString(),
+      amount: booking.totalPrice,
+      status: process.env.STUB_PAYMENT_OUTCOME || 'completed',
+      transactionId: `STUB-TX-${Date.now()}`,
+    });
+
+    return {
+      reference,
+      paymentUrl: `${apiBaseUrl()}/api/payment/stub/callback/${booking._id}?token=${reference}`,
+    };
+  },
+
+  async confirm(reference) {
+    const payment = payments.get(reference);
+    if (!payment) {
+      throw new PaymentProviderError('Paiement simulé inconnu.', 404);
+    }
+
+    return {
+      status: payment.status,
+      bookingId: payment.bookingId,
+      transactionId: payment.status === 'completed' ? payment.transactionId : null,
+      amount: payment.amount,
+      raw: payment,
+    };
+  },
+
+  async verifyWebhook(req) {
+    const reference = req.body?.reference;
+    if (!reference) return { valid: false, reason: 'Référence manquante' };
+
+    const secret = webhookSecret();
+    if (!secret) return { valid: false, reference, reason: 'Secret de webhook non configuré' };
+
+    const signature = req.headers['x-stub-signature'];
+    const expected = hmacSha256(secret, req.rawBody || JSON.stringify(req.body));
+    if (!safeEqual(signature, expected)) return { valid: false, reference, reason: 'Signature invalide' };
+
+    return { valid: true, reference, bookingId: req.body.bookingId || null };
+  },
+
+  async refund({ refund }) {
+    const status = process.env.STUB_REFUND_OUTCOME || 'succeeded';
+    const reference = `STUB-RF-${refund._id}-${Date.now()}`;
+
+    if (status === 'failed') {
+      return { status, reference, error: 'Échec simulé du versement' };
+    }
+
+    disbursements.set(reference, status);
+    console.log(`💸 [Remboursement simulé] ${refund.amount} ${refund.currency} vers ${refund.destination?.phone || 'N/A'} (${reference})`);
+    return { status, reference };
+  },
+
+  async getRefundStatus(reference) {
+    // Un versement simulé 'processing' aboutit au premier rapprochement
+    if (!disbursements.has(reference)) return { status: 'failed', error: 'Versement simulé inconnu' };
+    disbursements.set(reference, 'succeeded');
+    return { status: 'succeeded' };
+  },
+};
+
+export default stubProvider;
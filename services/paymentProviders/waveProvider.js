@@ -0,0 +1,100 @@
+// src/services/paymentProviders/waveProvider.js
+import { PaymentProviderError, missingEnv, requestJson, hmacSha256, safeEqual } from './providerUtils.js';
+
+const API_URL = process.env.WAVE_API_URL || 'https://api.wave.com/v1';
+const REQUIRED_KEYS = ['WAVE_API_KEY', 'WAVE_WEBHOOK_SECRET'];
+// Tolérance sur l'horodatage des webhooks (rejeu)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const headers = () => ({ Authorization: `Bearer ${process.env.WAVE_API_KEY}` });
+
+const ensureConfigured = () => {
+  const missingKeys = missingEnv(REQUIRED_KEYS);
+  if (missingKeys.length > 0) {
+    throw new PaymentProviderError(`Variables d'environnement Wave manquantes: ${missingKeys.join(', ')}`, 503);
+  }
+};
+
+// Statuts de session Wave → statuts communs
+const mapStatus = (session) => {
+  if (session.payment_status === 'succeeded') return 'completed';
+  if (session.payment_status === 'cancelled' || session.checkout_status === 'expired') return 'cancelled';
+  return 'pending';
+};
+
+const waveProvider = {
+  name: 'wave',
+  label: 'Wave',
+
+  isConfigured: () => missingEnv(REQUIRED_KEYS).length === 0,
+
+  async initiate({ booking, returnUrl, cancelUrl }) {
+    ensureConfigured();
+    const session = await requestJson(`${API_URL}/checkout/sessions`, {
+      headers: headers(),
+      body: {
+        amount: String(booking.totalPrice),
+        currency: 'XOF',
+        client_reference: booking._id.toString(),
+        success_url: returnUrl,
+        error_url: cancelUrl,
+      },
+    });
+
+    return { reference: session.id, paymentUrl: session.wave_launch_url };
+  },
+
+  async confirm(reference) {
+    ensureConfigured();
+    const session = await requestJson(`${API_URL}/checkout/sessions/${reference}`, { method: 'GET', headers: headers() });
+
+    return {
+      status: mapStatus(session),
+      bookingId: session.client_reference || null,
+      transactionId: session.transaction_id || null,
+      amount: session.amount !== undefined ? Number(session.amount) : null,
+      raw: session,
+    };
+  },
+
+  // En-tête Wave-Signature : "t=<horodatage>,v1=<HMAC-SHA256(secret, horodatage + corps brut)>"
+  async verifyWebhook(req) {
+    const session = req.body?.data || {};
+    const reference = session.id;
+    if (!reference) return { valid: false, reason: 'Session manquante' };
+
+    const parts = Object.fromEntries(
+      String(req.headers['wave-signature'] || '').split(',').map(part => part.split('=').map(s => s.trim()))
+    );
+    if (!parts.t || !parts.v1) return { valid: false, reference, reason: 'Signature manquante' };
+    if (Math.abs(Date.now() / 1000 - Number(parts.t)) > WEBHOOK_TOLERANCE_SECONDS) {
+      return { valid: false, reference, reason: 'Horodatage expiré' };
+    }
+
+    const expected = hmacSha256(process.env.WAVE_WEBHOOK_SECRET || '', `${parts.t}${req.rawBody || ''}`);
+    if (!safeEqual(parts.v1, expected)) return { valid: false, reference, reason: 'Signature invalide' };
+
+    return { valid: true, reference, bookingId: session.client_reference || null };
+  },
+
+  // Wave rembourse directement la session de paiement d'origine
+  async refund({ booking }) {
+    ensureConfigured();
+    const reference = booking?.payment?.invoiceToken;
+    if (!reference) {
+      return { status: 'failed', reference: null, error: 'Session Wave d\'origine introuvable.' };
+    }
+
+    await requestJson(`${API_URL}/checkout/sessions/${reference}/refund`, { headers: headers() });
+    return { status: 'processing', reference };
+  },
+
+  async getRefundStatus(reference) {
+    ensureConfigured();
+    const session = await requestJson(`${API_URL}/checkout/sessions/${reference}`, { method: 'GET', headers: headers() });
+    if (session.payment_status === 'refunded') return { status: 'succeeded' };
+    return { status: 'processing' };
+  },
+};
+
+export default waveProvider;
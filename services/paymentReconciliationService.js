@@ -0,0 +1,107 @@
+// src/services/paymentReconciliationService.js
+import Booking from '../models/Booking.js';
+import PaymentReconciliation from '../models/PaymentReconciliation.js';
+import { PAYMENT_RECONCILIATION_CONFIG } from '../config/routeConfig.js';
+import { DEFAULT_PAYMENT_PROVIDER, getPaymentProvider } from './paymentProviders/index.js';
+import { applyPaymentResult, recordPaymentAttempt } from './paymentService.js';
+
+const discrepancyFor = (booking, fields) => ({
+  booking: booking._id,
+  bookingReference: booking.bookingReference,
+  provider: booking.payment?.provider || null,
+  invoiceToken: booking.payment?.invoiceToken || null,
+  bookingStatus: booking.status,
+  expectedAmount: booking.totalPrice,
+  ...fields,
+});
+
+// Acteur de la dernière confirmation, pour distinguer une confirmation manuelle d'un oubli
+const confirmedBy = (booking) => {
+  const entry = [...(booking.statusHistory || [])].reverse().find(item => item.to === 'confirmed');
+  return entry?.actor?.type || 'inconnu';
+};
+
+/**
+ * Rapproche les réservations avec les fournisseurs de paiement :
+ * - les factures ouvertes des réservations en attente sont revérifiées, et les réservations payées confirmées ;
+ * - les réservations annulées ou confirmées récemment sont contrôlées (paiement abouti, montant encaissé).
+ * Seul le passage en attente → confirmée est corrigé automatiquement ; les autres écarts sont signalés.
+ * @param {Object} [options]
+ * @param {'cron'|'manual'} [options.trigger]
+ * @param {string} [options.triggeredBy] - Admin à l'origine d'un rapprochement manuel
+ * @returns {Promise<Object>} - Le rapport enregistré
+ */
+export const reconcilePayments = async ({ trigger = 'cron', triggeredBy = null } = {}) => {
+  const report = new PaymentReconciliation({ trigger, triggeredBy, startedAt: new Date() });
+  const since = new Date(Date.now() - PAYMENT_RECONCILIATION_CONFIG.LOOKBACK_HOURS * 60 * 60 * 1000);
+
+  const bookings = await Booking.find({
+    $or: [
+      { status: 'pending_payment', 'payment.invoiceToken': { $type: 'string' } },
+      { status: 'cancelled', 'payment.invoiceToken': { $type: 'string' }, 'payment.paidAt': null, updatedAt: { $gte: since } },
+      { status: 'confirmed', updatedAt: { $gte: since } },
+    ],
+  });
+
+  for (const booking of bookings) {
+    if (booking.status === 'confirmed' && !booking.payment?.invoiceToken) {
+      report.discrepancies.push(discrepancyFor(booking, {
+        type: 'confirmed_without_payment',
+        message: `Réservation confirmée sans référence de paiement (confirmation: ${confirmedBy(booking)}).`,
+      }));
+      continue;
+    }
+
+    let provider;
+    let result;
+    try {
+      provider = getPaymentProvider(booking.payment.provider || DEFAULT_PAYMENT_PROVIDER);
+      result = await provider.confirm(booking.payment.invoiceToken, { booking });
+      report.checked++;
+    } catch (error) {
+      report.failures++;
+      report.discrepancies.push(discrepancyFor(booking, { type: 'provider_error', message: error.message }));
+      continue;
+    }
+
+    const providerFields = { providerStatus: result.status, paidAmount: result.amount ?? null };
+
+    if (booking.status === 'pending_payment') {
+      if (result.status === 'completed') {
+        const applied = await applyPaymentResult(booking, provider, result, 'rapprochement');
+        if (applied.confirmed) report.fixed++;
+        report.discrepancies.push(discrepancyFor(booking, {
+          ...providerFields,
+          type: 'paid_but_pending',
+          action: applied.confirmed ? 'confirmed' : null,
+          message: applied.confirmed ? 'Réservation confirmée par le rapprochement.' : applied.error,
+        }));
+      } else if (result.status === 'failed' || result.status === 'cancelled') {
+        await recordPaymentAttempt(booking._id, { provider: provider.name, invoiceToken: booking.payment.invoiceToken, status: result.status });
+      }
+    } else if (booking.status === 'cancelled') {
+      if (result.status === 'completed') {
+        report.discrepancies.push(discrepancyFor(booking, {
+          ...providerFields,
+          type: 'paid_but_cancelled',
+          message: 'Paiement abouti pour une réservation annulée : remboursement à prévoir.',
+        }));
+      }
+    } else if (result.status !== 'completed') {
+      report.discrepancies.push(discrepancyFor(booking, {
+        ...providerFields,
+        type: 'confirmed_without_completed_invoice',
+        message: `Paiement '${result.status}' chez le fournisseur (confirmation: ${confirmedBy(booking)}).`,
+      }));
+    } else if (result.amount !== null && result.amount !== undefined && result.amount !== booking.totalPrice) {
+      report.discrepancies.push(discrepancyFor(booking, {
+        ...providerFields,
+        type: 'amount_mismatch',
+        message: `Montant encaissé ${result.amount} au lieu de ${booking.totalPrice}.`,
+      }));
+    }
+  }
+
+  report.finishedAt = new Date();
+  return report.save();
+};
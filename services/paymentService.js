@@ -0,0 +1,79 @@
+// src/services/paymentService.js
+import Booking from '../models/Booking.js';
+import { BookingTransitionError, transitionBooking } from './bookingStateService.js';
+
+/**
+ * Retrouve la réservation d'un paiement à partir de sa référence chez le fournisseur.
+ * @param {string} invoiceToken
+ * @returns {Promise<Object|null>}
+ */
+export const findBookingByInvoiceToken = (invoiceToken) => {
+  if (!invoiceToken) return Promise.resolve(null);
+  return Booking.findOne({ 'payment.invoiceToken': invoiceToken });
+};
+
+/**
+ * Ajoute une tentative à l'historique de paiement de la réservation.
+ * Un même statut n'est enregistré qu'une fois par référence (vérifications et webhooks répétés).
+ * @param {string} bookingId
+ * @param {Object} attempt - { provider, invoiceToken, status, amount?, transactionId?, error? }
+ * @returns {Promise<void>}
+ */
+export const recordPaymentAttempt = async (bookingId, attempt) => {
+  const filter = { _id: bookingId };
+  if (attempt.invoiceToken && attempt.status !== 'failed') {
+    filter['payment.attempts'] = { $not: { $elemMatch: { invoiceToken: attempt.invoiceToken, status: attempt.status } } };
+  }
+  await Booking.updateOne(filter, { $push: { 'payment.attempts': { ...attempt, at: new Date() } } });
+};
+
+/**
+ * Applique à la réservation le résultat d'un paiement relu auprès du fournisseur.
+ * La confirmation passe par la machine à états : elle est sans effet si la réservation
+ * est déjà confirmée (webhook et vérification manuelle concurrents).
+ * @param {Object} booking
+ * @param {Object} provider - Fournisseur de paiement (services/paymentProviders)
+ * @param {Object} result - Résultat de provider.confirm()
+ * @param {string} source - Origine de la confirmation, pour l'historique ('webhook', 'vérification'...)
+ * @returns {Promise<{ booking: Object, confirmed: boolean, reason?: 'amount_mismatch'|'transition_refused', error?: string }>}
+ *          reason : cause du refus de confirmation, error : son libellé
+ */
+export const applyPaymentResult = async (booking, provider, result, source) => {
+  if (result.status !== 'completed') return { booking, confirmed: false };
+  if (booking.status === 'confirmed') return { booking, confirmed: true };
+
+  // Montant encaissé différent du montant dû : ne pas confirmer
+  if (result.amount !== null && result.amount !== undefined && result.amount !== booking.totalPrice) {
+    console.error(`Paiement ${provider.label}: montant reçu ${result.amount} différent du montant dû ${booking.totalPrice} pour la réservation ${booking._id}.`);
+    return { booking, confirmed: false, reason: 'amount_mismatch', error: 'Le montant payé ne correspond pas au montant de la réservation.' };
+  }
+
+  try {
+    const confirmedBooking = await transitionBooking(booking, 'confirmed', {
+      actor: { type: 'payment' },
+      reason: `Paiement ${provider.label} confirmé (${source})`,
+      updates: {
+        'payment.provider': provider.name,
+        'payment.transactionId': result.transactionId || null,
+        'payment.amount': result.amount ?? booking.totalPrice,
+        'payment.paidAt': new Date(),
+        'payment.receiptUrl': result.receiptUrl || null,
+      },
+    });
+    await recordPaymentAttempt(booking._id, {
+      provider: provider.name,
+      invoiceToken: booking.payment?.invoiceToken,
+      status: 'completed',
+      amount: result.amount ?? booking.totalPrice,
+      transactionId: result.transactionId || undefined,
+    });
+    return { booking: confirmedBooking, confirmed: true };
+  } catch (error) {
+    if (!(error instanceof BookingTransitionError)) throw error;
+    // Confirmée entre-temps par un autre traitement : rien à faire
+    const current = await Booking.findById(booking._id);
+    if (current?.status === 'confirmed') return { booking: current, confirmed: true };
+    console.error(`Paiement ${provider.label}: paiement reçu pour la réservation ${booking._id} non confirmée: ${error.message}`);
+    return { booking: current || booking, confirmed: false, reason: 'transition_refused', error: error.message };
+  }
+};
@@ -0,0 +1,246 @@
+// src/services/permissionService.js
+// Matrice des rôles du back-office : permissions de chaque rôle, gardées en cache
+// et rechargées après chaque modification.
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import {
+  ALL_PERMISSIONS,
+  CUSTOMER_ROLE,
+  DEFAULT_ROLES,
+  PERMISSIONS,
+} from '../config/permissions.js';
+
+// Les autres instances de l'API voient une modification au plus tard après ce délai
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null; // { roles: Map<name, permissions[]>, loadedAt }
+let defaultsEnsured = false;
+
+/**
+ * Erreur de gestion des rôles : porte le code HTTP à renvoyer.
+ */
+export class RoleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RoleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Crée les rôles par défaut manquants, sans modifier ceux qui existent.
+ * @returns {Promise<void>}
+ */
+export const ensureDefaultRoles = async () => {
+  if (defaultsEnsured) return;
+  await Role.bulkWrite(DEFAULT_ROLES.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: { $setOnInsert: { ...role, isSystem: true } },
+      upsert: true,
+    },
+  })));
+  defaultsEnsured = true;
+};
+
+const loadRoles = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.roles;
+
+  await ensureDefaultRoles();
+  const roles = await Role.find({}, 'name permissions').lean();
+  cache = { roles: new Map(roles.map(role => [role.name, role.permissions])), loadedAt: Date.now() };
+  return cache.roles;
+};
+
+/**
+ * Vide le cache après une modification de la matrice.
+ */
+export const invalidateRoleCache = () => {
+  cache = null;
+};
+
+/**
+ * Permissions d'un rôle (vide pour les clients et les rôles inconnus).
+ * @param {string} roleName
+ * @returns {Promise<string[]>}
+ */
+export const getRolePermissions = async (roleName) => {
+  if (!roleName || roleName === CUSTOMER_ROLE) return [];
+  return (await loadRoles()).get(roleName) || [];
+};
+
+/**
+ * L'utilisateur dispose-t-il de la permission ?
+ * @param {Object} user - req.user
+ * @param {string} permission - Clé de config/permissions.js
+ * @returns {Promise<boolean>}
+ */
+export const userHasPermission = async (user, permission) => {
+  const permissions = await getRolePermissions(user?.role);
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+};
+
+// Les permissions détenues couvrent-elles celles demandées ? '*' n'est couvert que par '*'.
+const coversPermissions = (held, permissions) => {
+  if (held.includes(ALL_PERMISSIONS)) return true;
+  return permissions.every(permission => permission !== ALL_PERMISSIONS && held.includes(permission));
+};
+
+/**
+ * L'utilisateur détient-il toutes ces permissions ? Personne ne peut accorder
+ * une permission qu'il ne détient pas.
+ * @param {Object} user
+ * @param {string[]} permissions
+ * @returns {Promise<boolean>}
+ */
+export const userHoldsPermissions = async (user, permissions) => {
+  return coversPermissions(await getRolePermissions(user?.role), permissions);
+};
+
+/**
+ * L'utilisateur peut-il attribuer ce rôle ou gérer un compte qui l'a ?
+ * Oui si le rôle n'a aucune permission qu'il ne détient pas lui-même.
+ * @param {Object} user
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+export const canActOnRole = async (user, roleName) => {
+  return userHoldsPermissions(user, await getRolePermissions(roleName));
+};
+
+/**
+ * Le rôle existe-t-il (rôle client ou rôle de la matrice) ?
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+export const roleExists = async (roleName) => {
+  if (roleName === CUSTOMER_ROLE) return true;
+  return (await loadRoles()).has(roleName);
+};
+
+const validatePermissions = async (permissions, actor) => {
+  if (!Array.isArray(permissions)) {
+    throw new RoleError('Les permissions doivent être une liste.');
+  }
+  const unknown = permissions.filter(permission => permission !== ALL_PERMISSIONS && !PERMISSIONS[permission]);
+  if (unknown.length) {
+    throw new RoleError(`Permissions inconnues: ${unknown.join(', ')}`);
+  }
+  if (!(await userHoldsPermissions(actor, permissions))) {
+    throw new RoleError('Vous ne pouvez pas accorder une permission que vous ne détenez pas.', 403);
+  }
+  return [...new Set(permissions)];
+};
+
+// Un rôle qui a plus de permissions que l'utilisateur ne peut être ni modifié ni supprimé par lui
+const assertRoleManageable = async (role, actor) => {
+  if (!(await userHoldsPermissions(actor, role.permissions))) {
+    throw new RoleError('Vous ne pouvez pas gérer un rôle qui a des permissions que vous ne détenez pas.', 403);
+  }
+};
+
+/**
+ * Matrice des rôles : chaque rôle avec ses permissions et le nombre d'utilisateurs qui l'ont.
+ * @returns {Promise<Array>}
+ */
+export const listRoles = async () => {
+  await ensureDefaultRoles();
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+  ]);
+  const usersByRole = new Map(counts.map(({ _id, count }) => [_id, count]));
+  return roles.map(role => ({ ...role, users: usersByRole.get(role.name) || 0 }));
+};
+
+/**
+ * Crée un rôle.
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.label
+ * @param {string[]} params.permissions - Toutes détenues par `actor`
+ * @param {Object} params.actor - Utilisateur à l'origine de la création
+ * @returns {Promise<Object>}
+ * @throws {RoleError}
+ */
+export const createRole = async ({ name, label, permissions = [], actor }) => {
+  if (!name || !label) {
+    throw new RoleError('Le nom et le libellé du rôle sont requis.');
+  }
+  if (name === CUSTOMER_ROLE) {
+    throw new RoleError(`Le nom "${CUSTOMER_ROLE}" est réservé aux clients.`);
+  }
+
+  const granted = await validatePermissions(permissions, actor);
+  try {
+    const role = await Role.create({ name, label, permissions: granted, updatedBy: actor._id });
+    invalidateRoleCache();
+    return role;
+  } catch (error) {
+    if (error.code === 11000) throw new RoleError('Un rôle avec ce nom existe déjà.', 409);
+    if (error.name === 'ValidationError') {
+      throw new RoleError(Object.values(error.errors).map(val => val.message).join(', '));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Modifie le libellé ou les permissions d'un rôle. Les rôles à accès complet par défaut
+ * ne peuvent pas être restreints.
+ * @param {string} name
+ * @param {Object} changes
+ * @param {string} [changes.label]
+ * @param {string[]} [changes.permissions] - Toutes détenues par `actor`
+ * @param {Object} changes.actor - Utilisateur à l'origine de la modification
+ * @returns {Promise<Object>}
+ * @throws {RoleError}
+ */
+export const updateRole = async (name, { label, permissions, actor }) => {
+  const role = await Role.findOne({ name });
+  if (!role) {
+    throw new RoleError('Rôle introuvable.', 404);
+  }
+  await assertRoleManageable(role, actor);
+
+  if (permissions !== undefined) {
+    const fullAccessDefault = DEFAULT_ROLES.some(def => def.name === name && def.permissions.includes(ALL_PERMISSIONS));
+    if (fullAccessDefault) {
+      throw new RoleError('Les permissions de ce rôle ne peuvent pas être modifiées.', 403);
+    }
+    role.permissions = await validatePermissions(permissions, actor);
+  }
+  if (label) role.label = label;
+  role.updatedBy = actor._id;
+
+  await role.save();
+  invalidateRoleCache();
+  return role;
+};
+
+/**
+ * Supprime un rôle personnalisé qui n'est plus attribué.
+ * @param {string} name
+ * @param {Object} options
+ * @param {Object} options.actor - Utilisateur à l'origine de la suppression
+ * @returns {Promise<void>}
+ * @throws {RoleError}
+ */
+export const deleteRole = async (name, { actor }) => {
+  const role = await Role.findOne({ name });
+  if (!role) {
+    throw new RoleError('Rôle introuvable.', 404);
+  }
+  await assertRoleManageable(role, actor);
+  if (role.isSystem) {
+    throw new RoleError('Un rôle par défaut ne peut pas être supprimé.', 403);
+  }
+
+  const assigned = await User.countDocuments({ role: name });
+  if (assigned > 0) {
+    throw new RoleError(`Ce rôle est attribué à ${assigned} utilisateur(s).`, 409);
+  }
+
+  await role.deleteOne();
+  invalidateRoleCache();
+};
@@ -0,0 +1,92 @@
+// src/services/pricingService.js
+import moment from 'moment';
+import PricingRule from '../models/PricingRule.js';
+import { PRICING_CONFIG } from '../config/routeConfig.js';
+
+/**
+ * Règles par défaut issues de PRICING_CONFIG, utilisées tant qu'aucune règle
+ * n'a été enregistrée en base par un administrateur.
+ * @returns {Array<Object>}
+ */
+export const getDefaultPricingRules = () => [
+  {
+    name: 'Heures de pointe',
+    type: 'peak_hours',
+    multiplier: PRICING_CONFIG.TIME_MULTIPLIER.PEAK_HOURS,
+    timeRanges: PRICING_CONFIG.PEAK_HOURS,
+    isActive: true,
+  },
+  {
+    name: 'Week-end',
+    type: 'weekend',
+    multiplier: PRICING_CONFIG.WEEKEND_MULTIPLIER,
+    daysOfWeek: PRICING_CONFIG.WEEKEND_DAYS,
+    isActive: true,
+  },
+  {
+    name: 'Jours fériés',
+    type: 'holiday',
+    multiplier: PRICING_CONFIG.HOLIDAY_MULTIPLIER,
+    dates: PRICING_CONFIG.HOLIDAYS,
+    isActive: true,
+  },
+];
+
+/**
+ * Charge les règles actives depuis la base, ou les règles par défaut si aucune n'existe.
+ * @returns {Promise<Array<Object>>}
+ */
+export const loadPricingRules = async () => {
+  const total = await PricingRule.countDocuments();
+  if (total === 0) return getDefaultPricingRules();
+  return PricingRule.find({ isActive: true }).lean();
+};
+
+// Indique si une règle s'applique au départ donné
+const ruleMatches = (rule, { date, departureTime, companyId }) => {
+  switch (rule.type) {
+    case 'peak_hours':
+      return (rule.timeRanges || []).some(range => departureTime >= range.start && departureTime < range.end);
+    case 'weekend':
+      return (rule.daysOfWeek || []).includes(date.day());
+    case 'holiday':
+      return (rule.dates || []).some(d => d === date.format('MM-DD') || d === date.format('YYYY-MM-DD'));
+    case 'company':
+      return Boolean(rule.company && companyId && rule.company.toString() === companyId.toString());
+    default:
+      return false;
+  }
+};
+
+/**
+ * Applique les règles de tarification à un prix de base.
+ * Les multiplicateurs des règles applicables se cumulent, puis le résultat est borné
+ * (MIN_PRICE_RATIO / MAX_PRICE_RATIO) et arrondi (ROUNDING).
+ * @param {number} basePrice - Prix de base du modèle de trajet
+ * @param {Object} context
+ * @param {moment.Moment|Date} context.date - Date de départ
+ * @param {string} context.departureTime - Heure de départ (HH:mm)
+ * @param {string} [context.companyId] - Compagnie qui opère le départ
+ * @param {Array<Object>} rules - Règles chargées par loadPricingRules
+ * @returns {{ price: number, basePrice: number, appliedRules: Array<Object> }}
+ */
+export const applyPricingRules = (basePrice, { date, departureTime, companyId = null }, rules) => {
+  const context = { date: moment(date), departureTime, companyId };
+  const appliedRules = rules
+    .filter(rule => rule.isActive !== false && ruleMatches(rule, context))
+    .map(rule => ({
+      rule: rule._id || null,
+      name: rule.name,
+      type: rule.type,
+      multiplier: rule.multiplier,
+    }));
+
+  const multiplier = appliedRules.reduce((acc, rule) => acc * rule.multiplier, 1);
+  const bounded = Math.min(
+    Math.max(basePrice * multiplier, basePrice * PRICING_CONFIG.MIN_PRICE_RATIO),
+    basePrice * PRICING_CONFIG.MAX_PRICE_RATIO
+  );
+  const price = Math.round(bounded / PRICING_CONFIG.ROUNDING) * PRICING_CONFIG.ROUNDING;
+
+  return { price, basePrice, appliedRules };
+};
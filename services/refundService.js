@@ -0,0 +1,191 @@
+// src/services/refundService.js
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import Refund from '../models/Refund.js';
+import { getPaymentProvider, DEFAULT_PAYMENT_PROVIDER } from './paymentProviders/index.js';
+
+// Le remboursement passe par le fournisseur du paiement d'origine, sauf si REFUND_PROVIDER l'impose
+const getRefundProvider = (name) => {
+  return getPaymentProvider(process.env.REFUND_PROVIDER || name || DEFAULT_PAYMENT_PROVIDER);
+};
+
+/**
+ * Erreur levée lorsqu'une opération sur un remboursement est impossible dans son état actuel.
+ */
+export class RefundError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Opérateur mobile money déduit du préfixe ivoirien (07 Orange, 05 MTN, 01 Moov)
+const WITHDRAW_MODES_BY_PREFIX = {
+  '07': 'orange-money-ci',
+  '05': 'mtn-ci',
+  '01': 'moov-ci',
+};
+
+const guessWithdrawMode = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '').slice(-10);
+  return WITHDRAW_MODES_BY_PREFIX[digits.slice(0, 2)] || null;
+};
+
+/**
+ * Crée le remboursement d'une réservation annulée avec un montant dû.
+ * Sans effet si le remboursement existe déjà ou si rien n'est dû.
+ * @param {Object} booking - Réservation annulée (avec `refund.amountDue`)
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @returns {Promise<Object|null>} - Le remboursement, ou null si rien n'est dû
+ */
+export const createRefundForBooking = async (booking, { reason = 'Annulation de la réservation' } = {}) => {
+  if (!(booking.refund?.amountDue > 0)) return null;
+
+  const existing = await Refund.findOne({ booking: booking._id });
+  if (existing) return existing;
+
+  const user = await User.findById(booking.user, 'phone');
+  try {
+    return await Refund.create({
+      booking: booking._id,
+      user: booking.user,
+      transactionId: booking.payment?.transactionId || booking.payment?.invoiceToken || null,
+      amount: booking.refund.amountDue,
+      currency: booking.refund.currency,
+      reason,
+      provider: booking.payment?.provider || null,
+      destination: {
+        phone: user?.phone || null,
+        withdrawMode: guessWithdrawMode(user?.phone),
+      },
+    });
+  } catch (error) {
+    // Créé entre-temps par un autre traitement (index unique sur la réservation)
+    if (error.code === 11000) return Refund.findOne({ booking: booking._id });
+    throw error;
+  }
+};
+
+/**
+ * Envoie le versement d'un remboursement déjà passé en 'processing'
+ * et enregistre la tentative.
+ * @param {Object} refund
+ * @returns {Promise<Object>} - Le remboursement mis à jour
+ */
+const disburseRefund = async (refund) => {
+  const booking = await Booking.findById(refund.booking);
+
+  let provider;
+  let result;
+  try {
+    provider = getRefundProvider(refund.provider || booking?.payment?.provider);
+    result = await provider.refund({ refund, booking });
+  } catch (error) {
+    result = { status: 'failed', reference: null, error: error.message };
+  }
+
+  refund.provider = provider?.name || refund.provider;
+  refund.status = result.status;
+  refund.providerReference = result.reference || refund.providerReference;
+  refund.attempts.push({ status: result.status, providerReference: result.reference, error: result.error });
+  if (result.status === 'succeeded') refund.completedAt = new Date();
+
+  return refund.save();
+};
+
+/**
+ * Approuve un remboursement en attente et lance le versement.
+ * @param {string} refundId
+ * @param {string} adminId - Admin qui approuve
+ * @param {Object} [options]
+ * @param {Object} [options.destination] - { phone, withdrawMode } pour corriger le compte de destination
+ * @returns {Promise<Object>}
+ */
+export const approveRefund = async (refundId, adminId, { destination } = {}) => {
+  const changes = { status: 'processing', approvedBy: adminId, approvedAt: new Date() };
+  if (destination?.phone) changes['destination.phone'] = destination.phone;
+  if (destination?.withdrawMode) changes['destination.withdrawMode'] = destination.withdrawMode;
+
+  // Passage conditionnel : deux approbations simultanées ne versent pas deux fois
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: 'pending_approval' },
+    { $set: changes },
+    { new: true }
+  );
+  if (!refund) {
+    if (!(await Refund.exists({ _id: refundId }))) throw new RefundError('Remboursement introuvable.', 404);
+    throw new RefundError('Ce remboursement n\'est plus en attente d\'approbation.');
+  }
+
+  return disburseRefund(refund);
+};
+
+/**
+ * Relance le versement d'un remboursement en échec.
+ * @param {string} refundId
+ * @param {Object} [options]
+ * @param {Object} [options.destination] - { phone, withdrawMode }
+ * @returns {Promise<Object>}
+ */
+export const retryRefund = async (refundId, { destination } = {}) => {
+  const changes = { status: 'processing' };
+  if (destination?.phone) changes['destination.phone'] = destination.phone;
+  if (destination?.withdrawMode) changes['destination.withdrawMode'] = destination.withdrawMode;
+
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: 'failed' },
+    { $set: changes },
+    { new: true }
+  );
+  if (!refund) {
+    if (!(await Refund.exists({ _id: refundId }))) throw new RefundError('Remboursement introuvable.', 404);
+    throw new RefundError('Seul un remboursement en échec peut être relancé.');
+  }
+
+  return disburseRefund(refund);
+};
+
+/**
+ * Rapproche le registre avec les fournisseurs et les réservations :
+ * - met à jour les versements en cours selon le statut du fournisseur ;
+ * - crée les remboursements manquants des réservations annulées avec un montant dû.
+ * @returns {Promise<{ checked: number, succeeded: number, failed: number, created: number }>}
+ */
+export const reconcileRefunds = async () => {
+  const report = { checked: 0, succeeded: 0, failed: 0, created: 0 };
+
+  const processing = await Refund.find({ status: 'processing', providerReference: { $ne: null } });
+  for (const refund of processing) {
+    report.checked++;
+    try {
+      const { status, error } = await getPaymentProvider(refund.provider).getRefundStatus(refund.providerReference);
+      if (status === refund.status) continue;
+
+      refund.status = status;
+      refund.attempts.push({ status, providerReference: refund.providerReference, error });
+      if (status === 'succeeded') {
+        refund.completedAt = new Date();
+        report.succeeded++;
+      } else if (status === 'failed') {
+        report.failed++;
+      }
+      await refund.save();
+    } catch (error) {
+      console.error(`❌ Rapprochement du remboursement ${refund._id} impossible:`, error.message);
+    }
+  }
+
+  const refundedBookingIds = await Refund.distinct('booking');
+  const missing = await Booking.find({
+    _id: { $nin: refundedBookingIds },
+    status: 'cancelled',
+    'refund.amountDue': { $gt: 0 },
+  });
+  for (const booking of missing) {
+    if (await createRefundForBooking(booking)) report.created++;
+  }
+
+  return report;
+};
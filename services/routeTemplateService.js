@@ -0,0 +1,64 @@
+// src/services/routeTemplateService.js
+import City from '../models/City.js';
+import RouteTemplate from '../models/RouteTemplate.js';
+import { ROUTE_TEMPLATES } from '../config/routeConfig.js';
+
+/**
+ * Importe en base les modèles de lignes définis dans ROUTE_TEMPLATES.
+ * Les lignes déjà présentes (même ville de départ et d'arrivée) sont ignorées,
+ * ainsi que celles dont une ville n'existe pas encore.
+ * @returns {Promise<{ created: Array<Object>, skipped: Array<string> }>}
+ */
+export const importDefaultRouteTemplates = async () => {
+  const created = [];
+  const skipped = [];
+
+  for (const template of ROUTE_TEMPLATES) {
+    const label = `${template.fromCityName} -> ${template.toCityName}`;
+    const [fromCity, toCity] = await Promise.all([
+      City.findOne({ name: template.fromCityName }, '_id').lean(),
+      City.findOne({ name: template.toCityName }, '_id').lean(),
+    ]);
+
+    if (!fromCity || !toCity) {
+      skipped.push(`${label} (ville introuvable)`);
+      continue;
+    }
+
+    // Les lignes des compagnies (portail opérateur) n'empêchent pas l'import de la ligne de la plateforme
+    if (await RouteTemplate.exists({ fromCity: fromCity._id, toCity: toCity._id, company: null })) {
+      skipped.push(`${label} (déjà existante)`);
+      continue;
+    }
+
+    created.push(await RouteTemplate.create({
+      fromCity: fromCity._id,
+      toCity: toCity._id,
+      schedules: template.schedules,
+      basePrice: template.basePrice,
+      stops: template.stops,
+      amenities: template.amenities,
+      features: template.features,
+      isPopularRoute: template.isPopularRoute,
+    }));
+  }
+
+  return { created, skipped };
+};
+
+/**
+ * Charge les modèles actifs avec les noms des villes.
+ * Au premier lancement (aucun modèle en base), les modèles par défaut sont importés.
+ * @returns {Promise<Array<Object>>}
+ */
+export const loadActiveRouteTemplates = async () => {
+  if (await RouteTemplate.countDocuments() === 0) {
+    const { created, skipped } = await importDefaultRouteTemplates();
+    console.log(`📋 ${created.length} modèles de trajets importés depuis la configuration`);
+    skipped.forEach(label => console.warn(`⚠️ Modèle ignoré: ${label}`));
+  }
+
+  return RouteTemplate.find({ isActive: true })
+    .populate('fromCity', 'name')
+    .populate('toCity', 'name');
+};
@@ -0,0 +1,197 @@
+// src/services/seatInventoryService.js
+import Route from '../models/Route.js';
+import Booking from '../models/Booking.js';
+import SeatReservation from '../models/SeatReservation.js';
+import { SEAT_CONFIG } from '../config/routeConfig.js';
+
+/**
+ * Erreur levée lorsqu'un ou plusieurs sièges demandés ne sont plus disponibles.
+ * `takenSeats` contient les numéros de sièges déjà pris (vide si c'est le compteur qui bloque).
+ */
+export class SeatUnavailableError extends Error {
+  constructor(message, takenSeats = []) {
+    super(message);
+    this.name = 'SeatUnavailableError';
+    this.statusCode = 409;
+    this.takenSeats = takenSeats;
+  }
+}
+
+/**
+ * Normalise une liste de sièges : numéros en chaîne, sans espaces ni doublons.
+ * @param {Array<string|number>} seats
+ * @returns {string[]}
+ */
+export const normalizeSeats = (seats = []) => {
+  return [...new Set(seats.map(seat => String(seat).trim()).filter(Boolean))];
+};
+
+/**
+ * Réserve atomiquement des sièges sur un trajet pour une réservation.
+ * Soit tous les sièges sont pris, soit aucun : en cas de conflit, les sièges
+ * insérés par cet appel sont libérés et une SeatUnavailableError est levée.
+ * Avec `expiresAt`, les sièges sont seulement bloqués ('held') jusqu'à cette date.
+ * @param {string} routeId - ID du trajet
+ * @param {Array<string|number>} seats - Sièges demandés
+ * @param {string} bookingId - ID de la réservation propriétaire des sièges
+ * @param {Object} [options]
+ * @param {Date} [options.expiresAt] - Fin du blocage temporaire
+ * @returns {Promise<string[]>} - Sièges réservés
+ */
+export const reserveSeats = async (routeId, seats, bookingId, { expiresAt = null } = {}) => {
+  const seatNumbers = normalizeSeats(seats);
+  const status = expiresAt ? 'held' : 'booked';
+
+  try {
+    await SeatReservation.insertMany(
+      seatNumbers.map(seatNumber => ({ route: routeId, seatNumber, booking: bookingId, status, expiresAt })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Annuler les insertions partielles de cet appel
+    await SeatReservation.deleteMany({ route: routeId, booking: bookingId });
+
+    if (error.code === 11000 || error.writeErrors?.some(e => e.code === 11000)) {
+      const taken = await SeatReservation.find({
+        route: routeId,
+        seatNumber: { $in: seatNumbers },
+      }).distinct('seatNumber');
+      throw new SeatUnavailableError(`Siège(s) déjà réservé(s) : ${taken.join(', ')}.`, taken);
+    }
+    throw error;
+  }
+
+  // Décrément conditionnel du compteur : échoue si le trajet n'a plus assez de places
+  const result = await Route.updateOne(
+    { _id: routeId, availableSeats: { $gte: seatNumbers.length } },
+    { $inc: { availableSeats: -seatNumbers.length } }
+  );
+
+  if (result.modifiedCount === 0) {
+    await SeatReservation.deleteMany({ route: routeId, booking: bookingId });
+    throw new SeatUnavailableError('Pas assez de sièges disponibles sur ce trajet.');
+  }
+
+  return seatNumbers;
+};
+
+/**
+ * Libère les sièges d'une réservation et restitue les places au compteur du trajet.
+ * Idempotent : un second appel ne libère rien et ne modifie pas le compteur.
+ * @param {string} bookingId - ID de la réservation
+ * @param {string} [routeId] - Limiter la libération à un trajet
+ * @returns {Promise<number>} - Nombre de sièges libérés
+ */
+export const releaseSeats = async (bookingId, routeId = null) => {
+  const filter = { booking: bookingId };
+  if (routeId) filter.route = routeId;
+
+  const routeIds = await SeatReservation.find(filter).distinct('route');
+  let released = 0;
+
+  for (const id of routeIds) {
+    const { deletedCount } = await SeatReservation.deleteMany({ booking: bookingId, route: id });
+    if (deletedCount > 0) {
+      await Route.updateOne({ _id: id }, { $inc: { availableSeats: deletedCount } });
+      released += deletedCount;
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Calcule la date de fin d'un blocage de sièges démarrant maintenant.
+ * @returns {Date}
+ */
+export const computeHoldExpiry = () => {
+  return new Date(Date.now() + SEAT_CONFIG.HOLD_DURATION_MINUTES * 60 * 1000);
+};
+
+/**
+ * Transforme les sièges bloqués d'une réservation payée en sièges définitivement réservés.
+ * Si le blocage a déjà expiré (sièges libérés), tente de reprendre les mêmes sièges.
+ * @param {object} booking - Réservation (outboundRoute, returnRoute, selectedSeats)
+ * @returns {Promise<boolean>} - false si les sièges ont été pris entre-temps
+ */
+export const confirmSeats = async (booking) => {
+  const { matchedCount } = await SeatReservation.updateMany(
+    { booking: booking._id },
+    { $set: { status: 'booked', expiresAt: null } }
+  );
+  if (matchedCount > 0) return true;
+
+  const routeIds = [booking.outboundRoute, booking.returnRoute]
+    .filter(Boolean)
+    .map(route => route._id || route);
+
+  try {
+    for (const routeId of routeIds) {
+      await reserveSeats(routeId, booking.selectedSeats, booking._id);
+    }
+    return true;
+  } catch (error) {
+    await releaseSeats(booking._id);
+    if (error instanceof SeatUnavailableError) return false;
+    throw error;
+  }
+};
+
+/**
+ * Retourne l'état des sièges occupés d'un trajet.
+ * @param {string} routeId - ID du trajet
+ * @returns {Promise<Map<string, string>>} - numéro de siège → 'held' | 'booked'
+ */
+export const getSeatStatuses = async (routeId) => {
+  const reservations = await SeatReservation.find({ route: routeId }, 'seatNumber status').lean();
+  return new Map(reservations.map(r => [r.seatNumber, r.status]));
+};
+
+/**
+ * Recalcule `availableSeats` des trajets à venir à partir des réservations réelles :
+ * capacité du bus moins la somme des sièges des réservations non annulées
+ * (les réservations en attente de paiement comptent, leurs sièges sont bloqués).
+ * Les trajets dont le compteur a dérivé sont corrigés.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.routeIds] - Limiter la vérification à ces trajets
+ * @returns {Promise<{ checked: number, fixed: number, drifts: Array<Object> }>}
+ */
+export const reconcileSeatAvailability = async ({ routeIds } = {}) => {
+  const filter = routeIds
+    ? { _id: { $in: routeIds } }
+    : { departureDate: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) } };
+  const routes = await Route.find(filter, 'availableSeats bus').populate('bus', 'totalSeats').lean();
+  const ids = routes.map(route => route._id);
+
+  // Sièges occupés par trajet, aller et retour confondus
+  const occupied = await Booking.aggregate([
+    {
+      $match: {
+        status: { $ne: 'cancelled' },
+        $or: [{ outboundRoute: { $in: ids } }, { returnRoute: { $in: ids } }],
+      },
+    },
+    { $project: { routes: ['$outboundRoute', '$returnRoute'], seats: { $size: { $ifNull: ['$selectedSeats', []] } } } },
+    { $unwind: '$routes' },
+    { $match: { routes: { $in: ids } } },
+    { $group: { _id: '$routes', seats: { $sum: '$seats' } } },
+  ]);
+  const occupiedByRoute = new Map(occupied.map(entry => [entry._id.toString(), entry.seats]));
+
+  const drifts = [];
+  for (const route of routes) {
+    if (!route.bus) continue;
+    const expected = Math.max(0, route.bus.totalSeats - (occupiedByRoute.get(route._id.toString()) || 0));
+    if (route.availableSeats === expected) continue;
+
+    // Mise à jour conditionnelle : si une réservation a modifié le compteur entre-temps, le prochain passage corrigera
+    const result = await Route.updateOne(
+      { _id: route._id, availableSeats: route.availableSeats },
+      { $set: { availableSeats: expected } }
+    );
+    if (result.modifiedCount === 0) continue;
+    drifts.push({ route: route._id, previous: route.availableSeats, corrected: expected });
+  }
+
+  return { checked: routes.length, fixed: drifts.length, drifts };
+};
@@ -0,0 +1,157 @@
+// src/services/sessionService.js
+// Refresh tokens conservés côté serveur : un token opaque par session, remplacé à chaque
+// utilisation. Un token déjà remplacé qui revient signale un vol : la session est révoquée.
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { SESSION_CONFIG } from '../config/routeConfig.js';
+
+/**
+ * Erreur de session : porte le code HTTP à renvoyer.
+ */
+export class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateToken = () => crypto.randomBytes(40).toString('hex');
+
+const expiryDate = () => new Date(Date.now() + SESSION_CONFIG.REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Informations de l'appareil enregistrées avec la session
+const clientInfo = (req) => ({
+  userAgent: req?.headers?.['user-agent']?.slice(0, 300) || null,
+  ip: req?.ip || null,
+});
+
+/**
+ * Ouvre une session pour un utilisateur qui vient de se connecter.
+ * @param {Object} user
+ * @param {Object} [req] - Requête de connexion (appareil et IP)
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ */
+export const createSession = async (user, req) => {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: expiryDate(),
+    ...clientInfo(req),
+  });
+  return { session, refreshToken };
+};
+
+/**
+ * Échange un refresh token contre un nouveau. Un token déjà remplacé révoque la session,
+ * sauf s'il vient d'être remplacé (requêtes concurrentes, voir REUSE_GRACE_SECONDS).
+ * @param {string} refreshToken
+ * @param {Object} [req]
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ * @throws {SessionError} - Token inconnu, expiré, révoqué ou réutilisé
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const nextToken = generateToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(nextToken), rotatedAt: now, lastUsedAt: now, expiresAt: expiryDate(), ...clientInfo(req) },
+      $push: { usedTokenHashes: { $each: [hash], $slice: -SESSION_CONFIG.MAX_USED_TOKENS } },
+    },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: nextToken };
+
+  const reused = await Session.findOne({ usedTokenHashes: hash });
+  if (!reused) {
+    throw new SessionError('Refresh token invalide ou expiré.');
+  }
+  if (reused.revokedAt) {
+    throw new SessionError('Session révoquée. Veuillez vous reconnecter.');
+  }
+
+  const lastUsed = reused.usedTokenHashes[reused.usedTokenHashes.length - 1];
+  const graceLimit = new Date(now.getTime() - SESSION_CONFIG.REUSE_GRACE_SECONDS * 1000);
+  if (lastUsed === hash && reused.rotatedAt > graceLimit) {
+    throw new SessionError('Refresh token déjà utilisé.', 409);
+  }
+
+  await revokeSession(reused._id, { reason: 'token_reuse' });
+  console.warn(`⚠️ Réutilisation d'un refresh token détectée : session ${reused._id} de l'utilisateur ${reused.user} révoquée`);
+  throw new SessionError('Refresh token réutilisé : la session a été révoquée par sécurité. Veuillez vous reconnecter.');
+};
+
+/**
+ * Session correspondant à un refresh token courant (déconnexion).
+ * @param {string} refreshToken
+ * @returns {Promise<Object|null>}
+ */
+export const findSessionByToken = async (refreshToken) => {
+  if (!refreshToken) return null;
+  return Session.findOne({ tokenHash: hashToken(refreshToken), revokedAt: null });
+};
+
+/**
+ * La session est-elle toujours active ? Utilisé pour refuser les access tokens d'une session révoquée.
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+/**
+ * Révoque une session.
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Restreint aux sessions de cet utilisateur
+ * @param {string} [options.reason]
+ * @param {string} [options.revokedBy] - Admin à l'origine de la révocation
+ * @returns {Promise<Object|null>} - La session révoquée, ou null si elle est introuvable ou déjà révoquée
+ */
+export const revokeSession = async (sessionId, { userId, reason = 'user', revokedBy = null } = {}) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+  return Session.findOneAndUpdate(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } },
+    { new: true }
+  );
+};
+
+/**
+ * Révoque toutes les sessions actives d'un utilisateur.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.revokedBy]
+ * @param {string} [options.exceptSessionId] - Session conservée (celle de l'appareil à l'origine de la demande)
+ * @returns {Promise<number>} - Nombre de sessions révoquées
+ */
+export const revokeAllUserSessions = async (userId, { reason = 'admin', revokedBy = null, exceptSessionId = null } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Sessions actives d'un utilisateur, la plus récemment utilisée en premier.
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+export const listUserSessions = async (userId) => {
+  return Session.find(
+    { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    'userAgent ip createdAt lastUsedAt expiresAt'
+  ).sort({ lastUsedAt: -1 }).lean();
+};
@@ -0,0 +1,30 @@
+// src/services/smsProviders/index.js
+import stubSmsProvider from './stubSmsProvider.js';
+import orangeSmsProvider from './orangeSmsProvider.js';
+import { SMS_CONFIG } from '../../config/routeConfig.js';
+
+/**
+ * Fournisseurs d'envoi de SMS. Chacun expose :
+ * - isConfigured() → boolean
+ * - send({ to, text, messageId, deliveryUrl }) → { providerMessageId, status: 'sent'|'delivered' }
+ *     (`to` au format international +225XXXXXXXXXX, `messageId` : ID du SMS dans la file)
+ * - parseDeliveryReport(req) → { messageId?, providerMessageId?, status: 'sent'|'delivered'|'failed', error? }
+ */
+const PROVIDERS = Object.fromEntries(
+  [stubSmsProvider, orangeSmsProvider].map(provider => [provider.name, provider])
+);
+
+export const SMS_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Retourne un fournisseur SMS par nom (celui de SMS_PROVIDER par défaut).
+ * @param {string} [name]
+ * @returns {Object}
+ */
+export const getSmsProvider = (name = SMS_CONFIG.PROVIDER) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Fournisseur SMS inconnu: ${name}`);
+  }
+  return provider;
+};
@@ -0,0 +1,75 @@
+// src/services/smsProviders/orangeSmsProvider.js
+import { PaymentProviderError, missingEnv, requestJson } from '../paymentProviders/providerUtils.js';
+
+const ORANGE_API_URL = 'https://api.orange.com';
+const REQUIRED_KEYS = ['ORANGE_SMS_CLIENT_ID', 'ORANGE_SMS_CLIENT_SECRET', 'ORANGE_SMS_SENDER'];
+
+let cachedToken = null;
+
+// Jeton OAuth de l'API SMS Orange, réutilisé jusqu'à son expiration
+const getAccessToken = async () => {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) return cachedToken.value;
+
+  const missingKeys = missingEnv(REQUIRED_KEYS);
+  if (missingKeys.length > 0) {
+    throw new PaymentProviderError(`Variables d'environnement Orange SMS manquantes: ${missingKeys.join(', ')}`, 503);
+  }
+
+  const credentials = Buffer.from(`${process.env.ORANGE_SMS_CLIENT_ID}:${process.env.ORANGE_SMS_CLIENT_SECRET}`).toString('base64');
+  const data = await requestJson(`${ORANGE_API_URL}/oauth/v3/token`, {
+    headers: { Authorization: `Basic ${credentials}` },
+    form: { grant_type: 'client_credentials' },
+  });
+
+  cachedToken = { value: data.access_token, expiresAt: Date.now() + ((data.expires_in || 3600) - 60) * 1000 };
+  return cachedToken.value;
+};
+
+// Statuts des accusés de réception Orange → statuts communs
+const mapDeliveryStatus = (status) => {
+  if (status === 'DeliveredToTerminal') return 'delivered';
+  if (status === 'DeliveryImpossible' || status === 'DeliveryUncertain') return 'failed';
+  return 'sent';
+};
+
+const orangeSmsProvider = {
+  name: 'orange',
+  label: 'Orange SMS',
+
+  isConfigured: () => missingEnv(REQUIRED_KEYS).length === 0,
+
+  async send({ to, text, messageId, deliveryUrl }) {
+    const token = await getAccessToken();
+    const sender = `tel:+${process.env.ORANGE_SMS_SENDER.replace(/\D/g, '')}`;
+
+    const request = {
+      address: `tel:${to}`,
+      senderAddress: sender,
+      outboundSMSTextMessage: { message: text },
+    };
+    if (process.env.ORANGE_SMS_SENDER_NAME) request.senderName = process.env.ORANGE_SMS_SENDER_NAME;
+    if (deliveryUrl) request.receiptRequest = { notifyURL: deliveryUrl, callbackData: messageId };
+
+    const data = await requestJson(`${ORANGE_API_URL}/smsmessaging/v1/outbound/${encodeURIComponent(sender)}/requests`, {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { outboundSMSMessageRequest: request },
+    });
+
+    const resourceUrl = data.outboundSMSMessageRequest?.resourceURL || '';
+    return { providerMessageId: resourceUrl.split('/').pop() || null, status: 'sent' };
+  },
+
+  // Accusé de réception : { deliveryInfoNotification: { callbackData, deliveryInfo: { deliveryStatus } } }
+  async parseDeliveryReport(req) {
+    const notification = req.body?.deliveryInfoNotification || {};
+    const status = mapDeliveryStatus(notification.deliveryInfo?.deliveryStatus);
+    return {
+      messageId: notification.callbackData || null,
+      providerMessageId: null,
+      status,
+      error: status === 'failed' ? notification.deliveryInfo?.deliveryStatus : undefined,
+    };
+  },
+};
+
+export default orangeSmsProvider;
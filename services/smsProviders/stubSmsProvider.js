@@ -0,0 +1,41 @@
+// src/services/smsProviders/stubSmsProvider.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const SMS_LOG_FILE = process.env.SMS_LOG_FILE || path.join(process.cwd(), 'logs', 'sms.log');
+
+/**
+ * Fournisseur SMS local, sans réseau, pour le développement et les tests :
+ * chaque message est écrit dans la console et ajouté à SMS_LOG_FILE (logs/sms.log par défaut),
+ * puis considéré comme remis.
+ */
+const stubSmsProvider = {
+  name: 'stub',
+  label: 'SMS simulé',
+
+  isConfigured: () => true,
+
+  async send({ to, text, messageId }) {
+    const providerMessageId = `STUB-SMS-${crypto.randomBytes(6).toString('hex')}`;
+    const line = `[${new Date().toISOString()}] ${providerMessageId} (${messageId}) → ${to}: ${text}\n`;
+
+    console.log(`📱 SMS simulé → ${to}: ${text}`);
+    await fs.mkdir(path.dirname(SMS_LOG_FILE), { recursive: true });
+    await fs.appendFile(SMS_LOG_FILE, line);
+
+    return { providerMessageId, status: 'delivered' };
+  },
+
+  // Les SMS simulés sont remis immédiatement : pas d'accusé de réception
+  async parseDeliveryReport(req) {
+    return {
+      messageId: req.body?.messageId || null,
+      providerMessageId: req.body?.providerMessageId || null,
+      status: req.body?.status === 'failed' ? 'failed' : 'delivered',
+      error: req.body?.error,
+    };
+  },
+};
+
+export default stubSmsProvider;
@@ -0,0 +1,203 @@
+// src/services/smsService.js
+import path from 'path';
+import { isValidObjectId } from 'mongoose';
+import { fileURLToPath, pathToFileURL } from 'url';
+import SmsMessage from '../models/SmsMessage.js';
+import { SMS_CONFIG } from '../config/routeConfig.js';
+import { getSmsProvider } from './smsProviders/index.js';
+import { apiBaseUrl } from './paymentProviders/providerUtils.js';
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'sms');
+
+export const SMS_LOCALES = ['fr', 'en'];
+
+// Version courante de chaque modèle de SMS (voir EMAIL_TEMPLATE_VERSIONS)
+export const SMS_TEMPLATE_VERSIONS = {
+  'reservation-confirmation': 1,
+  'departure-reminder': 1,
+  'booking-cancellation': 1,
+  'password-reset-otp': 1,
+  'phone-verification-otp': 1,
+};
+
+/**
+ * Rend un modèle de SMS.
+ * @param {string} name - Nom du modèle (dossier de templates/sms)
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {string} [options.locale]
+ * @param {number} [options.version]
+ * @returns {Promise<{ text: string, version: number, locale: string }>}
+ */
+export const renderSmsTemplate = async (name, data, { locale, version } = {}) => {
+  const templateVersion = version || SMS_TEMPLATE_VERSIONS[name];
+  if (!templateVersion) {
+    throw new Error(`Modèle de SMS inconnu: ${name}`);
+  }
+
+  const templateLocale = SMS_LOCALES.includes(locale) ? locale : SMS_CONFIG.DEFAULT_LOCALE;
+  const file = path.join(TEMPLATES_DIR, name, `v${templateVersion}.${templateLocale}.js`);
+  const { default: template } = await import(pathToFileURL(file).href);
+
+  return { text: template.text(data).replace(/\s+/g, ' ').trim(), version: templateVersion, locale: templateLocale };
+};
+
+/**
+ * Numéro au format international : +225 suivi des 10 chiffres ivoiriens.
+ * @param {string} phone
+ * @returns {string|null}
+ */
+export const toInternationalPhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+${SMS_CONFIG.COUNTRY_CODE}${digits}`;
+  if (digits.length === 10 + SMS_CONFIG.COUNTRY_CODE.length && digits.startsWith(SMS_CONFIG.COUNTRY_CODE)) return `+${digits}`;
+  return null;
+};
+
+// Délai avant la relance suivante : doublé à chaque tentative
+const nextAttemptDate = (attempts) => {
+  if (attempts >= SMS_CONFIG.MAX_ATTEMPTS) return null;
+  const delayMinutes = SMS_CONFIG.RETRY_BASE_DELAY_MINUTES * 2 ** Math.max(attempts - 1, 0);
+  return new Date(Date.now() + delayMinutes * 60 * 1000);
+};
+
+// URL des accusés de réception, protégée par un jeton partagé
+const deliveryUrl = (provider) => {
+  if (!process.env.SMS_WEBHOOK_SECRET) return null;
+  return `${apiBaseUrl()}/api/sms/${provider}/delivery?token=${encodeURIComponent(process.env.SMS_WEBHOOK_SECRET)}`;
+};
+
+/**
+ * Envoie un SMS de la file. Sans effet s'il est déjà envoyé ou en cours d'envoi.
+ * @param {string} messageId
+ * @returns {Promise<Object|null>} - Le SMS mis à jour, ou null s'il n'était pas à envoyer
+ */
+export const sendSmsMessage = async (messageId) => {
+  const sms = await SmsMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $ne: null } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!sms) return null;
+
+  try {
+    const provider = getSmsProvider(sms.provider);
+    const result = await provider.send({
+      to: sms.to,
+      text: sms.text,
+      messageId: sms._id.toString(),
+      deliveryUrl: deliveryUrl(provider.name),
+    });
+    sms.status = result.status;
+    sms.providerMessageId = result.providerMessageId;
+    sms.sentAt = new Date();
+    if (result.status === 'delivered') sms.deliveredAt = new Date();
+    sms.lastError = null;
+    sms.nextAttemptAt = null;
+  } catch (error) {
+    console.error(`❌ Envoi du SMS ${sms.template} à ${sms.to} échoué (tentative ${sms.attempts}):`, error.message);
+    sms.status = 'failed';
+    sms.lastError = error.message;
+    sms.nextAttemptAt = nextAttemptDate(sms.attempts);
+  }
+
+  return sms.save();
+};
+
+/**
+ * Rend un modèle et met le SMS en file d'envoi ; l'envoi est lancé en arrière-plan.
+ * @param {Object} params
+ * @param {string} params.phone - Numéro du destinataire
+ * @param {string} params.template - Nom du modèle (templates/sms)
+ * @param {Object} params.data
+ * @param {string} [params.locale]
+ * @param {string} [params.dedupeKey] - Un seul SMS par clé
+ * @param {string} [params.user]
+ * @param {string} [params.booking]
+ * @returns {Promise<Object>} - Le SMS en file (l'existant si la clé d'unicité est déjà utilisée)
+ */
+export const enqueueSms = async ({ phone, template, data, locale, dedupeKey = null, user = null, booking = null }) => {
+  const to = toInternationalPhone(phone);
+  if (!to) {
+    throw new Error(`Numéro de téléphone invalide pour l'envoi de SMS: ${phone}`);
+  }
+
+  const rendered = await renderSmsTemplate(template, data, { locale });
+
+  let sms;
+  try {
+    sms = await SmsMessage.create({
+      to,
+      text: rendered.text,
+      template,
+      templateVersion: rendered.version,
+      locale: rendered.locale,
+      provider: getSmsProvider().name,
+      dedupeKey,
+      user,
+      booking,
+    });
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) return SmsMessage.findOne({ dedupeKey });
+    throw error;
+  }
+
+  setImmediate(() => {
+    sendSmsMessage(sms._id).catch(error => {
+      console.error(`❌ Envoi du SMS ${sms._id} impossible:`, error.message);
+    });
+  });
+
+  return sms;
+};
+
+/**
+ * Envoie les SMS en attente et relance les envois échoués dont la date de relance est atteinte.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export const processSmsOutbox = async () => {
+  const staleBefore = new Date(Date.now() - SMS_CONFIG.SENDING_TIMEOUT_MINUTES * 60 * 1000);
+  await SmsMessage.updateMany(
+    { status: 'sending', updatedAt: { $lt: staleBefore } },
+    { $set: { status: 'failed', lastError: 'Envoi interrompu', nextAttemptAt: new Date() } }
+  );
+
+  const due = await SmsMessage.find(
+    { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $ne: null, $lte: new Date() } },
+    '_id'
+  ).sort({ nextAttemptAt: 1 }).limit(SMS_CONFIG.BATCH_SIZE);
+
+  const report = { sent: 0, failed: 0 };
+  for (const { _id } of due) {
+    const sms = await sendSmsMessage(_id);
+    if (!sms) continue;
+    if (sms.status === 'failed') report.failed++;
+    else report.sent++;
+  }
+
+  return report;
+};
+
+/**
+ * Enregistre l'accusé de réception d'un SMS transmis par le fournisseur.
+ * @param {string} providerName
+ * @param {Object} report - Résultat de provider.parseDeliveryReport()
+ * @returns {Promise<Object|null>} - Le SMS mis à jour, ou null s'il est introuvable
+ */
+export const recordSmsDeliveryReport = async (providerName, { messageId, providerMessageId, status, error }) => {
+  const filter = { provider: providerName };
+  if (messageId && isValidObjectId(messageId)) filter._id = messageId;
+  else if (providerMessageId) filter.providerMessageId = providerMessageId;
+  else return null;
+
+  const changes = { status };
+  if (status === 'delivered') changes.deliveredAt = new Date();
+  if (status === 'failed') changes.lastError = error || 'Remise impossible';
+
+  // Un accusé tardif ne fait pas revenir un SMS remis à un statut antérieur
+  return SmsMessage.findOneAndUpdate(
+    { ...filter, status: { $in: ['sending', 'sent'] } },
+    { $set: changes },
+    { new: true }
+  );
+};
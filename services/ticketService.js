@@ -0,0 +1,68 @@
+// src/services/ticketService.js
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : 'N/A');
+
+/**
+ * Génère le billet PDF d'une réservation à partir de ses snapshots de trajet,
+ * qui restent valables même si le trajet a été modifié ou supprimé depuis.
+ * @param {Object} booking - Réservation (outboundRouteSnapshot, returnRouteSnapshot, passengerDetails...)
+ * @returns {Promise<Buffer>}
+ */
+export const generateTicketPdf = async (booking) => {
+  const outbound = booking.outboundRouteSnapshot || {};
+  const inbound = booking.tripType === 'roundTrip' ? booking.returnRouteSnapshot : null;
+
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([600, inbound?.routeId ? 480 : 400]);
+  const { height } = page.getSize();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  page.drawText('Ticket de Réservation', {
+    x: 50,
+    y: height - 50,
+    size: 30,
+    font: font,
+    color: rgb(0, 0.5, 0.5),
+  });
+
+  const bookingDetails = [
+    `Numéro de réservation: ${booking.bookingReference || booking._id}`,
+    `Nom du passager: ${booking.passengerDetails?.fullName || 'N/A'}`,
+    `Email: ${booking.passengerDetails?.email || 'N/A'}`,
+    `Téléphone: ${booking.passengerDetails?.phone || 'N/A'}`,
+    `Route: ${outbound.from?.name || 'N/A'} -> ${outbound.to?.name || 'N/A'}`,
+    `Date de départ: ${formatDate(outbound.departureDate)}`,
+    `Heure de départ: ${outbound.departureTime || 'N/A'}`,
+    `Compagnie: ${outbound.companyName?.name || 'N/A'}`,
+    `Bus: ${outbound.bus?.busNumber || 'N/A'}`,
+  ];
+
+  if (inbound?.routeId) {
+    bookingDetails.push(
+      `Retour: ${inbound.from?.name || 'N/A'} -> ${inbound.to?.name || 'N/A'}`,
+      `Date et heure du retour: ${formatDate(inbound.departureDate)} à ${inbound.departureTime || 'N/A'}`,
+      `Compagnie (retour): ${inbound.companyName?.name || 'N/A'}`,
+    );
+  }
+
+  bookingDetails.push(
+    `Sièges: ${(booking.selectedSeats || []).join(', ')}`,
+    `Prix total: ${booking.totalPrice} F CFA`,
+    `Statut: ${booking.status}`,
+  );
+
+  let yOffset = 110;
+  for (const detail of bookingDetails) {
+    page.drawText(detail, {
+      x: 50,
+      y: height - yOffset,
+      size: 14,
+      font: font,
+      color: rgb(0, 0, 0),
+    });
+    yOffset += 20;
+  }
+
+  return Buffer.from(await pdfDoc.save());
+};
@@ -0,0 +1,153 @@
+// src/services/verificationService.js
+// Vérification des moyens de contact : lien par email, code par SMS pour le téléphone.
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { VERIFICATION_CONFIG } from '../config/routeConfig.js';
+import { sendEmailVerificationEmail } from './emailService.js';
+import { OtpError, sendOtp, verifyOtp } from './otpService.js';
+
+// Erreur de vérification d'un moyen de contact, avec le code HTTP à renvoyer
+export class VerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'VerificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Un moyen de contact au moins (email ou téléphone) est-il vérifié ?
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const hasVerifiedContact = (user) => Boolean(user?.isEmailVerified || user?.isPhoneVerified);
+
+/**
+ * L'action exige-t-elle un moyen de contact vérifié (VERIFICATION_CONFIG.REQUIRED_FOR) ?
+ * @param {string} action - 'booking' ou 'payment'
+ * @returns {boolean}
+ */
+export const isVerificationRequired = (action) => VERIFICATION_CONFIG.REQUIRED_FOR.includes(action);
+
+/**
+ * Envoie un lien de vérification à l'adresse email de l'utilisateur.
+ * @param {Object} user - Document utilisateur
+ * @returns {Promise<{ expiresInHours: number }>}
+ * @throws {VerificationError} - Pas d'email, déjà vérifié (400) ou envoi trop rapproché (429)
+ */
+export const sendEmailVerification = async (user) => {
+  if (!user.email) {
+    throw new VerificationError('Aucune adresse email associée à ce compte.');
+  }
+  if (user.isEmailVerified) {
+    throw new VerificationError('Votre adresse email est déjà vérifiée.');
+  }
+
+  if (user.emailVerificationSentAt) {
+    const elapsedSeconds = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+    if (elapsedSeconds < VERIFICATION_CONFIG.EMAIL_RESEND_COOLDOWN_SECONDS) {
+      const seconds = Math.ceil(VERIFICATION_CONFIG.EMAIL_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+      throw new VerificationError(`Veuillez patienter ${seconds} seconde(s) avant de demander un nouveau lien.`, 429);
+    }
+  }
+
+  const expiresInHours = VERIFICATION_CONFIG.EMAIL_TOKEN_EXPIRES_HOURS;
+  const verificationToken = user.getEmailVerificationToken(expiresInHours * 60 * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+  await sendEmailVerificationEmail(user, verifyUrl, expiresInHours);
+
+  return { expiresInHours };
+};
+
+/**
+ * Marque l'adresse email comme vérifiée à partir du jeton reçu par email.
+ * @param {string} token - Jeton brut du lien
+ * @returns {Promise<Object>} - L'utilisateur vérifié
+ * @throws {VerificationError} - Jeton invalide ou expiré
+ */
+export const confirmEmailVerification = async (token) => {
+  const hashed = crypto.createHash('sha256').update(String(token)).digest('hex');
+  const user = await User.findOneAndUpdate(
+    { emailVerificationToken: hashed, emailVerificationExpires: { $gt: Date.now() } },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1, emailVerificationSentAt: 1 },
+    },
+    { new: true }
+  );
+  if (!user) {
+    throw new VerificationError('Lien de vérification invalide ou expiré.');
+  }
+  return user;
+};
+
+/**
+ * Envoie un code de vérification par SMS au numéro de l'utilisateur.
+ * @param {Object} user
+ * @returns {Promise<{ expiresAt: Date }>}
+ * @throws {VerificationError} - Pas de numéro ou déjà vérifié
+ * @throws {OtpError} - Envoi du code refusé
+ */
+export const sendPhoneVerification = async (user) => {
+  if (!user.phone) {
+    throw new VerificationError('Aucun numéro de téléphone associé à ce compte.');
+  }
+  if (user.isPhoneVerified) {
+    throw new VerificationError('Votre numéro de téléphone est déjà vérifié.');
+  }
+  return sendOtp({ phone: user.phone, purpose: 'phone_verification', user });
+};
+
+/**
+ * Vérifie le code reçu par SMS et marque le numéro comme vérifié.
+ * @param {Object} user
+ * @param {string} code
+ * @returns {Promise<Object>} - L'utilisateur vérifié
+ * @throws {VerificationError} - Pas de numéro
+ * @throws {OtpError} - Code invalide ou expiré
+ */
+export const confirmPhoneVerification = async (user, code) => {
+  if (!user.phone) {
+    throw new VerificationError('Aucun numéro de téléphone associé à ce compte.');
+  }
+
+  const otp = await verifyOtp({ phone: user.phone, purpose: 'phone_verification', code });
+  // Le code doit avoir été envoyé pour ce compte (le numéro a pu changer entre-temps)
+  if (!otp.user || otp.user.toString() !== user._id.toString()) {
+    throw new OtpError('Code invalide ou expiré. Veuillez demander un nouveau code.');
+  }
+
+  return User.findByIdAndUpdate(user._id, { $set: { isPhoneVerified: true } }, { new: true });
+};
+
+/**
+ * Envoie à l'inscription les vérifications des moyens de contact renseignés.
+ * Un échec d'envoi n'empêche pas l'inscription : l'utilisateur peut redemander l'envoi.
+ * @param {Object} user
+ * @returns {Promise<{ email: boolean, phone: boolean }>} - Envois effectués
+ */
+export const sendRegistrationVerifications = async (user) => {
+  const sent = { email: false, phone: false };
+
+  if (user.email) {
+    try {
+      await sendEmailVerification(user);
+      sent.email = true;
+    } catch (error) {
+      console.error(`❌ Envoi du lien de vérification à ${user.email} impossible:`, error.message);
+    }
+  }
+
+  if (user.phone) {
+    try {
+      await sendPhoneVerification(user);
+      sent.phone = true;
+    } catch (error) {
+      console.error(`❌ Envoi du code de vérification au ${user.phone} impossible:`, error.message);
+    }
+  }
+
+  return sent;
+};
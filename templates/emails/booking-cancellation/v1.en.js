@@ -0,0 +1,23 @@
+// Booking cancellation — version 1, English
+import moment from 'moment';
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: (data) => `Your AdjameGare booking has been cancelled - ${data.bookingReference}`,
+
+  html: (data) => layout({
+    lang: 'en',
+    title: 'AdjameGare booking cancellation',
+    color: '#dc3545',
+    signature: 'Best regards,<br>The AdjameGare team',
+    body: `
+        <h1>Your booking has been cancelled</h1>
+        <p>Dear ${escapeHtml(data.firstName)} ${escapeHtml(data.lastName)},</p>
+        <p>Your booking <span class="highlight">${escapeHtml(data.bookingReference)}</span> for the trip
+        <span class="highlight">${escapeHtml(data.from)}</span> → <span class="highlight">${escapeHtml(data.to)}</span>
+        on ${moment(data.departureDate).locale('en').format('MMMM D, YYYY')} at ${escapeHtml(data.departureTime || 'N/A')} has been cancelled.</p>
+        <p>Released seat(s): ${escapeHtml((data.seats || []).join(', '))}</p>
+        ${data.refundAmount > 0 ? `<p>A refund of <span class="highlight">${Number(data.refundAmount).toLocaleString('en-US')} FCFA</span> will be paid to you once approved.</p>` : ''}
+        <p>If you did not request this cancellation, please contact our support team.</p>`,
+  }),
+};
@@ -0,0 +1,24 @@
+// Annulation de réservation — version 1, français
+import moment from 'moment';
+import 'moment/locale/fr.js';
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: (data) => `Annulation de votre réservation AdjameGare - ${data.bookingReference}`,
+
+  html: (data) => layout({
+    lang: 'fr',
+    title: 'Annulation de réservation AdjameGare',
+    color: '#dc3545',
+    signature: 'Cordialement,<br>L\'équipe AdjameGare',
+    body: `
+        <h1>Votre réservation a été annulée</h1>
+        <p>Cher(ère) ${escapeHtml(data.firstName)} ${escapeHtml(data.lastName)},</p>
+        <p>Votre réservation <span class="highlight">${escapeHtml(data.bookingReference)}</span> pour le trajet
+        <span class="highlight">${escapeHtml(data.from)}</span> → <span class="highlight">${escapeHtml(data.to)}</span>
+        du ${moment(data.departureDate).locale('fr').format('DD MMMM YYYY')} à ${escapeHtml(data.departureTime || 'N/A')} a été annulée.</p>
+        <p>Siège(s) libéré(s) : ${escapeHtml((data.seats || []).join(', '))}</p>
+        ${data.refundAmount > 0 ? `<p>Un remboursement de <span class="highlight">${Number(data.refundAmount).toLocaleString('fr-FR')} FCFA</span> vous sera versé après validation.</p>` : ''}
+        <p>Si vous n'êtes pas à l'origine de cette annulation, contactez notre support.</p>`,
+  }),
+};
@@ -0,0 +1,27 @@
+// Departure reminder — version 1, English
+import moment from 'moment';
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: (data) => `Reminder: your trip ${data.from} → ${data.to} is coming up`,
+
+  html: (data) => layout({
+    lang: 'en',
+    title: 'AdjameGare departure reminder',
+    color: '#0056b3',
+    signature: 'Best regards,<br>The AdjameGare team',
+    body: `
+        <h1>🚌 Your departure is coming up</h1>
+        <p>Dear ${escapeHtml(data.firstName)} ${escapeHtml(data.lastName)},</p>
+        <p>This is a reminder of your trip (Reference: <span class="highlight">${escapeHtml(data.bookingReference)}</span>):</p>
+        <ul>
+            <li><strong>Company:</strong> ${escapeHtml(data.company || 'N/A')}</li>
+            <li><strong>Route:</strong> <span class="highlight">${escapeHtml(data.from)}</span> → <span class="highlight">${escapeHtml(data.to)}</span></li>
+            <li><strong>Date:</strong> ${moment(data.departureDate).locale('en').format('MMMM D, YYYY')}</li>
+            <li><strong>Departure time:</strong> ${escapeHtml(data.departureTime || 'N/A')}</li>
+            <li><strong>Seat(s):</strong> ${escapeHtml((data.seats || []).join(', '))}</li>
+        </ul>
+        <p>Please arrive at the station at least 30 minutes before departure with your ticket.</p>
+        <p>Have a pleasant trip!</p>`,
+  }),
+};
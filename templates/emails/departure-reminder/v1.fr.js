@@ -0,0 +1,28 @@
+// Rappel de départ — version 1, français
+import moment from 'moment';
+import 'moment/locale/fr.js';
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: (data) => `Rappel : votre départ ${data.from} → ${data.to} approche`,
+
+  html: (data) => layout({
+    lang: 'fr',
+    title: 'Rappel de départ AdjameGare',
+    color: '#0056b3',
+    signature: 'Cordialement,<br>L\'équipe AdjameGare',
+    body: `
+        <h1>🚌 Votre départ approche</h1>
+        <p>Cher(ère) ${escapeHtml(data.firstName)} ${escapeHtml(data.lastName)},</p>
+        <p>Nous vous rappelons votre voyage (Référence : <span class="highlight">${escapeHtml(data.bookingReference)}</span>) :</p>
+        <ul>
+            <li><strong>Compagnie :</strong> ${escapeHtml(data.company || 'N/A')}</li>
+            <li><strong>Trajet :</strong> <span class="highlight">${escapeHtml(data.from)}</span> → <span class="highlight">${escapeHtml(data.to)}</span></li>
+            <li><strong>Date :</strong> ${moment(data.departureDate).locale('fr').format('DD MMMM YYYY')}</li>
+            <li><strong>Heure de départ :</strong> ${escapeHtml(data.departureTime || 'N/A')}</li>
+            <li><strong>Siège(s) :</strong> ${escapeHtml((data.seats || []).join(', '))}</li>
+        </ul>
+        <p>Présentez-vous à la gare au moins 30 minutes avant le départ avec votre billet.</p>
+        <p>Nous vous souhaitons un agréable voyage !</p>`,
+  }),
+};
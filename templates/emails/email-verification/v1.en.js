@@ -0,0 +1,22 @@
+// Email address verification — version 1, English
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: () => 'Confirm your email address - Adjamegare',
+
+  html: (data) => layout({
+    lang: 'en',
+    title: 'Confirm your email address - Adjamegare',
+    color: '#F46A21',
+    signature: 'The Adjamegare team <br><em>Your trusted online booking site</em>',
+    body: `
+        <h1>Confirm your email address</h1>
+        <p>Hello <strong>${escapeHtml(data.firstName)}</strong>,</p>
+        <p>Thank you for signing up with Adjamegare. Please confirm your email address by clicking the button below:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(data.verifyUrl)}" class="button">Confirm my email address</a>
+        </div>
+        <p><strong>⚠️ This link expires in ${escapeHtml(data.expiresInHours)} hours.</strong></p>
+        <p>If you did not create an account, you can safely ignore this email.</p>`,
+  }),
+};
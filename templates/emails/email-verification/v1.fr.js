@@ -0,0 +1,22 @@
+// Vérification de l'adresse email — version 1, français
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: () => 'Confirmez votre adresse email - Adjamegare',
+
+  html: (data) => layout({
+    lang: 'fr',
+    title: 'Confirmez votre adresse email - Adjamegare',
+    color: '#F46A21',
+    signature: 'L\'équipe Adjamegare <br><em>Votre site de réservation en ligne de confiance</em>',
+    body: `
+        <h1>Confirmez votre adresse email</h1>
+        <p>Bonjour <strong>${escapeHtml(data.firstName)}</strong>,</p>
+        <p>Merci de votre inscription sur Adjamegare. Veuillez confirmer votre adresse email en cliquant sur le bouton ci-dessous :</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(data.verifyUrl)}" class="button">Confirmer mon adresse email</a>
+        </div>
+        <p><strong>⚠️ Ce lien expirera dans ${escapeHtml(data.expiresInHours)} heures.</strong></p>
+        <p>Si vous n'avez pas créé de compte, veuillez ignorer cet e-mail.</p>`,
+  }),
+};
@@ -0,0 +1,60 @@
+// src/templates/emails/layout.js
+// Éléments communs aux modèles d'emails : échappement des données et gabarit HTML.
+
+const FRONTEND_BASE_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Échappe une valeur avant son insertion dans le HTML d'un email.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Gabarit HTML commun à tous les emails AdjameGare.
+ * @param {Object} params
+ * @param {string} params.lang - 'fr' ou 'en'
+ * @param {string} params.title - Titre du document
+ * @param {string} params.color - Couleur du titre principal
+ * @param {string} params.body - Contenu HTML (déjà échappé)
+ * @param {string} params.signature - Formule de fin
+ * @returns {string}
+ */
+export const layout = ({ lang, title, color, body, signature }) => `
+<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; background-color: #f9f9f9; }
+        h1 { color: ${color}; text-align: center; }
+        h2 { color: #0056b3; }
+        ul { list-style-type: none; padding: 0; }
+        li { margin-bottom: 8px; }
+        .info-box { background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; }
+        .button { background-color: #F46A21; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold; }
+        .footer { text-align: center; margin-top: 20px; font-size: 0.9em; color: #777; }
+        .highlight { font-weight: bold; color: #007bff; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${body}
+        <div class="footer">
+            <p>${signature}</p>
+            <p><a href="${FRONTEND_BASE_URL}">adjamegare.com</a></p>
+        </div>
+    </div>
+</body>
+</html>
+`;
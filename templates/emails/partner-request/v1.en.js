@@ -0,0 +1,30 @@
+// New partnership request notification (admin) — version 1, English
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: (data) => `New partnership request - ${data.companyName}`,
+
+  html: (data) => layout({
+    lang: 'en',
+    title: 'New partnership request - AdjameGare',
+    color: '#73D700',
+    signature: 'AdjameGare',
+    body: `
+        <h1>🤝 New partnership request</h1>
+        <div class="info-box">
+            <h3>Company details:</h3>
+            <p><strong>Name:</strong> ${escapeHtml(data.companyName)}</p>
+            <p><strong>Email:</strong> ${escapeHtml(data.email)}</p>
+            <p><strong>Phone:</strong> ${escapeHtml(data.phone)}</p>
+            <p><strong>Requested on:</strong> ${new Date(data.createdAt).toLocaleString('en-US')}</p>
+        </div>
+        ${data.message ? `
+        <div class="info-box">
+            <h3>Message:</h3>
+            <p>${escapeHtml(data.message)}</p>
+        </div>` : ''}
+        <p style="text-align: center; margin-top: 30px;">
+            <strong>Sign in to the admin dashboard to review this request.</strong>
+        </p>`,
+  }),
+};
@@ -0,0 +1,30 @@
+// Notification d'une demande de partenariat (admin) — version 1, français
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: (data) => `Nouvelle demande de partenariat - ${data.companyName}`,
+
+  html: (data) => layout({
+    lang: 'fr',
+    title: 'Nouvelle demande de partenariat - AdjameGare',
+    color: '#73D700',
+    signature: 'AdjameGare',
+    body: `
+        <h1>🤝 Nouvelle demande de partenariat</h1>
+        <div class="info-box">
+            <h3>Informations de la compagnie :</h3>
+            <p><strong>Nom :</strong> ${escapeHtml(data.companyName)}</p>
+            <p><strong>Email :</strong> ${escapeHtml(data.email)}</p>
+            <p><strong>Téléphone :</strong> ${escapeHtml(data.phone)}</p>
+            <p><strong>Date de demande :</strong> ${new Date(data.createdAt).toLocaleString('fr-FR')}</p>
+        </div>
+        ${data.message ? `
+        <div class="info-box">
+            <h3>Message :</h3>
+            <p>${escapeHtml(data.message)}</p>
+        </div>` : ''}
+        <p style="text-align: center; margin-top: 30px;">
+            <strong>Connectez-vous à l'admin pour traiter cette demande.</strong>
+        </p>`,
+  }),
+};
@@ -0,0 +1,46 @@
+// Booking confirmation — version 1, English
+import moment from 'moment';
+import { escapeHtml, layout } from '../layout.js';
+
+const formatDate = (date) => moment(date).locale('en').format('MMMM D, YYYY');
+
+const tripDetails = (title, trip) => `
+        <h2>${title}</h2>
+        <ul>
+            <li><strong>Company:</strong> ${escapeHtml(trip.company || 'N/A')}</li>
+            <li><strong>Route:</strong> <span class="highlight">${escapeHtml(trip.from)}</span> → <span class="highlight">${escapeHtml(trip.to)}</span></li>
+            <li><strong>Date:</strong> ${formatDate(trip.departureDate)}</li>
+            <li><strong>Departure time:</strong> ${escapeHtml(trip.departureTime || 'N/A')}</li>
+            <li><strong>Bus:</strong> ${escapeHtml(trip.busNumber || 'N/A')}</li>
+        </ul>`;
+
+export default {
+  subject: (data) => `Your AdjameGare booking is confirmed - ${data.outbound.from} → ${data.outbound.to}`,
+
+  html: (data) => layout({
+    lang: 'en',
+    title: 'AdjameGare booking confirmation',
+    color: '#28a745',
+    signature: 'Best regards,<br>The AdjameGare team',
+    body: `
+        <h1>🎉 Your booking is confirmed! 🎉</h1>
+        <p>Dear ${escapeHtml(data.firstName)} ${escapeHtml(data.lastName)},</p>
+        <p>Thank you for travelling with <span class="highlight">AdjameGare</span>.</p>
+        <p>Here are the details of your booking (Reference: <span class="highlight">${escapeHtml(data.bookingReference)}</span>):</p>
+        ${tripDetails('Outbound trip:', data.outbound)}
+        ${data.inbound ? tripDetails('Return trip:', data.inbound) : ''}
+        <p><strong>Seat(s):</strong> ${escapeHtml((data.seats || []).join(', '))}</p>
+
+        <h2>Payment summary:</h2>
+        <ul>
+            <li><strong>Total paid:</strong> <span class="highlight">${Number(data.amount).toLocaleString('en-US')} FCFA</span></li>
+            <li><strong>Payment method:</strong> ${escapeHtml(data.paymentMethod || 'N/A')}</li>
+            <li><strong>Payment status:</strong> Confirmed</li>
+            <li><strong>Transaction reference:</strong> ${escapeHtml(data.transactionId || 'N/A')}</li>
+        </ul>
+
+        <p>Your ticket is attached to this email as a PDF. Please show it when boarding.</p>
+        <p>You will receive a reminder before departure. You can also find every detail of your booking in your account on our website.</p>
+        <p>Have a pleasant trip!</p>`,
+  }),
+};
@@ -0,0 +1,47 @@
+// Confirmation de réservation — version 1, français
+import moment from 'moment';
+import 'moment/locale/fr.js';
+import { escapeHtml, layout } from '../layout.js';
+
+const formatDate = (date) => moment(date).locale('fr').format('DD MMMM YYYY');
+
+const tripDetails = (title, trip) => `
+        <h2>${title}</h2>
+        <ul>
+            <li><strong>Compagnie :</strong> ${escapeHtml(trip.company || 'N/A')}</li>
+            <li><strong>Trajet :</strong> <span class="highlight">${escapeHtml(trip.from)}</span> → <span class="highlight">${escapeHtml(trip.to)}</span></li>
+            <li><strong>Date :</strong> ${formatDate(trip.departureDate)}</li>
+            <li><strong>Heure de départ :</strong> ${escapeHtml(trip.departureTime || 'N/A')}</li>
+            <li><strong>Bus :</strong> ${escapeHtml(trip.busNumber || 'N/A')}</li>
+        </ul>`;
+
+export default {
+  subject: (data) => `Confirmation de votre réservation AdjameGare - Trajet ${data.outbound.from} → ${data.outbound.to}`,
+
+  html: (data) => layout({
+    lang: 'fr',
+    title: 'Confirmation de réservation AdjameGare',
+    color: '#28a745',
+    signature: 'Cordialement,<br>L\'équipe AdjameGare',
+    body: `
+        <h1>🎉 Votre réservation est confirmée ! 🎉</h1>
+        <p>Cher(ère) ${escapeHtml(data.firstName)} ${escapeHtml(data.lastName)},</p>
+        <p>Merci d'avoir choisi <span class="highlight">AdjameGare</span> pour votre voyage.</p>
+        <p>Voici les détails de votre réservation (Référence : <span class="highlight">${escapeHtml(data.bookingReference)}</span>) :</p>
+        ${tripDetails('Détails du Trajet Aller :', data.outbound)}
+        ${data.inbound ? tripDetails('Détails du Trajet Retour :', data.inbound) : ''}
+        <p><strong>Siège(s) :</strong> ${escapeHtml((data.seats || []).join(', '))}</p>
+
+        <h2>Récapitulatif du Paiement :</h2>
+        <ul>
+            <li><strong>Montant Total Payé :</strong> <span class="highlight">${Number(data.amount).toLocaleString('fr-FR')} FCFA</span></li>
+            <li><strong>Méthode de Paiement :</strong> ${escapeHtml(data.paymentMethod || 'N/A')}</li>
+            <li><strong>Statut du Paiement :</strong> Confirmé</li>
+            <li><strong>Référence de la transaction :</strong> ${escapeHtml(data.transactionId || 'N/A')}</li>
+        </ul>
+
+        <p>Votre billet est joint à cet email au format PDF. Présentez-le à l'embarquement.</p>
+        <p>Vous recevrez un rappel avant votre départ. Vous pouvez également consulter tous les détails de votre réservation en vous connectant à votre espace personnel sur notre site.</p>
+        <p>Nous vous souhaitons un agréable voyage !</p>`,
+  }),
+};
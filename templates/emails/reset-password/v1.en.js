@@ -0,0 +1,23 @@
+// Password reset — version 1, English
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: () => 'Reset your password - Adjamegare',
+
+  html: (data) => layout({
+    lang: 'en',
+    title: 'Reset your password - Adjamegare',
+    color: '#F46A21',
+    signature: 'The Adjamegare team <br><em>Your trusted online booking site</em>',
+    body: `
+        <h1>Reset your password</h1>
+        <p>Hello <strong>${escapeHtml(data.firstName)}</strong>,</p>
+        <p>You are receiving this email because a password reset was requested for your Adjamegare account.</p>
+        <p>Click the button below to choose a new password:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(data.resetUrl)}" class="button">Reset my password</a>
+        </div>
+        <p><strong>⚠️ This link expires in ${escapeHtml(data.expiresInMinutes)} minutes.</strong></p>
+        <p>If you did not make this request, you can safely ignore this email.</p>`,
+  }),
+};
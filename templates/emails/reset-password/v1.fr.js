@@ -0,0 +1,23 @@
+// Réinitialisation du mot de passe — version 1, français
+import { escapeHtml, layout } from '../layout.js';
+
+export default {
+  subject: () => 'Réinitialisation de mot de passe - Adjamegare',
+
+  html: (data) => layout({
+    lang: 'fr',
+    title: 'Réinitialisation de mot de passe - Adjamegare',
+    color: '#F46A21',
+    signature: 'L\'équipe Adjamegare <br><em>Votre site de réservation en ligne de confiance</em>',
+    body: `
+        <h1>Réinitialisation de votre mot de passe</h1>
+        <p>Bonjour <strong>${escapeHtml(data.firstName)}</strong>,</p>
+        <p>Vous recevez cet e-mail car vous avez demandé la réinitialisation de votre mot de passe sur Adjamegare.</p>
+        <p>Veuillez cliquer sur le bouton ci-dessous pour réinitialiser votre mot de passe :</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(data.resetUrl)}" class="button">Réinitialiser mon mot de passe</a>
+        </div>
+        <p><strong>⚠️ Ce lien expirera dans ${escapeHtml(data.expiresInMinutes)} minutes.</strong></p>
+        <p>Si vous n'êtes pas à l'origine de cette demande, veuillez ignorer cet e-mail.</p>`,
+  }),
+};
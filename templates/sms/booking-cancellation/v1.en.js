@@ -0,0 +1,4 @@
+// Booking cancellation (SMS) — version 1, English
+export default {
+  text: (data) => `AdjameGare: your booking ${data.bookingReference} (${data.from} → ${data.to}) has been cancelled.${data.refundAmount > 0 ? ` A refund of ${Number(data.refundAmount).toLocaleString('en-US')} FCFA will follow once approved.` : ''}`,
+};
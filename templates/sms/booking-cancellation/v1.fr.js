@@ -0,0 +1,4 @@
+// Annulation de réservation (SMS) — version 1, français
+export default {
+  text: (data) => `AdjameGare: votre réservation ${data.bookingReference} (${data.from} → ${data.to}) a été annulée.${data.refundAmount > 0 ? ` Remboursement de ${Number(data.refundAmount).toLocaleString('fr-FR')} FCFA après validation.` : ''}`,
+};
@@ -0,0 +1,6 @@
+// Departure reminder (SMS) — version 1, English
+import moment from 'moment';
+
+export default {
+  text: (data) => `AdjameGare: reminder, departure ${data.from} → ${data.to} on ${moment(data.departureDate).locale('en').format('MM/DD/YYYY')} at ${data.departureTime}${data.company ? ` (${data.company})` : ''}, seat(s) ${(data.seats || []).join(', ')}. Ref. ${data.bookingReference}. Please arrive 30 min before departure.`,
+};
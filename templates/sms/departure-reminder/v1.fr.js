@@ -0,0 +1,7 @@
+// Rappel de départ (SMS) — version 1, français
+import moment from 'moment';
+import 'moment/locale/fr.js';
+
+export default {
+  text: (data) => `AdjameGare: rappel, départ ${data.from} → ${data.to} le ${moment(data.departureDate).locale('fr').format('DD/MM/YYYY')} à ${data.departureTime}${data.company ? ` (${data.company})` : ''}, siège(s) ${(data.seats || []).join(', ')}. Réf. ${data.bookingReference}. Présentez-vous 30 min avant le départ.`,
+};
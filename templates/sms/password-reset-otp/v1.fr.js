@@ -0,0 +1,4 @@
+// Code de réinitialisation du mot de passe (SMS) — version 1, français
+export default {
+  text: (data) => `AdjameGare: votre code de réinitialisation du mot de passe est ${data.code}. Il expire dans ${data.expiresInMinutes} minutes. Ne le communiquez à personne.`,
+};
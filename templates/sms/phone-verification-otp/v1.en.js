@@ -0,0 +1,4 @@
+// Phone number verification code (SMS) — version 1, English
+export default {
+  text: (data) => `AdjameGare: your verification code is ${data.code}. It expires in ${data.expiresInMinutes} minutes. Do not share it with anyone.`,
+};
@@ -0,0 +1,4 @@
+// Code de vérification du numéro (SMS) — version 1, français
+export default {
+  text: (data) => `AdjameGare: votre code de vérification est ${data.code}. Il expire dans ${data.expiresInMinutes} minutes. Ne le communiquez à personne.`,
+};
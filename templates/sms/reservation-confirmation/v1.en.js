@@ -0,0 +1,6 @@
+// Booking confirmation (SMS) — version 1, English
+import moment from 'moment';
+
+export default {
+  text: (data) => `AdjameGare: booking ${data.bookingReference} confirmed. ${data.from} → ${data.to} on ${moment(data.departureDate).locale('en').format('MM/DD/YYYY')} at ${data.departureTime}, ${data.company ? `${data.company}, ` : ''}seat(s) ${(data.seats || []).join(', ')}. Show this reference when boarding.`,
+};
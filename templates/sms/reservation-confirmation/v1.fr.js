@@ -0,0 +1,7 @@
+// Confirmation de réservation (SMS) — version 1, français
+import moment from 'moment';
+import 'moment/locale/fr.js';
+
+export default {
+  text: (data) => `AdjameGare: réservation ${data.bookingReference} confirmée. ${data.from} → ${data.to} le ${moment(data.departureDate).locale('fr').format('DD/MM/YYYY')} à ${data.departureTime}, ${data.company ? `${data.company}, ` : ''}siège(s) ${(data.seats || []).join(', ')}. Présentez cette référence à l'embarquement.`,
+};
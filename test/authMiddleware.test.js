@@ -0,0 +1,127 @@
+// test/authMiddleware.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Role from '../models/Role.js';
+import Company from '../models/Company.js';
+import { authorizePermission, requireOperatorCompany } from '../middlewares/authMiddleware.js';
+import { invalidateRoleCache } from '../services/permissionService.js';
+
+const ROLES = [
+  { name: 'admin', permissions: ['*'] },
+  { name: 'station_agent', permissions: ['bookings.read', 'bookings.check_in'] },
+  { name: 'finance', permissions: ['refunds.read', 'refunds.manage'] },
+  { name: 'operator', permissions: ['operator.bookings'] },
+];
+
+// Réponse Express minimale : statut et corps JSON
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const run = async (middleware, user) => {
+  const req = { user };
+  const res = createResponse();
+  const next = mock.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('authorizePermission', () => {
+  beforeEach(() => {
+    invalidateRoleCache();
+    mock.method(Role, 'bulkWrite', async () => ({}));
+    mock.method(Role, 'find', () => ({ lean: async () => ROLES }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('laisse passer un rôle qui détient la permission', async () => {
+    const { res, next } = await run(authorizePermission('bookings.check_in'), { role: 'station_agent' });
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(res.body, null);
+  });
+
+  it('accepte l\'une des permissions listées', async () => {
+    const { next } = await run(authorizePermission('bookings.update', 'bookings.check_in'), { role: 'station_agent' });
+
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  it('refuse un rôle qui ne détient aucune des permissions', async () => {
+    const { res, next } = await run(authorizePermission('bookings.update', 'refunds.manage'), { role: 'station_agent' });
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.success, false);
+    assert.match(res.body.message, /bookings\.update \| refunds\.manage/);
+  });
+
+  it('donne toutes les permissions au rôle \'*\'', async () => {
+    const { next } = await run(authorizePermission('roles.manage'), { role: 'admin' });
+
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  it('refuse les clients, les rôles inconnus et les requêtes sans utilisateur', async () => {
+    for (const user of [{ role: 'user' }, { role: 'ancien_role' }, undefined]) {
+      const { res, next } = await run(authorizePermission('bookings.read'), user);
+      assert.equal(next.mock.callCount(), 0);
+      assert.equal(res.statusCode, 403);
+    }
+  });
+
+  it('ne donne pas les permissions du back-office aux opérateurs', async () => {
+    const { res } = await run(authorizePermission('bookings.read'), { role: 'operator' });
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('répond 500 quand la matrice des rôles ne peut pas être chargée', async () => {
+    mock.method(Role, 'find', () => ({ lean: async () => { throw new Error('connexion perdue'); } }));
+    mock.method(console, 'error', () => {});
+
+    const { res, next } = await run(authorizePermission('bookings.read'), { role: 'station_agent' });
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 500);
+  });
+});
+
+describe('requireOperatorCompany', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('expose la compagnie de l\'opérateur dans req.company', async () => {
+    const company = { _id: 'company-a', name: 'UTB' };
+    const findById = mock.method(Company, 'findById', async () => company);
+
+    const { req, next } = await run(requireOperatorCompany, { role: 'operator', company: 'company-a' });
+
+    assert.equal(findById.mock.calls[0].arguments[0], 'company-a');
+    assert.equal(req.company, company);
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  it('refuse un compte sans compagnie ou dont la compagnie a été supprimée', async () => {
+    mock.method(Company, 'findById', async () => null);
+
+    for (const user of [{ role: 'operator' }, { role: 'operator', company: 'company-supprimee' }]) {
+      const { res, next } = await run(requireOperatorCompany, user);
+      assert.equal(next.mock.callCount(), 0);
+      assert.equal(res.statusCode, 403);
+    }
+  });
+});
@@ -0,0 +1,132 @@
+// test/authPolicyService.test.js
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import redis from '../config/redisClient.js';
+import { AUTH_POLICY_CONFIG } from '../config/routeConfig.js';
+import {
+  AuthPolicyError,
+  assertAccountActive,
+  assertAccountUnlocked,
+  assertLoginAllowed,
+  getLoginDelayMs,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../services/authPolicyService.js';
+
+// Les compteurs des limiteurs sont partagés par le module : une IP et un identifiant par test
+let sequence = 0;
+const nextAttempt = () => {
+  sequence++;
+  return { ip: `10.0.0.${sequence}`, identifier: `client${sequence}@example.com` };
+};
+
+const buildUser = (fields = {}) => ({
+  loginAttempts: 0,
+  lockUntil: null,
+  isBanned: false,
+  save: mock.fn(async () => {}),
+  ...fields,
+});
+
+const failTimes = async (count, params) => {
+  for (let failure = 0; failure < count; failure++) {
+    await recordLoginFailure(params);
+  }
+};
+
+describe('authPolicyService', () => {
+  let redisStatus;
+
+  before(() => {
+    // Connexion Redis fermée : les compteurs restent dans le stockage en mémoire
+    redisStatus = redis.status;
+    redis.status = 'end';
+  });
+
+  after(() => {
+    redis.status = redisStatus;
+  });
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('verrouille le compte après MAX_LOGIN_ATTEMPTS échecs, jusqu\'à la fin du délai', async () => {
+    const params = { ...nextAttempt(), user: buildUser() };
+
+    const first = await recordLoginFailure(params);
+    assert.deepEqual(first, { locked: false, remainingAttempts: AUTH_POLICY_CONFIG.MAX_LOGIN_ATTEMPTS - 1, lockMinutes: null });
+
+    await failTimes(AUTH_POLICY_CONFIG.MAX_LOGIN_ATTEMPTS - 2, params);
+    const last = await recordLoginFailure(params);
+
+    assert.equal(last.locked, true);
+    assert.equal(last.lockMinutes, AUTH_POLICY_CONFIG.LOCK_DURATION_MINUTES);
+    assert.equal(params.user.loginAttempts, 0);
+    assert.throws(
+      () => assertAccountUnlocked(params.user),
+      (error) => error instanceof AuthPolicyError && error.statusCode === 403
+        && error.details.retryAfter === AUTH_POLICY_CONFIG.LOCK_DURATION_MINUTES
+    );
+
+    mock.timers.tick(AUTH_POLICY_CONFIG.LOCK_DURATION_MINUTES * 60 * 1000 + 1);
+    assert.doesNotThrow(() => assertAccountUnlocked(params.user));
+  });
+
+  it('bloque un identifiant, même sans compte, quelle que soit sa casse', async () => {
+    const { ip, identifier } = nextAttempt();
+
+    await failTimes(AUTH_POLICY_CONFIG.ACCOUNT_MAX_FAILURES + 1, { ip, identifier });
+
+    await assert.rejects(
+      assertLoginAllowed({ ip: nextAttempt().ip, identifier: ` ${identifier.toUpperCase()} ` }),
+      (error) => error instanceof AuthPolicyError && error.statusCode === 429
+        && error.details.retryAfter === AUTH_POLICY_CONFIG.ACCOUNT_BLOCK_MINUTES
+    );
+  });
+
+  it('bloque une IP qui multiplie les échecs sur plusieurs comptes', async () => {
+    const { ip } = nextAttempt();
+
+    for (let failure = 0; failure <= AUTH_POLICY_CONFIG.IP_MAX_FAILURES; failure++) {
+      await recordLoginFailure({ ip, identifier: nextAttempt().identifier });
+    }
+
+    await assert.rejects(
+      assertLoginAllowed({ ip, identifier: nextAttempt().identifier }),
+      (error) => error instanceof AuthPolicyError && error.statusCode === 429 && /adresse/.test(error.message)
+    );
+    await assert.doesNotReject(assertLoginAllowed(nextAttempt()));
+  });
+
+  it('remet les compteurs du compte à zéro après une connexion réussie', async () => {
+    const params = { ...nextAttempt(), user: buildUser() };
+    await failTimes(AUTH_POLICY_CONFIG.ACCOUNT_MAX_FAILURES, params);
+
+    await recordLoginSuccess(params);
+    await recordLoginFailure(params);
+
+    await assert.doesNotReject(assertLoginAllowed(params));
+    assert.equal(params.user.loginAttempts, 1);
+    assert.equal(params.user.lockUntil, null);
+  });
+
+  it('allonge progressivement le délai avant la vérification du mot de passe', () => {
+    const threshold = AUTH_POLICY_CONFIG.DELAY_AFTER_FAILURES;
+
+    assert.equal(getLoginDelayMs(threshold - 1), 0);
+    assert.equal(getLoginDelayMs(threshold), AUTH_POLICY_CONFIG.DELAY_BASE_MS);
+    assert.equal(getLoginDelayMs(threshold + 1), AUTH_POLICY_CONFIG.DELAY_BASE_MS * 2);
+    assert.equal(getLoginDelayMs(threshold + 20), AUTH_POLICY_CONFIG.DELAY_MAX_MS);
+  });
+
+  it('refuse les comptes supprimés et bannis', () => {
+    assert.throws(() => assertAccountActive(null), (error) => error instanceof AuthPolicyError && error.statusCode === 401);
+    assert.throws(() => assertAccountActive(buildUser({ isBanned: true })), (error) => error.statusCode === 403);
+    assert.doesNotThrow(() => assertAccountActive(buildUser()));
+  });
+});
@@ -0,0 +1,151 @@
+// test/bookingStateService.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import SeatReservation from '../models/SeatReservation.js';
+import {
+  BookingTransitionError,
+  actorFromUser,
+  canTransition,
+  transitionBooking,
+} from '../services/bookingStateService.js';
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const routeSnapshot = () => ({
+  routeId: objectId(),
+  from: { id: objectId(), name: 'Abidjan' },
+  to: { id: objectId(), name: 'Bouaké' },
+  departureDate: new Date('2030-01-15T00:00:00Z'),
+  departureTime: '08:00',
+  arrivalTime: '12:00',
+  duration: '4h',
+  price: 5000,
+  companyName: { id: objectId(), name: 'UTB' },
+  bus: { id: objectId() },
+});
+
+const buildBooking = (status) => new Booking({
+  user: objectId(),
+  outboundRoute: objectId(),
+  outboundRouteSnapshot: routeSnapshot(),
+  tripType: 'oneWay',
+  selectedSeats: ['4'],
+  passengerDetails: {},
+  totalPrice: 5000,
+  status,
+});
+
+// Réservation en base : findOneAndUpdate n'applique le changement que si le statut lu est toujours le bon
+const storeBooking = (booking) => {
+  const stored = { status: booking.status, statusHistory: [] };
+  const calls = [];
+
+  mock.method(Booking, 'findOneAndUpdate', async (filter, update) => {
+    calls.push({ filter, update });
+    await new Promise(resolve => setImmediate(resolve));
+    if (filter.status !== undefined && filter.status !== stored.status) return null;
+    Object.assign(stored, update.$set);
+    stored.statusHistory.push(update.$push.statusHistory);
+    return { _id: booking._id, ...stored };
+  });
+
+  return { stored, calls };
+};
+
+describe('transitionBooking', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('enregistre la transition avec son acteur et sa raison, conditionnée au statut lu', async () => {
+    const booking = buildBooking('confirmed');
+    const { stored, calls } = storeBooking(booking);
+    const agent = { _id: objectId(), role: 'station_agent' };
+
+    const updated = await transitionBooking(booking, 'completed', { actor: actorFromUser(agent), reason: 'Embarquement' });
+
+    assert.equal(updated.status, 'completed');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].filter, { _id: booking._id, status: 'confirmed' });
+    assert.equal(stored.statusHistory.length, 1);
+    const [entry] = stored.statusHistory;
+    assert.equal(entry.from, 'confirmed');
+    assert.equal(entry.to, 'completed');
+    assert.deepEqual(entry.actor, { type: 'admin', user: agent._id });
+    assert.equal(entry.reason, 'Embarquement');
+  });
+
+  it('refuse de quitter un état final sans rien enregistrer', async () => {
+    const booking = buildBooking('cancelled');
+    const { calls } = storeBooking(booking);
+
+    await assert.rejects(
+      transitionBooking(booking, 'confirmed'),
+      (error) => error instanceof BookingTransitionError && error.statusCode === 409
+    );
+    assert.equal(calls.length, 0);
+  });
+
+  it('rejette un statut inconnu', async () => {
+    const booking = buildBooking('confirmed');
+    storeBooking(booking);
+
+    await assert.rejects(
+      transitionBooking(booking, 'boarded'),
+      (error) => error instanceof BookingTransitionError && error.statusCode === 400
+    );
+  });
+
+  it('n\'applique qu\'une fois deux transitions concurrentes lues sur le même statut', async () => {
+    const booking = buildBooking('confirmed');
+    const copy = Booking.hydrate(booking.toObject());
+    const { stored } = storeBooking(booking);
+
+    const results = await Promise.allSettled([
+      transitionBooking(booking, 'completed'),
+      transitionBooking(copy, 'completed'),
+    ]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    const [rejected] = results.filter(result => result.status === 'rejected');
+    assert.ok(rejected.reason instanceof BookingTransitionError);
+    assert.match(rejected.reason.message, /modifié entre-temps/);
+    assert.equal(stored.statusHistory.length, 1);
+  });
+
+  it('refuse la confirmation quand les sièges bloqués ont été repris', async () => {
+    const booking = buildBooking('pending_payment');
+    const { calls } = storeBooking(booking);
+
+    // Blocage expiré et siège pris par une autre réservation
+    mock.method(SeatReservation, 'updateMany', async () => ({ matchedCount: 0 }));
+    mock.method(SeatReservation, 'insertMany', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    mock.method(SeatReservation, 'deleteMany', async () => ({ deletedCount: 0 }));
+    mock.method(SeatReservation, 'find', () => ({ distinct: async () => [] }));
+
+    await assert.rejects(
+      transitionBooking(booking, 'confirmed', { actor: { type: 'payment' } }),
+      (error) => error instanceof BookingTransitionError && /plus disponibles/.test(error.message)
+    );
+    assert.equal(calls.length, 0);
+  });
+});
+
+describe('canTransition', () => {
+  it('suit la table des transitions', () => {
+    const transitions = [
+      ['pending_payment', 'confirmed', true],
+      ['pending_payment', 'completed', false],
+      ['confirmed', 'completed', true],
+      ['confirmed', 'pending_payment', false],
+      ['completed', 'cancelled', false],
+    ];
+    for (const [from, to, expected] of transitions) {
+      assert.equal(canTransition(from, to), expected, `${from} → ${to}`);
+    }
+  });
+});
@@ -0,0 +1,107 @@
+// test/cancellationService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Company from '../models/Company.js';
+import { CANCELLATION_CONFIG } from '../config/routeConfig.js';
+import { CancellationPolicyError, computeRefund, normalizePolicyTiers } from '../services/cancellationService.js';
+
+// Départ le 15 janvier 2030 à 10h00 (heure locale, comme getDepartureMoment)
+const buildBooking = (overrides = {}) => ({
+  status: 'confirmed',
+  totalPrice: 9999,
+  outboundRouteSnapshot: {
+    departureDate: new Date(2030, 0, 15),
+    departureTime: '10:00',
+    companyName: { id: 'company-a', name: 'UTB' },
+  },
+  ...overrides,
+});
+
+const hoursBeforeDeparture = (hours) => new Date(new Date(2030, 0, 15, 10).getTime() - hours * 3600 * 1000);
+
+describe('normalizePolicyTiers', () => {
+  it('trie les paliers du délai le plus long au plus court', () => {
+    const tiers = normalizePolicyTiers([
+      { minHoursBeforeDeparture: '0', refundRate: '0.25' },
+      { minHoursBeforeDeparture: 48, refundRate: 1 },
+      { minHoursBeforeDeparture: 12, refundRate: 0.5 },
+    ]);
+
+    assert.deepEqual(tiers.map(tier => [tier.minHoursBeforeDeparture, tier.refundRate]), [[48, 1], [12, 0.5], [0, 0.25]]);
+  });
+
+  it('refuse les politiques mal formées', () => {
+    const cases = [
+      null,
+      [{ minHoursBeforeDeparture: -1, refundRate: 0.5 }],
+      [{ minHoursBeforeDeparture: 24, refundRate: 1.5 }],
+      [{ minHoursBeforeDeparture: 24, refundRate: 'tout' }],
+      [{ minHoursBeforeDeparture: 24, refundRate: 1 }, { minHoursBeforeDeparture: 24, refundRate: 0.5 }],
+    ];
+    for (const tiers of cases) {
+      assert.throws(() => normalizePolicyTiers(tiers), CancellationPolicyError, JSON.stringify(tiers));
+    }
+  });
+});
+
+describe('computeRefund', () => {
+  let companyPolicy;
+
+  beforeEach(() => {
+    companyPolicy = null;
+    mock.method(Company, 'findById', () => ({
+      lean: async () => (companyPolicy ? { cancellationPolicy: { tiers: companyPolicy } } : null),
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('applique la politique par défaut selon le délai avant le départ', async () => {
+    const early = await computeRefund(buildBooking(), { at: hoursBeforeDeparture(30) });
+    const late = await computeRefund(buildBooking(), { at: hoursBeforeDeparture(2) });
+
+    assert.equal(early.policy.source, 'default');
+    assert.equal(early.refundRate, 1);
+    assert.equal(early.hoursBeforeDeparture, 30);
+    assert.equal(late.refundRate, 0.5);
+    assert.equal(late.paidAmount, 9999);
+  });
+
+  it('arrondit le remboursement au multiple inférieur', async () => {
+    const refund = await computeRefund(buildBooking(), { at: hoursBeforeDeparture(2) });
+
+    assert.equal(refund.refundAmount % CANCELLATION_CONFIG.ROUNDING, 0);
+    assert.equal(refund.refundAmount, Math.floor(4999.5 / CANCELLATION_CONFIG.ROUNDING) * CANCELLATION_CONFIG.ROUNDING);
+  });
+
+  it('ne rembourse rien une fois le bus parti', async () => {
+    const refund = await computeRefund(buildBooking(), { at: hoursBeforeDeparture(-1) });
+
+    assert.equal(refund.refundRate, CANCELLATION_CONFIG.AFTER_DEPARTURE_RATE);
+    assert.equal(refund.refundAmount, 0);
+  });
+
+  it('applique la politique propre à la compagnie', async () => {
+    companyPolicy = [
+      { minHoursBeforeDeparture: 72, refundRate: 0.8 },
+      { minHoursBeforeDeparture: 6, refundRate: 0.3 },
+    ];
+
+    const refund = await computeRefund(buildBooking({ totalPrice: 10000 }), { at: hoursBeforeDeparture(10) });
+    const tooLate = await computeRefund(buildBooking({ totalPrice: 10000 }), { at: hoursBeforeDeparture(3) });
+
+    assert.equal(refund.policy.source, 'company');
+    assert.equal(refund.refundAmount, 3000);
+    assert.equal(tooLate.refundRate, 0);
+    assert.equal(tooLate.refundAmount, 0);
+  });
+
+  it('ne rembourse pas une réservation qui n\'a pas été payée', async () => {
+    const refund = await computeRefund(buildBooking({ status: 'pending' }), { at: hoursBeforeDeparture(30) });
+
+    assert.equal(refund.paidAmount, 0);
+    assert.equal(refund.refundAmount, 0);
+  });
+});
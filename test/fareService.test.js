@@ -0,0 +1,114 @@
+// test/fareService.test.js
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FARE_CONFIG } from '../config/routeConfig.js';
+import { FareError, computeFare, signQuote, verifyQuote } from '../services/fareService.js';
+
+const ROUTES = { outboundRouteId: 'route-aller', returnRouteId: 'route-retour' };
+
+describe('computeFare', () => {
+  let savedConfig;
+
+  beforeEach(() => {
+    savedConfig = {
+      roundTrip: FARE_CONFIG.ROUND_TRIP_DISCOUNT,
+      group: FARE_CONFIG.GROUP_DISCOUNT.RATE,
+      promoCodes: FARE_CONFIG.PROMO_CODES,
+    };
+  });
+
+  afterEach(() => {
+    FARE_CONFIG.ROUND_TRIP_DISCOUNT = savedConfig.roundTrip;
+    FARE_CONFIG.GROUP_DISCOUNT.RATE = savedConfig.group;
+    FARE_CONFIG.PROMO_CODES = savedConfig.promoCodes;
+  });
+
+  it('multiplie le prix des trajets par le nombre de passagers', () => {
+    FARE_CONFIG.ROUND_TRIP_DISCOUNT = 0;
+    const fare = computeFare({ outboundPrice: 5000, returnPrice: 4500, passengers: '2', tripType: 'roundTrip' });
+
+    assert.deepEqual(fare.items.map(item => [item.code, item.amount]), [['OUTBOUND', 10000], ['RETURN', 9000]]);
+    assert.equal(fare.subtotal, 19000);
+    assert.equal(fare.total, 19000);
+    assert.equal(fare.currency, FARE_CONFIG.CURRENCY);
+  });
+
+  it('applique les remises sur le sous-total, arrondies au franc', () => {
+    FARE_CONFIG.ROUND_TRIP_DISCOUNT = 0.05;
+    FARE_CONFIG.GROUP_DISCOUNT.RATE = 0.1;
+    FARE_CONFIG.PROMO_CODES = { BIENVENUE: 0.033 };
+
+    const fare = computeFare({
+      outboundPrice: 3000,
+      returnPrice: 3000,
+      passengers: FARE_CONFIG.GROUP_DISCOUNT.MIN_PASSENGERS,
+      tripType: 'roundTrip',
+      promoCode: ' bienvenue ',
+    });
+
+    const subtotal = 6000 * FARE_CONFIG.GROUP_DISCOUNT.MIN_PASSENGERS;
+    assert.equal(fare.subtotal, subtotal);
+    assert.deepEqual(fare.discounts.map(discount => discount.code), ['ROUND_TRIP', 'GROUP', 'BIENVENUE']);
+    assert.equal(fare.promoCode, 'BIENVENUE');
+    const expectedDiscount = Math.round(subtotal * 0.05) + Math.round(subtotal * 0.1) + Math.round(subtotal * 0.033);
+    assert.equal(fare.discountTotal, expectedDiscount);
+    assert.equal(fare.total, subtotal - expectedDiscount);
+  });
+
+  it('ne descend jamais sous zéro quand les remises dépassent le sous-total', () => {
+    FARE_CONFIG.PROMO_CODES = { GRATUIT: 1 };
+    FARE_CONFIG.ROUND_TRIP_DISCOUNT = 0.5;
+
+    const fare = computeFare({ outboundPrice: 2000, returnPrice: 2000, passengers: 1, tripType: 'roundTrip', promoCode: 'GRATUIT' });
+
+    assert.equal(fare.discountTotal, fare.subtotal);
+    assert.equal(fare.total, 0);
+  });
+
+  it('refuse les demandes incohérentes', () => {
+    const cases = [
+      { outboundPrice: 5000, passengers: 0, tripType: 'oneWay' },
+      { outboundPrice: 5000, passengers: FARE_CONFIG.MAX_PASSENGERS + 1, tripType: 'oneWay' },
+      { outboundPrice: 5000, passengers: 1, tripType: 'multiCity' },
+      { outboundPrice: 5000, passengers: 1, tripType: 'roundTrip' },
+      { outboundPrice: 5000, passengers: 1, tripType: 'oneWay', promoCode: 'INCONNU' },
+    ];
+    for (const params of cases) {
+      assert.throws(() => computeFare(params), FareError, JSON.stringify(params));
+    }
+  });
+});
+
+describe('signQuote / verifyQuote', () => {
+  before(() => {
+    process.env.QUOTE_SECRET = process.env.QUOTE_SECRET || 'secret-de-test';
+  });
+
+  const fare = () => computeFare({ outboundPrice: 5000, returnPrice: 4000, passengers: 2, tripType: 'roundTrip' });
+
+  it('accepte le devis signé pour le même tarif et les mêmes trajets', () => {
+    const { quoteToken, expiresAt } = signQuote(fare(), ROUTES);
+
+    assert.ok(expiresAt > new Date());
+    assert.equal(verifyQuote(quoteToken, fare(), ROUTES).total, fare().total);
+  });
+
+  it('refuse un devis dont le tarif ou les trajets ont changé', () => {
+    const { quoteToken } = signQuote(fare(), ROUTES);
+    const changedFare = computeFare({ outboundPrice: 5500, returnPrice: 4000, passengers: 2, tripType: 'roundTrip' });
+
+    assert.throws(() => verifyQuote(quoteToken, changedFare, ROUTES), (error) => error instanceof FareError && error.statusCode === 409);
+    assert.throws(
+      () => verifyQuote(quoteToken, fare(), { ...ROUTES, returnRouteId: 'autre-retour' }),
+      (error) => error instanceof FareError && error.statusCode === 409
+    );
+  });
+
+  it('refuse un devis falsifié', () => {
+    const { quoteToken } = signQuote(fare(), ROUTES);
+    const [header, payload, signature] = quoteToken.split('.');
+    const forged = `${header}.${payload}.${signature.slice(0, -2)}xx`;
+
+    assert.throws(() => verifyQuote(forged, fare(), ROUTES), (error) => error instanceof FareError && error.statusCode === 400);
+  });
+});
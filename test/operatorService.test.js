@@ -0,0 +1,127 @@
+// test/operatorService.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import {
+  companyBookingFilter,
+  getCompanyLegs,
+  getLegRevenue,
+  isBookingOwnedByCompany,
+  serializeCompanyBooking,
+} from '../services/operatorService.js';
+
+const objectId = () => new mongoose.Types.ObjectId();
+const COMPANY_A = objectId();
+const COMPANY_B = objectId();
+
+const routeSnapshot = (companyId, price) => ({
+  routeId: objectId(),
+  from: { id: objectId(), name: 'Abidjan' },
+  to: { id: objectId(), name: 'Yamoussoukro' },
+  departureDate: new Date('2030-01-15T00:00:00Z'),
+  departureTime: '08:00',
+  arrivalTime: '11:00',
+  duration: '3h',
+  price,
+  companyName: { id: companyId, name: 'Compagnie' },
+  bus: { id: objectId() },
+});
+
+// Aller-retour opéré par deux compagnies : 6000 à l'aller (A), 4000 au retour (B), remise de 10%
+const buildRoundTrip = ({ outbound = COMPANY_A, inbound = COMPANY_B } = {}) => new Booking({
+  user: objectId(),
+  outboundRoute: objectId(),
+  returnRoute: objectId(),
+  outboundRouteSnapshot: routeSnapshot(outbound, 6000),
+  returnRouteSnapshot: routeSnapshot(inbound, 4000),
+  tripType: 'roundTrip',
+  selectedSeats: ['7'],
+  passengerDetails: { name: 'Awa Koné' },
+  totalPrice: 9000,
+  fare: {
+    items: [
+      { code: 'OUTBOUND', amount: 6000 },
+      { code: 'RETURN', amount: 4000 },
+    ],
+    subtotal: 10000,
+    discountTotal: 1000,
+    total: 9000,
+  },
+  status: 'confirmed',
+  payment: { provider: 'stub', transactionId: 'TX-1', amount: 9000, attempts: [{ provider: 'stub', status: 'completed' }] },
+  refund: { amountDue: 4500, rate: 0.5 },
+});
+
+describe('companyBookingFilter', () => {
+  it('retient les réservations dont l\'aller ou le retour est opéré par la compagnie', () => {
+    assert.deepEqual(companyBookingFilter(COMPANY_A), {
+      $or: [
+        { 'outboundRouteSnapshot.companyName.id': COMPANY_A },
+        { 'returnRouteSnapshot.companyName.id': COMPANY_A },
+      ],
+    });
+  });
+});
+
+describe('getCompanyLegs / isBookingOwnedByCompany', () => {
+  it('ne retient que les trajets de la compagnie', () => {
+    const booking = buildRoundTrip();
+
+    assert.deepEqual(getCompanyLegs(booking, COMPANY_A).map(leg => leg.code), ['OUTBOUND']);
+    assert.deepEqual(getCompanyLegs(booking, COMPANY_B.toString()).map(leg => leg.code), ['RETURN']);
+    assert.deepEqual(getCompanyLegs(booking, objectId()), []);
+  });
+
+  it('n\'attribue un aller-retour partagé à aucune des deux compagnies', () => {
+    const booking = buildRoundTrip();
+
+    assert.equal(isBookingOwnedByCompany(booking, COMPANY_A), false);
+    assert.equal(isBookingOwnedByCompany(booking, COMPANY_B), false);
+    assert.equal(isBookingOwnedByCompany(buildRoundTrip({ inbound: COMPANY_A }), COMPANY_A), true);
+  });
+});
+
+describe('getLegRevenue', () => {
+  it('répartit la remise au prorata des lignes du tarif', () => {
+    const booking = buildRoundTrip();
+
+    assert.equal(getLegRevenue(booking, 'OUTBOUND'), 5400);
+    assert.equal(getLegRevenue(booking, 'RETURN'), 3600);
+  });
+
+  it('répartit selon le prix des trajets sans détail de tarif', () => {
+    const booking = buildRoundTrip().toObject();
+    delete booking.fare;
+
+    assert.equal(getLegRevenue(booking, 'OUTBOUND'), 5400);
+    assert.equal(getLegRevenue(booking, 'RETURN'), 3600);
+  });
+});
+
+describe('serializeCompanyBooking', () => {
+  it('masque l\'autre trajet et le paiement d\'un aller-retour partagé', () => {
+    const view = serializeCompanyBooking(buildRoundTrip(), COMPANY_A);
+
+    assert.equal(view.sharedWithOtherCompany, true);
+    assert.equal(view.companyRevenue, 5400);
+    assert.ok(view.outboundRouteSnapshot);
+    assert.equal(view.returnRouteSnapshot, null);
+    assert.equal(view.returnRoute, null);
+    for (const field of ['totalPrice', 'fare', 'payment', 'refund', 'statusHistory']) {
+      assert.equal(field in view, false, field);
+    }
+  });
+
+  it('montre le paiement, sans les tentatives, à la compagnie qui opère toute la réservation', () => {
+    const view = serializeCompanyBooking(buildRoundTrip({ inbound: COMPANY_A }), COMPANY_A);
+
+    assert.equal(view.sharedWithOtherCompany, false);
+    assert.equal(view.companyRevenue, 9000);
+    assert.ok(view.returnRouteSnapshot);
+    assert.equal(view.totalPrice, 9000);
+    assert.equal(view.payment.transactionId, 'TX-1');
+    assert.equal(view.payment.attempts, undefined);
+    assert.equal(view.refund.amountDue, 4500);
+  });
+});
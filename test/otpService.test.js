@@ -0,0 +1,165 @@
+// test/otpService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import OtpCode from '../models/OtpCode.js';
+import { OTP_CONFIG } from '../config/routeConfig.js';
+import { toInternationalPhone } from '../services/smsService.js';
+import { OtpError, sendOtp, verifyOtp } from '../services/otpService.js';
+
+const PHONE = '07 01 02 03 04';
+const PURPOSE = 'password_reset';
+
+// Codes en mémoire limités aux requêtes de otpService
+const createOtpStore = () => {
+  const codes = [];
+  const matches = (otp, filter) => (
+    (!filter._id || otp._id.equals(filter._id))
+    && (!filter.phone || otp.phone === filter.phone)
+    && (!filter.purpose || otp.purpose === filter.purpose)
+    && (!('consumedAt' in filter) || otp.consumedAt === filter.consumedAt)
+    && (!('invalidatedAt' in filter) || otp.invalidatedAt === filter.invalidatedAt)
+    && (!filter.expiresAt || otp.expiresAt > filter.expiresAt.$gt)
+    && (!filter.attempts || otp.attempts < filter.attempts.$lt)
+  );
+
+  mock.method(OtpCode, 'findOne', (filter) => ({
+    sort: async () => codes.filter(otp => matches(otp, filter)).at(-1) || null,
+  }));
+  mock.method(OtpCode, 'find', (filter) => ({
+    sort: async () => codes.filter(otp => matches(otp, filter) && otp.createdAt >= filter.createdAt.$gte).reverse(),
+  }));
+  mock.method(OtpCode, 'findOneAndUpdate', async (filter, update) => {
+    const otp = codes.find(candidate => matches(candidate, filter));
+    if (!otp) return null;
+    Object.assign(otp, update.$set);
+    if (update.$inc) otp.attempts += update.$inc.attempts;
+    return otp;
+  });
+  mock.method(OtpCode, 'updateOne', async (filter, update) => {
+    Object.assign(codes.find(otp => otp._id.equals(filter._id)), update.$set);
+  });
+
+  codes.add = (code, fields = {}) => {
+    const otp = {
+      _id: new mongoose.Types.ObjectId(),
+      phone: toInternationalPhone(PHONE),
+      purpose: PURPOSE,
+      codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+      attempts: 0,
+      consumedAt: null,
+      invalidatedAt: null,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + OTP_CONFIG.EXPIRES_MINUTES * 60 * 1000),
+      ...fields,
+    };
+    codes.push(otp);
+    return otp;
+  };
+  return codes;
+};
+
+describe('verifyOtp', () => {
+  let codes;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    codes = createOtpStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('consomme le code correct, une seule fois', async () => {
+    const otp = codes.add('123456');
+
+    const consumed = await verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '123456' });
+
+    assert.equal(consumed._id, otp._id);
+    assert.ok(otp.consumedAt);
+    await assert.rejects(
+      verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '123456' }),
+      (error) => error instanceof OtpError && /invalide ou expiré/.test(error.message)
+    );
+  });
+
+  it('refuse un code expiré', async () => {
+    codes.add('123456');
+    mock.timers.tick(OTP_CONFIG.EXPIRES_MINUTES * 60 * 1000 + 1);
+
+    await assert.rejects(
+      verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '123456' }),
+      (error) => error instanceof OtpError && error.statusCode === 400 && /expiré/.test(error.message)
+    );
+  });
+
+  it('ne vérifie que le code de l\'usage demandé', async () => {
+    codes.add('123456', { purpose: 'phone_verification' });
+
+    await assert.rejects(verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '123456' }), OtpError);
+  });
+
+  it('décompte les essais puis invalide le code', async () => {
+    const otp = codes.add('123456');
+
+    for (let attempt = 1; attempt < OTP_CONFIG.MAX_ATTEMPTS; attempt++) {
+      await assert.rejects(
+        verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '000000' }),
+        (error) => error instanceof OtpError && error.message.endsWith(`${OTP_CONFIG.MAX_ATTEMPTS - attempt}`)
+      );
+    }
+    await assert.rejects(
+      verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '000000' }),
+      (error) => error instanceof OtpError && error.statusCode === 429
+    );
+
+    assert.ok(otp.invalidatedAt);
+    await assert.rejects(verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '123456' }), OtpError);
+  });
+
+  it('refuse un numéro ou un code mal formé sans consulter les codes', async () => {
+    await assert.rejects(verifyOtp({ phone: '123', purpose: PURPOSE, code: '123456' }), OtpError);
+    await assert.rejects(verifyOtp({ phone: PHONE, purpose: PURPOSE, code: '12a456' }), OtpError);
+    assert.equal(OtpCode.findOne.mock.callCount(), 0);
+  });
+});
+
+describe('sendOtp', () => {
+  let codes;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    codes = createOtpStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('impose un délai entre deux envois au même numéro', async () => {
+    codes.add('123456');
+    mock.timers.tick(10 * 1000);
+
+    await assert.rejects(
+      sendOtp({ phone: PHONE, purpose: PURPOSE }),
+      (error) => error instanceof OtpError && error.statusCode === 429
+        && error.message.includes(`${OTP_CONFIG.RESEND_COOLDOWN_SECONDS - 10} seconde(s)`)
+    );
+  });
+
+  it('limite le nombre d\'envois par fenêtre', async () => {
+    for (let sent = 0; sent < OTP_CONFIG.MAX_SENDS_PER_WINDOW; sent++) {
+      codes.add('123456');
+      mock.timers.tick(OTP_CONFIG.RESEND_COOLDOWN_SECONDS * 1000);
+    }
+
+    await assert.rejects(
+      sendOtp({ phone: PHONE, purpose: PURPOSE }),
+      (error) => error instanceof OtpError && error.statusCode === 429 && /Trop de codes/.test(error.message)
+    );
+  });
+});
@@ -0,0 +1,166 @@
+// test/paymentEventService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { PAYMENT_EVENT_CONFIG } from '../config/routeConfig.js';
+import paydunyaProvider from '../services/paymentProviders/paydunyaProvider.js';
+import { PaymentEventError, processPaymentEvent } from '../services/paymentEventService.js';
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Réservation de 5000 FCFA en attente du paiement 'INV-1'
+const buildBooking = (overrides = {}) => ({
+  _id: objectId(),
+  status: 'pending',
+  totalPrice: 5000,
+  payment: { invoiceToken: 'INV-1' },
+  ...overrides,
+});
+
+// Notifications et réservations en mémoire limitées aux requêtes de paymentEventService
+const createStore = () => {
+  const store = { events: [], bookings: [] };
+  const matchesStatus = (status, condition) => {
+    if (condition?.$in) return condition.$in.includes(status);
+    if (condition?.$ne) return status !== condition.$ne;
+    return status === condition;
+  };
+
+  mock.method(PaymentEvent, 'findOneAndUpdate', async (filter, update) => {
+    const event = store.events.find(candidate => candidate._id.equals(filter._id) && matchesStatus(candidate.status, filter.status));
+    if (!event) return null;
+    Object.assign(event, update.$set);
+    event.attempts += update.$inc.attempts;
+    return event;
+  });
+  mock.method(PaymentEvent, 'exists', async (filter) => {
+    if (!filter.reference) return store.events.some(event => event._id.equals(filter._id));
+    return store.events.some(event => (
+      !event._id.equals(filter._id.$ne)
+      && event.provider === filter.provider
+      && event.reference === filter.reference
+      && event.status === filter.status
+    ));
+  });
+  mock.method(PaymentEvent.prototype, 'save', async function () {
+    return this;
+  });
+
+  mock.method(Booking, 'findById', async (id) => store.bookings.find(booking => booking._id.equals(id)) || null);
+  mock.method(Booking, 'findOne', async (filter) => {
+    return store.bookings.find(booking => booking.payment?.invoiceToken === filter['payment.invoiceToken']) || null;
+  });
+  mock.method(Booking, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  store.addEvent = (fields = {}) => {
+    const event = new PaymentEvent({ provider: 'paydunya', reference: 'INV-1', signatureValid: true, ...fields });
+    store.events.push(event);
+    return event;
+  };
+  return store;
+};
+
+describe('processPaymentEvent', () => {
+  let store;
+  let confirm;
+
+  beforeEach(() => {
+    store = createStore();
+    confirm = mock.method(paydunyaProvider, 'confirm', async () => ({ status: 'pending' }));
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('ne traite qu\'une fois une référence déjà prise en compte', async () => {
+    store.addEvent({ status: 'processed', outcome: 'booking_confirmed' });
+    const duplicate = store.addEvent();
+
+    const event = await processPaymentEvent(duplicate._id);
+
+    assert.equal(event.status, 'duplicate');
+    assert.equal(event.outcome, 'already_processed');
+    assert.equal(event.nextAttemptAt, null);
+    assert.equal(confirm.mock.callCount(), 0);
+  });
+
+  it('refuse de traiter deux fois en parallèle la même notification', async () => {
+    const event = store.addEvent({ status: 'processing' });
+
+    await assert.rejects(
+      processPaymentEvent(event._id),
+      (error) => error instanceof PaymentEventError && error.statusCode === 409
+    );
+    await assert.rejects(
+      processPaymentEvent(objectId()),
+      (error) => error instanceof PaymentEventError && error.statusCode === 404
+    );
+  });
+
+  it('ne reprend pas automatiquement une notification déjà traitée', async () => {
+    const processed = store.addEvent({ status: 'processed' });
+
+    await assert.rejects(processPaymentEvent(processed._id), PaymentEventError);
+    assert.equal(processed.attempts, 0);
+  });
+
+  it('relance manuellement une notification traitée sans confirmer deux fois la réservation', async () => {
+    const booking = buildBooking({ status: 'confirmed' });
+    store.bookings.push(booking);
+    const processed = store.addEvent({ status: 'processed', booking: booking._id });
+    const adminId = objectId();
+
+    const event = await processPaymentEvent(processed._id, { replayedBy: adminId });
+
+    assert.equal(event.status, 'processed');
+    assert.equal(event.outcome, 'already_confirmed');
+    assert.equal(event.replayedBy, adminId);
+    assert.equal(event.attempts, 1);
+    assert.equal(confirm.mock.callCount(), 0);
+  });
+
+  it('ignore un paiement qui n\'est pas celui attendu par la réservation de l\'URL', async () => {
+    const booking = buildBooking({ payment: { invoiceToken: 'INV-2' } });
+    store.bookings.push(booking);
+    const received = store.addEvent({ booking: booking._id });
+
+    const event = await processPaymentEvent(received._id);
+
+    assert.equal(event.status, 'ignored');
+    assert.equal(event.outcome, 'booking_mismatch');
+    assert.match(event.lastError, /INV-1/);
+    assert.equal(confirm.mock.callCount(), 0);
+  });
+
+  it('planifie une relance tant que le paiement est en attente, puis abandonne', async () => {
+    store.bookings.push(buildBooking());
+    const received = store.addEvent();
+
+    const event = await processPaymentEvent(received._id);
+
+    assert.equal(event.status, 'failed');
+    assert.ok(event.nextAttemptAt > new Date());
+    assert.equal(confirm.mock.calls[0].arguments[0], 'INV-1');
+
+    event.attempts = PAYMENT_EVENT_CONFIG.MAX_ATTEMPTS - 1;
+    const last = await processPaymentEvent(received._id);
+    assert.equal(last.status, 'failed');
+    assert.equal(last.nextAttemptAt, null);
+  });
+
+  it('ne relance pas un paiement encaissé dont le montant ne correspond pas', async () => {
+    store.bookings.push(buildBooking());
+    const received = store.addEvent();
+    confirm.mock.mockImplementation(async () => ({ status: 'completed', amount: 4000, transactionId: 'TX-1' }));
+
+    const event = await processPaymentEvent(received._id);
+
+    assert.equal(event.status, 'failed');
+    assert.equal(event.outcome, 'confirmation_refused');
+    assert.equal(event.nextAttemptAt, null);
+  });
+});
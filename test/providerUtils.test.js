@@ -0,0 +1,48 @@
+// test/providerUtils.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { PaymentProviderError, requestJson } from '../services/paymentProviders/providerUtils.js';
+
+describe('requestJson', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // /slow ne répond jamais : la requête doit être interrompue par le délai
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') return;
+      if (req.url === '/error') {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ message: 'Erreur fournisseur' }));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('retourne la réponse JSON décodée', async () => {
+    assert.deepEqual(await requestJson(`${baseUrl}/ok`, { body: { amount: 5000 } }), { ok: true });
+  });
+
+  it('interrompt un fournisseur trop lent par une erreur à relancer', async () => {
+    await assert.rejects(
+      requestJson(`${baseUrl}/slow`, { timeoutMs: 50 }),
+      (error) => error instanceof PaymentProviderError && error.statusCode === 504 && error.retryable === true
+    );
+  });
+
+  it('ne marque pas une réponse en erreur comme passagère', async () => {
+    await assert.rejects(
+      requestJson(`${baseUrl}/error`),
+      (error) => error instanceof PaymentProviderError && error.message === 'Erreur fournisseur' && error.retryable === false
+    );
+  });
+});
@@ -0,0 +1,204 @@
+// test/rateLimiter.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import redis from '../config/redisClient.js';
+import { RATE_LIMIT_CONFIG } from '../config/routeConfig.js';
+import { RateLimiter } from '../middlewares/rateLimiter.js';
+
+const WINDOW_MS = 60 * 1000;
+const BLOCK_MS = 5 * 60 * 1000;
+
+const createLimiter = (name = 'test') => new RateLimiter({ name, maxAttempts: 2, windowMs: WINDOW_MS, blockDurationMs: BLOCK_MS });
+
+// Redis en mémoire limité aux commandes de RedisStore (clés expirant selon Date.now)
+const createRedisStore = () => {
+  const keys = new Map();
+  const read = (key) => {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt <= Date.now()) keys.delete(key);
+    return keys.get(key);
+  };
+  const set = (key, value, mode, ttlMs, condition) => {
+    if (condition === 'NX' && read(key)) return null;
+    keys.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+    return 'OK';
+  };
+
+  mock.method(redis, 'multi', () => {
+    const commands = [];
+    const pipeline = {
+      set: (...args) => { commands.push(() => set(...args)); return pipeline; },
+      incr: (key) => {
+        commands.push(() => {
+          const entry = read(key);
+          entry.value = String(Number(entry.value) + 1);
+          return Number(entry.value);
+        });
+        return pipeline;
+      },
+      exec: async () => commands.map(command => [null, command()]),
+    };
+    return pipeline;
+  });
+  mock.method(redis, 'set', async (...args) => set(...args));
+  mock.method(redis, 'get', async (key) => read(key)?.value ?? null);
+  mock.method(redis, 'pttl', async (key) => (read(key) ? read(key).expiresAt - Date.now() : -2));
+  mock.method(redis, 'del', async (...names) => names.forEach(name => keys.delete(name)));
+  mock.method(redis, 'scan', async (cursor, match, pattern) => {
+    const prefix = pattern.slice(0, -1);
+    return ['0', [...keys.keys()].filter(key => key.startsWith(prefix) && read(key))];
+  });
+
+  return keys;
+};
+
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe('RateLimiter', () => {
+  let redisKeys;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    redisKeys = createRedisStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('bloque une clé au-delà de la limite, pour la durée du blocage', async () => {
+    const limiter = createLimiter();
+
+    assert.deepEqual(await limiter.recordFailedAttempt('1.2.3.4'), { attempts: 1, blocked: false });
+    assert.deepEqual(await limiter.recordFailedAttempt('1.2.3.4'), { attempts: 2, blocked: false });
+    assert.deepEqual(await limiter.recordFailedAttempt('1.2.3.4'), { attempts: 3, blocked: true });
+
+    const info = await limiter.getAttemptInfo('1.2.3.4');
+    assert.equal(info.isBlocked, true);
+    assert.equal(info.timeUntilResetMinutes, BLOCK_MS / 60000);
+    assert.equal(await limiter.isBlocked('5.6.7.8'), false);
+
+    mock.timers.tick(BLOCK_MS);
+    assert.equal(await limiter.isBlocked('1.2.3.4'), false);
+  });
+
+  it('repart de zéro à la fin de la fenêtre', async () => {
+    const limiter = createLimiter();
+    await limiter.recordFailedAttempt('1.2.3.4');
+    await limiter.recordFailedAttempt('1.2.3.4');
+
+    mock.timers.tick(WINDOW_MS);
+
+    assert.deepEqual(await limiter.recordFailedAttempt('1.2.3.4'), { attempts: 1, blocked: false });
+  });
+
+  it('partage les compteurs entre instances par Redis', async () => {
+    await createLimiter('shared').recordFailedAttempt('1.2.3.4');
+    await createLimiter('shared').recordFailedAttempt('1.2.3.4');
+    const other = createLimiter('shared');
+
+    assert.equal((await other.recordFailedAttempt('1.2.3.4')).blocked, true);
+    assert.ok(redisKeys.has('ratelimit:shared:count:1.2.3.4'));
+    assert.ok(redisKeys.has('ratelimit:shared:block:1.2.3.4'));
+    assert.equal(await other.memoryStore.getCount('1.2.3.4'), 0);
+    assert.deepEqual((await other.listBlocked()).map(({ key, store }) => [key, store]), [['1.2.3.4', 'redis']]);
+  });
+
+  it('bascule sur la mémoire quand Redis renvoie une erreur', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    for (const command of ['multi', 'set', 'get', 'pttl', 'del']) {
+      mock.method(redis, command, () => { throw new Error('ECONNREFUSED'); });
+    }
+    const limiter = createLimiter();
+
+    await limiter.recordFailedAttempt('1.2.3.4');
+    await limiter.recordFailedAttempt('1.2.3.4');
+    assert.equal((await limiter.recordFailedAttempt('1.2.3.4')).blocked, true);
+
+    assert.equal(await limiter.isBlocked('1.2.3.4'), true);
+    assert.equal(await limiter.memoryStore.getCount('1.2.3.4'), 3);
+    assert.ok(warn.mock.callCount() > 0);
+  });
+
+  it('n\'attend pas plus de REDIS_TIMEOUT_MS un Redis qui tarde à répondre', async () => {
+    mock.method(console, 'warn', () => {});
+    mock.method(redis, 'get', () => new Promise(resolve => setTimeout(() => resolve('5'), 200)));
+    const timeoutMs = RATE_LIMIT_CONFIG.REDIS_TIMEOUT_MS;
+    RATE_LIMIT_CONFIG.REDIS_TIMEOUT_MS = 20;
+
+    try {
+      const limiter = createLimiter();
+      await limiter.memoryStore.increment('1.2.3.4', WINDOW_MS);
+
+      assert.equal((await limiter.getAttemptInfo('1.2.3.4')).attempts, 1);
+    } finally {
+      RATE_LIMIT_CONFIG.REDIS_TIMEOUT_MS = timeoutMs;
+    }
+  });
+
+  it('n\'interroge pas Redis quand la connexion est fermée', async () => {
+    const status = redis.status;
+    redis.status = 'end';
+
+    try {
+      const limiter = createLimiter();
+      await limiter.recordFailedAttempt('1.2.3.4');
+
+      assert.equal(redis.multi.mock.callCount(), 0);
+      assert.equal(await limiter.memoryStore.getCount('1.2.3.4'), 1);
+    } finally {
+      redis.status = status;
+    }
+  });
+
+  it('réinitialise la clé dans Redis et en mémoire', async () => {
+    const limiter = createLimiter();
+    await limiter.memoryStore.block('1.2.3.4', BLOCK_MS);
+    for (let attempt = 0; attempt < 3; attempt++) await limiter.recordFailedAttempt('1.2.3.4');
+
+    await limiter.recordSuccessfulAttempt('1.2.3.4');
+
+    assert.equal(redisKeys.size, 0);
+    assert.deepEqual(await limiter.listBlocked(), []);
+    assert.equal((await limiter.getAttemptInfo('1.2.3.4')).attempts, 0);
+  });
+
+  it('répond 429 avec Retry-After une fois la limite dépassée', async () => {
+    const middleware = createLimiter().middleware({ message: 'Trop de requêtes.', keyGenerator: (req) => req.user.id });
+    const req = { user: { id: 'user-1' } };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const next = mock.fn();
+      await middleware(req, createResponse(), next);
+      assert.equal(next.mock.callCount(), 1);
+    }
+
+    const res = createResponse();
+    const next = mock.fn();
+    await middleware(req, res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], String(BLOCK_MS / 1000));
+    assert.equal(res.body.error, 'RATE_LIMIT_EXCEEDED');
+    assert.match(res.body.message, /^Trop de requêtes\./);
+    assert.ok(redisKeys.has('ratelimit:test:block:user-1'));
+  });
+});
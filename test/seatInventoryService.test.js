@@ -0,0 +1,125 @@
+// test/seatInventoryService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Route from '../models/Route.js';
+import SeatReservation from '../models/SeatReservation.js';
+import { reserveSeats, SeatUnavailableError } from '../services/seatInventoryService.js';
+
+const ROUTE_ID = 'route-1';
+
+// Inventaire en mémoire reproduisant l'index unique (route, seatNumber) de SeatReservation.
+// Chaque insertion rend la main à la boucle d'événements pour entrelacer les appels concurrents.
+const createSeatStore = (availableSeats) => {
+  const seats = new Map();
+  const route = { availableSeats };
+
+  mock.method(SeatReservation, 'insertMany', async (docs) => {
+    const writeErrors = [];
+    for (const doc of docs) {
+      await new Promise(resolve => setImmediate(resolve));
+      const key = `${doc.route}:${doc.seatNumber}`;
+      if (seats.has(key)) writeErrors.push({ code: 11000 });
+      else seats.set(key, { ...doc });
+    }
+    if (writeErrors.length) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, writeErrors });
+    }
+    return docs;
+  });
+
+  mock.method(SeatReservation, 'deleteMany', async (filter) => {
+    let deletedCount = 0;
+    for (const [key, seat] of seats) {
+      if (seat.route === filter.route && seat.booking === filter.booking) {
+        seats.delete(key);
+        deletedCount++;
+      }
+    }
+    return { deletedCount };
+  });
+
+  mock.method(SeatReservation, 'find', (filter) => ({
+    distinct: async (field) => [...seats.values()]
+      .filter(seat => seat.route === filter.route && filter.seatNumber.$in.includes(seat.seatNumber))
+      .map(seat => seat[field]),
+  }));
+
+  // Décrément conditionnel du compteur, comme Route.updateOne avec availableSeats: { $gte: n }
+  mock.method(Route, 'updateOne', async (filter, update) => {
+    if (route.availableSeats < filter.availableSeats.$gte) return { modifiedCount: 0 };
+    route.availableSeats += update.$inc.availableSeats;
+    return { modifiedCount: 1 };
+  });
+
+  return { seats, route };
+};
+
+const seatsOf = (store, bookingId) => [...store.seats.values()]
+  .filter(seat => seat.booking === bookingId)
+  .map(seat => seat.seatNumber)
+  .sort();
+
+describe('reserveSeats', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createSeatStore(40);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('réserve les sièges demandés et décrémente les places disponibles', async () => {
+    const reserved = await reserveSeats(ROUTE_ID, [3, ' 4 ', '3'], 'booking-a');
+
+    assert.deepEqual(reserved, ['3', '4']);
+    assert.deepEqual(seatsOf(store, 'booking-a'), ['3', '4']);
+    assert.equal(store.route.availableSeats, 38);
+  });
+
+  it('ne laisse qu\'une réservation concurrente prendre un siège commun', async () => {
+    const results = await Promise.allSettled([
+      reserveSeats(ROUTE_ID, ['1', '2'], 'booking-a'),
+      reserveSeats(ROUTE_ID, ['2', '3'], 'booking-b'),
+    ]);
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    assert.equal(fulfilled.length, 1);
+    assert.equal(rejected.length, 1);
+    assert.ok(rejected[0].reason instanceof SeatUnavailableError);
+    assert.equal(rejected[0].reason.statusCode, 409);
+    assert.ok(rejected[0].reason.takenSeats.includes('2'));
+
+    // Le perdant ne garde aucun siège : soit tout, soit rien
+    const winner = fulfilled[0].value.includes('1') ? 'booking-a' : 'booking-b';
+    const loser = winner === 'booking-a' ? 'booking-b' : 'booking-a';
+    assert.deepEqual(seatsOf(store, winner), fulfilled[0].value);
+    assert.deepEqual(seatsOf(store, loser), []);
+    assert.equal(store.route.availableSeats, 38);
+  });
+
+  it('n\'attribue un siège qu\'une fois sous forte concurrence', async () => {
+    const attempts = Array.from({ length: 20 }, (_, i) => reserveSeats(ROUTE_ID, ['12'], `booking-${i}`));
+    const results = await Promise.allSettled(attempts);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.ok(results
+      .filter(result => result.status === 'rejected')
+      .every(result => result.reason instanceof SeatUnavailableError));
+    assert.equal(store.seats.size, 1);
+    assert.equal(store.route.availableSeats, 39);
+  });
+
+  it('libère les sièges insérés quand le trajet n\'a plus assez de places', async () => {
+    store.route.availableSeats = 1;
+
+    await assert.rejects(
+      reserveSeats(ROUTE_ID, ['5', '6'], 'booking-a'),
+      (error) => error instanceof SeatUnavailableError && error.takenSeats.length === 0
+    );
+    assert.equal(store.seats.size, 0);
+    assert.equal(store.route.availableSeats, 1);
+  });
+});
@@ -0,0 +1,139 @@
+// test/sessionService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { SESSION_CONFIG } from '../config/routeConfig.js';
+import { SessionError, createSession, revokeAllUserSessions, rotateRefreshToken } from '../services/sessionService.js';
+
+// Collection de sessions en mémoire limitée aux requêtes de sessionService
+const createSessionStore = () => {
+  const sessions = [];
+
+  mock.method(Session, 'create', async (doc) => {
+    const session = { _id: new mongoose.Types.ObjectId(), usedTokenHashes: [], rotatedAt: null, revokedAt: null, ...doc };
+    sessions.push(session);
+    return session;
+  });
+
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find(candidate => (
+      (filter._id ? candidate._id.equals(filter._id) : candidate.tokenHash === filter.tokenHash)
+      && candidate.revokedAt === filter.revokedAt
+      && (!filter.expiresAt || candidate.expiresAt > filter.expiresAt.$gt)
+    ));
+    if (!session) return null;
+
+    Object.assign(session, update.$set);
+    if (update.$push) {
+      const { $each, $slice } = update.$push.usedTokenHashes;
+      session.usedTokenHashes = [...session.usedTokenHashes, ...$each].slice($slice);
+    }
+    return session;
+  });
+
+  mock.method(Session, 'findOne', async (filter) => {
+    return sessions.find(session => session.usedTokenHashes.includes(filter.usedTokenHashes)) || null;
+  });
+
+  return sessions;
+};
+
+describe('rotateRefreshToken', () => {
+  let sessions;
+  let refreshToken;
+
+  beforeEach(async () => {
+    sessions = createSessionStore();
+    ({ refreshToken } = await createSession({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('remplace le refresh token à chaque utilisation', async () => {
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(rotated.session._id, sessions[0]._id);
+    assert.equal(sessions[0].usedTokenHashes.length, 1);
+
+    const next = await rotateRefreshToken(rotated.refreshToken);
+    assert.equal(next.session._id, sessions[0]._id);
+    assert.equal(sessions[0].usedTokenHashes.length, 2);
+  });
+
+  it('révoque la session quand un token remplacé est présenté de nouveau', async () => {
+    const rotated = await rotateRefreshToken(refreshToken);
+    await rotateRefreshToken(rotated.refreshToken);
+
+    await assert.rejects(
+      rotateRefreshToken(refreshToken),
+      (error) => error instanceof SessionError && error.statusCode === 401 && /réutilisé/.test(error.message)
+    );
+    assert.ok(sessions[0].revokedAt);
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+  });
+
+  it('refuse ensuite le token courant de la session révoquée', async () => {
+    const rotated = await rotateRefreshToken(refreshToken);
+    const current = await rotateRefreshToken(rotated.refreshToken);
+    await assert.rejects(rotateRefreshToken(refreshToken), SessionError);
+
+    await assert.rejects(
+      rotateRefreshToken(current.refreshToken),
+      (error) => error instanceof SessionError && error.statusCode === 401
+    );
+  });
+
+  it('tolère le token tout juste remplacé par une requête concurrente sans révoquer la session', async () => {
+    await rotateRefreshToken(refreshToken);
+
+    await assert.rejects(
+      rotateRefreshToken(refreshToken),
+      (error) => error instanceof SessionError && error.statusCode === 409
+    );
+    assert.equal(sessions[0].revokedAt, null);
+  });
+
+  it('révoque la session quand le dernier token remplacé revient après le délai de grâce', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    await rotateRefreshToken(refreshToken);
+    mock.timers.tick((SESSION_CONFIG.REUSE_GRACE_SECONDS + 1) * 1000);
+
+    await assert.rejects(
+      rotateRefreshToken(refreshToken),
+      (error) => error instanceof SessionError && error.statusCode === 401
+    );
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+  });
+
+  it('rejette un token inconnu', async () => {
+    await assert.rejects(
+      rotateRefreshToken('inconnu'),
+      (error) => error instanceof SessionError && /invalide ou expiré/.test(error.message)
+    );
+  });
+});
+
+describe('revokeAllUserSessions', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('conserve la session indiquée et révoque les autres sessions actives', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const currentSession = new mongoose.Types.ObjectId();
+    const updateMany = mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    const revoked = await revokeAllUserSessions(userId, { reason: 'password_change', exceptSessionId: currentSession });
+
+    assert.equal(revoked, 2);
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user: userId, revokedAt: null, _id: { $ne: currentSession } });
+    assert.equal(update.$set.revokedReason, 'password_change');
+  });
+});